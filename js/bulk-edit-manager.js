@@ -0,0 +1,110 @@
+/**
+ * BulkEditManager - Apply one edit to many selected games
+ * Every operation is a single undoable history entry and saves once
+ */
+class BulkEditManager {
+    constructor(gameManager, collectionManager) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+    }
+
+    /**
+     * Run an operation as one undoable batch
+     */
+    async runBatch(label, operation) {
+        const history = this.gameManager.history;
+        return history ? await history.runBatch(label, operation) : await operation();
+    }
+
+    /**
+     * Set the completion status of every selected game
+     */
+    async setCompletionStatus(gameIds, status) {
+        await this.runBatch(`${gameIds.length}件の完了状況を変更`, () =>
+            this.gameManager.updateGames(gameIds, { userMetadata: { completionStatus: status } })
+        );
+    }
+
+    /**
+     * Set the rating of every selected game
+     */
+    async setRating(gameIds, rating) {
+        if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+            throw new Error('Rating must be between 0 and 5');
+        }
+
+        await this.runBatch(`${gameIds.length}件の評価を変更`, () =>
+            this.gameManager.updateGames(gameIds, { userMetadata: { rating: rating } })
+        );
+    }
+
+    /**
+     * Mark or unmark every selected game as favorite
+     */
+    async setFavorite(gameIds, favorite) {
+        await this.runBatch(`${gameIds.length}件のお気に入りを変更`, () =>
+            this.gameManager.updateGames(gameIds, { userMetadata: { favorite: favorite } })
+        );
+    }
+
+    /**
+     * Add tags to every selected game
+     */
+    async addTags(gameIds, tags) {
+        await this.runBatch(`${gameIds.length}件にタグを追加`, () =>
+            this.gameManager.updateGames(gameIds, game => ({
+                userMetadata: { tags: [...new Set([...(game.userMetadata.tags || []), ...tags])] }
+            }))
+        );
+    }
+
+    /**
+     * Remove tags from every selected game
+     */
+    async removeTags(gameIds, tags) {
+        await this.runBatch(`${gameIds.length}件からタグを削除`, () =>
+            this.gameManager.updateGames(gameIds, game => ({
+                userMetadata: { tags: (game.userMetadata.tags || []).filter(tag => !tags.includes(tag)) }
+            }))
+        );
+    }
+
+    /**
+     * Add every selected game to a collection
+     */
+    async addToCollection(gameIds, collectionId) {
+        await this.runBatch(`${gameIds.length}件をコレクションに追加`, () =>
+            this.collectionManager.addGamesToCollection(gameIds, collectionId)
+        );
+    }
+
+    /**
+     * Remove every selected game from a collection
+     */
+    async removeFromCollection(gameIds, collectionId) {
+        await this.runBatch(`${gameIds.length}件をコレクションから削除`, () =>
+            this.collectionManager.removeGamesFromCollection(gameIds, collectionId)
+        );
+    }
+
+    /**
+     * Delete every selected game (and its collection memberships)
+     */
+    async deleteGames(gameIds) {
+        await this.runBatch(`${gameIds.length}件のゲームを削除`, async () => {
+            await this.collectionManager.removeGamesFromCollection(gameIds);
+            await this.gameManager.deleteGames(gameIds);
+        });
+    }
+
+    /**
+     * Tags used by the selected games (for the remove-tag picker)
+     */
+    getTagsOf(gameIds) {
+        const tags = gameIds
+            .map(gameId => this.gameManager.findGameById(gameId))
+            .filter(Boolean)
+            .flatMap(game => game.userMetadata.tags || []);
+        return [...new Set(tags)].sort();
+    }
+}
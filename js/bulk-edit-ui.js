@@ -0,0 +1,258 @@
+/**
+ * BulkEditUI - Selection mode for the game grid/list and the bulk action bar
+ * Handles click, shift-click range and select-all-filtered selection
+ */
+class BulkEditUI {
+    constructor(bulkEditManager, collectionManager, callbacks = {}) {
+        this.bulkEditManager = bulkEditManager;
+        this.collectionManager = collectionManager;
+        this.callbacks = callbacks;
+        this.selectionMode = false;
+        this.selectedIds = new Set();
+        this.lastSelectedId = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const toggleBtn = document.getElementById('toggle-selection');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.setSelectionMode(!this.selectionMode));
+        }
+
+        this.bindClick('bulk-select-all', () => this.selectAllFiltered());
+        this.bindClick('bulk-clear-selection', () => this.clearSelection());
+        this.bindClick('bulk-exit', () => this.setSelectionMode(false));
+
+        this.bindChange('bulk-status', value =>
+            this.runAction(ids => this.bulkEditManager.setCompletionStatus(ids, value), '完了状況を変更しました'));
+        this.bindChange('bulk-rating', value =>
+            this.runAction(ids => this.bulkEditManager.setRating(ids, parseInt(value)), '評価を変更しました'));
+        this.bindChange('bulk-favorite', value =>
+            this.runAction(ids => this.bulkEditManager.setFavorite(ids, value === 'true'), 'お気に入りを変更しました'));
+
+        this.bindClick('bulk-add-tags', () => {
+            const tags = this.readTags();
+            if (tags) this.runAction(ids => this.bulkEditManager.addTags(ids, tags), `タグ「${tags.join('、')}」を追加しました`);
+        });
+        this.bindClick('bulk-remove-tags', () => {
+            const tags = this.readTags();
+            if (tags) this.runAction(ids => this.bulkEditManager.removeTags(ids, tags), `タグ「${tags.join('、')}」を削除しました`);
+        });
+
+        this.bindClick('bulk-add-to-collection', () => {
+            const collection = this.readCollection();
+            if (collection) this.runAction(ids => this.bulkEditManager.addToCollection(ids, collection.id), `「${collection.name}」に追加しました`);
+        });
+        this.bindClick('bulk-remove-from-collection', () => {
+            const collection = this.readCollection();
+            if (collection) this.runAction(ids => this.bulkEditManager.removeFromCollection(ids, collection.id), `「${collection.name}」から削除しました`);
+        });
+
+        this.bindClick('bulk-delete', () => {
+            if (confirm(`選択した${this.selectedIds.size}件のゲームを削除しますか？`)) {
+                this.runAction(ids => this.bulkEditManager.deleteGames(ids), `${this.selectedIds.size}件のゲームを削除しました`, true);
+            }
+        });
+    }
+
+    bindClick(id, handler) {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    }
+
+    bindChange(id, handler) {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            const value = select.value;
+            select.value = '';
+            if (value !== '') handler(value);
+        });
+    }
+
+    /**
+     * Turn selection mode on or off
+     */
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.selectedIds.clear();
+            this.lastSelectedId = null;
+        }
+
+        const toggleBtn = document.getElementById('toggle-selection');
+        if (toggleBtn) toggleBtn.classList.toggle('active', enabled);
+
+        this.updateActionBar();
+        if (this.callbacks.onModeChange) this.callbacks.onModeChange(enabled);
+    }
+
+    /**
+     * Check whether a game is selected
+     */
+    isSelected(gameId) {
+        return this.selectedIds.has(gameId);
+    }
+
+    /**
+     * Handle a click on a game card/row
+     * @returns {boolean} True when the click was used for selection
+     */
+    handleItemClick(gameId, event) {
+        if (!this.selectionMode) {
+            // Ctrl/Cmd/Shift-click starts selecting without opening the modal
+            if (!(event.ctrlKey || event.metaKey || event.shiftKey)) return false;
+            this.setSelectionMode(true);
+        }
+
+        if (event.shiftKey && this.lastSelectedId) {
+            this.selectRange(this.lastSelectedId, gameId);
+        } else if (this.selectedIds.has(gameId)) {
+            this.selectedIds.delete(gameId);
+        } else {
+            this.selectedIds.add(gameId);
+        }
+        this.lastSelectedId = gameId;
+
+        this.selectionChanged();
+        return true;
+    }
+
+    /**
+     * Select every game between two games in the current sort order
+     */
+    selectRange(fromId, toId) {
+        const orderedIds = this.callbacks.getFilteredGameIds ? this.callbacks.getFilteredGameIds() : [];
+        const from = orderedIds.indexOf(fromId);
+        const to = orderedIds.indexOf(toId);
+
+        if (from === -1 || to === -1) {
+            this.selectedIds.add(toId);
+            return;
+        }
+
+        orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedIds.add(id));
+    }
+
+    /**
+     * Select every game that matches the current collection and filters
+     */
+    selectAllFiltered() {
+        const ids = this.callbacks.getFilteredGameIds ? this.callbacks.getFilteredGameIds() : [];
+        ids.forEach(id => this.selectedIds.add(id));
+        this.selectionChanged();
+    }
+
+    /**
+     * Deselect everything (selection mode stays on)
+     */
+    clearSelection() {
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        this.selectionChanged();
+    }
+
+    /**
+     * Drop selected IDs that no longer exist
+     */
+    pruneSelection(existingIds) {
+        const existing = new Set(existingIds);
+        [...this.selectedIds].filter(id => !existing.has(id)).forEach(id => this.selectedIds.delete(id));
+        this.updateActionBar();
+    }
+
+    selectionChanged() {
+        this.updateActionBar();
+        if (this.callbacks.onSelectionChange) this.callbacks.onSelectionChange(this.selectedIds);
+    }
+
+    /**
+     * Show/hide the action bar and refresh its counters and pickers
+     */
+    updateActionBar() {
+        const bar = document.getElementById('bulk-action-bar');
+        if (!bar) return;
+
+        bar.style.display = this.selectionMode ? 'flex' : 'none';
+        if (!this.selectionMode) return;
+
+        const count = document.getElementById('bulk-selected-count');
+        if (count) count.textContent = `${this.selectedIds.size}件選択中`;
+
+        bar.querySelectorAll('.bulk-actions select, .bulk-actions button, .bulk-actions input').forEach(control => {
+            control.disabled = this.selectedIds.size === 0;
+        });
+
+        const collectionSelect = document.getElementById('bulk-collection');
+        if (collectionSelect) {
+            collectionSelect.innerHTML = '<option value="">コレクション...</option>' +
+                this.collectionManager.getAllCollections()
+                    .filter(collection => !collection.isDefault && !this.collectionManager.isSmartCollection(collection))
+                    .map(collection => `<option value="${collection.id}">${collection.emoji} ${collection.name}</option>`)
+                    .join('');
+        }
+
+        const tagOptions = document.getElementById('bulk-tag-options');
+        if (tagOptions) {
+            tagOptions.innerHTML = this.bulkEditManager.getTagsOf([...this.selectedIds])
+                .map(tag => `<option value="${tag}">`).join('');
+        }
+    }
+
+    /**
+     * Read comma separated tags from the tag input
+     */
+    readTags() {
+        const input = document.getElementById('bulk-tag-input');
+        const tags = (input ? input.value : '').split(/[,、]/).map(tag => tag.trim()).filter(Boolean);
+
+        if (tags.length === 0) {
+            alert('タグを入力してください');
+            return null;
+        }
+        if (tags.some(tag => tag.length > 20 || /[<>"'&]/.test(tag))) {
+            alert('タグは20文字以内で、記号 < > " \' & は使えません');
+            return null;
+        }
+
+        input.value = '';
+        return tags;
+    }
+
+    /**
+     * Read the selected collection
+     */
+    readCollection() {
+        const select = document.getElementById('bulk-collection');
+        const collection = select && select.value ? this.collectionManager.getCollectionById(select.value) : null;
+        if (!collection) {
+            alert('コレクションを選択してください');
+        }
+        return collection;
+    }
+
+    /**
+     * Run a bulk action on the current selection
+     */
+    async runAction(action, message, clearAfter = false) {
+        const ids = [...this.selectedIds];
+        if (ids.length === 0) return;
+
+        try {
+            await action(ids);
+        } catch (error) {
+            console.error('Bulk edit failed:', error);
+            alert(`エラー: ${error.message}`);
+            return;
+        }
+
+        if (clearAfter) {
+            this.selectedIds.clear();
+            this.lastSelectedId = null;
+        }
+        this.updateActionBar();
+        if (this.callbacks.onBulkEdit) this.callbacks.onBulkEdit(message);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * ChecklistManager - Per-game progress checklists
+ * Chapters, achievements/trophies, side quests and collectibles stored in userMetadata.checklist,
+ * each item with the time it was added and the time it was completed
+ */
+class ChecklistManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        this.categories = {
+            chapter: { label: 'チャプター', emoji: '📖' },
+            achievement: { label: 'トロフィー・実績', emoji: '🏆' },
+            side_quest: { label: 'サブクエスト', emoji: '🗺️' },
+            collectible: { label: '収集要素', emoji: '💎' },
+            other: { label: 'その他', emoji: '📌' }
+        };
+    }
+
+    /**
+     * Generate unique checklist item ID
+     */
+    generateItemId() {
+        return 'check_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get checklist items of a game
+     */
+    getItems(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return [];
+
+        return game.userMetadata.checklist || [];
+    }
+
+    /**
+     * Add a single item
+     */
+    async addItem(gameId, text, category = 'other') {
+        return (await this.addItems(gameId, [{ text, category }]))[0];
+    }
+
+    /**
+     * Add several items at once
+     * @param {Array} itemsData - [{ text, category, done }]
+     * @returns {Promise<Array>} The created items
+     */
+    async addItems(gameId, itemsData) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const now = Date.now();
+        const items = itemsData.map(itemData => {
+            this.validateItemData(itemData);
+            return {
+                id: this.generateItemId(),
+                text: itemData.text.trim(),
+                category: itemData.category || 'other',
+                done: Boolean(itemData.done),
+                createdAt: now,
+                completedAt: itemData.done ? now : null
+            };
+        });
+
+        if (items.length === 0) {
+            throw new Error('No checklist items to add');
+        }
+
+        await this.saveItems(gameId, [...(game.userMetadata.checklist || []), ...items]);
+        return items;
+    }
+
+    /**
+     * Parse a pasted list (one item per line) and add it
+     * Bullets, numbering and Markdown checkboxes are stripped; "[x]" marks an item as done
+     */
+    async addItemsFromText(gameId, text, category = 'other') {
+        const existing = new Set(this.getItems(gameId)
+            .filter(item => item.category === category)
+            .map(item => item.text));
+
+        const itemsData = this.parseList(text)
+            .filter(item => !existing.has(item.text))
+            .map(item => ({ ...item, category }));
+
+        return await this.addItems(gameId, itemsData);
+    }
+
+    /**
+     * Split pasted text into items
+     * @returns {Array} [{ text, done }]
+     */
+    parseList(text) {
+        const seen = new Set();
+
+        return (text || '').split(/\r?\n/)
+            .map(line => {
+                let value = line.trim()
+                    .replace(/^([-*+・●•]|\d+[.)．、])\s*/, '');
+                const checkbox = value.match(/^\[([ xX✓])\]\s*/);
+                if (checkbox) value = value.slice(checkbox[0].length);
+
+                return { text: value.trim(), done: Boolean(checkbox && checkbox[1] !== ' ') };
+            })
+            .filter(item => {
+                if (!item.text || seen.has(item.text)) return false;
+                seen.add(item.text);
+                return true;
+            });
+    }
+
+    /**
+     * Check or uncheck an item (completedAt records when the milestone was hit)
+     */
+    async toggleItem(gameId, itemId, done) {
+        return await this.updateItem(gameId, itemId, {
+            done: done,
+            completedAt: done ? Date.now() : null
+        });
+    }
+
+    /**
+     * Update an item's text, category, state or completion time
+     */
+    async updateItem(gameId, itemId, updates) {
+        const items = this.getItems(gameId);
+        const existing = items.find(item => item.id === itemId);
+        if (!existing) {
+            throw new Error('Checklist item not found');
+        }
+
+        const updated = { ...existing, ...updates, id: existing.id };
+        this.validateItemData(updated);
+        updated.text = updated.text.trim();
+        if (!updated.done) updated.completedAt = null;
+        if (updated.done && !updated.completedAt) updated.completedAt = Date.now();
+
+        await this.saveItems(gameId, items.map(item => item.id === itemId ? updated : item));
+        return updated;
+    }
+
+    /**
+     * Remove an item
+     */
+    async removeItem(gameId, itemId) {
+        const items = this.getItems(gameId);
+        if (!items.some(item => item.id === itemId)) {
+            throw new Error('Checklist item not found');
+        }
+
+        await this.saveItems(gameId, items.filter(item => item.id !== itemId));
+        return true;
+    }
+
+    /**
+     * Persist items through GameManager
+     */
+    async saveItems(gameId, items) {
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: { checklist: items }
+        });
+    }
+
+    /**
+     * Validate item data
+     */
+    validateItemData(itemData) {
+        if (!itemData.text || !itemData.text.trim()) {
+            throw new Error('Checklist item text is required');
+        }
+
+        if (itemData.category && !this.categories[itemData.category]) {
+            throw new Error(`Invalid checklist category: ${itemData.category}`);
+        }
+
+        if (itemData.completedAt && isNaN(new Date(itemData.completedAt).getTime())) {
+            throw new Error('Invalid completion time');
+        }
+
+        return true;
+    }
+
+    /**
+     * Completion of a list of items
+     * @returns {Object} { done, total, percent } (percent is null for an empty checklist)
+     */
+    getProgress(items) {
+        const total = (items || []).length;
+        const done = (items || []).filter(item => item.done).length;
+
+        return {
+            done: done,
+            total: total,
+            percent: total > 0 ? Math.round(done / total * 100) : null
+        };
+    }
+
+    /**
+     * Items grouped by category, in category order, with per-category progress
+     * @returns {Array} [{ category, label, emoji, items, progress }]
+     */
+    groupByCategory(items) {
+        return Object.entries(this.categories)
+            .map(([category, info]) => {
+                const categoryItems = items.filter(item => (item.category || 'other') === category);
+                return {
+                    category: category,
+                    label: info.label,
+                    emoji: info.emoji,
+                    items: categoryItems,
+                    progress: this.getProgress(categoryItems)
+                };
+            })
+            .filter(group => group.items.length > 0);
+    }
+}
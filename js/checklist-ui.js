@@ -0,0 +1,263 @@
+/**
+ * ChecklistUI - Progress checklist in the game detail modal
+ * Items can be added one by one or pasted as a list; completion times can be corrected
+ */
+class ChecklistUI {
+    constructor(checklistManager, onChecklistChange = null) {
+        this.checklistManager = checklistManager;
+        this.onChecklistChange = onChecklistChange;
+        this.editingItemId = null;
+        this.pasteMode = false;
+    }
+
+    /**
+     * Render the checklist section for the game detail modal
+     */
+    renderChecklistSection(gameId) {
+        const game = this.checklistManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        this.editingItemId = null;
+        this.pasteMode = false;
+
+        return `
+            <div class="checklist-section" id="checklist-section-${gameId}">
+                ${this.renderSectionContent(gameId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the inner content (progress, grouped items and the add form)
+     */
+    renderSectionContent(gameId) {
+        const manager = this.checklistManager;
+        const items = manager.getItems(gameId);
+        const progress = manager.getProgress(items);
+        const categoryOptions = Object.entries(manager.categories)
+            .map(([category, info]) => `<option value="${category}">${info.emoji} ${info.label}</option>`)
+            .join('');
+
+        return `
+            <div class="checklist-header">
+                <h3>✅ 進捗チェックリスト</h3>
+                ${progress.total > 0 ? `
+                    <span class="checklist-progress-text">${progress.done} / ${progress.total}（${progress.percent}%）</span>
+                ` : ''}
+            </div>
+            ${progress.total > 0 ? this.renderProgressBar(progress.percent) : ''}
+            ${manager.groupByCategory(items).map(group => `
+                <div class="checklist-group">
+                    <h4>${group.emoji} ${group.label} <small>${group.progress.done} / ${group.progress.total}</small></h4>
+                    <ul class="checklist-items">
+                        ${group.items.map(item => this.editingItemId === item.id ?
+                            this.renderItemEditForm(item) :
+                            this.renderItemRow(item)
+                        ).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+            ${progress.total === 0 ? '<p class="no-checklist">チャプターや実績を登録すると進捗率が表示されます</p>' : ''}
+            <div class="checklist-add">
+                <select class="checklist-category">${categoryOptions}</select>
+                ${this.pasteMode ? `
+                    <textarea class="checklist-paste-input" rows="5" placeholder="1行に1項目（「- 」「1. 」「[x] 」などの記号は自動で除去されます）"></textarea>
+                    <button class="btn btn-small btn-primary checklist-paste-add">まとめて追加</button>
+                    <button class="btn btn-small btn-secondary checklist-paste-toggle">1件ずつ追加</button>
+                ` : `
+                    <input type="text" class="checklist-item-input" placeholder="項目を入力してEnterキーで追加">
+                    <button class="btn btn-small btn-primary checklist-item-add">追加</button>
+                    <button class="btn btn-small btn-secondary checklist-paste-toggle">リストを貼り付け</button>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a progress bar
+     */
+    renderProgressBar(percent) {
+        return `
+            <div class="checklist-progress-bar">
+                <div class="checklist-progress-fill" style="width: ${percent}%"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single item
+     */
+    renderItemRow(item) {
+        return `
+            <li class="checklist-item ${item.done ? 'done' : ''}" data-item-id="${item.id}">
+                <label class="checklist-item-label">
+                    <input type="checkbox" class="checklist-item-toggle" data-item-id="${item.id}" ${item.done ? 'checked' : ''}>
+                    <span class="checklist-item-text">${item.text}</span>
+                </label>
+                ${item.done && item.completedAt ? `
+                    <span class="checklist-item-date" title="達成日時">${new Date(item.completedAt).toLocaleString('ja-JP')}</span>
+                ` : ''}
+                <div class="checklist-item-actions">
+                    <button class="btn btn-small btn-secondary checklist-item-edit" data-item-id="${item.id}" title="編集">✏️</button>
+                    <button class="btn btn-small btn-danger checklist-item-delete" data-item-id="${item.id}" title="削除">🗑️</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the inline edit form for an item
+     */
+    renderItemEditForm(item) {
+        const categoryOptions = Object.entries(this.checklistManager.categories)
+            .map(([category, info]) => `
+                <option value="${category}" ${category === item.category ? 'selected' : ''}>${info.emoji} ${info.label}</option>
+            `).join('');
+
+        return `
+            <li class="checklist-item editing" data-item-id="${item.id}">
+                <div class="checklist-edit-form">
+                    <label>項目 <input type="text" class="checklist-edit-text" value="${item.text}"></label>
+                    <label>分類 <select class="checklist-edit-category">${categoryOptions}</select></label>
+                    <label>達成日時
+                        <input type="datetime-local" class="checklist-edit-completed" value="${item.completedAt ? this.toDateTimeLocal(item.completedAt) : ''}">
+                    </label>
+                </div>
+                <div class="checklist-item-actions">
+                    <button class="btn btn-small btn-primary checklist-edit-save">保存</button>
+                    <button class="btn btn-small btn-secondary checklist-edit-cancel">キャンセル</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     */
+    setupChecklistEventListeners(gameId) {
+        const section = document.getElementById(`checklist-section-${gameId}`);
+        if (!section) return;
+
+        const manager = this.checklistManager;
+        const category = () => section.querySelector('.checklist-category').value;
+
+        section.querySelectorAll('.checklist-item-toggle').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.runAction(gameId, () => manager.toggleItem(gameId, checkbox.dataset.itemId, checkbox.checked));
+            });
+        });
+
+        section.querySelectorAll('.checklist-item-edit').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editingItemId = button.dataset.itemId;
+                this.refreshSection(gameId);
+            });
+        });
+
+        section.querySelectorAll('.checklist-item-delete').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('この項目を削除しますか？')) {
+                    this.runAction(gameId, () => manager.removeItem(gameId, button.dataset.itemId));
+                }
+            });
+        });
+
+        const itemInput = section.querySelector('.checklist-item-input');
+        const addItem = () => {
+            const text = itemInput.value.trim();
+            if (text) this.runAction(gameId, () => manager.addItem(gameId, text, category()));
+        };
+        if (itemInput) {
+            itemInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') addItem();
+            });
+            section.querySelector('.checklist-item-add').addEventListener('click', addItem);
+        }
+
+        const pasteAddBtn = section.querySelector('.checklist-paste-add');
+        if (pasteAddBtn) {
+            pasteAddBtn.addEventListener('click', () => {
+                const text = section.querySelector('.checklist-paste-input').value;
+                this.pasteMode = false;
+                this.runAction(gameId, () => manager.addItemsFromText(gameId, text, category()));
+            });
+        }
+
+        const pasteToggle = section.querySelector('.checklist-paste-toggle');
+        if (pasteToggle) {
+            pasteToggle.addEventListener('click', () => {
+                this.pasteMode = !this.pasteMode;
+                this.refreshSection(gameId);
+            });
+        }
+
+        const form = section.querySelector('.checklist-item.editing');
+        if (!form) return;
+
+        form.querySelector('.checklist-edit-cancel').addEventListener('click', () => {
+            this.editingItemId = null;
+            this.refreshSection(gameId);
+        });
+
+        form.querySelector('.checklist-edit-save').addEventListener('click', () => {
+            const completed = form.querySelector('.checklist-edit-completed').value;
+            const itemId = this.editingItemId;
+            this.editingItemId = null;
+
+            // A completion time marks the item done; clearing it reopens the item
+            this.runAction(gameId, () => manager.updateItem(gameId, itemId, {
+                text: form.querySelector('.checklist-edit-text').value,
+                category: form.querySelector('.checklist-edit-category').value,
+                done: Boolean(completed),
+                completedAt: completed ? new Date(completed).getTime() : null
+            }));
+        });
+    }
+
+    /**
+     * Run a checklist change, then re-render and notify
+     */
+    async runAction(gameId, action) {
+        try {
+            await action();
+            this.notifyChange(gameId);
+        } catch (error) {
+            console.error('Checklist action failed:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.refreshSection(gameId);
+    }
+
+    /**
+     * Re-render the section in place (keeps the chosen category)
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`checklist-section-${gameId}`);
+        if (!section) return;
+
+        const categorySelect = section.querySelector('.checklist-category');
+        const selectedCategory = categorySelect ? categorySelect.value : null;
+
+        section.innerHTML = this.renderSectionContent(gameId);
+        if (selectedCategory) section.querySelector('.checklist-category').value = selectedCategory;
+        this.setupChecklistEventListeners(gameId);
+    }
+
+    /**
+     * Notify the main application that the checklist (and progress) changed
+     */
+    notifyChange(gameId) {
+        if (this.onChecklistChange) {
+            this.onChecklistChange(gameId);
+        }
+    }
+
+    /**
+     * Convert a timestamp to a datetime-local input value
+     */
+    toDateTimeLocal(timestamp) {
+        const date = new Date(timestamp);
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(timestamp - offset).toISOString().slice(0, 16);
+    }
+}
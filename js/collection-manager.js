@@ -3,7 +3,14 @@
  * Handles collection CRUD operations, game assignment, and organization
  */
 class CollectionManager {
-    constructor() {
+    constructor(storage = null) {
+        this.storage = storage || new StorageManager();
+        this.history = null;
+        this.customFieldManager = null;
+        this.queryManager = null;
+        this.events = null;
+        this.sync = null;
+        this.syncedCollections = null;
         this.collections = [];
         this.defaultCollections = [
             {
@@ -54,6 +61,22 @@ class CollectionManager {
                     viewMode: 'grid'
                 }
             },
+            {
+                id: 'wishlist',
+                name: 'ほしいもの',
+                emoji: '🛒',
+                description: '購入予定・気になるゲーム',
+                isDefault: true,
+                games: [],
+                gameOrder: [],
+                createdDate: Date.now(),
+                modifiedDate: Date.now(),
+                settings: {
+                    sortBy: 'priority',
+                    sortDirection: 'asc',
+                    viewMode: 'grid'
+                }
+            },
             {
                 id: 'completed',
                 name: 'クリア済み',
@@ -71,6 +94,9 @@ class CollectionManager {
                 }
             }
         ];
+
+        // Collections whose games follow game metadata (see updateSpecialCollections)
+        this.specialCollectionIds = ['favorites', 'playing', 'completed'];
     }
 
     /**
@@ -78,9 +104,9 @@ class CollectionManager {
      */
     async initialize() {
         try {
-            const savedCollections = localStorage.getItem('gameCollections');
+            const savedCollections = await this.storage.loadCollections();
             if (savedCollections) {
-                this.collections = JSON.parse(savedCollections);
+                this.collections = savedCollections;
                 this.validateAndMigrateCollections();
             } else {
                 // Initialize with default collections
@@ -107,6 +133,7 @@ class CollectionManager {
             isDefault: collection.isDefault || false,
             games: Array.isArray(collection.games) ? collection.games : [],
             gameOrder: Array.isArray(collection.gameOrder) ? collection.gameOrder : [],
+            smartRules: collection.smartRules || null,
             createdDate: collection.createdDate || Date.now(),
             modifiedDate: collection.modifiedDate || Date.now(),
             settings: {
@@ -124,10 +151,11 @@ class CollectionManager {
      * Ensure default collections exist
      */
     ensureDefaultCollections() {
-        this.defaultCollections.forEach(defaultCollection => {
+        this.defaultCollections.forEach((defaultCollection, index) => {
             const exists = this.collections.find(c => c.id === defaultCollection.id);
             if (!exists) {
-                this.collections.unshift(defaultCollection);
+                // Keep default collections in their defined order
+                this.collections.splice(index, 0, defaultCollection);
             }
         });
     }
@@ -141,8 +169,9 @@ class CollectionManager {
 
     /**
      * Create a new collection
+     * @param {Object} smartRules - { match: 'all'|'any', conditions } for a smart collection, or null
      */
-    async createCollection(name, emoji = '📁', description = '') {
+    async createCollection(name, emoji = '📁', description = '', smartRules = null) {
         if (!name || name.trim() === '') {
             throw new Error('Collection name is required');
         }
@@ -164,6 +193,7 @@ class CollectionManager {
             isDefault: false,
             games: [],
             gameOrder: [],
+            smartRules: this.normalizeSmartRules(smartRules),
             createdDate: Date.now(),
             modifiedDate: Date.now(),
             settings: {
@@ -173,8 +203,11 @@ class CollectionManager {
             }
         };
 
+        const before = this.captureHistory([newCollection.id]);
         this.collections.push(newCollection);
+        this.recordHistory(`コレクション「${newCollection.name}」を作成`, before);
         await this.saveCollections();
+        this.emitChange(newCollection.id, 'created');
         
         return newCollection;
     }
@@ -190,6 +223,7 @@ class CollectionManager {
         }
 
         const collection = this.collections[collectionIndex];
+        const before = this.captureHistory([collectionId]);
 
         // Prevent updating default collections' core properties
         if (collection.isDefault && (updates.name || updates.emoji)) {
@@ -211,13 +245,17 @@ class CollectionManager {
         Object.keys(updates).forEach(key => {
             if (key === 'settings') {
                 collection.settings = { ...collection.settings, ...updates.settings };
+            } else if (key === 'smartRules') {
+                collection.smartRules = this.normalizeSmartRules(updates.smartRules);
             } else if (key !== 'id' && key !== 'isDefault' && key !== 'createdDate') {
                 collection[key] = updates[key];
             }
         });
 
         collection.modifiedDate = Date.now();
+        this.recordHistory(`コレクション「${collection.name}」を更新`, before);
         await this.saveCollections();
+        this.emitChange(collectionId, 'updated');
         
         return collection;
     }
@@ -239,8 +277,11 @@ class CollectionManager {
             throw new Error('Cannot delete default collections');
         }
 
+        const before = this.captureHistory([collectionId]);
         this.collections.splice(collectionIndex, 1);
+        this.recordHistory(`コレクション「${collection.name}」を削除`, before);
         await this.saveCollections();
+        this.emitChange(collectionId, 'deleted', collection);
         
         return true;
     }
@@ -259,6 +300,35 @@ class CollectionManager {
         return this.collections.find(c => c.id === collectionId);
     }
 
+    /**
+     * Check whether a collection gathers its games by rules instead of by hand
+     */
+    isSmartCollection(collection) {
+        return Boolean(collection && collection.smartRules &&
+            (collection.smartRules.conditions.length > 0 || collection.smartRules.query));
+    }
+
+    /**
+     * Normalize smart rules (null when there are neither conditions nor a query)
+     */
+    normalizeSmartRules(smartRules) {
+        const conditions = (smartRules?.conditions || [])
+            .filter(condition => condition && condition.field && condition.operator)
+            .map(condition => ({
+                field: condition.field,
+                operator: condition.operator,
+                value: condition.value ?? ''
+            }));
+
+        const query = String(smartRules?.query || '').trim();
+
+        return conditions.length > 0 || query ? {
+            match: smartRules.match === 'any' ? 'any' : 'all',
+            conditions: conditions,
+            query: query
+        } : null;
+    }
+
     /**
      * Add a game to a collection
      */
@@ -269,16 +339,23 @@ class CollectionManager {
             throw new Error('Collection not found');
         }
 
+        if (this.isSmartCollection(collection)) {
+            throw new Error('Games cannot be added to a smart collection by hand');
+        }
+
         // Check if game is already in collection
         if (collection.games.includes(gameId)) {
             return collection; // Already exists, no error
         }
 
+        const before = this.captureHistory([collectionId]);
         collection.games.push(gameId);
         collection.gameOrder.push(gameId);
         collection.modifiedDate = Date.now();
+        this.recordHistory(`「${collection.name}」に追加`, before);
         
         await this.saveCollections();
+        this.emitChange(collectionId, 'games');
         return collection;
     }
 
@@ -292,6 +369,8 @@ class CollectionManager {
             throw new Error('Collection not found');
         }
 
+        const before = this.captureHistory([collectionId]);
+
         // Remove from games array
         const gameIndex = collection.games.indexOf(gameId);
         if (gameIndex > -1) {
@@ -305,11 +384,68 @@ class CollectionManager {
         }
 
         collection.modifiedDate = Date.now();
+        this.recordHistory(`「${collection.name}」から削除`, before);
         
         await this.saveCollections();
+        this.emitChange(collectionId, 'games');
         return collection;
     }
 
+    /**
+     * Add several games to a collection and save once
+     */
+    async addGamesToCollection(gameIds, collectionId) {
+        const collection = this.getCollectionById(collectionId);
+        
+        if (!collection) {
+            throw new Error('Collection not found');
+        }
+
+        if (this.isSmartCollection(collection)) {
+            throw new Error('Games cannot be added to a smart collection by hand');
+        }
+
+        const before = this.captureHistory([collectionId]);
+        gameIds.filter(gameId => !collection.games.includes(gameId)).forEach(gameId => {
+            collection.games.push(gameId);
+            collection.gameOrder.push(gameId);
+        });
+        collection.modifiedDate = Date.now();
+        this.recordHistory(`「${collection.name}」に${gameIds.length}件追加`, before);
+        
+        await this.saveCollections();
+        this.emitChange(collectionId, 'games');
+        return collection;
+    }
+
+    /**
+     * Remove several games from one collection, or from every collection when collectionId is null, and save once
+     */
+    async removeGamesFromCollection(gameIds, collectionId = null) {
+        const ids = new Set(gameIds);
+        const targets = collectionId ?
+            [this.getCollectionById(collectionId)] :
+            this.collections.filter(c => c.games.some(gameId => ids.has(gameId)));
+        
+        if (targets.some(collection => !collection)) {
+            throw new Error('Collection not found');
+        }
+
+        const before = this.captureHistory(targets.map(c => c.id));
+        targets.forEach(collection => {
+            collection.games = collection.games.filter(gameId => !ids.has(gameId));
+            collection.gameOrder = collection.gameOrder.filter(gameId => !ids.has(gameId));
+            collection.modifiedDate = Date.now();
+        });
+        this.recordHistory(collectionId ?
+            `「${targets[0].name}」から${gameIds.length}件削除` :
+            `${gameIds.length}件をコレクションから削除`, before);
+        
+        await this.saveCollections();
+        targets.forEach(collection => this.emitChange(collection.id, 'games'));
+        return targets;
+    }
+
     /**
      * Get games in a collection
      */
@@ -320,27 +456,53 @@ class CollectionManager {
             throw new Error('Collection not found');
         }
 
-        // Handle special collections
+        // Handle special collections (wishlisted games only appear in the wishlist)
+        const isWishlisted = game => game.userMetadata.ownershipState === 'wishlist';
+        const libraryGames = () => gameManager.getAllGames().filter(game => !isWishlisted(game));
+
         if (collectionId === 'all') {
-            return gameManager.getAllGames();
+            return libraryGames();
         }
 
         if (collectionId === 'favorites') {
-            return gameManager.getAllGames().filter(game => game.userMetadata.favorite);
+            return libraryGames().filter(game => game.userMetadata.favorite);
         }
 
         if (collectionId === 'playing') {
-            return gameManager.getAllGames().filter(game => 
+            return libraryGames().filter(game => 
                 game.userMetadata.completionStatus === 'in_progress'
             );
         }
 
+        if (collectionId === 'wishlist') {
+            // Highest priority first, then the soonest expected release
+            const priorityOrder = { high: 0, medium: 1, low: 2 };
+            const releaseTime = game => game.userMetadata.wishlist?.expectedReleaseDate ?
+                new Date(game.userMetadata.wishlist.expectedReleaseDate).getTime() : Infinity;
+
+            return gameManager.getAllGames().filter(isWishlisted).sort((a, b) =>
+                (priorityOrder[a.userMetadata.wishlist?.priority] ?? 1) - (priorityOrder[b.userMetadata.wishlist?.priority] ?? 1) ||
+                releaseTime(a) - releaseTime(b)
+            );
+        }
+
         if (collectionId === 'completed') {
-            return gameManager.getAllGames().filter(game => 
+            return libraryGames().filter(game => 
                 game.userMetadata.completionStatus === 'completed'
             );
         }
 
+        // Smart collections gather matching library games
+        if (this.isSmartCollection(collection)) {
+            const { query } = collection.smartRules;
+            if (!this.customFieldManager || (query && !this.queryManager)) return [];
+            // The query narrows whatever the conditions match
+            return libraryGames().filter(game =>
+                this.customFieldManager.matchesRules(game, collection.smartRules) &&
+                (!query || this.queryManager.matches(game, query))
+            );
+        }
+
         // Regular collections
         const allGames = gameManager.getAllGames();
         return collection.games
@@ -361,10 +523,13 @@ class CollectionManager {
         // Validate that all games in order exist in collection
         const validGameOrder = gameOrder.filter(gameId => collection.games.includes(gameId));
         
+        const before = this.captureHistory([collectionId]);
         collection.gameOrder = validGameOrder;
         collection.modifiedDate = Date.now();
+        this.recordHistory(`「${collection.name}」を並べ替え`, before);
         
         await this.saveCollections();
+        this.emitChange(collectionId, 'order');
         return collection;
     }
 
@@ -397,50 +562,35 @@ class CollectionManager {
 
     /**
      * Auto-update special collections based on game metadata
+     * Runs after game events once an event bus is attached; saves only when a list changed
      */
     async updateSpecialCollections(gameManager) {
-        // This method ensures special collections stay in sync with game metadata
-        // It's called whenever games are updated
-        
         const allGames = gameManager.getAllGames();
-        
-        // Update favorites collection
-        const favoritesCollection = this.getCollectionById('favorites');
-        if (favoritesCollection) {
-            const favoriteGameIds = allGames
-                .filter(game => game.userMetadata.favorite)
-                .map(game => game.id);
-            
-            favoritesCollection.games = favoriteGameIds;
-            favoritesCollection.gameOrder = favoriteGameIds;
-            favoritesCollection.modifiedDate = Date.now();
-        }
+        const rules = {
+            favorites: game => game.userMetadata.favorite,
+            playing: game => game.userMetadata.completionStatus === 'in_progress',
+            completed: game => game.userMetadata.completionStatus === 'completed'
+        };
 
-        // Update playing collection
-        const playingCollection = this.getCollectionById('playing');
-        if (playingCollection) {
-            const playingGameIds = allGames
-                .filter(game => game.userMetadata.completionStatus === 'in_progress')
-                .map(game => game.id);
-            
-            playingCollection.games = playingGameIds;
-            playingCollection.gameOrder = playingGameIds;
-            playingCollection.modifiedDate = Date.now();
-        }
+        const changedIds = Object.entries(rules).filter(([collectionId, matches]) => {
+            const collection = this.getCollectionById(collectionId);
+            if (!collection) return false;
 
-        // Update completed collection
-        const completedCollection = this.getCollectionById('completed');
-        if (completedCollection) {
-            const completedGameIds = allGames
-                .filter(game => game.userMetadata.completionStatus === 'completed')
-                .map(game => game.id);
-            
-            completedCollection.games = completedGameIds;
-            completedCollection.gameOrder = completedGameIds;
-            completedCollection.modifiedDate = Date.now();
-        }
+            const gameIds = allGames.filter(matches).map(game => game.id);
+            if (gameIds.length === collection.games.length && gameIds.every((id, i) => id === collection.games[i])) {
+                return false;
+            }
 
-        await this.saveCollections();
+            collection.games = gameIds;
+            collection.gameOrder = [...gameIds];
+            collection.modifiedDate = Date.now();
+            return true;
+        }).map(([collectionId]) => collectionId);
+
+        if (changedIds.length > 0) {
+            await this.saveCollections();
+            changedIds.forEach(collectionId => this.emitChange(collectionId, 'games'));
+        }
     }
 
     /**
@@ -475,6 +625,11 @@ class CollectionManager {
             throw new Error('Invalid collections data format');
         }
 
+        const before = this.captureHistory([
+            ...this.collections.map(c => c.id),
+            ...collectionsData.collections.map(c => c.id)
+        ]);
+
         if (mergeMode === 'replace') {
             // Keep default collections, replace others
             const defaultCollections = this.collections.filter(c => c.isDefault);
@@ -496,7 +651,9 @@ class CollectionManager {
         }
 
         this.validateAndMigrateCollections();
+        this.recordHistory('コレクションをインポート', before);
         await this.saveCollections();
+        this.emitChange(null, 'imported');
         
         return {
             imported: collectionsData.collections.length,
@@ -508,20 +665,173 @@ class CollectionManager {
      * Clear all non-default collections
      */
     async clearAllCollections() {
+        const before = this.captureHistory(this.collections.map(c => c.id));
+        const removed = this.collections.filter(c => !c.isDefault);
         this.collections = this.collections.filter(c => c.isDefault);
+        this.recordHistory('すべてのコレクションを削除', before);
+        await this.saveCollections();
+        removed.forEach(collection => this.emitChange(collection.id, 'deleted', collection));
+        return true;
+    }
+
+    /**
+     * Attach a HistoryManager so mutations can be undone
+     */
+    setHistoryManager(historyManager) {
+        this.history = historyManager;
+    }
+
+    /**
+     * Attach a CustomFieldManager, which evaluates smart collection rules
+     */
+    setCustomFieldManager(customFieldManager) {
+        this.customFieldManager = customFieldManager;
+    }
+
+    /**
+     * Attach a QueryManager, which evaluates the query part of smart rules
+     */
+    setQueryManager(queryManager) {
+        this.queryManager = queryManager;
+    }
+
+    /**
+     * Attach an EventBus: collection changes are emitted on it, and game changes keep the
+     * special collections (favorites, playing, completed) in sync
+     */
+    setEventBus(eventBus, gameManager) {
+        this.events = eventBus;
+        eventBus.onBatch(['game:added', 'game:updated', 'game:removed'], () => {
+            this.updateSpecialCollections(gameManager).catch(error => {
+                console.error('Failed to update special collections:', error);
+            });
+        });
+    }
+
+    /**
+     * Emit collection:changed (no-op when no event bus is attached)
+     * @param {string|null} collectionId - null when many collections changed at once
+     * @param {string} action - created, updated, deleted, games, order, imported, restored or synced (reordered in another tab)
+     */
+    emitChange(collectionId, action, collection = null) {
+        if (this.events) {
+            this.events.emit('collection:changed', {
+                collectionId,
+                action,
+                collection: collection || (collectionId ? this.getCollectionById(collectionId) : null)
+            });
+        }
+    }
+
+    /**
+     * Attach a SyncManager: saves merge with what other tabs saved in the meantime,
+     * and their saves are pulled in live
+     */
+    async setSyncManager(syncManager) {
+        this.sync = syncManager;
+        this.syncedCollections = syncManager.snapshot(await this.storage.loadCollections() || []);
+        syncManager.onRemoteChange('collections', () => this.pullRemoteChanges());
+    }
+
+    /**
+     * Reload collections another tab saved and announce them like local changes
+     */
+    async pullRemoteChanges() {
+        const merged = await this.sync.withLock('collections', () => this.mergeStored());
+        this.emitMerged(merged);
+    }
+
+    /**
+     * Merge the stored collections into this tab's
+     */
+    async mergeStored() {
+        const stored = await this.storage.loadCollections() || [];
+        const merged = this.sync.mergeRecords(this.collections, stored, this.syncedCollections);
+        this.collections = merged.records;
+        this.syncedCollections = merged.synced;
+        return merged;
+    }
+
+    /**
+     * Emit the changes taken over from storage, then any conflicts (as sync:conflict)
+     * Special collections are re-derived from games in every tab, so they never count as conflicts
+     */
+    emitMerged({ changes, conflicts, reordered }) {
+        changes.forEach(change => {
+            const action = { added: 'created', updated: 'updated', removed: 'deleted' }[change.type];
+            this.emitChange(change.id, action, change.record);
+        });
+        if (reordered && changes.length === 0) {
+            this.emitChange(null, 'synced');
+        }
+
+        const reported = conflicts.filter(conflict => !this.specialCollectionIds.includes(conflict.id));
+        if (reported.length > 0 && this.events) {
+            this.events.emit('sync:conflict', { store: 'collections', conflicts: reported });
+        }
+    }
+
+    /**
+     * Re-apply this tab's version of a collection that lost a conflict with another tab
+     * @param {Object} conflict - { id, local, remote } from a sync:conflict event
+     */
+    async restoreConflictVersion(conflict) {
+        const index = this.collections.findIndex(collection => collection.id === conflict.id);
+        const name = (conflict.local || conflict.remote).name;
+        const before = this.captureHistory([conflict.id]);
+
+        if (conflict.local && index > -1) {
+            this.collections[index] = conflict.local;
+        } else if (conflict.local) {
+            this.collections.push(conflict.local);
+        } else if (index > -1) {
+            this.collections.splice(index, 1);
+        }
+
+        this.recordHistory(`コレクション「${name}」をこのタブの内容に戻す`, before);
         await this.saveCollections();
+        this.emitChange(conflict.id, conflict.local ? (index > -1 ? 'updated' : 'created') : 'deleted', conflict.local || conflict.remote);
         return true;
     }
 
     /**
-     * Save collections to localStorage
+     * Snapshot collections before a mutation (null when no history is attached)
+     */
+    captureHistory(collectionIds) {
+        return this.history ? { collections: this.history.snapshotCollections(collectionIds) } : null;
+    }
+
+    /**
+     * Record a mutation with the snapshot taken by captureHistory
+     */
+    recordHistory(label, before) {
+        if (this.history && before) {
+            this.history.record(label, before);
+        }
+    }
+
+    /**
+     * Save collections through the storage backend
      */
     async saveCollections() {
         try {
-            localStorage.setItem('gameCollections', JSON.stringify(this.collections));
+            if (!this.sync) {
+                await this.storage.saveCollections(this.collections);
+                return true;
+            }
+
+            // Merge what other tabs saved since this tab last synced, then write and announce
+            const merged = await this.sync.withLock('collections', async () => {
+                const result = await this.mergeStored();
+                await this.storage.saveCollections(this.collections);
+                this.syncedCollections = this.sync.snapshot(this.collections);
+                return result;
+            });
+            this.sync.announce('collections');
+            this.emitMerged(merged);
             return true;
         } catch (error) {
-            console.error('Failed to save collections to localStorage:', error);
+            console.error('Failed to save collections to storage:', error);
             throw new Error('Failed to save collections data');
         }
     }
@@ -585,12 +895,8 @@ class CollectionAutoSaveManager {
             this.collectionManager.saveCollections();
         }, 5 * 60 * 1000);
 
-        // Save on page unload
-        window.addEventListener('beforeunload', () => {
-            this.collectionManager.saveCollections();
-        });
-
-        // Save on visibility change (when tab becomes hidden)
+        // Save on visibility change (when tab becomes hidden); an unload handler is no use here,
+        // since the browser does not wait for the asynchronous IndexedDB write to finish
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
                 this.collectionManager.saveCollections();
@@ -6,6 +6,8 @@ class CollectionUI {
     constructor(collectionManager, gameManager) {
         this.collectionManager = collectionManager;
         this.gameManager = gameManager;
+        this.customFieldUI = null;
+        this.queryUI = null;
         this.currentEditingCollection = null;
         
         this.init();
@@ -124,6 +126,23 @@ class CollectionUI {
             });
         }
 
+        // Smart collection rules
+        const smartCheckbox = document.getElementById('collection-smart');
+        if (smartCheckbox) {
+            smartCheckbox.addEventListener('change', () => {
+                document.getElementById('collection-smart-rules').style.display = smartCheckbox.checked ? 'block' : 'none';
+                const conditions = document.getElementById('collection-smart-conditions');
+                if (smartCheckbox.checked && conditions && conditions.children.length === 0) {
+                    this.addSmartConditionRow(null);
+                }
+            });
+        }
+
+        const addConditionBtn = document.getElementById('add-smart-condition');
+        if (addConditionBtn) {
+            addConditionBtn.addEventListener('click', () => this.addSmartConditionRow(null));
+        }
+
         // Enter key support for collection name
         const collectionNameInput = document.getElementById('collection-name');
         if (collectionNameInput) {
@@ -199,6 +218,7 @@ class CollectionUI {
                         <div class="collection-stats">
                             <span class="stat-badge">${stats ? stats.totalGames : 0} ゲーム</span>
                             ${collection.isDefault ? '<span class="default-badge">デフォルト</span>' : ''}
+                            ${this.collectionManager.isSmartCollection(collection) ? '<span class="smart-badge">🪄 スマート</span>' : ''}
                         </div>
                     </div>
                     <div class="collection-actions">
@@ -272,12 +292,14 @@ class CollectionUI {
             nameInput.value = collection.name;
             emojiInput.value = collection.emoji;
             descriptionInput.value = collection.description;
+            this.renderSmartRulesForm(collection.smartRules);
         } else {
             // Create mode
             title.textContent = '📚 新しいコレクション';
             nameInput.value = '';
             emojiInput.value = '📁';
             descriptionInput.value = '';
+            this.renderSmartRulesForm(null);
         }
 
         modal.style.display = 'block';
@@ -309,6 +331,7 @@ class CollectionUI {
         const name = nameInput.value.trim();
         const emoji = emojiInput.value.trim() || '📁';
         const description = descriptionInput.value.trim();
+        const smartRules = this.readSmartRulesForm();
 
         if (!name) {
             alert('コレクション名を入力してください');
@@ -316,6 +339,13 @@ class CollectionUI {
             return;
         }
 
+        const queryErrors = smartRules?.query ? this.queryUI.queryManager.parse(smartRules.query).errors : [];
+        if (queryErrors.length > 0) {
+            alert(`クエリに誤りがあります:\n${queryErrors.map(error => error.message).join('\n')}`);
+            document.getElementById('collection-smart-query').focus();
+            return;
+        }
+
         saveBtn.disabled = true;
         saveBtn.textContent = '保存中...';
 
@@ -325,23 +355,18 @@ class CollectionUI {
                 await this.collectionManager.updateCollection(this.currentEditingCollection.id, {
                     name,
                     emoji,
-                    description
+                    description,
+                    smartRules
                 });
                 this.showSaveIndicator('コレクションを更新しました');
             } else {
                 // Create new collection
-                await this.collectionManager.createCollection(name, emoji, description);
+                await this.collectionManager.createCollection(name, emoji, description, smartRules);
                 this.showSaveIndicator('コレクションを作成しました');
             }
 
+            // The selector and the open modals follow the collection:changed event
             this.closeCollectionForm();
-            this.updateCollectionSelector();
-            
-            // Refresh collections list if management modal is open
-            const collectionsList = document.getElementById('collections-list');
-            if (collectionsList && document.getElementById('collection-modal').style.display === 'block') {
-                this.renderCollectionsList(collectionsList);
-            }
 
         } catch (error) {
             alert(`エラー: ${error.message}`);
@@ -352,6 +377,101 @@ class CollectionUI {
         }
     }
 
+    /**
+     * Attach the CustomFieldUI that renders smart rule condition rows
+     */
+    setCustomFieldUI(customFieldUI) {
+        this.customFieldUI = customFieldUI;
+        const smartGroup = document.getElementById('collection-smart-group');
+        if (smartGroup) smartGroup.style.display = customFieldUI ? '' : 'none';
+    }
+
+    /**
+     * Attach the QueryUI used by the smart rules query input
+     */
+    setQueryUI(queryUI) {
+        this.queryUI = queryUI;
+        const queryInput = document.getElementById('collection-smart-query');
+        if (queryInput) queryUI.attach(queryInput);
+    }
+
+    /**
+     * Fill the smart rules part of the collection form
+     */
+    renderSmartRulesForm(smartRules) {
+        const checkbox = document.getElementById('collection-smart');
+        const rules = document.getElementById('collection-smart-rules');
+        const conditions = document.getElementById('collection-smart-conditions');
+        if (!checkbox || !rules || !conditions || !this.customFieldUI) return;
+
+        checkbox.checked = Boolean(smartRules);
+        rules.style.display = smartRules ? 'block' : 'none';
+        document.getElementById('collection-smart-match').value = smartRules?.match || 'all';
+        conditions.innerHTML = '';
+        (smartRules?.conditions || []).forEach(condition => this.addSmartConditionRow(condition));
+
+        const queryInput = document.getElementById('collection-smart-query');
+        if (queryInput && this.queryUI) this.queryUI.setValue(queryInput, smartRules?.query || '');
+    }
+
+    /**
+     * Append a condition row (with a remove button) to the smart rules form
+     */
+    addSmartConditionRow(condition) {
+        const conditions = document.getElementById('collection-smart-conditions');
+        if (!conditions || !this.customFieldUI) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'smart-condition';
+        wrapper.innerHTML = `
+            ${this.customFieldUI.renderConditionRow(condition)}
+            <button class="btn btn-small btn-danger remove-smart-condition" title="条件を削除">×</button>
+        `;
+        conditions.appendChild(wrapper);
+
+        this.customFieldUI.bindConditionRow(wrapper.querySelector('.condition-row'), () => {});
+        wrapper.querySelector('.remove-smart-condition').addEventListener('click', () => wrapper.remove());
+    }
+
+    /**
+     * Read the smart rules form (null for a regular collection)
+     */
+    readSmartRulesForm() {
+        const checkbox = document.getElementById('collection-smart');
+        if (!checkbox || !checkbox.checked || !this.customFieldUI) return null;
+
+        const conditions = [...document.querySelectorAll('#collection-smart-conditions .condition-row')]
+            .map(row => this.customFieldUI.readConditionRow(row))
+            .filter(Boolean);
+
+        const queryInput = document.getElementById('collection-smart-query');
+        const query = queryInput && this.queryUI ? queryInput.value.trim() : '';
+
+        return conditions.length > 0 || query ? {
+            match: document.getElementById('collection-smart-match').value,
+            conditions: conditions,
+            query: query
+        } : null;
+    }
+
+    /**
+     * Describe smart rules in words for the collection overview
+     */
+    describeSmartRules(smartRules) {
+        const manager = this.customFieldUI.customFieldManager;
+        const fields = manager.getRuleFields();
+
+        const description = smartRules.conditions.map(condition => {
+            const field = fields.find(f => f.key === condition.field);
+            const value = manager.valuelessOperators.includes(condition.operator) ? '' :
+                ` ${field?.optionLabels ? field.optionLabels[condition.value] || condition.value : condition.value}`;
+            return `${field ? field.label : '（削除された項目）'}${value} ${manager.operators[condition.operator]?.label || condition.operator}`;
+        }).join(smartRules.match === 'any' ? ' または ' : ' かつ ');
+
+        if (!smartRules.query) return description;
+        return description ? `(${description}) かつ クエリ「${smartRules.query}」` : `クエリ「${smartRules.query}」`;
+    }
+
     /**
      * Delete collection
      */
@@ -368,7 +488,7 @@ class CollectionUI {
             return;
         }
 
-        const confirmMessage = `コレクション「${collection.name}」を削除しますか？\n\nこの操作は取り消せません。`;
+        const confirmMessage = `コレクション「${collection.name}」を削除しますか？\n\nゲーム自体は削除されません。`;
         
         if (!confirm(confirmMessage)) {
             return;
@@ -377,18 +497,8 @@ class CollectionUI {
         try {
             await this.collectionManager.deleteCollection(collectionId);
             this.showSaveIndicator('コレクションを削除しました');
-            this.updateCollectionSelector();
-            
-            // Refresh collections list
-            const collectionsList = document.getElementById('collections-list');
-            if (collectionsList) {
-                this.renderCollectionsList(collectionsList);
-            }
-
-            // Close overview modal if it was showing the deleted collection
-            if (this.currentEditingCollection && this.currentEditingCollection.id === collectionId) {
-                document.getElementById('collection-overview-modal').style.display = 'none';
-                this.currentEditingCollection = null;
+            if (window.gameShelf && window.gameShelf.showUndoToast) {
+                window.gameShelf.showUndoToast(`コレクション「${collection.name}」を削除しました`);
             }
 
         } catch (error) {
@@ -455,6 +565,12 @@ class CollectionUI {
                             <span class="metadata-value">${new Date(collection.modifiedDate).toLocaleDateString('ja-JP')}</span>
                         </div>
                         ${collection.isDefault ? '<div class="metadata-item"><span class="default-badge">デフォルトコレクション</span></div>' : ''}
+                        ${this.collectionManager.isSmartCollection(collection) && this.customFieldUI ? `
+                            <div class="metadata-item">
+                                <span class="metadata-label">🪄 条件</span>
+                                <span class="metadata-value">${HtmlUtils.escape(this.describeSmartRules(collection.smartRules))}</span>
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
 
@@ -493,10 +609,10 @@ class CollectionUI {
                     <div class="collection-games-grid">
                         ${games.length > 0 ? games.slice(0, 12).map(game => `
                             <div class="collection-game-item" data-game-id="${game.id}">
-                                <img src="${game.coverImage || 'https://via.placeholder.com/80x120?text=No+Cover'}" 
+                                <img src="${window.gameShelf ? window.gameShelf.getCoverSrc(game) : game.coverImage || ''}" 
                                      alt="${game.title}" 
                                      class="collection-game-cover"
-                                     onerror="this.src='https://via.placeholder.com/80x120?text=No+Cover'">
+                                     onerror="window.gameShelf.handleCoverError(this)">
                                 <div class="collection-game-info">
                                     <h4 class="collection-game-title">${game.title}</h4>
                                     <p class="collection-game-platform">${Array.isArray(game.platforms) ? game.platforms.slice(0, 2).join(', ') : ''}</p>
@@ -522,6 +638,66 @@ class CollectionUI {
         });
     }
 
+    /**
+     * Subscribe to change events so the selector, the management list and the overview stay current
+     */
+    setEventBus(eventBus) {
+        eventBus.onBatch(['collection:changed'], events => {
+            const structural = events.some(event => event.action !== 'games' && event.action !== 'order');
+            if (structural) {
+                this.updateCollectionSelector();
+            }
+            this.refreshOpenViews(structural);
+        });
+
+        // Game changes alter counts and smart collection contents
+        eventBus.onBatch(['game:added', 'game:updated', 'game:removed'], () => this.refreshOpenViews(false));
+    }
+
+    /**
+     * Re-render the management list (or just its game counts) and the overview when they are open
+     * @param {boolean} structural - Collections were created, renamed, deleted or restored
+     */
+    refreshOpenViews(structural) {
+        const isOpen = id => {
+            const modal = document.getElementById(id);
+            return modal && modal.style.display === 'block';
+        };
+
+        const collectionsList = document.getElementById('collections-list');
+        if (collectionsList && isOpen('collection-modal')) {
+            if (structural) {
+                this.renderCollectionsList(collectionsList);
+            } else {
+                this.updateCollectionCounts(collectionsList);
+            }
+        }
+
+        if (this.currentEditingCollection && isOpen('collection-overview-modal')) {
+            const collection = this.collectionManager.getCollectionById(this.currentEditingCollection.id);
+            if (collection) {
+                this.showCollectionOverview(collection.id);
+            } else {
+                // The collection shown was deleted
+                document.getElementById('collection-overview-modal').style.display = 'none';
+                this.currentEditingCollection = null;
+            }
+        }
+    }
+
+    /**
+     * Update the game count badges of the management list in place
+     */
+    updateCollectionCounts(container) {
+        container.querySelectorAll('.collection-item').forEach(item => {
+            const badge = item.querySelector('.stat-badge');
+            if (!badge || !this.collectionManager.getCollectionById(item.dataset.collectionId)) return;
+
+            const stats = this.collectionManager.getCollectionStatistics(item.dataset.collectionId, this.gameManager);
+            badge.textContent = `${stats ? stats.totalGames : 0} ゲーム`;
+        });
+    }
+
     /**
      * Update collection selector dropdown
      */
@@ -606,6 +782,7 @@ class CollectionUI {
      */
     getCollectionsForGameAssignment() {
         return this.collectionManager.getAllCollections()
-            .filter(collection => !collection.isDefault || collection.id === 'favorites');
+            .filter(collection => (!collection.isDefault || collection.id === 'favorites') &&
+                !this.collectionManager.isSmartCollection(collection));
     }
 }
\ No newline at end of file
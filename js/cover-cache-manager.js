@@ -0,0 +1,406 @@
+/**
+ * CoverCacheManager - Offline cache of cover images
+ * Covers are downloaded as blobs into IndexedDB and served through object URLs while rendering;
+ * the least recently shown covers are evicted once the cache grows past its size budget
+ */
+class CoverCacheManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.entries = new Map(); // source URL -> { size, type, fetchedAt, lastUsed }
+        this.objectUrls = new Map(); // source URL -> object URL
+        this.failedUrls = new Set(); // downloads that failed this session
+        this.evictedUrls = new Set(); // covers evicted this session (not downloaded again in the background)
+        this.queue = [];
+        this.processing = false;
+        this.placeholders = new Map();
+        this.maxPlaceholders = 500;
+        this.usageTimer = null;
+        this.usageFlushDelay = 5000; // ms
+        this.onCoverCached = null;
+
+        this.megabyte = 1024 * 1024;
+        this.budget = 200 * this.megabyte;
+        this.budgetOptions = [50, 100, 200, 500, 1000].map(mb => mb * this.megabyte);
+    }
+
+    /**
+     * Load the budget and create object URLs for every cached cover
+     */
+    async initialize() {
+        if (!this.isAvailable()) {
+            console.warn('Cover cache is not available without IndexedDB');
+            return;
+        }
+
+        try {
+            const [budget, usage, records] = await Promise.all([
+                this.storage.getMeta('coverCacheBudget'),
+                this.storage.getMeta('coverCacheUsage'),
+                this.storage.getAllCovers()
+            ]);
+
+            if (Number.isFinite(budget) && budget > 0) this.budget = budget;
+            records.forEach(record => this.register(record, (usage || {})[record.url]));
+        } catch (error) {
+            console.error('Failed to load cover cache:', error);
+        }
+    }
+
+    /**
+     * Check whether covers can be cached (IndexedDB backend and object URLs)
+     */
+    isAvailable() {
+        return this.storage.isIndexedDB() && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+    }
+
+    /**
+     * Only remote covers are cached (data: URLs are already local)
+     */
+    isCacheable(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+
+    register(record, lastUsed = null) {
+        if (this.objectUrls.has(record.url)) {
+            URL.revokeObjectURL(this.objectUrls.get(record.url));
+        }
+
+        this.entries.set(record.url, {
+            size: record.size || 0,
+            type: record.type || '',
+            fetchedAt: record.fetchedAt || Date.now(),
+            lastUsed: lastUsed || record.fetchedAt || Date.now()
+        });
+        this.objectUrls.set(record.url, URL.createObjectURL(record.blob));
+    }
+
+    unregister(url) {
+        if (this.objectUrls.has(url)) {
+            URL.revokeObjectURL(this.objectUrls.get(url));
+        }
+        this.objectUrls.delete(url);
+        this.entries.delete(url);
+    }
+
+    /**
+     * Image source for a game: the cached copy, else the original URL, else a generated placeholder
+     */
+    getCoverSrc(game) {
+        const url = game.coverImage;
+        if (!url) return this.getPlaceholder(game.title);
+
+        if (this.objectUrls.has(url)) {
+            this.markUsed(url);
+            return this.objectUrls.get(url);
+        }
+        return url;
+    }
+
+    hasCover(url) {
+        return this.entries.has(url);
+    }
+
+    /**
+     * Queue background downloads for covers that are not cached yet
+     */
+    queueMissing(games) {
+        if (!this.isAvailable()) return;
+
+        games.map(game => game.coverImage)
+            .filter(url => this.isCacheable(url) && !this.entries.has(url) && !this.failedUrls.has(url) &&
+                !this.evictedUrls.has(url) && !this.queue.includes(url))
+            .forEach(url => this.queue.push(url));
+
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.processing) return;
+
+        this.processing = true;
+        try {
+            while (this.queue.length > 0) {
+                // Background downloads never evict; a full cache waits for the maintenance action
+                if (this.getCacheSize() >= this.budget) {
+                    this.queue = [];
+                    break;
+                }
+
+                const url = this.queue.shift();
+                if (this.entries.has(url)) continue;
+                try {
+                    await this.cacheCover(url);
+                } catch (error) {
+                    console.warn(`Could not cache cover ${url}:`, error.message);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Download one cover into the cache
+     * @returns {Promise<string>} Object URL of the cached cover
+     */
+    async cacheCover(url) {
+        if (!this.isAvailable()) {
+            throw new Error('Cover cache requires IndexedDB');
+        }
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            if (blob.type && !blob.type.startsWith('image/')) {
+                throw new Error(`Not an image: ${blob.type}`);
+            }
+            if (blob.size > this.budget) {
+                throw new Error('Cover is larger than the cache budget');
+            }
+
+            const record = { url, blob, size: blob.size, type: blob.type, fetchedAt: Date.now() };
+            await this.storage.putCover(record);
+            this.register(record);
+            this.failedUrls.delete(url);
+            this.evictedUrls.delete(url);
+        } catch (error) {
+            // Cross-origin covers without CORS headers end up here too
+            this.failedUrls.add(url);
+            throw error;
+        }
+
+        await this.enforceBudget(url);
+
+        const objectUrl = this.objectUrls.get(url);
+        if (objectUrl && this.onCoverCached) {
+            this.onCoverCached(url, objectUrl);
+        }
+        return objectUrl;
+    }
+
+    /**
+     * Cached blob of a cover (null when it is not cached)
+     */
+    async getCachedBlob(url) {
+        if (!this.entries.has(url)) return null;
+
+        const record = await this.storage.getCover(url);
+        return record ? record.blob : null;
+    }
+
+    /**
+     * Total size of the cached covers in bytes
+     */
+    getCacheSize() {
+        return [...this.entries.values()].reduce((sum, entry) => sum + entry.size, 0);
+    }
+
+    /**
+     * Cache statistics for a list of games
+     */
+    getStats(games) {
+        const urls = new Set(games.map(game => game.coverImage).filter(url => this.isCacheable(url)));
+        const missing = [...urls].filter(url => !this.entries.has(url));
+
+        return {
+            cached: this.entries.size,
+            size: this.getCacheSize(),
+            budget: this.budget,
+            missing: missing.length,
+            failed: missing.filter(url => this.failedUrls.has(url)).length,
+            unused: [...this.entries.keys()].filter(url => !urls.has(url)).length
+        };
+    }
+
+    /**
+     * Evict the least recently shown covers until the cache fits its budget
+     * @param {string} keepUrl - Cover that must stay (the one just downloaded)
+     * @returns {Promise<number>} Number of evicted covers
+     */
+    async enforceBudget(keepUrl = null) {
+        let size = this.getCacheSize();
+        if (size <= this.budget) return 0;
+
+        const evicted = [];
+        const candidates = [...this.entries.entries()]
+            .filter(([url]) => url !== keepUrl)
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+        for (const [url, entry] of candidates) {
+            if (size <= this.budget) break;
+            evicted.push(url);
+            size -= entry.size;
+        }
+
+        await this.removeCovers(evicted);
+        evicted.forEach(url => this.evictedUrls.add(url));
+        return evicted.length;
+    }
+
+    /**
+     * Change the cache size budget (evicts right away when the cache is larger)
+     */
+    async setBudget(bytes) {
+        const budget = Number(bytes);
+        if (!Number.isFinite(budget) || budget <= 0) {
+            throw new Error('Cache budget must be a positive number');
+        }
+
+        this.budget = budget;
+        await this.storage.setMeta('coverCacheBudget', budget);
+        return await this.enforceBudget();
+    }
+
+    /**
+     * Download every missing cover again, including ones that failed before
+     * @param {Array} games - Games whose covers should be cached
+     * @param {Function} onProgress - Called with (done, total)
+     * @returns {Promise<Object>} { downloaded, failed }
+     */
+    async redownloadMissing(games, onProgress = null) {
+        const urls = [...new Set(games.map(game => game.coverImage)
+            .filter(url => this.isCacheable(url) && !this.entries.has(url)))];
+        const result = { downloaded: 0, failed: 0 };
+
+        for (let i = 0; i < urls.length; i++) {
+            try {
+                await this.cacheCover(urls[i]);
+                result.downloaded++;
+            } catch (error) {
+                console.warn(`Could not cache cover ${urls[i]}:`, error.message);
+                result.failed++;
+            }
+
+            if (onProgress) onProgress(i + 1, urls.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete cached covers no game refers to any more (e.g. after a cover was replaced)
+     * @returns {Promise<number>} Number of deleted covers
+     */
+    async pruneUnused(games) {
+        const urls = new Set(games.map(game => game.coverImage));
+        const unused = [...this.entries.keys()].filter(url => !urls.has(url));
+
+        await this.removeCovers(unused);
+        return unused.length;
+    }
+
+    /**
+     * Delete every cached cover
+     */
+    async clearCache() {
+        await this.storage.deleteCovers(null);
+        [...this.entries.keys()].forEach(url => this.unregister(url));
+        this.failedUrls.clear();
+        this.evictedUrls.clear();
+        await this.saveUsage();
+    }
+
+    async removeCovers(urls) {
+        if (urls.length === 0) return;
+
+        await this.storage.deleteCovers(urls);
+        urls.forEach(url => this.unregister(url));
+        await this.saveUsage();
+    }
+
+    /**
+     * Remember when a cover was last shown (saved in the background)
+     */
+    markUsed(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return;
+
+        entry.lastUsed = Date.now();
+        if (!this.usageTimer) {
+            this.usageTimer = setTimeout(() => this.saveUsage(), this.usageFlushDelay);
+        }
+    }
+
+    async saveUsage() {
+        clearTimeout(this.usageTimer);
+        this.usageTimer = null;
+
+        try {
+            const usage = Object.fromEntries([...this.entries.entries()].map(([url, entry]) => [url, entry.lastUsed]));
+            await this.storage.setMeta('coverCacheUsage', usage);
+        } catch (error) {
+            console.error('Failed to save cover cache usage:', error);
+        }
+    }
+
+    /**
+     * Locally generated cover with the title (used when a game has no cover or it fails to load)
+     * @returns {string} PNG data URL ('' when canvas is unavailable)
+     */
+    getPlaceholder(title = '') {
+        if (this.placeholders.has(title)) return this.placeholders.get(title);
+
+        const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+        const context = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) return '';
+
+        canvas.width = 160;
+        canvas.height = 240;
+
+        // Stable colour per title
+        const hue = [...title].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 360, 0);
+        const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+        gradient.addColorStop(0, `hsl(${hue}, 45%, 45%)`);
+        gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, 45%, 25%)`);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        context.font = '48px sans-serif';
+        context.textAlign = 'center';
+        context.fillText('🎮', canvas.width / 2, 70);
+
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 16px sans-serif';
+        this.wrapText(context, title || 'No Cover', canvas.width - 24).slice(0, 5).forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, 120 + index * 22);
+        });
+
+        const dataUrl = canvas.toDataURL('image/png');
+        if (this.placeholders.size >= this.maxPlaceholders) {
+            this.placeholders.delete(this.placeholders.keys().next().value);
+        }
+        this.placeholders.set(title, dataUrl);
+        return dataUrl;
+    }
+
+    /**
+     * Split text into lines that fit a width (character based, so Japanese titles wrap too)
+     */
+    wrapText(context, text, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        [...text].forEach(char => {
+            if (line && context.measureText(line + char).width > maxWidth) {
+                lines.push(line.trim());
+                line = char.trim() ? char : '';
+            } else {
+                line += char;
+            }
+        });
+        if (line.trim()) lines.push(line.trim());
+
+        return lines;
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= this.megabyte * 1024) return `${(bytes / this.megabyte / 1024).toFixed(1)} GB`;
+        if (bytes >= this.megabyte) return `${(bytes / this.megabyte).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+}
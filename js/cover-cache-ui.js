@@ -0,0 +1,133 @@
+/**
+ * CoverCacheUI - Cover cache maintenance modal (size budget, re-download missing covers, cleanup)
+ */
+class CoverCacheUI {
+    constructor(coverCacheManager, callbacks = {}) {
+        this.coverCacheManager = coverCacheManager;
+        this.callbacks = callbacks;
+        this.busy = false;
+        this.progressText = '';
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('manage-cover-cache');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showCoverCacheModal());
+        }
+    }
+
+    showCoverCacheModal() {
+        const modal = document.getElementById('cover-cache-modal');
+        if (!modal) return;
+
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    getGames() {
+        return this.callbacks.getGames ? this.callbacks.getGames() : [];
+    }
+
+    render() {
+        const container = document.getElementById('cover-cache-content');
+        if (!container) return;
+
+        const manager = this.coverCacheManager;
+        if (!manager.isAvailable()) {
+            container.innerHTML = '<p class="cover-cache-unavailable">このブラウザではIndexedDBが使えないため、カバー画像をオフライン保存できません</p>';
+            return;
+        }
+
+        const stats = manager.getStats(this.getGames());
+        const percent = Math.min(100, Math.round(stats.size / stats.budget * 100));
+
+        container.innerHTML = `
+            <div class="cover-cache-stats">
+                <div class="cover-cache-usage">
+                    <div class="cover-cache-bar"><div class="cover-cache-fill" style="width: ${percent}%"></div></div>
+                    <span>${manager.formatBytes(stats.size)} / ${manager.formatBytes(stats.budget)}</span>
+                </div>
+                <ul>
+                    <li>保存済みのカバー: <strong>${stats.cached}</strong>件</li>
+                    <li>未保存のカバー: <strong>${stats.missing}</strong>件${stats.failed > 0 ? `（うち${stats.failed}件はダウンロードに失敗）` : ''}</li>
+                    <li>どのゲームにも使われていないカバー: <strong>${stats.unused}</strong>件</li>
+                </ul>
+            </div>
+            <div class="cover-cache-budget">
+                <label>キャッシュ容量の上限
+                    <select id="cover-cache-budget">
+                        ${manager.budgetOptions.map(bytes => `
+                            <option value="${bytes}" ${bytes === stats.budget ? 'selected' : ''}>${manager.formatBytes(bytes)}</option>
+                        `).join('')}
+                        ${!manager.budgetOptions.includes(stats.budget) ? `<option value="${stats.budget}" selected>${manager.formatBytes(stats.budget)}</option>` : ''}
+                    </select>
+                </label>
+                <small>上限を超えると、しばらく表示していないカバーから削除されます</small>
+            </div>
+            <div class="cover-cache-actions">
+                <button class="btn btn-primary" id="cover-cache-redownload" ${this.busy || stats.missing === 0 ? 'disabled' : ''}>⬇️ 未保存のカバーを再ダウンロード</button>
+                <button class="btn btn-secondary" id="cover-cache-prune" ${this.busy || stats.unused === 0 ? 'disabled' : ''}>🧹 使われていないカバーを削除</button>
+                <button class="btn btn-danger" id="cover-cache-clear" ${this.busy || stats.cached === 0 ? 'disabled' : ''}>🗑️ キャッシュをすべて削除</button>
+            </div>
+            <p class="cover-cache-progress">${this.progressText}</p>
+        `;
+
+        container.querySelector('#cover-cache-budget').addEventListener('change', (e) => {
+            this.runAction(async () => {
+                const evicted = await manager.setBudget(e.target.value);
+                this.progressText = evicted > 0 ? `${evicted}件のカバーを削除して上限内に収めました` : '';
+            });
+        });
+
+        container.querySelector('#cover-cache-redownload').addEventListener('click', () => {
+            this.runAction(async () => {
+                const result = await manager.redownloadMissing(this.getGames(), (done, total) => {
+                    this.updateProgress(`ダウンロード中... ${done} / ${total}`);
+                });
+                this.progressText = `${result.downloaded}件をダウンロードしました${result.failed > 0 ? `（${result.failed}件は取得できませんでした）` : ''}`;
+            });
+        });
+
+        container.querySelector('#cover-cache-prune').addEventListener('click', () => {
+            this.runAction(async () => {
+                const removed = await manager.pruneUnused(this.getGames());
+                this.progressText = `${removed}件のカバーを削除しました`;
+            });
+        });
+
+        container.querySelector('#cover-cache-clear').addEventListener('click', () => {
+            if (!confirm('保存済みのカバー画像をすべて削除しますか？（オンライン時は元のURLから表示されます）')) return;
+            this.runAction(async () => {
+                await manager.clearCache();
+                this.progressText = 'キャッシュを削除しました';
+            });
+        });
+    }
+
+    updateProgress(text) {
+        this.progressText = text;
+        const progress = document.querySelector('#cover-cache-content .cover-cache-progress');
+        if (progress) progress.textContent = text;
+    }
+
+    /**
+     * Run a maintenance action with the buttons disabled, then re-render and notify
+     */
+    async runAction(action) {
+        this.busy = true;
+        this.render();
+        try {
+            await action();
+            if (this.callbacks.onCacheChange) {
+                this.callbacks.onCacheChange();
+            }
+        } catch (error) {
+            console.error('Cover cache action failed:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.busy = false;
+        this.render();
+    }
+}
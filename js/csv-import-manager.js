@@ -0,0 +1,430 @@
+/**
+ * CsvImportManager - Import games from CSV/TSV spreadsheets and other trackers' exports
+ * Parses the file, maps columns to game fields (including userMetadata), validates
+ * every row and hands the result to GameManager.importGames (one undo step)
+ */
+class CsvImportManager {
+    constructor(gameManager, wikidataService = null) {
+        this.gameManager = gameManager;
+        this.wikidataService = wikidataService || new WikidataService();
+        this.storage = gameManager.storage;
+        this.savedMappings = [];
+        this.requestDelay = 500; // ms between Wikidata lookups
+
+        // Importable fields: key -> { label, type, aliases (lowercase header names) }
+        this.fields = {
+            title: { label: 'タイトル', type: 'text', aliases: ['title', 'name', 'game', 'game title', 'タイトル', 'ゲーム名', '名前'] },
+            alternativeTitles: { label: '別名', type: 'list', aliases: ['alternative titles', 'aliases', 'original title', '別名', '原題'] },
+            platforms: { label: 'プラットフォーム', type: 'list', aliases: ['platform', 'platforms', 'system', 'console', 'プラットフォーム', '機種', 'ハード'] },
+            releaseDate: { label: '発売日', type: 'text', aliases: ['release date', 'released', 'release', 'year', '発売日', '発売年'] },
+            developer: { label: '開発者', type: 'text', aliases: ['developer', 'developers', 'studio', '開発', '開発者', '開発元'] },
+            publisher: { label: '発売元', type: 'text', aliases: ['publisher', 'publishers', '発売元', 'パブリッシャー'] },
+            genre: { label: 'ジャンル', type: 'list', aliases: ['genre', 'genres', 'ジャンル'] },
+            coverImage: { label: 'カバー画像URL', type: 'text', aliases: ['cover', 'cover image', 'image', 'cover url', 'カバー', '画像'] },
+            description: { label: '説明', type: 'text', aliases: ['description', 'summary', '説明', '概要'] },
+            wikidataId: { label: 'Wikidata ID', type: 'wikidataId', aliases: ['wikidata', 'wikidata id', 'qid'] },
+            'userMetadata.rating': { label: '評価', type: 'rating', aliases: ['rating', 'score', 'stars', '評価', 'スコア'] },
+            'userMetadata.completionStatus': { label: '完了状況', type: 'status', aliases: ['status', 'completion', 'completion status', 'progress', '状態', '完了状況', 'ステータス'] },
+            'userMetadata.playTime': { label: 'プレイ時間（時間）', type: 'hours', aliases: ['playtime', 'play time', 'hours', 'hours played', 'time played', 'プレイ時間'] },
+            'userMetadata.notes': { label: 'メモ', type: 'text', aliases: ['notes', 'note', 'comment', 'comments', 'review', 'メモ', 'コメント', '感想'] },
+            'userMetadata.tags': { label: 'タグ', type: 'list', aliases: ['tags', 'tag', 'labels', 'タグ'] },
+            'userMetadata.favorite': { label: 'お気に入り', type: 'boolean', aliases: ['favorite', 'favourite', 'fav', 'お気に入り'] },
+            'userMetadata.dateAdded': { label: '追加日', type: 'date', aliases: ['date added', 'added', 'added on', '追加日', '登録日'] }
+        };
+
+        // Status spellings used by other trackers (compared lowercase)
+        this.statusAliases = {
+            not_started: ['not_started', 'not started', 'unplayed', 'backlog', 'wishlist', 'want to play', '未プレイ', '積みゲー', '未着手'],
+            in_progress: ['in_progress', 'in progress', 'playing', 'started', 'currently playing', 'プレイ中', '進行中'],
+            completed: ['completed', 'complete', 'beaten', 'finished', 'done', '100%', '完了', 'クリア', 'クリア済み'],
+            abandoned: ['abandoned', 'dropped', 'shelved', 'retired', 'on hold', '中断', '挫折']
+        };
+    }
+
+    /**
+     * Importable fields plus one entry per custom field ('field:<id>', matched by its name)
+     */
+    getFields() {
+        const customFieldManager = this.gameManager.customFieldManager;
+        if (!customFieldManager) return this.fields;
+
+        const fields = { ...this.fields };
+        customFieldManager.getFields().forEach(field => {
+            fields[`field:${field.id}`] = { label: field.name, type: 'custom', aliases: [field.name.toLowerCase()], field: field };
+        });
+        return fields;
+    }
+
+    /**
+     * Initialize and load saved column mappings
+     */
+    async initialize() {
+        try {
+            const mappings = await this.storage.getMeta('csvImportMappings');
+            this.savedMappings = Array.isArray(mappings) ? mappings : [];
+        } catch (error) {
+            console.error('Failed to load CSV import mappings:', error);
+        }
+    }
+
+    /**
+     * Detect the delimiter from the first line (tab, comma or semicolon)
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const counts = ['\t', ',', ';'].map(delimiter => ({
+            delimiter: delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+        const best = counts.sort((a, b) => b.count - a.count)[0];
+        return best.count > 0 ? best.delimiter : ',';
+    }
+
+    /**
+     * Parse CSV/TSV text (RFC 4180 quoting, CRLF or LF line endings)
+     * @param {string} text - File contents
+     * @param {string} delimiter - Column delimiter, or 'auto'
+     * @returns {Object} { headers, rows, lineNumbers, delimiter }
+     */
+    parse(text, delimiter = 'auto') {
+        text = (text || '').replace(/^\uFEFF/, ''); // Excel adds a BOM
+        if (delimiter === 'auto') {
+            delimiter = this.detectDelimiter(text);
+        }
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push({ cells: record, line: recordLine });
+                record = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Unterminated quoted field');
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push({ cells: record, line: recordLine });
+        }
+
+        // Blank lines carry no game
+        const nonEmpty = records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const headers = nonEmpty[0].cells.map(header => header.trim());
+        const rows = nonEmpty.slice(1).map(record => headers.map((_, index) => (record.cells[index] || '').trim()));
+        const lineNumbers = nonEmpty.slice(1).map(record => record.line);
+
+        return { headers, rows, lineNumbers, delimiter };
+    }
+
+    /**
+     * Guess a field for each column from its header
+     * (ExportManager uses the field labels as CSV headers, so exports map back automatically)
+     * @returns {Array} Field key (or null) per column
+     */
+    guessMapping(headers) {
+        const used = new Set();
+        const fields = this.getFields();
+
+        return headers.map(header => {
+            const name = header.toLowerCase().replace(/[_-]/g, ' ').trim();
+            const match = Object.entries(fields).find(([key, field]) =>
+                !used.has(key) && (field.aliases.includes(name) || field.label.toLowerCase() === name || key.toLowerCase() === name)
+            );
+            if (!match) return null;
+
+            used.add(match[0]);
+            return match[0];
+        });
+    }
+
+    /**
+     * Convert a cell to the field's type
+     * @throws {Error} When the value cannot be converted
+     */
+    convertValue(fieldKey, value, listDelimiter) {
+        const field = this.getFields()[fieldKey];
+
+        switch (field.type) {
+            case 'custom':
+                return this.gameManager.customFieldManager.normalizeValue(field.field, value);
+            case 'list':
+                return value.split(listDelimiter).map(item => item.trim()).filter(Boolean);
+            case 'wikidataId': {
+                const match = value.match(/Q\d+/i);
+                if (!match) throw new Error(`Invalid Wikidata ID: ${value}`);
+                return match[0].toUpperCase();
+            }
+            case 'rating': {
+                // Accepts "4", "4/5" and "8/10"
+                const [score, scale] = value.split('/').map(part => parseFloat(part));
+                const rating = scale ? score / scale * 5 : score;
+                if (isNaN(rating) || rating < 0 || rating > 5) throw new Error(`Invalid rating: ${value}`);
+                return Math.round(rating);
+            }
+            case 'status': {
+                const name = value.toLowerCase();
+                const status = Object.keys(this.statusAliases).find(key => this.statusAliases[key].includes(name));
+                if (!status) throw new Error(`Unknown completion status: ${value}`);
+                return status;
+            }
+            case 'hours': {
+                // Accepts decimal hours ("12.5") and h:mm ("12:30")
+                const clock = value.match(/^(\d+):(\d{1,2})$/);
+                const hours = clock ? parseInt(clock[1]) + parseInt(clock[2]) / 60 : parseFloat(value.replace(/[^\d.]/g, ''));
+                if (isNaN(hours) || hours < 0) throw new Error(`Invalid play time: ${value}`);
+                return Math.round(hours * 100) / 100;
+            }
+            case 'boolean':
+                return ['true', 'yes', 'y', '1', 'x', '★', '○', 'はい'].includes(value.toLowerCase());
+            case 'date': {
+                const timestamp = Date.parse(value.replace(/\//g, '-'));
+                if (isNaN(timestamp)) throw new Error(`Invalid date: ${value}`);
+                return timestamp;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Build game data from one row
+     * @param {Array} row - Cell values
+     * @param {Array} mapping - Field key (or null) per column
+     * @param {Object} options - { listDelimiter }
+     * @returns {Object} { gameData, errors }
+     */
+    mapRow(row, mapping, options = {}) {
+        const listDelimiter = options.listDelimiter || ',';
+        const gameData = { userMetadata: {}, dataSource: { primary: 'manual' } };
+        const errors = [];
+        const fields = this.getFields();
+
+        mapping.forEach((fieldKey, index) => {
+            const value = row[index];
+            if (!fieldKey || !fields[fieldKey] || value === undefined || value === '') return;
+
+            try {
+                const converted = this.convertValue(fieldKey, value, listDelimiter);
+                if (fieldKey.startsWith('field:')) {
+                    gameData.userMetadata.customFields = gameData.userMetadata.customFields || {};
+                    gameData.userMetadata.customFields[fieldKey.slice('field:'.length)] = converted;
+                    return;
+                }
+                const [target, key] = fieldKey.startsWith('userMetadata.') ?
+                    [gameData.userMetadata, fieldKey.slice('userMetadata.'.length)] :
+                    [gameData, fieldKey];
+                target[key] = converted;
+            } catch (error) {
+                errors.push(error.message);
+            }
+        });
+
+        try {
+            this.gameManager.validateGameData(gameData);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        return { gameData, errors };
+    }
+
+    /**
+     * Map and validate every row
+     * @param {Object} parsed - Output of parse
+     * @returns {Array} [{ index, line, gameData, errors }]
+     */
+    validateRows(parsed, mapping, options = {}) {
+        if (!mapping.includes('title')) {
+            throw new Error('A column must be mapped to the title');
+        }
+
+        return parsed.rows.map((row, index) => ({
+            index: index,
+            line: parsed.lineNumbers[index],
+            ...this.mapRow(row, mapping, options)
+        }));
+    }
+
+    /**
+     * Check whether a row only has a title (and user data) to go on
+     */
+    needsLookup(gameData) {
+        return !gameData.wikidataId &&
+            ['platforms', 'releaseDate', 'developer', 'publisher', 'genre']
+                .every(field => !gameData[field] || (Array.isArray(gameData[field]) && gameData[field].length === 0));
+    }
+
+    /**
+     * Fill title-only rows from Wikidata (values from the file always win)
+     * @param {Array} results - Output of validateRows
+     * @param {Function} onProgress - Called with (done, total)
+     * @returns {Promise<number>} Number of rows that found a match
+     */
+    async lookupWikidata(results, onProgress = null) {
+        const targets = results.filter(result => result.errors.length === 0 && this.needsLookup(result.gameData));
+        let matched = 0;
+
+        for (let i = 0; i < targets.length; i++) {
+            const result = targets[i];
+            try {
+                const candidates = await this.wikidataService.searchGameByTitle(result.gameData.title);
+                const title = result.gameData.title.toLowerCase();
+                const match = candidates.find(candidate => (candidate.title || '').toLowerCase() === title) || candidates[0];
+
+                if (match) {
+                    this.applyLookup(result, match);
+                    matched++;
+                }
+            } catch (error) {
+                result.lookupError = error.message;
+            }
+
+            if (onProgress) onProgress(i + 1, targets.length);
+
+            // Be polite to the public endpoint
+            if (i < targets.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            }
+        }
+
+        return matched;
+    }
+
+    /**
+     * Copy Wikidata metadata into a row without overwriting values from the file
+     */
+    applyLookup(result, match) {
+        const gameData = result.gameData;
+        const fetched = {
+            wikidataId: match.wikidataId,
+            platforms: match.platforms,
+            releaseDate: match.releaseDate,
+            developer: match.developer,
+            publisher: match.publisher,
+            genre: Array.isArray(match.genre) && match.genre.length > 0 ? match.genre : match.genres,
+            coverImage: match.coverImage,
+            description: match.description,
+            officialStoreLinks: match.officialStoreLinks
+        };
+
+        const isEmpty = value => Array.isArray(value) ? value.length === 0 : !value;
+        Object.entries(fetched).forEach(([field, value]) => {
+            if (!isEmpty(value) && isEmpty(gameData[field])) {
+                gameData[field] = value;
+            }
+        });
+
+        gameData.dataSource = { primary: 'wikidata' };
+        result.lookupMatch = match.title;
+    }
+
+    /**
+     * Import every valid row
+     * @returns {Promise<Object>} GameManager.importGames results plus invalid rows
+     */
+    async importRows(results) {
+        const valid = results.filter(result => result.errors.length === 0);
+        const invalid = results.filter(result => result.errors.length > 0);
+
+        const importResults = await this.gameManager.importGames(valid.map(result => result.gameData));
+        importResults.invalid = invalid.map(result => ({
+            line: result.line,
+            errors: result.errors
+        }));
+
+        return importResults;
+    }
+
+    /**
+     * Saved mappings, newest first
+     */
+    getSavedMappings() {
+        return [...this.savedMappings].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Save a mapping by header name so it applies to later files with the same columns
+     */
+    async saveMapping(name, headers, mapping, options = {}) {
+        if (!name || !name.trim()) {
+            throw new Error('Mapping name is required');
+        }
+
+        const columns = {};
+        headers.forEach((header, index) => {
+            columns[header] = mapping[index] || null;
+        });
+
+        const savedMapping = {
+            name: name.trim(),
+            columns: columns,
+            delimiter: options.delimiter || 'auto',
+            listDelimiter: options.listDelimiter || ',',
+            savedAt: Date.now()
+        };
+
+        this.savedMappings = this.savedMappings.filter(saved => saved.name !== savedMapping.name);
+        this.savedMappings.push(savedMapping);
+        await this.storage.setMeta('csvImportMappings', this.savedMappings);
+        return savedMapping;
+    }
+
+    /**
+     * Delete a saved mapping
+     */
+    async deleteMapping(name) {
+        this.savedMappings = this.savedMappings.filter(saved => saved.name !== name);
+        await this.storage.setMeta('csvImportMappings', this.savedMappings);
+    }
+
+    /**
+     * Apply a saved mapping to the current headers (unknown headers fall back to guessing)
+     * @returns {Array} Field key (or null) per column
+     */
+    applySavedMapping(name, headers) {
+        const saved = this.savedMappings.find(mapping => mapping.name === name);
+        if (!saved) {
+            throw new Error('Saved mapping not found');
+        }
+
+        const guessed = this.guessMapping(headers);
+        return headers.map((header, index) =>
+            Object.prototype.hasOwnProperty.call(saved.columns, header) ? saved.columns[header] : guessed[index]
+        );
+    }
+}
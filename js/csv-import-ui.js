@@ -0,0 +1,394 @@
+/**
+ * CsvImportUI - CSV/TSV import modal with a preview table and column-to-field mapping
+ */
+class CsvImportUI {
+    constructor(csvImportManager, onImport = null) {
+        this.csvImportManager = csvImportManager;
+        this.onImport = onImport;
+        this.text = '';
+        this.parsed = null;
+        this.mapping = [];
+        this.results = [];
+        this.previewLimit = 50;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('import-csv');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.show());
+        }
+
+        const fileInput = document.getElementById('csv-file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.readFile(fileInput.files[0]));
+        }
+
+        this.bindClick('csv-parse', () => {
+            const textInput = document.getElementById('csv-text-input');
+            this.text = textInput ? textInput.value : '';
+            this.parse();
+        });
+
+        const delimiterSelect = document.getElementById('csv-delimiter');
+        if (delimiterSelect) {
+            delimiterSelect.addEventListener('change', () => {
+                if (this.text) this.parse();
+            });
+        }
+
+        const listDelimiterInput = document.getElementById('csv-list-delimiter');
+        if (listDelimiterInput) {
+            listDelimiterInput.addEventListener('change', () => this.validate());
+        }
+
+        const savedMappingSelect = document.getElementById('csv-saved-mapping');
+        if (savedMappingSelect) {
+            savedMappingSelect.addEventListener('change', () => {
+                if (savedMappingSelect.value) this.applySavedMapping(savedMappingSelect.value);
+            });
+        }
+
+        this.bindClick('csv-save-mapping', () => this.saveMapping());
+        this.bindClick('csv-delete-mapping', () => this.deleteMapping());
+        this.bindClick('csv-import-run', () => this.runImport());
+        this.bindClick('csv-import-cancel', () => this.close());
+    }
+
+    bindClick(id, handler) {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    }
+
+    /**
+     * Open the modal with a clean state
+     */
+    show() {
+        const modal = document.getElementById('csv-import-modal');
+        if (!modal) return;
+
+        this.reset();
+        modal.style.display = 'block';
+    }
+
+    reset() {
+        this.text = '';
+        this.parsed = null;
+        this.mapping = [];
+        this.results = [];
+
+        const fileInput = document.getElementById('csv-file-input');
+        if (fileInput) fileInput.value = '';
+        const textInput = document.getElementById('csv-text-input');
+        if (textInput) textInput.value = '';
+
+        this.setSectionVisible('csv-mapping-section', false);
+        this.setSectionVisible('csv-import-results', false);
+        this.renderSavedMappings();
+    }
+
+    setSectionVisible(id, visible) {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? 'block' : 'none';
+    }
+
+    /**
+     * Read a selected file as text
+     */
+    readFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.text = reader.result;
+            this.parse();
+        };
+        reader.onerror = () => alert('ファイルの読み込みに失敗しました');
+        reader.readAsText(file);
+    }
+
+    getDelimiter() {
+        const select = document.getElementById('csv-delimiter');
+        const value = select ? select.value : 'auto';
+        return value === 'tab' ? '\t' : value;
+    }
+
+    getListDelimiter() {
+        const input = document.getElementById('csv-list-delimiter');
+        return (input && input.value) || ',';
+    }
+
+    /**
+     * Parse the loaded text and guess the column mapping
+     */
+    parse() {
+        if (!this.text.trim()) {
+            alert('CSVファイルを選択するか、内容を貼り付けてください');
+            return;
+        }
+
+        try {
+            this.parsed = this.csvImportManager.parse(this.text, this.getDelimiter());
+        } catch (error) {
+            console.error('CSV parse failed:', error);
+            alert(`エラー: ${error.message}`);
+            return;
+        }
+
+        this.mapping = this.csvImportManager.guessMapping(this.parsed.headers);
+        this.setSectionVisible('csv-mapping-section', true);
+        this.setSectionVisible('csv-import-results', false);
+        this.validate();
+    }
+
+    /**
+     * Map and validate every row, then render the preview
+     */
+    validate() {
+        if (!this.parsed) return;
+
+        try {
+            this.results = this.csvImportManager.validateRows(this.parsed, this.mapping, {
+                listDelimiter: this.getListDelimiter()
+            });
+        } catch (error) {
+            // No title column yet: every row is invalid until one is mapped
+            this.results = this.parsed.rows.map((row, index) => ({
+                index: index,
+                line: this.parsed.lineNumbers[index],
+                gameData: null,
+                errors: [error.message]
+            }));
+        }
+
+        this.renderPreview();
+    }
+
+    /**
+     * Render the mapping selectors, preview rows and validation summary
+     */
+    renderPreview() {
+        const table = document.getElementById('csv-preview-table');
+        const summary = document.getElementById('csv-validation-summary');
+        if (!table) return;
+
+        const fieldOptions = Object.entries(this.csvImportManager.getFields())
+            .map(([key, field]) => `<option value="${key}">${HtmlUtils.escape(field.label)}</option>`)
+            .join('');
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>行</th>
+                    ${this.parsed.headers.map((header, index) => `
+                        <th>
+                            <div class="csv-header-name">${HtmlUtils.escape(header) || `列${index + 1}`}</div>
+                            <select class="csv-column-field" data-column="${index}">
+                                <option value="">（取り込まない）</option>
+                                ${fieldOptions}
+                            </select>
+                        </th>
+                    `).join('')}
+                    <th>検証</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${this.results.slice(0, this.previewLimit).map(result => `
+                    <tr class="${result.errors.length > 0 ? 'invalid' : ''}">
+                        <td class="csv-row-number">${result.line}</td>
+                        ${this.parsed.rows[result.index].map((cell, index) => `
+                            <td class="${this.mapping[index] ? '' : 'csv-ignored'}">${HtmlUtils.escape(cell)}</td>
+                        `).join('')}
+                        <td class="csv-row-status">
+                            ${result.errors.length > 0 ? `⚠️ ${HtmlUtils.escape(result.errors.join(' / '))}` : '✅'}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        table.querySelectorAll('.csv-column-field').forEach(select => {
+            const column = parseInt(select.dataset.column);
+            select.value = this.mapping[column] || '';
+            select.addEventListener('change', () => this.setColumnField(column, select.value || null));
+        });
+
+        const valid = this.results.filter(result => result.errors.length === 0).length;
+        if (summary) {
+            const hidden = this.results.length - this.previewLimit;
+            summary.textContent = `${this.results.length}行中 ${valid}行をインポートできます` +
+                (valid < this.results.length ? `（${this.results.length - valid}行はエラーのためスキップ）` : '') +
+                (hidden > 0 ? ` ・プレビューは先頭${this.previewLimit}行のみ表示` : '');
+        }
+
+        const importBtn = document.getElementById('csv-import-run');
+        if (importBtn) importBtn.disabled = valid === 0;
+    }
+
+    /**
+     * Map a column to a field (a field can only come from one column)
+     */
+    setColumnField(column, field) {
+        this.mapping = this.mapping.map((current, index) => {
+            if (index === column) return field;
+            return field && current === field ? null : current;
+        });
+        this.validate();
+    }
+
+    /**
+     * Fill the saved mapping picker
+     */
+    renderSavedMappings() {
+        const select = document.getElementById('csv-saved-mapping');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">保存したマッピング...</option>' +
+            this.csvImportManager.getSavedMappings()
+                .map(mapping => `<option value="${HtmlUtils.escape(mapping.name).replace(/"/g, '&quot;')}">${HtmlUtils.escape(mapping.name)}</option>`)
+                .join('');
+    }
+
+    /**
+     * Apply a saved mapping (and its delimiters) to the loaded file
+     */
+    applySavedMapping(name) {
+        const saved = this.csvImportManager.getSavedMappings().find(mapping => mapping.name === name);
+        if (!saved || !this.parsed) return;
+
+        const delimiterSelect = document.getElementById('csv-delimiter');
+        const savedDelimiter = saved.delimiter === '\t' ? 'tab' : saved.delimiter;
+        if (delimiterSelect && delimiterSelect.value !== savedDelimiter) {
+            delimiterSelect.value = savedDelimiter;
+            try {
+                this.parsed = this.csvImportManager.parse(this.text, this.getDelimiter());
+            } catch (error) {
+                console.error('CSV parse failed:', error);
+                alert(`エラー: ${error.message}`);
+                return;
+            }
+        }
+
+        const listDelimiterInput = document.getElementById('csv-list-delimiter');
+        if (listDelimiterInput) listDelimiterInput.value = saved.listDelimiter;
+
+        const nameInput = document.getElementById('csv-mapping-name');
+        if (nameInput) nameInput.value = saved.name;
+
+        this.mapping = this.csvImportManager.applySavedMapping(name, this.parsed.headers);
+        this.validate();
+    }
+
+    /**
+     * Save the current mapping for repeat imports
+     */
+    async saveMapping() {
+        const nameInput = document.getElementById('csv-mapping-name');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!name) {
+            alert('マッピング名を入力してください');
+            return;
+        }
+        if (!this.parsed) return;
+
+        try {
+            await this.csvImportManager.saveMapping(name, this.parsed.headers, this.mapping, {
+                delimiter: this.getDelimiter(),
+                listDelimiter: this.getListDelimiter()
+            });
+            this.renderSavedMappings();
+            document.getElementById('csv-saved-mapping').value = name;
+        } catch (error) {
+            console.error('Failed to save CSV mapping:', error);
+            alert(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected saved mapping
+     */
+    async deleteMapping() {
+        const select = document.getElementById('csv-saved-mapping');
+        if (!select || !select.value) return;
+        if (!confirm(`マッピング「${select.value}」を削除しますか？`)) return;
+
+        try {
+            await this.csvImportManager.deleteMapping(select.value);
+            this.renderSavedMappings();
+        } catch (error) {
+            console.error('Failed to delete CSV mapping:', error);
+            alert(`エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * Optionally look up title-only rows on Wikidata, then import the valid rows
+     */
+    async runImport() {
+        const importBtn = document.getElementById('csv-import-run');
+        const summary = document.getElementById('csv-validation-summary');
+        const lookup = document.getElementById('csv-wikidata-lookup');
+
+        if (importBtn) importBtn.disabled = true;
+
+        try {
+            if (lookup && lookup.checked) {
+                const matched = await this.csvImportManager.lookupWikidata(this.results, (done, total) => {
+                    if (summary) summary.textContent = `🔄 Wikidataで検索中... ${done} / ${total}`;
+                });
+                console.log(`Wikidata lookup matched ${matched} rows`);
+            }
+
+            const results = await this.csvImportManager.importRows(this.results);
+            this.showResults(results);
+
+            if (this.onImport) {
+                this.onImport(`CSVから${results.added}件を追加、${results.updated}件を更新しました`);
+            }
+        } catch (error) {
+            console.error('CSV import failed:', error);
+            alert(`エラー: ${error.message}`);
+            if (importBtn) importBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show the import summary with skipped rows and errors
+     */
+    showResults(results) {
+        const container = document.getElementById('csv-import-results');
+        if (!container) return;
+
+        const lookupMatches = this.results.filter(result => result.lookupMatch).length;
+        const problems = [
+            ...results.invalid.map(item => `${item.line}行目: ${item.errors.join(' / ')}`),
+            ...results.errors.map(item => `${item.title}: ${item.error}`)
+        ];
+
+        container.innerHTML = `
+            <h3>✅ インポート完了</h3>
+            <ul class="csv-result-counts">
+                <li>追加: ${results.added}件</li>
+                <li>更新: ${results.updated}件</li>
+                <li>スキップ（既存）: ${results.skipped}件</li>
+                <li>エラー: ${problems.length}件</li>
+                ${lookupMatches > 0 ? `<li>Wikidataで補完: ${lookupMatches}件</li>` : ''}
+            </ul>
+            ${problems.length > 0 ? `
+                <ul class="csv-result-errors">
+                    ${problems.map(problem => `<li>${HtmlUtils.escape(problem)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        this.setSectionVisible('csv-mapping-section', false);
+        this.setSectionVisible('csv-import-results', true);
+    }
+
+    close() {
+        const modal = document.getElementById('csv-import-modal');
+        if (modal) modal.style.display = 'none';
+        this.reset();
+    }
+}
@@ -0,0 +1,469 @@
+/**
+ * CustomFieldManager - User-defined fields for games
+ * Definitions live in the game collection (collection.customFields) so they travel with
+ * JSON exports; values are stored per game in userMetadata.customFields keyed by field ID.
+ * Also evaluates typed conditions used by the sidebar filter and collection smart rules
+ */
+class CustomFieldManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        this.types = {
+            text: { label: 'テキスト' },
+            number: { label: '数値' },
+            date: { label: '日付' },
+            boolean: { label: 'はい／いいえ' },
+            select: { label: '単一選択' },
+            multiselect: { label: '複数選択' }
+        };
+
+        this.operators = {
+            contains: { label: 'を含む' },
+            not_contains: { label: 'を含まない' },
+            eq: { label: '＝' },
+            ne: { label: '≠' },
+            gt: { label: '＞' },
+            gte: { label: '≧' },
+            lt: { label: '＜' },
+            lte: { label: '≦' },
+            before: { label: 'より前' },
+            after: { label: 'より後' },
+            includes: { label: 'を含む' },
+            excludes: { label: 'を含まない' },
+            is_true: { label: 'はい' },
+            is_false: { label: 'いいえ' },
+            is_empty: { label: '未入力' },
+            is_not_empty: { label: '入力あり' }
+        };
+
+        // Operators offered per type (value-less operators need no comparison value)
+        this.typeOperators = {
+            text: ['contains', 'not_contains', 'eq', 'ne', 'is_empty', 'is_not_empty'],
+            number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'is_empty', 'is_not_empty'],
+            date: ['eq', 'before', 'after', 'is_empty', 'is_not_empty'],
+            boolean: ['is_true', 'is_false'],
+            select: ['eq', 'ne', 'is_empty', 'is_not_empty'],
+            multiselect: ['includes', 'excludes', 'is_empty', 'is_not_empty']
+        };
+        this.valuelessOperators = ['is_true', 'is_false', 'is_empty', 'is_not_empty'];
+
+        // Built-in game fields that smart rules can use alongside custom fields
+        this.builtinRuleFields = {
+            platform: { label: 'プラットフォーム', type: 'multiselect', value: game => game.platforms || [] },
+            genre: { label: 'ジャンル', type: 'multiselect', value: game => game.genre || [] },
+            tag: { label: 'タグ', type: 'multiselect', value: game => game.userMetadata.tags || [] },
+            completionStatus: {
+                label: '完了状況',
+                type: 'select',
+                options: ['not_started', 'in_progress', 'completed', 'abandoned'],
+                optionLabels: { not_started: '未プレイ', in_progress: 'プレイ中', completed: '完了', abandoned: '中断' },
+                value: game => game.userMetadata.completionStatus || 'not_started'
+            },
+            rating: { label: '評価', type: 'number', value: game => game.userMetadata.rating || 0 },
+            playTime: { label: 'プレイ時間（時間）', type: 'number', value: game => game.userMetadata.playTime || 0 },
+            releaseYear: {
+                label: '発売年',
+                type: 'number',
+                value: game => DateUtils.getReleaseYear(game)
+            },
+            favorite: { label: 'お気に入り', type: 'boolean', value: game => Boolean(game.userMetadata.favorite) }
+        };
+    }
+
+    /**
+     * Generate unique field ID
+     */
+    generateFieldId() {
+        return 'field_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get every field definition, in display order
+     */
+    getFields() {
+        return this.gameManager.collection.customFields || [];
+    }
+
+    getField(fieldId) {
+        return this.getFields().find(field => field.id === fieldId) || null;
+    }
+
+    /**
+     * Define a new field
+     * @param {Object} fieldData - { name, type, options, defaultValue }
+     */
+    async addField(fieldData) {
+        const field = this.normalizeField({ ...fieldData, id: this.generateFieldId() });
+        this.validateFieldData(field);
+
+        await this.saveFields([...this.getFields(), field]);
+        return field;
+    }
+
+    /**
+     * Update a field definition (stored values are kept; values that no longer
+     * fit a select field's options are dropped when read)
+     */
+    async updateField(fieldId, updates) {
+        const existing = this.getField(fieldId);
+        if (!existing) {
+            throw new Error('Custom field not found');
+        }
+
+        const updated = this.normalizeField({ ...existing, ...updates, id: existing.id });
+        this.validateFieldData(updated);
+
+        await this.saveFields(this.getFields().map(field => field.id === fieldId ? updated : field));
+        return updated;
+    }
+
+    /**
+     * Delete a field definition and the values stored for it
+     */
+    async deleteField(fieldId) {
+        if (!this.getField(fieldId)) {
+            throw new Error('Custom field not found');
+        }
+
+        const gameIds = this.gameManager.getAllGames()
+            .filter(game => game.userMetadata.customFields && fieldId in game.userMetadata.customFields)
+            .map(game => game.id);
+
+        if (gameIds.length > 0) {
+            await this.gameManager.updateGames(gameIds, game => {
+                const values = { ...game.userMetadata.customFields };
+                delete values[fieldId];
+                return { userMetadata: { customFields: values } };
+            }, `カスタム項目「${this.getField(fieldId).name}」を削除`);
+        }
+
+        await this.saveFields(this.getFields().filter(field => field.id !== fieldId));
+        return true;
+    }
+
+    /**
+     * Persist definitions with the game collection
+     */
+    async saveFields(fields) {
+        this.gameManager.collection.customFields = fields;
+        return await this.gameManager.saveCollection();
+    }
+
+    /**
+     * Normalize a field definition to the stored shape
+     */
+    normalizeField(fieldData) {
+        const type = fieldData.type || 'text';
+        const options = ['select', 'multiselect'].includes(type) ?
+            [...new Set((Array.isArray(fieldData.options) ? fieldData.options : String(fieldData.options || '').split(','))
+                .map(option => String(option).trim())
+                .filter(Boolean))] :
+            [];
+        const field = {
+            id: fieldData.id || this.generateFieldId(),
+            name: (fieldData.name || '').trim(),
+            type: type,
+            options: options,
+            defaultValue: null
+        };
+
+        if (fieldData.defaultValue !== undefined && fieldData.defaultValue !== null && fieldData.defaultValue !== '') {
+            field.defaultValue = this.normalizeValue(field, fieldData.defaultValue);
+        }
+
+        return field;
+    }
+
+    /**
+     * Validate a field definition
+     */
+    validateFieldData(field) {
+        if (!field.name) {
+            throw new Error('Custom field name is required');
+        }
+
+        if (!this.types[field.type]) {
+            throw new Error(`Invalid custom field type: ${field.type}`);
+        }
+
+        if (['select', 'multiselect'].includes(field.type) && field.options.length === 0) {
+            throw new Error('Select fields need at least one option');
+        }
+
+        const duplicate = this.getFields().find(other =>
+            other.id !== field.id && other.name.toLowerCase() === field.name.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error('A custom field with this name already exists');
+        }
+
+        return true;
+    }
+
+    /**
+     * Convert raw input (form values, CSV cells) to a field's stored value
+     * Empty input becomes null; invalid input throws
+     */
+    normalizeValue(field, rawValue) {
+        if (rawValue === undefined || rawValue === null || rawValue === '' ||
+            (Array.isArray(rawValue) && rawValue.length === 0)) {
+            return field.type === 'multiselect' ? [] : null;
+        }
+
+        switch (field.type) {
+            case 'number': {
+                const number = typeof rawValue === 'number' ? rawValue : parseFloat(String(rawValue).replace(/,/g, ''));
+                if (isNaN(number)) {
+                    throw new Error(`${field.name}: "${rawValue}" is not a number`);
+                }
+                return number;
+            }
+            case 'date': {
+                const date = new Date(rawValue);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`${field.name}: "${rawValue}" is not a date`);
+                }
+                return /^\d{4}-\d{2}-\d{2}$/.test(String(rawValue)) ? String(rawValue) : date.toISOString().split('T')[0];
+            }
+            case 'boolean':
+                if (typeof rawValue === 'boolean') return rawValue;
+                return ['true', '1', 'yes', 'y', 'はい', '○', '✓'].includes(String(rawValue).trim().toLowerCase());
+            case 'select':
+                if (!field.options.includes(String(rawValue))) {
+                    throw new Error(`${field.name}: "${rawValue}" is not one of the options`);
+                }
+                return String(rawValue);
+            case 'multiselect': {
+                const values = Array.isArray(rawValue) ? rawValue : String(rawValue).split(/[,;]/);
+                const selected = [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+                const unknown = selected.filter(value => !field.options.includes(value));
+                if (unknown.length > 0) {
+                    throw new Error(`${field.name}: "${unknown.join(', ')}" is not one of the options`);
+                }
+                return selected;
+            }
+            default:
+                return String(rawValue).trim() || null;
+        }
+    }
+
+    /**
+     * Read a game's value for a field, falling back to the field's default
+     */
+    getValue(game, field) {
+        const values = game.userMetadata.customFields || {};
+        let value = field.id in values ? values[field.id] : field.defaultValue;
+
+        // Options can be removed after values were stored
+        if (field.type === 'select' && value !== null && !field.options.includes(value)) value = null;
+        if (field.type === 'multiselect') value = (value || []).filter(option => field.options.includes(option));
+        if (field.type === 'boolean') value = Boolean(value);
+
+        return value ?? null;
+    }
+
+    /**
+     * Set (or clear) a game's value for a field
+     */
+    async setValue(gameId, fieldId, rawValue) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const field = this.getField(fieldId);
+        if (!field) {
+            throw new Error('Custom field not found');
+        }
+
+        const values = { ...(game.userMetadata.customFields || {}) };
+        values[fieldId] = this.normalizeValue(field, rawValue);
+
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: { customFields: values }
+        });
+    }
+
+    /**
+     * Format a value for display and CSV cells
+     */
+    formatValue(field, value) {
+        if (value === null || value === undefined) return '';
+        if (field.type === 'boolean') return value ? 'はい' : 'いいえ';
+        if (field.type === 'multiselect') return value.join(', ');
+        return String(value);
+    }
+
+    /**
+     * Compare two games by a field (empty values sort first)
+     */
+    compareGames(a, b, field) {
+        const valueA = this.getValue(a, field);
+        const valueB = this.getValue(b, field);
+        const emptyA = valueA === null || (Array.isArray(valueA) && valueA.length === 0);
+        const emptyB = valueB === null || (Array.isArray(valueB) && valueB.length === 0);
+
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? -1 : 1);
+
+        switch (field.type) {
+            case 'number':
+                return valueA - valueB;
+            case 'boolean':
+                return Number(valueA) - Number(valueB);
+            case 'select':
+                // Option order is the user's intended order (e.g. grades or stages)
+                return field.options.indexOf(valueA) - field.options.indexOf(valueB);
+            default:
+                return this.formatValue(field, valueA).localeCompare(this.formatValue(field, valueB), 'ja');
+        }
+    }
+
+    /**
+     * Fields usable in conditions: built-in fields plus custom fields ('field:<id>')
+     * @returns {Array} [{ key, label, type, options, optionLabels }]
+     */
+    getRuleFields(includeBuiltin = true) {
+        const builtin = includeBuiltin ?
+            Object.entries(this.builtinRuleFields).map(([key, field]) => ({
+                key: key,
+                label: field.label,
+                type: field.type,
+                options: field.options || null,
+                optionLabels: field.optionLabels || null
+            })) : [];
+
+        return [
+            ...builtin,
+            ...this.getFields().map(field => ({
+                key: `field:${field.id}`,
+                label: field.name,
+                type: field.type,
+                options: field.options,
+                optionLabels: null
+            }))
+        ];
+    }
+
+    /**
+     * Check a game against one condition
+     * @param {Object} condition - { field: built-in key or 'field:<id>', operator, value }
+     */
+    matchesCondition(game, condition) {
+        let type;
+        let value;
+
+        if (condition.field.startsWith('field:')) {
+            const field = this.getField(condition.field.slice('field:'.length));
+            // Conditions on deleted fields never match
+            if (!field) return false;
+            type = field.type;
+            value = this.getValue(game, field);
+        } else {
+            const builtin = this.builtinRuleFields[condition.field];
+            if (!builtin) return false;
+            type = builtin.type;
+            value = builtin.value(game);
+        }
+
+        return this.compareValue(type, value, condition.operator, condition.value);
+    }
+
+    /**
+     * Check a game against a smart rule set
+     * @param {Object} smartRules - { match: 'all'|'any', conditions: [...] }
+     */
+    matchesRules(game, smartRules) {
+        const conditions = smartRules?.conditions || [];
+        if (conditions.length === 0) return true;
+
+        return smartRules.match === 'any' ?
+            conditions.some(condition => this.matchesCondition(game, condition)) :
+            conditions.every(condition => this.matchesCondition(game, condition));
+    }
+
+    /**
+     * Evaluate an operator against a typed value
+     */
+    compareValue(type, value, operator, expected) {
+        const isEmpty = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+        if (operator === 'is_empty') return isEmpty;
+        if (operator === 'is_not_empty') return !isEmpty;
+        if (operator === 'is_true') return Boolean(value);
+        if (operator === 'is_false') return !value;
+        if (operator === 'excludes') return !(value || []).some(item => String(item).toLowerCase() === String(expected ?? '').toLowerCase());
+        if (operator === 'not_contains') return !String(value ?? '').toLowerCase().includes(String(expected ?? '').toLowerCase());
+        if (operator === 'ne' && isEmpty) return true;
+        if (isEmpty) return false;
+
+        if (type === 'number') {
+            const number = parseFloat(expected);
+            if (isNaN(number)) return false;
+            switch (operator) {
+                case 'eq': return value === number;
+                case 'ne': return value !== number;
+                case 'gt': return value > number;
+                case 'gte': return value >= number;
+                case 'lt': return value < number;
+                case 'lte': return value <= number;
+            }
+            return false;
+        }
+
+        // Dates are stored as YYYY-MM-DD, so string comparison orders them
+        if (type === 'date') {
+            switch (operator) {
+                case 'eq': return value === expected;
+                case 'before': return value < expected;
+                case 'after': return value > expected;
+            }
+            return false;
+        }
+
+        const text = String(value).toLowerCase();
+        const target = String(expected ?? '').toLowerCase();
+        switch (operator) {
+            case 'contains': return text.includes(target);
+            case 'eq': return text === target;
+            case 'ne': return text !== target;
+            case 'includes': return value.some(item => String(item).toLowerCase() === target);
+        }
+        return false;
+    }
+
+    /**
+     * Merge field definitions from imported data into this library
+     * Fields are matched by ID, then by name and type; returns importedId -> localId
+     */
+    async mergeFields(importedFields) {
+        const idMap = {};
+        const fields = [...this.getFields()];
+
+        (importedFields || []).forEach(imported => {
+            const match = fields.find(field => field.id === imported.id) ||
+                fields.find(field => field.name.toLowerCase() === String(imported.name || '').toLowerCase() && field.type === imported.type);
+
+            if (match) {
+                if (['select', 'multiselect'].includes(match.type)) {
+                    match.options = [...new Set([...match.options, ...(imported.options || [])])];
+                }
+                idMap[imported.id] = match.id;
+                return;
+            }
+
+            try {
+                const field = this.normalizeField(imported);
+                if (!this.types[field.type] || !field.name) return;
+                fields.push(field);
+                idMap[imported.id] = field.id;
+            } catch (error) {
+                console.warn('Skipping invalid custom field definition:', imported, error);
+            }
+        });
+
+        if (importedFields && importedFields.length > 0) {
+            await this.saveFields(fields);
+        }
+        return idMap;
+    }
+}
@@ -0,0 +1,416 @@
+/**
+ * CustomFieldUI - Custom field definitions modal, per-game values in the detail modal,
+ * and the condition rows shared by the sidebar filter and smart collection rules
+ */
+class CustomFieldUI {
+    constructor(customFieldManager, callbacks = {}) {
+        this.customFieldManager = customFieldManager;
+        this.callbacks = callbacks;
+        this.editingFieldId = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('manage-custom-fields');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showFieldManager());
+        }
+    }
+
+    /**
+     * Open the field definitions modal
+     */
+    showFieldManager() {
+        const modal = document.getElementById('custom-fields-modal');
+        if (!modal) return;
+
+        this.editingFieldId = null;
+        this.renderFieldManager();
+        modal.style.display = 'block';
+    }
+
+    renderFieldManager() {
+        const container = document.getElementById('custom-fields-content');
+        if (!container) return;
+
+        const fields = this.customFieldManager.getFields();
+        const editingField = this.editingFieldId && this.editingFieldId !== 'new' ?
+            this.customFieldManager.getField(this.editingFieldId) : null;
+
+        container.innerHTML = `
+            ${fields.length > 0 ? `
+                <ul class="custom-field-list">
+                    ${fields.map(field => `
+                        <li class="custom-field-item" data-field-id="${field.id}">
+                            <span class="custom-field-name">${HtmlUtils.escape(field.name)}</span>
+                            <span class="custom-field-type">${this.customFieldManager.types[field.type].label}</span>
+                            ${field.options.length > 0 ? `<span class="custom-field-options">${HtmlUtils.escape(field.options.join(' / '))}</span>` : ''}
+                            ${field.defaultValue !== null ? `<span class="custom-field-default">既定値: ${HtmlUtils.escape(this.customFieldManager.formatValue(field, field.defaultValue))}</span>` : ''}
+                            <div class="custom-field-actions">
+                                <button class="btn btn-small btn-secondary custom-field-edit" data-field-id="${field.id}" title="編集">✏️</button>
+                                <button class="btn btn-small btn-danger custom-field-delete" data-field-id="${field.id}" title="削除">🗑️</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="no-custom-fields">カスタム項目はまだありません。「購入店」「攻略メモのURL」「難易度」など、メモに書いていた情報を項目として定義できます。</p>'}
+            ${this.editingFieldId ? this.renderFieldForm(editingField) : '<button class="btn btn-primary custom-field-add">+ 項目を追加</button>'}
+        `;
+
+        this.setupFieldManagerEventListeners(container);
+    }
+
+    /**
+     * Render the definition form (new field when field is null)
+     */
+    renderFieldForm(field) {
+        const manager = this.customFieldManager;
+        const type = field ? field.type : 'text';
+
+        return `
+            <div class="custom-field-form">
+                <label>項目名 <input type="text" class="custom-field-name-input" value="${field ? HtmlUtils.escape(field.name) : ''}"></label>
+                <label>種類
+                    <select class="custom-field-type-input" ${field ? 'disabled title="種類は作成後に変更できません"' : ''}>
+                        ${Object.entries(manager.types).map(([key, info]) => `
+                            <option value="${key}" ${key === type ? 'selected' : ''}>${info.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="custom-field-options-label" style="display: ${['select', 'multiselect'].includes(type) ? 'flex' : 'none'}">選択肢（カンマ区切り）
+                    <input type="text" class="custom-field-options-input" value="${field ? HtmlUtils.escape(field.options.join(', ')) : ''}">
+                </label>
+                <label>既定値（任意）
+                    <input type="text" class="custom-field-default-input" placeholder="${type === 'boolean' ? 'はい／いいえ' : ''}"
+                           value="${field && field.defaultValue !== null ? HtmlUtils.escape(manager.formatValue(field, field.defaultValue)) : ''}">
+                </label>
+                <div class="custom-field-form-actions">
+                    <button class="btn btn-small btn-primary custom-field-save">保存</button>
+                    <button class="btn btn-small btn-secondary custom-field-cancel">キャンセル</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupFieldManagerEventListeners(container) {
+        const manager = this.customFieldManager;
+
+        const addBtn = container.querySelector('.custom-field-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                this.editingFieldId = 'new';
+                this.renderFieldManager();
+            });
+        }
+
+        container.querySelectorAll('.custom-field-edit').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editingFieldId = button.dataset.fieldId;
+                this.renderFieldManager();
+            });
+        });
+
+        container.querySelectorAll('.custom-field-delete').forEach(button => {
+            button.addEventListener('click', async () => {
+                const field = manager.getField(button.dataset.fieldId);
+                if (!confirm(`項目「${field.name}」を削除しますか？\n全ゲームに入力した値も削除されます。`)) return;
+
+                if (await this.runAction(() => manager.deleteField(field.id))) {
+                    this.notifyFieldsChange();
+                }
+                this.renderFieldManager();
+            });
+        });
+
+        const form = container.querySelector('.custom-field-form');
+        if (!form) return;
+
+        const typeSelect = form.querySelector('.custom-field-type-input');
+        typeSelect.addEventListener('change', () => {
+            form.querySelector('.custom-field-options-label').style.display =
+                ['select', 'multiselect'].includes(typeSelect.value) ? 'flex' : 'none';
+        });
+
+        form.querySelector('.custom-field-cancel').addEventListener('click', () => {
+            this.editingFieldId = null;
+            this.renderFieldManager();
+        });
+
+        form.querySelector('.custom-field-save').addEventListener('click', async () => {
+            const fieldData = {
+                name: form.querySelector('.custom-field-name-input').value,
+                type: typeSelect.value,
+                options: form.querySelector('.custom-field-options-input').value,
+                defaultValue: form.querySelector('.custom-field-default-input').value
+            };
+
+            const saved = await this.runAction(() => this.editingFieldId === 'new' ?
+                manager.addField(fieldData) :
+                manager.updateField(this.editingFieldId, fieldData));
+
+            if (saved) {
+                this.editingFieldId = null;
+                this.renderFieldManager();
+                this.notifyFieldsChange();
+            }
+        });
+    }
+
+    /**
+     * Render the custom fields section for the game detail modal
+     */
+    renderFieldSection(gameId) {
+        const game = this.customFieldManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        return `
+            <div class="custom-fields-section" id="custom-fields-section-${gameId}">
+                ${this.renderSectionContent(game)}
+            </div>
+        `;
+    }
+
+    renderSectionContent(game) {
+        const fields = this.customFieldManager.getFields();
+
+        return `
+            <h3>🧩 カスタム項目</h3>
+            ${fields.length > 0 ? `
+                <div class="custom-field-values">
+                    ${fields.map(field => `
+                        <label class="custom-field-value" data-field-id="${field.id}">
+                            <span>${HtmlUtils.escape(field.name)}</span>
+                            ${this.renderValueInput(field, this.customFieldManager.getValue(game, field))}
+                        </label>
+                    `).join('')}
+                </div>
+            ` : '<p class="no-custom-fields">カスタム項目は「🧩 カスタム項目」から定義できます</p>'}
+        `;
+    }
+
+    /**
+     * Render the input for a field value
+     */
+    renderValueInput(field, value) {
+        switch (field.type) {
+            case 'number':
+                return `<input type="number" step="any" class="custom-field-input" value="${value ?? ''}">`;
+            case 'date':
+                return `<input type="date" class="custom-field-input" value="${value || ''}">`;
+            case 'boolean':
+                return `<input type="checkbox" class="custom-field-input" ${value ? 'checked' : ''}>`;
+            case 'select':
+                return `
+                    <select class="custom-field-input">
+                        <option value="">—</option>
+                        ${field.options.map(option => `
+                            <option value="${HtmlUtils.escape(option)}" ${option === value ? 'selected' : ''}>${HtmlUtils.escape(option)}</option>
+                        `).join('')}
+                    </select>
+                `;
+            case 'multiselect':
+                return `
+                    <span class="custom-field-input custom-field-multi">
+                        ${field.options.map(option => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" value="${HtmlUtils.escape(option)}" ${(value || []).includes(option) ? 'checked' : ''}>
+                                ${HtmlUtils.escape(option)}
+                            </label>
+                        `).join('')}
+                    </span>
+                `;
+            default:
+                return `<input type="text" class="custom-field-input" value="${HtmlUtils.escape(value ?? '')}">`;
+        }
+    }
+
+    /**
+     * Read a field value input back
+     */
+    readValueInput(field, input) {
+        if (field.type === 'boolean') return input.checked;
+        if (field.type === 'multiselect') {
+            return [...input.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+        }
+        return input.value;
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     * Values are saved as soon as an input changes
+     */
+    setupFieldEventListeners(gameId) {
+        const section = document.getElementById(`custom-fields-section-${gameId}`);
+        if (!section) return;
+
+        section.querySelectorAll('.custom-field-value').forEach(label => {
+            const field = this.customFieldManager.getField(label.dataset.fieldId);
+            const input = label.querySelector('.custom-field-input');
+            if (!field || !input) return;
+
+            input.addEventListener('change', async () => {
+                const saved = await this.runAction(() =>
+                    this.customFieldManager.setValue(gameId, field.id, this.readValueInput(field, input)));
+                if (saved) this.notifyValueChange(gameId);
+            });
+        });
+    }
+
+    /**
+     * Re-render the section in place (after field definitions change)
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`custom-fields-section-${gameId}`);
+        const game = this.customFieldManager.gameManager.findGameById(gameId);
+        if (!section || !game) return;
+
+        section.innerHTML = this.renderSectionContent(game);
+        this.setupFieldEventListeners(gameId);
+    }
+
+    /**
+     * Render one condition row: field, operator and (when the operator needs one) a value
+     * @param {Object} condition - { field, operator, value } or null for a blank row
+     * @param {boolean} includeBuiltin - Offer built-in game fields besides custom fields
+     */
+    renderConditionRow(condition, includeBuiltin = true) {
+        const fields = this.customFieldManager.getRuleFields(includeBuiltin);
+        const selected = fields.find(field => field.key === condition?.field) || null;
+
+        return `
+            <div class="condition-row">
+                <select class="condition-field">
+                    <option value="">項目を選択...</option>
+                    ${fields.map(field => `
+                        <option value="${field.key}" ${field.key === condition?.field ? 'selected' : ''}>${HtmlUtils.escape(field.label)}</option>
+                    `).join('')}
+                </select>
+                ${selected ? this.renderConditionControls(selected, condition) : ''}
+            </div>
+        `;
+    }
+
+    renderConditionControls(field, condition) {
+        const manager = this.customFieldManager;
+        const operators = manager.typeOperators[field.type];
+        const operator = operators.includes(condition?.operator) ? condition.operator : operators[0];
+        const value = condition?.value ?? '';
+
+        let valueInput = '';
+        if (!manager.valuelessOperators.includes(operator)) {
+            if (field.options) {
+                valueInput = `
+                    <select class="condition-value">
+                        ${field.options.map(option => `
+                            <option value="${HtmlUtils.escape(option)}" ${option === value ? 'selected' : ''}>
+                                ${HtmlUtils.escape(field.optionLabels ? field.optionLabels[option] : option)}
+                            </option>
+                        `).join('')}
+                    </select>
+                `;
+            } else {
+                const inputType = field.type === 'number' ? 'number' : (field.type === 'date' ? 'date' : 'text');
+                valueInput = `<input type="${inputType}" class="condition-value" value="${HtmlUtils.escape(value)}">`;
+            }
+        }
+
+        return `
+            <select class="condition-operator">
+                ${operators.map(key => `
+                    <option value="${key}" ${key === operator ? 'selected' : ''}>${manager.operators[key].label}</option>
+                `).join('')}
+            </select>
+            ${valueInput}
+        `;
+    }
+
+    /**
+     * Read a condition row (null until a field is chosen)
+     */
+    readConditionRow(row) {
+        const field = row.querySelector('.condition-field').value;
+        if (!field) return null;
+
+        const operator = row.querySelector('.condition-operator');
+        const value = row.querySelector('.condition-value');
+
+        return {
+            field: field,
+            operator: operator ? operator.value : null,
+            value: value ? value.value : ''
+        };
+    }
+
+    /**
+     * Re-render a row's operator and value controls when its field or operator changes,
+     * and call onChange with the row's condition on every edit
+     */
+    bindConditionRow(row, onChange, includeBuiltin = true) {
+        row.addEventListener('change', (e) => {
+            if (e.target.matches('.condition-field, .condition-operator')) {
+                const condition = this.readConditionRow(row);
+                if (e.target.matches('.condition-field') && condition) condition.operator = null;
+
+                const replacement = document.createElement('div');
+                replacement.innerHTML = this.renderConditionRow(condition, includeBuiltin).trim();
+                row.innerHTML = replacement.firstElementChild.innerHTML;
+            }
+            onChange(this.readConditionRow(row));
+        });
+    }
+
+    /**
+     * Render the sidebar filter (custom fields only; hidden while no field is defined)
+     * @param {Object} condition - Current filter condition or null
+     */
+    renderFilter(condition) {
+        const container = document.getElementById('custom-field-filter');
+        if (!container) return;
+
+        const group = container.closest('.filter-group');
+        const hasFields = this.customFieldManager.getFields().length > 0;
+        if (group) group.style.display = hasFields ? '' : 'none';
+        if (!hasFields) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Filters on deleted fields are dropped
+        const current = condition && this.customFieldManager.getField(condition.field.slice('field:'.length)) ? condition : null;
+        container.innerHTML = this.renderConditionRow(current, false);
+
+        this.bindConditionRow(container.querySelector('.condition-row'), (updated) => {
+            if (this.callbacks.onFilterChange) this.callbacks.onFilterChange(updated);
+        }, false);
+    }
+
+    /**
+     * Run a change; returns whether it succeeded
+     */
+    async runAction(action) {
+        try {
+            await action();
+            return true;
+        } catch (error) {
+            console.error('Custom field action failed:', error);
+            alert(`エラー: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Notify the main application that field definitions changed (filters, sort options, open modal)
+     */
+    notifyFieldsChange() {
+        if (this.callbacks.onFieldsChange) {
+            this.callbacks.onFieldsChange();
+        }
+    }
+
+    notifyValueChange(gameId) {
+        if (this.callbacks.onValueChange) {
+            this.callbacks.onValueChange(gameId);
+        }
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * DateUtils - Year lookups shared by the library filters, statistics and reports
+ * Only uses its arguments, so the library worker loads this file as well
+ */
+class DateUtils {
+    /**
+     * Calendar year of a date string or timestamp (null when missing or unreadable)
+     * Strings keep the year as written: parsing "2017-01-01" as UTC would give 2016 west of UTC,
+     * and free-form dates such as "2017年3月" do not parse at all
+     */
+    static getYear(value) {
+        if (!value) return null;
+        if (typeof value === 'string') {
+            const match = value.match(/\d{4}/);
+            return match ? parseInt(match[0]) : null;
+        }
+        const year = new Date(value).getFullYear();
+        return isNaN(year) ? null : year;
+    }
+
+    /**
+     * Release year of a game (null when the release date is missing or unreadable)
+     */
+    static getReleaseYear(game) {
+        return DateUtils.getYear(game.releaseDate);
+    }
+}
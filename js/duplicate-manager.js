@@ -0,0 +1,322 @@
+/**
+ * DuplicateManager - Duplicate game detection and merging
+ * Groups candidates by Wikidata ID or normalized title + release year,
+ * and merges a group into one surviving game (collections are rewritten to the survivor)
+ */
+class DuplicateManager {
+    constructor(gameManager, collectionManager) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+        this.storage = gameManager.storage;
+        this.dismissedGroups = [];
+
+        // Fields where the user picks which game wins
+        this.mergeFields = {
+            title: 'タイトル',
+            wikidataId: 'Wikidata ID',
+            platforms: 'プラットフォーム',
+            releaseDate: '発売日',
+            developer: '開発者',
+            publisher: '発売元',
+            genre: 'ジャンル',
+            coverImage: 'カバー画像',
+            description: '説明',
+            series: 'シリーズ',
+            rating: '評価',
+            completionStatus: '完了状況',
+            playTime: 'プレイ時間'
+        };
+
+        // Fields stored in userMetadata rather than on the game itself
+        this.userMetadataFields = ['rating', 'completionStatus', 'playTime'];
+    }
+
+    /**
+     * Initialize and load groups the user marked as "not duplicates"
+     */
+    async initialize() {
+        try {
+            const dismissed = await this.storage.getMeta('duplicateDismissed');
+            this.dismissedGroups = Array.isArray(dismissed) ? dismissed : [];
+        } catch (error) {
+            console.error('Failed to load dismissed duplicate groups:', error);
+        }
+    }
+
+    /**
+     * Normalize a title for comparison
+     * (full/half-width, case, punctuation, trademark signs and subtitle separators)
+     */
+    normalizeTitle(title) {
+        return (title || '')
+            // Strip signs first: NFKC would turn ™ into "TM"
+            .replace(/[™®©]/g, '')
+            .normalize('NFKC')
+            .toLowerCase()
+            // Subtitle separators and brackets become word breaks
+            .replace(/[:：\-‐–—―~〜～・|｜/／()（）\[\]［］「」『』【】〈〉《》]/g, ' ')
+            // Remaining punctuation is dropped
+            .replace(/[!！?？.,、。'"’”“`*＊&＆#＃+＋]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find groups of games that are probably the same title
+     * @returns {Array} [{ key, games, reasons }]
+     */
+    findDuplicates() {
+        const games = this.gameManager.getAllGames();
+        const parent = new Map(games.map(game => [game.id, game.id]));
+        const reasons = new Map();
+
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const union = (a, b, reason) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(rootB, rootA);
+            reasons.set(a, (reasons.get(a) || new Set()).add(reason));
+            reasons.set(b, (reasons.get(b) || new Set()).add(reason));
+        };
+
+        // Same Wikidata item
+        const byWikidata = new Map();
+        games.filter(game => game.wikidataId).forEach(game => {
+            if (byWikidata.has(game.wikidataId)) {
+                union(byWikidata.get(game.wikidataId), game.id, 'wikidata');
+            } else {
+                byWikidata.set(game.wikidataId, game.id);
+            }
+        });
+
+        // Same normalized title and compatible release year
+        const byTitle = new Map();
+        games.forEach(game => {
+            const key = this.normalizeTitle(game.title);
+            if (!key) return;
+            if (!byTitle.has(key)) byTitle.set(key, []);
+            byTitle.get(key).push(game);
+        });
+
+        byTitle.forEach(candidates => {
+            if (candidates.length < 2) return;
+
+            const years = [...new Set(candidates.map(game => DateUtils.getReleaseYear(game)).filter(Boolean))];
+            candidates.forEach((game, index) => {
+                candidates.slice(index + 1).forEach(other => {
+                    const year = DateUtils.getReleaseYear(game);
+                    const otherYear = DateUtils.getReleaseYear(other);
+                    // Unknown years only match when the title has a single known year (remakes keep the title)
+                    const sameYear = year && otherYear ? year === otherYear : years.length <= 1;
+                    if (sameYear) {
+                        union(game.id, other.id, 'title');
+                    }
+                });
+            });
+        });
+
+        const groups = new Map();
+        games.forEach(game => {
+            const root = find(game.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(game);
+        });
+
+        return [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({
+                key: this.getGroupKey(group.map(game => game.id)),
+                games: group,
+                reasons: [...new Set(group.flatMap(game => [...(reasons.get(game.id) || [])]))]
+            }))
+            .filter(group => !this.dismissedGroups.includes(group.key))
+            .sort((a, b) => a.games[0].title.localeCompare(b.games[0].title, 'ja'));
+    }
+
+    /**
+     * Stable key for a group of game IDs
+     */
+    getGroupKey(gameIds) {
+        return [...gameIds].sort().join('|');
+    }
+
+    /**
+     * Mark a group as "not duplicates" so it is no longer suggested
+     */
+    async dismissGroup(gameIds) {
+        const key = this.getGroupKey(gameIds);
+        if (!this.dismissedGroups.includes(key)) {
+            this.dismissedGroups.push(key);
+            await this.storage.setMeta('duplicateDismissed', this.dismissedGroups);
+        }
+    }
+
+    /**
+     * Read a merge field from a game
+     */
+    getFieldValue(game, field) {
+        return this.userMetadataFields.includes(field) ? game.userMetadata[field] : game[field];
+    }
+
+    /**
+     * Check whether a field value carries information
+     */
+    hasValue(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== null && value !== undefined && value !== '' && value !== 0 && value !== 'not_started';
+    }
+
+    /**
+     * Default field choices: the survivor's value, or the first game that has one
+     * @returns {Object} field -> game ID
+     */
+    getDefaultChoices(games, survivorId) {
+        const ordered = [
+            games.find(game => game.id === survivorId),
+            ...games.filter(game => game.id !== survivorId)
+        ];
+
+        const choices = {};
+        Object.keys(this.mergeFields).forEach(field => {
+            const source = ordered.find(game => this.hasValue(this.getFieldValue(game, field))) || ordered[0];
+            choices[field] = source.id;
+        });
+        return choices;
+    }
+
+    /**
+     * Build the merged game without saving it
+     * @param {Array} games - Games in the group
+     * @param {string} survivorId - ID kept after the merge
+     * @param {Object} choices - field -> ID of the game whose value wins
+     */
+    buildMergedGame(games, survivorId, choices = {}) {
+        const survivor = games.find(game => game.id === survivorId);
+        if (!survivor) {
+            throw new Error('Surviving game is not part of the group');
+        }
+
+        const pick = field => {
+            const source = games.find(game => game.id === choices[field]) || survivor;
+            return JSON.parse(JSON.stringify(this.getFieldValue(source, field) ?? null));
+        };
+        const union = values => [...new Set(values.flat().filter(Boolean))];
+
+        const merged = JSON.parse(JSON.stringify(survivor));
+        Object.keys(this.mergeFields)
+            .filter(field => !this.userMetadataFields.includes(field))
+            .forEach(field => {
+                merged[field] = pick(field);
+            });
+
+        // Titles that lost become alternative titles
+        merged.alternativeTitles = union([
+            ...games.map(game => game.alternativeTitles || []),
+            ...games.map(game => game.title)
+        ]).filter(title => title !== merged.title);
+        merged.screenshots = union(games.map(game => game.screenshots || []));
+        merged.officialStoreLinks = Object.assign({}, ...games.slice().reverse().map(game => game.officialStoreLinks || {}), survivor.officialStoreLinks);
+
+        // Links between the merged games themselves disappear with the merge
+        const groupIds = games.map(game => game.id);
+        merged.relations = [...new Map(games
+            .flatMap(game => game.relations || [])
+            .filter(relation => !groupIds.includes(relation.gameId))
+            .map(relation => [`${relation.type}:${relation.gameId}`, relation])).values()];
+
+        const sessions = new Map();
+        const copies = new Map();
+        const checklist = new Map();
+        const loans = new Map();
+        games.forEach(game => {
+            (game.userMetadata.playSessions || []).forEach(session => sessions.set(session.id, session));
+            (game.userMetadata.ownedCopies || []).forEach(copy => copies.set(copy.id, copy));
+            (game.userMetadata.checklist || []).forEach(item => checklist.set(item.id, item));
+            (game.userMetadata.loans || []).forEach(loan => loans.set(loan.id, loan));
+        });
+        const playSessions = [...sessions.values()].sort((a, b) => a.start - b.start);
+        const playTimeSource = games.find(game => game.id === choices.playTime) || survivor;
+
+        merged.userMetadata = {
+            ...survivor.userMetadata,
+            rating: pick('rating') || 0,
+            completionStatus: pick('completionStatus') || 'not_started',
+            // The completion date belongs with the chosen status
+            completedDate: (games.find(game => game.id === choices.completionStatus) || survivor).userMetadata.completedDate || null,
+            startedDate: games.map(game => game.userMetadata.startedDate).filter(Boolean).sort((a, b) => a - b)[0] || null,
+            // Hours no session accounts for come from the chosen game; every merged session adds to them
+            playTime: Math.round((PlaySessionManager.getUntrackedPlayTime(playTimeSource) +
+                PlaySessionManager.calculatePlayTime(playSessions)) * 100) / 100,
+            tags: union(games.map(game => game.userMetadata.tags || [])),
+            notes: union(games.map(game => (game.userMetadata.notes || '').trim())).join('\n\n'),
+            playSessions: playSessions,
+            ownedCopies: [...copies.values()],
+            checklist: [...checklist.values()],
+            loans: [...loans.values()],
+            // Field values of the survivor win; the others fill in fields it left empty
+            customFields: Object.assign({}, ...games.slice().reverse().map(game => game.userMetadata.customFields || {}), survivor.userMetadata.customFields),
+            favorite: games.some(game => game.userMetadata.favorite),
+            dateAdded: Math.min(...games.map(game => game.userMetadata.dateAdded || Date.now()))
+        };
+
+        return merged;
+    }
+
+    /**
+     * Merge a group into the survivor, delete the others and rewrite collections
+     * @returns {Promise<Object>} The merged game
+     */
+    async mergeGames(gameIds, survivorId, choices = {}) {
+        const games = gameIds.map(id => this.gameManager.findGameById(id)).filter(Boolean);
+        if (games.length < 2) {
+            throw new Error('At least two games are required to merge');
+        }
+
+        const merged = this.buildMergedGame(games, survivorId, choices);
+        const loserIds = games.map(game => game.id).filter(id => id !== survivorId);
+        const history = this.gameManager.history;
+
+        if (history) history.beginBatch(`${games.length}件のゲームを「${merged.title}」に統合`);
+        try {
+            const { id, ...updates } = merged;
+            await this.gameManager.updateGame(survivorId, updates);
+
+            for (const collection of this.collectionManager.getAllCollections()) {
+                if (!loserIds.some(loserId => collection.games.includes(loserId))) continue;
+
+                const rewrite = ids => [...new Set(ids.map(gameId => loserIds.includes(gameId) ? survivorId : gameId))];
+                await this.collectionManager.updateCollection(collection.id, {
+                    games: rewrite(collection.games),
+                    gameOrder: rewrite(collection.gameOrder)
+                });
+            }
+
+            // Links from other games to a merged duplicate now point at the survivor
+            const linkedIds = this.gameManager.getAllGames()
+                .filter(game => !games.some(member => member.id === game.id))
+                .filter(game => (game.relations || []).some(relation => loserIds.includes(relation.gameId)))
+                .map(game => game.id);
+            if (linkedIds.length > 0) {
+                await this.gameManager.updateGames(linkedIds, game => ({
+                    relations: [...new Map(game.relations
+                        .map(relation => loserIds.includes(relation.gameId) ? { ...relation, gameId: survivorId } : relation)
+                        .map(relation => [`${relation.type}:${relation.gameId}`, relation])).values()]
+                }));
+            }
+
+            for (const loserId of loserIds) {
+                await this.gameManager.deleteGame(loserId);
+            }
+        } finally {
+            if (history) history.endBatch();
+        }
+
+        return this.gameManager.findGameById(survivorId);
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * DuplicateUI - Duplicate finder modal with a per-field merge table
+ */
+class DuplicateUI {
+    constructor(duplicateManager, onMerge = null) {
+        this.duplicateManager = duplicateManager;
+        this.onMerge = onMerge;
+        this.groups = [];
+        this.survivors = {};
+        this.choices = {};
+
+        this.completionLabels = {
+            not_started: '⚪ 未プレイ',
+            in_progress: '🟡 プレイ中',
+            completed: '🟢 完了',
+            abandoned: '🔴 中断'
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const findDuplicatesBtn = document.getElementById('find-duplicates');
+        if (findDuplicatesBtn) {
+            findDuplicatesBtn.addEventListener('click', () => this.showDuplicateFinder());
+        }
+    }
+
+    /**
+     * Scan the library and open the duplicate modal
+     */
+    showDuplicateFinder() {
+        const modal = document.getElementById('duplicate-modal');
+        if (!modal) return;
+
+        this.scan();
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Find duplicate groups and reset merge choices
+     */
+    scan() {
+        this.groups = this.duplicateManager.findDuplicates();
+        this.survivors = {};
+        this.choices = {};
+
+        this.groups.forEach(group => {
+            // Keep the oldest entry by default
+            const survivor = [...group.games].sort((a, b) =>
+                (a.userMetadata.dateAdded || 0) - (b.userMetadata.dateAdded || 0)
+            )[0];
+            this.survivors[group.key] = survivor.id;
+            this.choices[group.key] = this.duplicateManager.getDefaultChoices(group.games, survivor.id);
+        });
+    }
+
+    /**
+     * Render every group
+     */
+    render() {
+        const container = document.getElementById('duplicate-groups');
+        if (!container) return;
+
+        if (this.groups.length === 0) {
+            container.innerHTML = '<p class="no-duplicates">重複の候補は見つかりませんでした 🎉</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="duplicate-summary">${this.groups.length}件の重複候補が見つかりました。残すゲームと各項目の採用元を選んで統合してください。</p>
+            ${this.groups.map(group => this.renderGroup(group)).join('')}
+        `;
+        this.setupGroupEventListeners(container);
+    }
+
+    /**
+     * Render a group as a merge table (one column per game)
+     */
+    renderGroup(group) {
+        const manager = this.duplicateManager;
+        const survivorId = this.survivors[group.key];
+        const choices = this.choices[group.key];
+        const reasonLabels = { wikidata: 'Wikidata ID一致', title: 'タイトル・発売年一致' };
+
+        return `
+            <div class="duplicate-group" data-group-key="${group.key}">
+                <div class="duplicate-group-header">
+                    <h3>${group.games[0].title}</h3>
+                    ${group.reasons.map(reason => `<span class="duplicate-reason">${reasonLabels[reason]}</span>`).join('')}
+                </div>
+                <table class="duplicate-merge-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${group.games.map(game => `
+                                <th class="${game.id === survivorId ? 'survivor' : ''}">
+                                    <label>
+                                        <input type="radio" class="duplicate-survivor" name="survivor-${group.key}" value="${game.id}" ${game.id === survivorId ? 'checked' : ''}>
+                                        残す
+                                    </label>
+                                    <small>追加日 ${new Date(game.userMetadata.dateAdded).toLocaleDateString('ja-JP')}</small>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(manager.mergeFields).map(([field, label]) => `
+                            <tr>
+                                <th>${label}</th>
+                                ${group.games.map(game => `
+                                    <td class="${choices[field] === game.id ? 'chosen' : ''}">
+                                        <label>
+                                            <input type="radio" class="duplicate-field" data-field="${field}" name="field-${group.key}-${field}" value="${game.id}" ${choices[field] === game.id ? 'checked' : ''}>
+                                            ${this.formatValue(field, manager.getFieldValue(game, field))}
+                                        </label>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                        <tr class="duplicate-union-row">
+                            <th>統合される項目</th>
+                            ${group.games.map(game => `
+                                <td>
+                                    タグ ${(game.userMetadata.tags || []).length} /
+                                    メモ ${game.userMetadata.notes ? 'あり' : 'なし'} /
+                                    セッション ${(game.userMetadata.playSessions || []).length} /
+                                    コピー ${(game.userMetadata.ownedCopies || []).length} /
+                                    関連 ${(game.relations || []).length}
+                                    <div class="duplicate-collections">${this.renderCollectionNames(game.id)}</div>
+                                </td>
+                            `).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="duplicate-actions">
+                    <button class="btn btn-primary duplicate-merge">🔗 統合する</button>
+                    <button class="btn btn-secondary duplicate-dismiss">重複ではない</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * List the (non-default) collections a game belongs to
+     */
+    renderCollectionNames(gameId) {
+        const names = this.duplicateManager.collectionManager.getAllCollections()
+            .filter(collection => collection.games.includes(gameId) && collection.id !== 'all')
+            .map(collection => `${collection.emoji} ${collection.name}`);
+        return names.length > 0 ? names.join(', ') : 'コレクションなし';
+    }
+
+    /**
+     * Format a field value for the table
+     */
+    formatValue(field, value) {
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '<span class="empty-value">—</span>';
+        }
+
+        switch (field) {
+            case 'coverImage':
+                return `<img src="${value}" alt="" class="duplicate-cover">`;
+            case 'description':
+                return value.length > 80 ? `${value.substring(0, 80)}…` : value;
+            case 'rating':
+                return value > 0 ? '★'.repeat(value) : '<span class="empty-value">—</span>';
+            case 'completionStatus':
+                return this.completionLabels[value] || value;
+            case 'playTime':
+                return `${value}時間`;
+            default:
+                return Array.isArray(value) ? value.join(', ') : value;
+        }
+    }
+
+    /**
+     * Setup listeners for survivor/field radios and group actions
+     */
+    setupGroupEventListeners(container) {
+        container.querySelectorAll('.duplicate-group').forEach(groupEl => {
+            const key = groupEl.dataset.groupKey;
+            const group = this.groups.find(g => g.key === key);
+
+            groupEl.querySelectorAll('.duplicate-survivor').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    this.survivors[key] = radio.value;
+                    this.choices[key] = this.duplicateManager.getDefaultChoices(group.games, radio.value);
+                    this.render();
+                });
+            });
+
+            groupEl.querySelectorAll('.duplicate-field').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    this.choices[key][radio.dataset.field] = radio.value;
+                    groupEl.querySelectorAll(`.duplicate-field[data-field="${radio.dataset.field}"]`).forEach(other => {
+                        other.closest('td').classList.toggle('chosen', other.checked);
+                    });
+                });
+            });
+
+            const mergeBtn = groupEl.querySelector('.duplicate-merge');
+            mergeBtn.addEventListener('click', async () => {
+                mergeBtn.disabled = true;
+                try {
+                    const merged = await this.duplicateManager.mergeGames(
+                        group.games.map(game => game.id),
+                        this.survivors[key],
+                        this.choices[key]
+                    );
+                    this.notifyMerge(`${group.games.length}件を「${merged.title}」に統合しました`);
+                    this.scan();
+                    this.render();
+                } catch (error) {
+                    console.error('Failed to merge games:', error);
+                    alert(`エラー: ${error.message}`);
+                    mergeBtn.disabled = false;
+                }
+            });
+
+            groupEl.querySelector('.duplicate-dismiss').addEventListener('click', async () => {
+                try {
+                    await this.duplicateManager.dismissGroup(group.games.map(game => game.id));
+                    this.scan();
+                    this.render();
+                } catch (error) {
+                    console.error('Failed to dismiss duplicate group:', error);
+                    alert(`エラー: ${error.message}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Notify the main application that games were merged
+     */
+    notifyMerge(message) {
+        if (this.onMerge) {
+            this.onMerge(message);
+        }
+    }
+}
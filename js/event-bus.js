@@ -0,0 +1,88 @@
+/**
+ * EventBus - Typed change events between the data managers and the views
+ * GameManager emits game:added / game:updated / game:removed and CollectionManager emits collection:changed
+ * after each change is saved; views subscribe and update only what changed
+ * Changes pulled from another tab are emitted the same way, and edits that
+ * collided with another tab's are reported as sync:conflict ({ store, conflicts })
+ */
+class EventBus {
+    constructor() {
+        this.types = ['game:added', 'game:updated', 'game:removed', 'collection:changed', 'sync:conflict'];
+        this.listeners = new Map(this.types.map(type => [type, []]));
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} type - One of this.types
+     * @param {Function} listener - Called with the event ({ type, ...detail })
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribe a listener
+     */
+    off(type, listener) {
+        if (!this.listeners.has(type)) return;
+        this.listeners.set(type, this.listeners.get(type).filter(l => l !== listener));
+    }
+
+    /**
+     * Subscribe to several event types and receive them together once the current task finishes,
+     * so a bulk operation (import, bulk edit, undo) causes one update instead of one per game
+     * @param {Array} types - Event types
+     * @param {Function} listener - Called with an array of events
+     * @returns {Function} Unsubscribe function
+     */
+    onBatch(types, listener) {
+        let pending = [];
+        let timer = null;
+
+        const collect = event => {
+            pending.push(event);
+            if (timer) return;
+
+            timer = setTimeout(() => {
+                const events = pending;
+                pending = [];
+                timer = null;
+                try {
+                    listener(events);
+                } catch (error) {
+                    console.error('Batched event listener failed:', error);
+                }
+            }, 0);
+        };
+
+        const unsubscribers = types.map(type => this.on(type, collect));
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            clearTimeout(timer);
+        };
+    }
+
+    /**
+     * Emit an event to its listeners (a failing listener does not stop the others)
+     */
+    emit(type, detail = {}) {
+        if (!this.listeners.has(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const event = { type, ...detail };
+        this.listeners.get(type).forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Listener for ${type} failed:`, error);
+            }
+        });
+    }
+}
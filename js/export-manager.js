@@ -0,0 +1,339 @@
+/**
+ * ExportManager - Human-readable exports of the game library
+ * CSV with selectable columns, Markdown grouped by platform or status, and a
+ * self-contained HTML catalog. The JSON backup stays in GameManager.exportCollectionFile
+ */
+class ExportManager {
+    constructor(gameManager, customFieldManager = null) {
+        this.gameManager = gameManager;
+        this.customFieldManager = customFieldManager;
+        this.coverCacheManager = null;
+
+        this.completionLabels = {
+            not_started: '未プレイ',
+            in_progress: 'プレイ中',
+            completed: '完了',
+            abandoned: '中断'
+        };
+
+        // CSV columns: key -> { label, value(game) }
+        // Labels match CsvImportManager field labels so exported files import back without remapping
+        this.columns = {
+            title: { label: 'タイトル', value: game => game.title },
+            alternativeTitles: { label: '別名', value: game => game.alternativeTitles || [] },
+            platforms: { label: 'プラットフォーム', value: game => game.platforms || [] },
+            releaseDate: { label: '発売日', value: game => game.releaseDate },
+            developer: { label: '開発者', value: game => game.developer },
+            publisher: { label: '発売元', value: game => game.publisher },
+            genre: { label: 'ジャンル', value: game => game.genre || [] },
+            coverImage: { label: 'カバー画像URL', value: game => game.coverImage },
+            description: { label: '説明', value: game => game.description },
+            wikidataId: { label: 'Wikidata ID', value: game => game.wikidataId },
+            rating: { label: '評価', value: game => game.userMetadata.rating || '' },
+            completionStatus: { label: '完了状況', value: game => this.completionLabels[game.userMetadata.completionStatus] },
+            playTime: { label: 'プレイ時間（時間）', value: game => game.userMetadata.playTime || '' },
+            notes: { label: 'メモ', value: game => game.userMetadata.notes },
+            tags: { label: 'タグ', value: game => game.userMetadata.tags || [] },
+            favorite: { label: 'お気に入り', value: game => game.userMetadata.favorite ? 'はい' : '' },
+            dateAdded: { label: '追加日', value: game => this.formatDate(game.userMetadata.dateAdded) }
+        };
+
+        this.defaultColumns = ['title', 'platforms', 'releaseDate', 'developer', 'genre', 'rating', 'completionStatus', 'playTime', 'tags'];
+    }
+
+    /**
+     * Built-in columns followed by one column per custom field ('field:<id>')
+     */
+    getColumns() {
+        const columns = { ...this.columns };
+
+        if (this.customFieldManager) {
+            this.customFieldManager.getFields().forEach(field => {
+                columns[`field:${field.id}`] = {
+                    label: field.name,
+                    value: game => this.customFieldManager.formatValue(field, this.customFieldManager.getValue(game, field))
+                };
+            });
+        }
+
+        return columns;
+    }
+
+    /**
+     * Format a timestamp as YYYY-MM-DD
+     */
+    formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toISOString().split('T')[0] : '';
+    }
+
+    /**
+     * Quote a CSV cell when it contains a delimiter, quote or line break
+     */
+    escapeCsvCell(value) {
+        const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a CSV file from games
+     * @param {Array} games - Games in export order
+     * @param {Array} columnKeys - Column keys in output order
+     * @returns {string} CSV text (with BOM so Excel reads UTF-8)
+     */
+    toCSV(games, columnKeys = this.defaultColumns) {
+        const available = this.getColumns();
+        const columns = columnKeys.filter(key => available[key]);
+        if (columns.length === 0) {
+            throw new Error('At least one column is required');
+        }
+
+        const lines = [
+            columns.map(key => this.escapeCsvCell(available[key].label)).join(','),
+            ...games.map(game => columns.map(key => this.escapeCsvCell(available[key].value(game))).join(','))
+        ];
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escape characters that Markdown would treat as formatting
+     */
+    escapeMarkdown(text) {
+        return String(text ?? '').replace(/([\\`*_[\]#<>|])/g, '\\$1');
+    }
+
+    /**
+     * Group games by platform or completion status (a game can sit under several platforms)
+     * @returns {Array} [{ name, games }]
+     */
+    groupGames(games, groupBy) {
+        if (groupBy === 'status') {
+            return Object.entries(this.completionLabels)
+                .map(([status, label]) => ({
+                    name: label,
+                    games: games.filter(game => (game.userMetadata.completionStatus || 'not_started') === status)
+                }))
+                .filter(group => group.games.length > 0);
+        }
+
+        if (groupBy === 'platform') {
+            const groups = new Map();
+            games.forEach(game => {
+                const platforms = game.platforms && game.platforms.length > 0 ? game.platforms : ['プラットフォーム不明'];
+                platforms.forEach(platform => {
+                    if (!groups.has(platform)) groups.set(platform, []);
+                    groups.get(platform).push(game);
+                });
+            });
+            return [...groups.entries()]
+                .sort(([a], [b]) => a.localeCompare(b, 'ja'))
+                .map(([name, groupGames]) => ({ name, games: groupGames }));
+        }
+
+        return [{ name: null, games: games }];
+    }
+
+    /**
+     * Build a Markdown list
+     * @param {Array} games - Games in export order
+     * @param {Object} options - { groupBy: 'platform'|'status'|'none', title }
+     */
+    toMarkdown(games, options = {}) {
+        const groupBy = options.groupBy || 'platform';
+        const lines = [`# ${this.escapeMarkdown(options.title || 'ゲームライブラリ')}`, '', `${games.length}本 ・ ${this.formatDate(Date.now())} 時点`, ''];
+
+        this.groupGames(games, groupBy).forEach(group => {
+            if (group.name) {
+                lines.push(`## ${this.escapeMarkdown(group.name)} (${group.games.length})`, '');
+            }
+
+            group.games.forEach(game => {
+                const year = DateUtils.getReleaseYear(game);
+                const details = [
+                    groupBy !== 'platform' && game.platforms.length > 0 ? game.platforms.join(' / ') : null,
+                    year,
+                    game.developer
+                ].filter(Boolean).map(detail => this.escapeMarkdown(detail));
+
+                let line = `- **${this.escapeMarkdown(game.title)}**`;
+                if (details.length > 0) line += ` (${details.join(', ')})`;
+                if (game.userMetadata.rating > 0) line += ` ${'★'.repeat(game.userMetadata.rating)}${'☆'.repeat(5 - game.userMetadata.rating)}`;
+                if (groupBy !== 'status') line += ` — ${this.completionLabels[game.userMetadata.completionStatus] || this.completionLabels.not_started}`;
+                if (game.userMetadata.favorite) line += ' ❤️';
+                lines.push(line);
+            });
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Attach a CoverCacheManager so embedded covers come from the offline cache when possible
+     */
+    setCoverCacheManager(coverCacheManager) {
+        this.coverCacheManager = coverCacheManager;
+    }
+
+    /**
+     * Download covers and turn them into data URLs (covers that cannot be fetched keep their URL)
+     * @param {Array} games - Games whose covers to embed
+     * @param {Function} onProgress - Called with (done, total)
+     * @returns {Promise<Map>} game ID -> data URL
+     */
+    async embedCovers(games, onProgress = null) {
+        const covers = new Map();
+        const withCovers = games.filter(game => game.coverImage && !game.coverImage.startsWith('data:'));
+
+        for (let i = 0; i < withCovers.length; i++) {
+            const game = withCovers[i];
+            try {
+                // Covers in the offline cache are embedded without a download
+                let blob = this.coverCacheManager ? await this.coverCacheManager.getCachedBlob(game.coverImage) : null;
+                if (!blob) {
+                    const response = await fetch(game.coverImage);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    blob = await response.blob();
+                }
+                covers.set(game.id, await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob);
+                }));
+            } catch (error) {
+                // Cross-origin covers without CORS headers stay as links
+                console.warn(`Could not embed cover for ${game.title}:`, error);
+            }
+
+            if (onProgress) onProgress(i + 1, withCovers.length);
+        }
+
+        return covers;
+    }
+
+    /**
+     * Build a self-contained HTML catalog with search and platform/status filters
+     * @param {Array} games - Games in export order (the current sort is kept)
+     * @param {Object} options - { title, sortLabel, covers: Map of embedded covers }
+     */
+    toHTML(games, options = {}) {
+        const covers = options.covers || new Map();
+        const title = HtmlUtils.escape(options.title || 'ゲームライブラリ');
+        const platforms = [...new Set(games.flatMap(game => game.platforms || []))].sort((a, b) => a.localeCompare(b, 'ja'));
+
+        const cards = games.map(game => {
+            const cover = covers.get(game.id) || game.coverImage;
+            const status = game.userMetadata.completionStatus || 'not_started';
+            const rating = game.userMetadata.rating || 0;
+            const year = DateUtils.getReleaseYear(game);
+            const searchText = [game.title, ...(game.alternativeTitles || []), game.developer, game.publisher, ...(game.userMetadata.tags || [])]
+                .filter(Boolean).join(' ').toLowerCase();
+
+            return `
+        <article class="game" data-status="${status}" data-platforms="${HtmlUtils.escape((game.platforms || []).join('|'))}" data-search="${HtmlUtils.escape(searchText)}">
+            ${cover ? `<img src="${HtmlUtils.escape(cover)}" alt="" loading="lazy">` : `<div class="no-cover">${HtmlUtils.escape(game.title)}</div>`}
+            <div class="info">
+                <h2>${HtmlUtils.escape(game.title)}${game.userMetadata.favorite ? ' ❤️' : ''}</h2>
+                <p class="meta">${HtmlUtils.escape([(game.platforms || []).join(' / '), year, game.developer].filter(Boolean).join(' ・ '))}</p>
+                <p class="meta">${rating > 0 ? '★'.repeat(rating) + '☆'.repeat(5 - rating) + ' ・ ' : ''}${this.completionLabels[status]}${game.userMetadata.playTime ? ` ・ ${game.userMetadata.playTime}時間` : ''}</p>
+                ${(game.userMetadata.tags || []).length > 0 ? `<p class="tags">${game.userMetadata.tags.map(tag => `<span>${HtmlUtils.escape(tag)}</span>`).join('')}</p>` : ''}
+            </div>
+        </article>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; background: #f5f5f5; color: #333; }
+        header { background: #2c3e50; color: #fff; padding: 1rem 1.5rem; }
+        header h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+        header p { margin: 0; opacity: 0.8; font-size: 0.85rem; }
+        .filters { display: flex; flex-wrap: wrap; gap: 0.5rem; padding: 1rem 1.5rem; background: #fff; border-bottom: 1px solid #ddd; position: sticky; top: 0; }
+        .filters input, .filters select { padding: 0.4rem; border: 1px solid #ccc; border-radius: 4px; }
+        .filters input { flex: 1; min-width: 160px; }
+        main { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; padding: 1.5rem; }
+        .game { background: #fff; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .game img, .game .no-cover { width: 100%; aspect-ratio: 3 / 4; object-fit: cover; display: block; }
+        .game .no-cover { display: flex; align-items: center; justify-content: center; text-align: center; background: #ddd; padding: 0.5rem; box-sizing: border-box; }
+        .info { padding: 0.5rem 0.75rem; }
+        .info h2 { font-size: 0.95rem; margin: 0 0 0.25rem; }
+        .meta { font-size: 0.75rem; color: #666; margin: 0.15rem 0; }
+        .tags span { display: inline-block; background: #e3f2fd; border-radius: 10px; padding: 0 0.5rem; margin: 0.1rem; font-size: 0.7rem; }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${title}</h1>
+        <p>${games.length}本${options.sortLabel ? ` ・ ${HtmlUtils.escape(options.sortLabel)}` : ''} ・ ${this.formatDate(Date.now())} 作成</p>
+    </header>
+    <div class="filters">
+        <input type="search" id="search" placeholder="タイトル・開発者・タグで検索">
+        <select id="platform">
+            <option value="">すべてのプラットフォーム</option>
+            ${platforms.map(platform => `<option value="${HtmlUtils.escape(platform)}">${HtmlUtils.escape(platform)}</option>`).join('')}
+        </select>
+        <select id="status">
+            <option value="">すべての完了状況</option>
+            ${Object.entries(this.completionLabels).map(([status, label]) => `<option value="${status}">${label}</option>`).join('')}
+        </select>
+        <span id="count">${games.length}本</span>
+    </div>
+    <main>${cards}
+    </main>
+    <script>
+        (function () {
+            var search = document.getElementById('search');
+            var platform = document.getElementById('platform');
+            var status = document.getElementById('status');
+            var count = document.getElementById('count');
+            var games = document.querySelectorAll('.game');
+
+            function update() {
+                var query = search.value.trim().toLowerCase();
+                var shown = 0;
+                games.forEach(function (game) {
+                    var visible = (!query || game.dataset.search.indexOf(query) !== -1) &&
+                        (!platform.value || game.dataset.platforms.split('|').indexOf(platform.value) !== -1) &&
+                        (!status.value || game.dataset.status === status.value);
+                    game.classList.toggle('hidden', !visible);
+                    if (visible) shown++;
+                });
+                count.textContent = shown + '本';
+            }
+
+            search.addEventListener('input', update);
+            platform.addEventListener('change', update);
+            status.addEventListener('change', update);
+        })();
+    </script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Save text as a file
+     */
+    download(content, filename, type) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * File name with today's date
+     */
+    getFileName(extension) {
+        return `game-library-${this.formatDate(Date.now())}.${extension}`;
+    }
+}
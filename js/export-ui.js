@@ -0,0 +1,190 @@
+/**
+ * ExportUI - Export modal (CSV / Markdown / HTML catalog / JSON backup)
+ * Readable formats export the games currently shown: active collection, filters and sort
+ */
+class ExportUI {
+    constructor(exportManager, callbacks = {}) {
+        this.exportManager = exportManager;
+        this.callbacks = callbacks;
+        this.isExporting = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('export-unified');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.show());
+        }
+
+        document.querySelectorAll('input[name="export-format"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateFormatOptions());
+        });
+
+        const runBtn = document.getElementById('run-export');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runExport());
+        }
+
+        const cancelBtn = document.getElementById('cancel-export');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Open the export modal
+     */
+    show() {
+        const modal = document.getElementById('export-modal');
+        if (!modal) return;
+
+        this.renderColumnOptions();
+        this.updateScope();
+        this.updateFormatOptions();
+        this.setStatus('');
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Games to export, in display order
+     */
+    getGames() {
+        return this.callbacks.getGames ? this.callbacks.getGames() : this.exportManager.gameManager.getAllGames();
+    }
+
+    getContext() {
+        return this.callbacks.getContext ? this.callbacks.getContext() : {};
+    }
+
+    getFormat() {
+        const checked = document.querySelector('input[name="export-format"]:checked');
+        return checked ? checked.value : 'csv';
+    }
+
+    /**
+     * Render one checkbox per CSV column (keeps the previous choice while the page is open;
+     * custom field columns are checked by default)
+     */
+    renderColumnOptions() {
+        const container = document.getElementById('export-columns');
+        if (!container) return;
+
+        const columns = this.exportManager.getColumns();
+        const rendered = [...container.querySelectorAll('input')];
+        if (rendered.length > 0 && rendered.map(input => input.value).join() === Object.keys(columns).join()) return;
+
+        const previous = rendered.length > 0 ?
+            new Map(rendered.map(input => [input.value, input.checked])) :
+            null;
+        const isChecked = key => previous && previous.has(key) ?
+            previous.get(key) :
+            this.exportManager.defaultColumns.includes(key) || key.startsWith('field:');
+
+        container.innerHTML = Object.entries(columns).map(([key, column]) => `
+            <label class="export-column-option">
+                <input type="checkbox" value="${key}" ${isChecked(key) ? 'checked' : ''}>
+                ${HtmlUtils.escape(column.label)}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Describe what will be exported
+     */
+    updateScope() {
+        const scope = document.getElementById('export-scope');
+        if (!scope) return;
+
+        const context = this.getContext();
+        const count = this.getGames().length;
+        const total = this.exportManager.gameManager.getAllGames().length;
+        scope.textContent = this.getFormat() === 'json' ?
+            `全${total}本の完全なデータをエクスポートします（バックアップ・再インポート用。フィルターは適用されません）` :
+            `「${context.title || 'すべて'}」の表示中の${count}本をエクスポートします` +
+            (context.sortLabel ? `（${context.sortLabel}）` : '');
+    }
+
+    /**
+     * Show the options of the selected format only
+     */
+    updateFormatOptions() {
+        const format = this.getFormat();
+        ['csv', 'markdown', 'html'].forEach(name => {
+            const options = document.getElementById(`export-${name}-options`);
+            if (options) options.style.display = name === format ? 'block' : 'none';
+        });
+        this.updateScope();
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('export-status');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Build and download the selected format
+     */
+    async runExport() {
+        if (this.isExporting) return;
+
+        const format = this.getFormat();
+        const games = this.getGames();
+        const context = this.getContext();
+        const title = context.title ? `ゲームライブラリ - ${context.title}` : 'ゲームライブラリ';
+
+        if (format !== 'json' && games.length === 0) {
+            alert('エクスポートするゲームがありません');
+            return;
+        }
+
+        this.isExporting = true;
+        const runBtn = document.getElementById('run-export');
+        if (runBtn) runBtn.disabled = true;
+
+        try {
+            if (format === 'json') {
+                this.exportManager.gameManager.exportCollectionFile();
+            } else if (format === 'csv') {
+                const columns = [...document.querySelectorAll('#export-columns input:checked')].map(input => input.value);
+                if (columns.length === 0) {
+                    alert('出力する列を選択してください');
+                    return;
+                }
+                this.exportManager.download(this.exportManager.toCSV(games, columns),
+                    this.exportManager.getFileName('csv'), 'text/csv;charset=utf-8');
+            } else if (format === 'markdown') {
+                const groupBy = document.getElementById('export-group-by');
+                this.exportManager.download(this.exportManager.toMarkdown(games, {
+                    groupBy: groupBy ? groupBy.value : 'platform',
+                    title: title
+                }), this.exportManager.getFileName('md'), 'text/markdown;charset=utf-8');
+            } else if (format === 'html') {
+                const embed = document.getElementById('export-embed-covers');
+                const covers = embed && embed.checked ?
+                    await this.exportManager.embedCovers(games, (done, total) => {
+                        this.setStatus(`🖼️ カバー画像を埋め込み中... ${done} / ${total}`);
+                    }) : new Map();
+                this.exportManager.download(this.exportManager.toHTML(games, {
+                    title: title,
+                    sortLabel: context.sortLabel,
+                    covers: covers
+                }), this.exportManager.getFileName('html'), 'text/html;charset=utf-8');
+            }
+
+            this.close();
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert(`エラー: ${error.message}`);
+        } finally {
+            this.isExporting = false;
+            if (runBtn) runBtn.disabled = false;
+            this.setStatus('');
+        }
+    }
+
+    close() {
+        const modal = document.getElementById('export-modal');
+        if (modal) modal.style.display = 'none';
+    }
+}
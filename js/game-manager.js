@@ -1,12 +1,30 @@
 /**
  * GameManager - Game collection CRUD management class
- * Handles game data operations, LocalStorage persistence, and collection management
+ * Handles game data operations, persistence through StorageManager, and collection management
  */
 class GameManager {
-    constructor() {
+    constructor(storage = null) {
+        this.storage = storage || new StorageManager();
+        this.schemaMigrator = new SchemaMigrator();
+        this.lastMigrationReport = null;
+        this.history = null;
+        this.customFieldManager = null;
+        this.savedViewManager = null;
+        this.events = null;
+        this.sync = null;
+        this.syncedGames = null;
+        this.syncedFields = null;
+        this.syncedViews = null;
+        this.syncedRevision = null;
+        this.changedGameIds = new Set();
+        // Fields a metadata refresh can overwrite; editing one by hand locks it (userMetadata.lockedFields)
+        this.refreshableFields = ['title', 'platforms', 'releaseDate', 'developer', 'publisher', 'genre', 'coverImage', 'description', 'series'];
         this.collection = {
             games: [],
+            customFields: [],
+            savedViews: [],
             metadata: {
+                schemaVersion: this.schemaMigrator.getCurrentVersion(),
                 lastUpdated: null,
                 totalGames: 0,
                 manuallyAdded: 0,
@@ -20,23 +38,31 @@ class GameManager {
      * Initialize and load collection data
      */
     async initialize() {
-        // First check LocalStorage
-        const savedCollection = localStorage.getItem('gameCollection_data');
-        if (savedCollection) {
-            try {
-                this.collection = JSON.parse(savedCollection);
-                // Validate and migrate data if needed
+        // Load from IndexedDB (or the LocalStorage fallback)
+        try {
+            const savedCollection = await this.storage.loadGameCollection();
+            if (savedCollection) {
+                // Run pending schema migrations, then back-fill missing fields
+                this.collection = await this.applyMigrations(savedCollection);
                 this.validateAndMigrateData();
+                
+                if (this.lastMigrationReport.applied.length > 0) {
+                    this.markChanged(this.collection.games.map(game => game.id));
+                    await this.saveCollection();
+                }
                 return;
-            } catch (error) {
-                console.error('LocalStorage loading error (fallback to empty collection):', error);
             }
+        } catch (error) {
+            console.error('Storage loading error (fallback to empty collection):', error);
         }
         
         // Initialize empty collection if no saved data
         this.collection = {
             games: [],
+            customFields: [],
+            savedViews: [],
             metadata: {
+                schemaVersion: this.schemaMigrator.getCurrentVersion(),
                 lastUpdated: null,
                 totalGames: 0,
                 manuallyAdded: 0,
@@ -46,12 +72,144 @@ class GameManager {
         };
     }
 
+    /**
+     * Run pending schema migrations on stored data, keeping a pre-migration backup
+     */
+    async applyMigrations(collection) {
+        const fromVersion = this.schemaMigrator.getVersion(collection);
+        this.lastMigrationReport = {
+            fromVersion: fromVersion,
+            toVersion: fromVersion,
+            applied: [],
+            backupKey: null
+        };
+
+        if (!this.schemaMigrator.needsMigration(collection)) {
+            return collection;
+        }
+
+        try {
+            const backupKey = `gameCollection_backup_v${fromVersion}`;
+            await this.storage.setMeta(backupKey, {
+                createdAt: Date.now(),
+                schemaVersion: fromVersion,
+                collection: collection
+            });
+
+            const result = this.schemaMigrator.migrate(collection);
+            this.lastMigrationReport = {
+                fromVersion: result.fromVersion,
+                toVersion: result.toVersion,
+                applied: result.applied,
+                backupKey: backupKey
+            };
+
+            console.log(`Applied schema migrations v${result.fromVersion} → v${result.toVersion}:`, result.applied.join(', '));
+            return result.collection;
+        } catch (error) {
+            // Keep the unmigrated data; the migration is retried on next load
+            console.error('Schema migration failed, loading data as-is:', error);
+            this.lastMigrationReport.error = error.message;
+            return collection;
+        }
+    }
+
+    /**
+     * Get the pre-migration backup taken before upgrading from a schema version
+     */
+    async getMigrationBackup(fromVersion) {
+        return await this.storage.getMeta(`gameCollection_backup_v${fromVersion}`);
+    }
+
     /**
      * Validate and migrate data structure for compatibility
      */
     validateAndMigrateData() {
         // Ensure all games have required properties
-        this.collection.games = this.collection.games.map(game => ({
+        this.collection.games = this.collection.games.map(game => this.normalizeGame(game));
+
+        // User-defined field definitions and saved views
+        this.collection.customFields = Array.isArray(this.collection.customFields) ? this.collection.customFields : [];
+        this.collection.savedViews = Array.isArray(this.collection.savedViews) ? this.collection.savedViews : [];
+
+        // Update metadata
+        this.updateMetadata();
+    }
+
+    /**
+     * Generate unique game ID
+     */
+    generateGameId() {
+        return 'game_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Add a new game to the collection
+     */
+    async addGame(gameData) {
+        // Check for duplicates (by title and platform combination)
+        const existingGame = this.collection.games.find(game => 
+            game.title.toLowerCase() === gameData.title?.toLowerCase() &&
+            JSON.stringify(game.platforms.sort()) === JSON.stringify((gameData.platforms || []).sort())
+        );
+
+        if (existingGame) {
+            throw new Error('This game already exists in your collection');
+        }
+
+        const newGame = this.createGame(gameData);
+        const before = this.captureHistory([newGame.id]);
+        this.collection.games.push(newGame);
+        this.markChanged([newGame.id]);
+        this.recordHistory(`「${newGame.title}」を追加`, before);
+        this.updateMetadata();
+        await this.saveCollection();
+        this.emitChange('game:added', { gameId: newGame.id, game: newGame });
+        
+        return newGame;
+    }
+
+    /**
+     * Add several games built with createGame and save once
+     * @param {Array} newGames - Game records from createGame
+     * @param {string} label - History label
+     */
+    async addGames(newGames, label = null) {
+        if (newGames.length === 0) return newGames;
+
+        const before = this.captureHistory(newGames.map(game => game.id));
+        this.collection.games.push(...newGames);
+        this.markChanged(newGames.map(game => game.id));
+        this.recordHistory(label || `${newGames.length}件のゲームを追加`, before);
+        this.updateMetadata();
+        await this.saveCollection();
+        newGames.forEach(game => this.emitChange('game:added', { gameId: game.id, game }));
+
+        return newGames;
+    }
+
+    /**
+     * Build a new game record (with a fresh ID) from game data
+     */
+    createGame(gameData) {
+        // Validate required fields
+        if (!gameData.title) {
+            throw new Error('Game title is required');
+        }
+
+        return this.normalizeGame({
+            ...gameData,
+            id: this.generateGameId(),
+            dataSource: { ...gameData.dataSource, lastUpdated: Date.now() }
+        });
+    }
+
+    /**
+     * Fill in every field of a game record, using the default where a value is missing
+     * The only place game field defaults live: stored games and new games both go through it
+     */
+    normalizeGame(game) {
+        return {
             // Core identifiers
             id: game.id || this.generateGameId(),
             wikidataId: game.wikidataId || null,
@@ -67,6 +225,10 @@ class GameManager {
             publisher: game.publisher || null,
             genre: Array.isArray(game.genre) ? game.genre : [],
             
+            // Relationships
+            series: game.series || null,
+            relations: Array.isArray(game.relations) ? game.relations : [],
+            
             // Media
             coverImage: game.coverImage || null,
             screenshots: Array.isArray(game.screenshots) ? game.screenshots : [],
@@ -83,9 +245,19 @@ class GameManager {
                 rating: game.userMetadata?.rating || 0,
                 notes: game.userMetadata?.notes || '',
                 completionStatus: game.userMetadata?.completionStatus || 'not_started',
+                startedDate: game.userMetadata?.startedDate || null,
+                completedDate: game.userMetadata?.completedDate || null,
                 dateAdded: game.userMetadata?.dateAdded || Date.now(),
                 playTime: game.userMetadata?.playTime || 0,
                 tags: Array.isArray(game.userMetadata?.tags) ? game.userMetadata.tags : [],
+                playSessions: Array.isArray(game.userMetadata?.playSessions) ? game.userMetadata.playSessions : [],
+                ownedCopies: Array.isArray(game.userMetadata?.ownedCopies) ? game.userMetadata.ownedCopies : [],
+                lockedFields: Array.isArray(game.userMetadata?.lockedFields) ? game.userMetadata.lockedFields : [],
+                checklist: Array.isArray(game.userMetadata?.checklist) ? game.userMetadata.checklist : [],
+                ownershipState: game.userMetadata?.ownershipState || 'owned',
+                wishlist: game.userMetadata?.wishlist || null,
+                loans: Array.isArray(game.userMetadata?.loans) ? game.userMetadata.loans : [],
+                customFields: game.userMetadata?.customFields || {},
                 favorite: game.userMetadata?.favorite || false
             },
             
@@ -96,109 +268,81 @@ class GameManager {
                 attribution: game.dataSource?.attribution || null,
                 lastUpdated: game.dataSource?.lastUpdated || Date.now()
             }
-        }));
-
-        // Update metadata
-        this.updateMetadata();
-    }
-
-    /**
-     * Generate unique game ID
-     */
-    generateGameId() {
-        return 'game_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        };
     }
 
     /**
-     * Add a new game to the collection
+     * Update an existing game
+     * @param {Object} options - { lockEdited: false } for updates that do not come from the user (metadata refresh, migration)
      */
-    async addGame(gameData) {
-        // Validate required fields
-        if (!gameData.title) {
-            throw new Error('Game title is required');
-        }
-
-        // Check for duplicates (by title and platform combination)
-        const existingGame = this.collection.games.find(game => 
-            game.title.toLowerCase() === gameData.title.toLowerCase() &&
-            JSON.stringify(game.platforms.sort()) === JSON.stringify((gameData.platforms || []).sort())
-        );
-
-        if (existingGame) {
-            throw new Error('This game already exists in your collection');
+    async updateGame(gameId, updates, options = {}) {
+        const gameIndex = this.collection.games.findIndex(game => game.id === gameId);
+        
+        if (gameIndex === -1) {
+            throw new Error('Game not found');
         }
-
-        const newGame = {
-            // Core identifiers
-            id: this.generateGameId(),
-            wikidataId: gameData.wikidataId || null,
-            
-            // Basic information
-            title: gameData.title,
-            alternativeTitles: gameData.alternativeTitles || [],
-            platforms: gameData.platforms || [],
-            releaseDate: gameData.releaseDate || null,
-            
-            // Development information
-            developer: gameData.developer || null,
-            publisher: gameData.publisher || null,
-            genre: gameData.genre || [],
-            
-            // Media
-            coverImage: gameData.coverImage || null,
-            screenshots: gameData.screenshots || [],
-            
-            // Content
-            description: gameData.description || null,
-            esrbRating: gameData.esrbRating || null,
-            
-            // Store links
-            officialStoreLinks: gameData.officialStoreLinks || {},
-            
-            // User-specific data
-            userMetadata: {
-                rating: gameData.userMetadata?.rating || 0,
-                notes: gameData.userMetadata?.notes || '',
-                completionStatus: gameData.userMetadata?.completionStatus || 'not_started',
-                dateAdded: Date.now(),
-                playTime: gameData.userMetadata?.playTime || 0,
-                tags: gameData.userMetadata?.tags || [],
-                favorite: gameData.userMetadata?.favorite || false
-            },
-            
-            // Data provenance
-            dataSource: {
-                primary: gameData.dataSource?.primary || 'manual',
-                fallback: gameData.dataSource?.fallback || null,
-                attribution: gameData.dataSource?.attribution || null,
-                lastUpdated: Date.now()
-            }
-        };
-
-        this.collection.games.push(newGame);
+        
+        const game = this.collection.games[gameIndex];
+        const before = this.captureHistory([gameId]);
+        
+        this.applyUpdates(game, updates, { lockEdited: options.lockEdited !== false });
+        this.markChanged([gameId]);
+        
+        this.recordHistory(`「${game.title}」を更新`, before);
         this.updateMetadata();
         await this.saveCollection();
+        this.emitChange('game:updated', { gameId, game, fields: Object.keys(updates) });
         
-        return newGame;
+        return game;
     }
 
     /**
-     * Update an existing game
+     * Update several games and save once
+     * @param {Array} gameIds - Games to update
+     * @param {Object|Function} updates - Updates object, or a function (game) => updates
+     * @param {string} label - History label
+     * @param {Object} options - Same as updateGame
      */
-    async updateGame(gameId, updates) {
-        const gameIndex = this.collection.games.findIndex(game => game.id === gameId);
+    async updateGames(gameIds, updates, label = null, options = {}) {
+        const games = gameIds.map(gameId => this.findGameById(gameId)).filter(Boolean);
+        const before = this.captureHistory(games.map(game => game.id));
         
-        if (gameIndex === -1) {
-            throw new Error('Game not found');
-        }
+        games.forEach(game => {
+            this.applyUpdates(game, typeof updates === 'function' ? updates(game) : updates, { lockEdited: options.lockEdited !== false });
+        });
+        this.markChanged(games.map(game => game.id));
         
-        const game = this.collection.games[gameIndex];
+        this.recordHistory(label || `${games.length}件のゲームを更新`, before);
+        this.updateMetadata();
+        await this.saveCollection();
+        games.forEach(game => this.emitChange('game:updated', { gameId: game.id, game, fields: null }));
         
-        // Merge updates with existing data
+        return games;
+    }
+
+    /**
+     * Merge updates into a game object
+     * @param {Object} options - { lockEdited: lock the refreshable fields whose value changes }
+     */
+    applyUpdates(game, updates, options = {}) {
+        const edited = options.lockEdited ?
+            this.refreshableFields.filter(field => field in updates && JSON.stringify(updates[field]) !== JSON.stringify(game[field])) : [];
+
         Object.keys(updates).forEach(key => {
             if (key === 'userMetadata') {
                 // Merge user metadata
+                const previousStatus = game.userMetadata.completionStatus;
                 game.userMetadata = { ...game.userMetadata, ...updates.userMetadata };
+                
+                // Remember when the game was started and completed unless the update sets the dates itself
+                const status = game.userMetadata.completionStatus;
+                if (updates.userMetadata.startedDate === undefined && previousStatus === 'not_started' &&
+                    status !== 'not_started' && !game.userMetadata.startedDate) {
+                    game.userMetadata.startedDate = Date.now();
+                }
+                if (updates.userMetadata.completedDate === undefined && status !== previousStatus) {
+                    game.userMetadata.completedDate = status === 'completed' ? Date.now() : null;
+                }
             } else if (key === 'dataSource') {
                 // Merge data source info
                 game.dataSource = { ...game.dataSource, ...updates.dataSource };
@@ -208,11 +352,11 @@ class GameManager {
                 game[key] = updates[key];
             }
         });
-        
-        this.updateMetadata();
-        await this.saveCollection();
-        
-        return game;
+
+        // A hand-made correction must survive the next metadata refresh
+        if (edited.length > 0) {
+            game.userMetadata.lockedFields = [...new Set([...(game.userMetadata.lockedFields || []), ...edited])];
+        }
     }
 
     /**
@@ -225,9 +369,31 @@ class GameManager {
             throw new Error('Game not found');
         }
         
-        this.collection.games.splice(gameIndex, 1);
+        const before = this.captureHistory([gameId]);
+        const [deletedGame] = this.collection.games.splice(gameIndex, 1);
+        this.markChanged([gameId]);
+        this.recordHistory(`「${deletedGame.title}」を削除`, before);
+        this.updateMetadata();
+        await this.saveCollection();
+        this.emitChange('game:removed', { gameId, game: deletedGame });
+        
+        return true;
+    }
+
+    /**
+     * Delete several games and save once
+     */
+    async deleteGames(gameIds) {
+        const ids = new Set(gameIds);
+        const deletedGames = this.collection.games.filter(game => ids.has(game.id));
+        const before = this.captureHistory(deletedGames.map(game => game.id));
+        
+        this.collection.games = this.collection.games.filter(game => !ids.has(game.id));
+        this.markChanged(deletedGames.map(game => game.id));
+        this.recordHistory(`${deletedGames.length}件のゲームを削除`, before);
         this.updateMetadata();
         await this.saveCollection();
+        deletedGames.forEach(game => this.emitChange('game:removed', { gameId: game.id, game }));
         
         return true;
     }
@@ -298,35 +464,64 @@ class GameManager {
 
     /**
      * Import multiple games
+     * @param {Array|Object} importData - Game array or an exported collection (any schema version)
      */
-    async importGames(gameList) {
+    async importGames(importData) {
+        const { games: gameList, customFields, savedViews, migrationReport } = this.prepareImportData(importData);
+
+        // Bring in the exported field definitions; values follow fields that matched an existing one
+        if (customFields.length > 0 && this.customFieldManager) {
+            const fieldIdMap = await this.customFieldManager.mergeFields(customFields);
+            // Games without values (or without userMetadata at all) have nothing to remap
+            gameList.filter(gameData => gameData.userMetadata?.customFields).forEach(gameData => {
+                const values = gameData.userMetadata.customFields;
+                gameData.userMetadata.customFields = Object.fromEntries(Object.entries(values)
+                    .filter(([fieldId]) => fieldIdMap[fieldId])
+                    .map(([fieldId, value]) => [fieldIdMap[fieldId], value]));
+            });
+        }
+
+        // Saved views come along; views already here (same ID or name) win
+        if (savedViews.length > 0 && this.savedViewManager) {
+            await this.savedViewManager.mergeViews(savedViews);
+        }
+
         const importResults = {
             total: gameList.length,
             added: 0,
             updated: 0,
             skipped: 0,
-            errors: []
+            errors: [],
+            migrations: migrationReport
         };
 
+        // Games are matched by title and platforms; rows may also match games added earlier in this import
+        const gamesByKey = new Map(this.collection.games.map(game => [this.getImportKey(game), game]));
+        const addedGames = [];
+        const updatedGames = new Map();
+        const before = { games: {} };
+
         for (const gameData of gameList) {
             try {
-                // Check for existing game
-                const existingGame = this.collection.games.find(game => 
-                    game.title.toLowerCase() === gameData.title.toLowerCase() &&
-                    JSON.stringify(game.platforms.sort()) === JSON.stringify((gameData.platforms || []).sort())
-                );
+                const existingGame = gamesByKey.get(this.getImportKey(gameData));
 
                 if (existingGame) {
                     // Update existing game if new data is more complete
                     if (this.shouldUpdateGame(existingGame, gameData)) {
-                        await this.updateGame(existingGame.id, gameData);
+                        if (!addedGames.includes(existingGame) && !updatedGames.has(existingGame.id)) {
+                            Object.assign(before.games, this.captureHistory([existingGame.id])?.games);
+                        }
+                        this.applyUpdates(existingGame, gameData);
+                        updatedGames.set(existingGame.id, existingGame);
                         importResults.updated++;
                     } else {
                         importResults.skipped++;
                     }
                 } else {
                     // Add new game
-                    await this.addGame(gameData);
+                    const newGame = this.createGame(gameData);
+                    gamesByKey.set(this.getImportKey(newGame), newGame);
+                    addedGames.push(newGame);
                     importResults.added++;
                 }
             } catch (error) {
@@ -338,9 +533,63 @@ class GameManager {
             }
         }
 
+        if (addedGames.length === 0 && updatedGames.size === 0) {
+            return importResults;
+        }
+
+        // The whole import is saved once and undone as one step
+        Object.assign(before.games, this.captureHistory(addedGames.map(game => game.id))?.games);
+        this.collection.games.push(...addedGames);
+        this.markChanged([...updatedGames.keys(), ...addedGames.map(game => game.id)]);
+        this.recordHistory(`${gameList.length}件のゲームをインポート`, this.history ? before : null);
+        this.updateMetadata();
+        await this.saveCollection();
+
+        updatedGames.forEach(game => this.emitChange('game:updated', { gameId: game.id, game, fields: null }));
+        addedGames.forEach(game => this.emitChange('game:added', { gameId: game.id, game }));
+
         return importResults;
     }
 
+    /**
+     * Title and platforms, the combination two copies of the same game share
+     */
+    getImportKey(gameData) {
+        return JSON.stringify([(gameData.title || '').toLowerCase(), [...(gameData.platforms || [])].sort()]);
+    }
+
+    /**
+     * Bring import data up to the current schema version
+     */
+    prepareImportData(importData) {
+        // Bare arrays carry no version, so they go through every (idempotent) migration
+        const collection = Array.isArray(importData) ?
+            { games: importData, metadata: {} } :
+            {
+                games: importData?.games,
+                customFields: importData?.customFields,
+                savedViews: importData?.savedViews,
+                metadata: importData?.metadata || {}
+            };
+
+        if (!Array.isArray(collection.games)) {
+            throw new Error('Invalid import data format');
+        }
+
+        const result = this.schemaMigrator.migrate(collection);
+
+        return {
+            games: result.collection.games,
+            customFields: Array.isArray(result.collection.customFields) ? result.collection.customFields : [],
+            savedViews: Array.isArray(result.collection.savedViews) ? result.collection.savedViews : [],
+            migrationReport: {
+                fromVersion: result.fromVersion,
+                toVersion: result.toVersion,
+                applied: result.applied
+            }
+        };
+    }
+
     /**
      * Check if game should be updated with new data
      */
@@ -373,17 +622,186 @@ class GameManager {
      * Clear all games from collection
      */
     async clearAllGames() {
+        const deletedGames = this.collection.games;
+        const before = this.captureHistory(deletedGames.map(game => game.id));
         this.collection.games = [];
+        this.markChanged(deletedGames.map(game => game.id));
+        this.recordHistory('すべてのゲームを削除', before);
+        this.updateMetadata();
+        await this.saveCollection();
+        deletedGames.forEach(game => this.emitChange('game:removed', { gameId: game.id, game }));
+        return true;
+    }
+
+    /**
+     * Attach a HistoryManager so mutations can be undone
+     */
+    setHistoryManager(historyManager) {
+        this.history = historyManager;
+    }
+
+    /**
+     * Attach a CustomFieldManager so imports can bring field definitions along
+     */
+    setCustomFieldManager(customFieldManager) {
+        this.customFieldManager = customFieldManager;
+    }
+
+    /**
+     * Attach a SavedViewManager so imports can bring saved views along
+     */
+    setSavedViewManager(savedViewManager) {
+        this.savedViewManager = savedViewManager;
+    }
+
+    /**
+     * Attach an EventBus that is told about every saved change
+     */
+    setEventBus(eventBus) {
+        this.events = eventBus;
+    }
+
+    /**
+     * Emit a change event (no-op when no event bus is attached)
+     */
+    emitChange(type, detail) {
+        if (this.events) {
+            this.events.emit(type, detail);
+        }
+    }
+
+    /**
+     * Attach a SyncManager: saves merge with what other tabs saved in the meantime,
+     * and their saves are pulled in live
+     */
+    async setSyncManager(syncManager) {
+        this.sync = syncManager;
+
+        // The synced state is what storage holds now; a game this tab normalized differently on load is a local change
+        const stored = await this.storage.loadGameCollection();
+        this.syncedGames = syncManager.snapshot(stored ? stored.games : []);
+        this.syncedFields = syncManager.snapshot(stored ? stored.customFields || [] : []);
+        this.syncedViews = syncManager.snapshot(stored ? stored.savedViews || [] : []);
+        this.syncedRevision = stored?.metadata?.revision || null;
+        this.markChanged(this.collection.games
+            .filter(game => this.syncedGames.records.get(game.id) !== syncManager.serialize(game))
+            .map(game => game.id));
+
+        syncManager.onRemoteChange('games', () => this.pullRemoteChanges());
+    }
+
+    /**
+     * Reload games another tab saved and announce them like local changes
+     */
+    async pullRemoteChanges() {
+        const merged = await this.sync.withLock('games', () => this.mergeStored());
+        this.emitMerged(merged);
+    }
+
+    /**
+     * Merge the stored collection into this tab's (records changed only elsewhere are taken over,
+     * records changed on both sides become conflicts settled to the stored version)
+     */
+    async mergeStored() {
+        const stored = await this.storage.loadGameCollection() || { games: [], customFields: [], savedViews: [] };
+        const games = this.sync.mergeRecords(this.collection.games, stored.games, this.syncedGames);
+        const fields = this.sync.mergeRecords(this.collection.customFields || [], stored.customFields || [], this.syncedFields);
+        const views = this.sync.mergeRecords(this.collection.savedViews || [], stored.savedViews || [], this.syncedViews);
+
+        this.collection.games = games.records;
+        this.collection.customFields = fields.records;
+        this.collection.savedViews = views.records;
+        this.syncedGames = games.synced;
+        this.syncedFields = fields.synced;
+        this.syncedViews = views.synced;
+        this.syncedRevision = stored.metadata?.revision || null;
+
+        if (games.changes.length > 0) {
+            this.updateMetadata();
+        }
+        if (fields.conflicts.length > 0) {
+            console.warn('Custom field definitions were changed in another tab at the same time; kept the saved ones');
+        }
+        if (views.conflicts.length > 0) {
+            console.warn('Saved views were changed in another tab at the same time; kept the saved ones');
+        }
+
+        return { changes: games.changes, conflicts: games.conflicts };
+    }
+
+    /**
+     * Emit the changes taken over from storage, then any conflicts (as sync:conflict)
+     */
+    emitMerged({ changes, conflicts }) {
+        changes.forEach(change => {
+            const game = change.type === 'removed' ? change.record : this.findGameById(change.id);
+            this.emitChange(`game:${change.type}`, { gameId: change.id, game, fields: null });
+        });
+
+        if (conflicts.length > 0) {
+            this.emitChange('sync:conflict', { store: 'games', conflicts });
+        }
+    }
+
+    /**
+     * Re-apply this tab's version of a game that lost a conflict with another tab
+     * @param {Object} conflict - { id, local, remote } from a sync:conflict event
+     */
+    async restoreConflictVersion(conflict) {
+        const index = this.collection.games.findIndex(game => game.id === conflict.id);
+        const title = (conflict.local || conflict.remote).title;
+        const before = this.captureHistory([conflict.id]);
+
+        if (conflict.local && index > -1) {
+            this.collection.games[index] = conflict.local;
+        } else if (conflict.local) {
+            this.collection.games.push(conflict.local);
+        } else if (index > -1) {
+            this.collection.games.splice(index, 1);
+        }
+        this.markChanged([conflict.id]);
+
+        this.recordHistory(`「${title}」をこのタブの内容に戻す`, before);
         this.updateMetadata();
         await this.saveCollection();
+
+        if (conflict.local) {
+            this.emitChange(index > -1 ? 'game:updated' : 'game:added', { gameId: conflict.id, game: conflict.local, fields: null });
+        } else if (index > -1) {
+            this.emitChange('game:removed', { gameId: conflict.id, game: conflict.remote });
+        }
         return true;
     }
 
+    /**
+     * Note games added, updated or removed since the last save (the ones the next save re-syncs)
+     */
+    markChanged(gameIds) {
+        gameIds.forEach(gameId => this.changedGameIds.add(gameId));
+    }
+
+    /**
+     * Snapshot games before a mutation (null when no history is attached)
+     */
+    captureHistory(gameIds) {
+        return this.history ? { games: this.history.snapshotGames(gameIds) } : null;
+    }
+
+    /**
+     * Record a mutation with the snapshot taken by captureHistory
+     */
+    recordHistory(label, before) {
+        if (this.history && before) {
+            this.history.record(label, before);
+        }
+    }
+
     /**
      * Update collection metadata
      */
     updateMetadata() {
         this.collection.metadata = {
+            schemaVersion: this.collection.metadata?.schemaVersion || this.schemaMigrator.baseVersion,
             lastUpdated: Date.now(),
             totalGames: this.collection.games.length,
             manuallyAdded: this.collection.games.filter(game => game.dataSource.primary === 'manual').length,
@@ -393,14 +811,46 @@ class GameManager {
     }
 
     /**
-     * Save collection to LocalStorage
+     * Save collection through the storage backend (merging with other tabs when a SyncManager is attached)
      */
     async saveCollection() {
         try {
-            localStorage.setItem('gameCollection_data', JSON.stringify(this.collection));
+            if (!this.sync) {
+                await this.storage.saveGameCollection(this.collection, this.changedGameIds);
+                this.changedGameIds.clear();
+                return true;
+            }
+
+            // Merge what other tabs saved since this tab last synced (if anything), then write and announce
+            const merged = await this.sync.withLock('games', async () => {
+                const storedRevision = await this.storage.loadGameCollectionRevision();
+                const result = storedRevision === this.syncedRevision ?
+                    { changes: [], conflicts: [] } :
+                    await this.mergeStored();
+
+                const changedIds = this.changedGameIds;
+                const revision = 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+                this.changedGameIds = new Set();
+                this.collection.metadata.revision = revision;
+                try {
+                    await this.storage.saveGameCollection(this.collection, changedIds);
+                } catch (error) {
+                    changedIds.forEach(id => this.changedGameIds.add(id));
+                    throw error;
+                }
+
+                // Only the records this tab changed differ from the synced versions now
+                this.syncedRevision = revision;
+                this.syncedGames = this.sync.updateSnapshot(this.syncedGames, this.collection.games, changedIds);
+                this.syncedFields = this.sync.snapshot(this.collection.customFields || []);
+                this.syncedViews = this.sync.snapshot(this.collection.savedViews || []);
+                return result;
+            });
+            this.sync.announce('games');
+            this.emitMerged(merged);
             return true;
         } catch (error) {
-            console.error('Failed to save collection to LocalStorage:', error);
+            console.error('Failed to save collection to storage:', error);
             throw new Error('Failed to save collection data');
         }
     }
@@ -430,7 +880,8 @@ class GameManager {
      * Get collection statistics
      */
     getStatistics() {
-        const games = this.collection.games;
+        // Wishlisted games are not part of the library yet
+        const games = this.collection.games.filter(game => game.userMetadata.ownershipState !== 'wishlist');
         const platforms = [...new Set(games.flatMap(game => game.platforms))];
         const genres = [...new Set(games.flatMap(game => game.genre))];
         
@@ -445,6 +896,7 @@ class GameManager {
             averageRating: games.length > 0 ? 
                 games.reduce((sum, game) => sum + game.userMetadata.rating, 0) / games.length : 0,
             totalPlayTime: games.reduce((sum, game) => sum + game.userMetadata.playTime, 0),
+            wishlist: this.collection.games.length - games.length,
             lastUpdated: this.collection.metadata.lastUpdated
         };
     }
@@ -487,12 +939,8 @@ class GameAutoSaveManager {
             this.gameManager.saveCollection();
         }, 5 * 60 * 1000);
 
-        // Save on page unload
-        window.addEventListener('beforeunload', () => {
-            this.gameManager.saveCollection();
-        });
-
-        // Save on visibility change (when tab becomes hidden)
+        // Save on visibility change (when tab becomes hidden); an unload handler is no use here,
+        // since the browser does not wait for the asynchronous IndexedDB write to finish
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
                 this.gameManager.saveCollection();
@@ -5,8 +5,6 @@
 
 class GameShelf {
     constructor() {
-        this.games = [];
-        this.shelves = [];
         this.currentShelf = 'all';
         this.currentView = 'covers';
         this.currentSort = 'custom';
@@ -18,44 +16,92 @@ class GameShelf {
         this.platformFilters = [];
         this.completionFilters = [];
         this.genreFilters = [];
+        this.yearRange = null;
+        this.decadeFilters = [];
+        this.ownershipFilters = [];
+        this.regionFilter = '';
+        this.storefrontFilter = '';
+        this.purchaseYearFilter = '';
+        this.loanFilter = '';
+        this.customFieldFilter = null;
+        this.statsFilter = null;
+        this.expandedDlcBases = new Set();
+        this.viewButtons = { covers: 'view-covers', list: 'view-list', timeline: 'view-timeline' };
+        // Pages longer than the largest page size ("全て表示") keep only the rows on screen in the DOM
+        this.virtualThreshold = 200;
+        this.virtualScroller = null;
+        this.timelinePageLabels = [];
+        this.queryRequestId = 0;
         
-        this.init();
+        this.init().catch(error => {
+            console.error('Failed to initialize Game Shelf:', error);
+            alert(`エラー: ライブラリを起動できませんでした（${error.message}）。ページを再読み込みしてください`);
+        });
     }
 
-    init() {
-        this.loadData();
+    async init() {
         this.setupEventListeners();
-        this.initializeSearchSystem();
-        this.initializeCollectionSystem();
-        this.renderGames();
-        this.updateStats();
-        this.updateGenreFilters();
+        await this.initializeSearchSystem();
+        await this.initializeCollectionSystem();
+        await this.migrateLegacyStore();
+        await this.initializeSyncSystem();
+        await this.initializeHistorySystem();
+        this.initializePlaySessionSystem();
+        this.initializeOwnershipSystem();
+        this.initializeChecklistSystem();
+        this.initializeLoanSystem();
+        this.initializeCustomFieldSystem();
+        this.initializeQuerySystem();
+        this.initializeSavedViewSystem();
+        this.initializeRelationSystem();
+        await this.initializeCoverCacheSystem();
+        await this.initializeCsvImportSystem();
+        this.initializeExportSystem();
+        await this.initializeDuplicateSystem();
+        this.initializeMetadataRefreshSystem();
+        this.initializeBulkEditSystem();
+        this.initializeStatisticsSystem();
+        this.initializeYearReviewSystem();
+        this.initializeLibraryFilterSystem();
+        this.subscribeToChanges();
+        this.loadGames();
+        this.updateCustomFieldControls();
+        this.savedViewUI.applyDefaultView();
+        this.showMigrationNotice();
     }
 
-    initializeSearchSystem() {
+    async initializeSearchSystem() {
+        // Shared IndexedDB/LocalStorage backend for games and collections
+        this.storageManager = new StorageManager();
+        await this.storageManager.open();
+        
         // Initialize GameManager for search integration
-        this.gameManager = new GameManager();
-        this.gameManager.initialize();
+        this.gameManager = new GameManager(this.storageManager);
+        await this.gameManager.initialize();
         
-        // Sync existing games with GameManager
-        this.syncGamesWithManager();
+        // Saved game changes are announced on the event bus; views subscribe in subscribeToChanges()
+        this.eventBus = new EventBus();
+        this.gameManager.setEventBus(this.eventBus);
         
         // Initialize SearchManager
         this.searchManager = new SearchManager();
         
         // Initialize SearchUI
         this.searchUI = new SearchUI(this.searchManager, this.gameManager);
+        this.searchUI.setEventBus(this.eventBus);
         
         console.log('Search system initialized');
     }
 
-    initializeCollectionSystem() {
+    async initializeCollectionSystem() {
         // Initialize CollectionManager
-        this.collectionManager = new CollectionManager();
-        this.collectionManager.initialize();
+        this.collectionManager = new CollectionManager(this.storageManager);
+        await this.collectionManager.initialize();
+        this.collectionManager.setEventBus(this.eventBus, this.gameManager);
         
         // Initialize CollectionUI
         this.collectionUI = new CollectionUI(this.collectionManager, this.gameManager);
+        this.collectionUI.setEventBus(this.eventBus);
         
         // Set up global reference for collection UI
         window.gameShelf = this;
@@ -63,158 +109,571 @@ class GameShelf {
         console.log('Collection system initialized');
     }
 
-    syncGamesWithManager() {
-        // Convert existing GameShelf games to GameManager format
-        const existingGames = this.gameManager.getAllGames();
-        
-        // If GameManager is empty but GameShelf has games, migrate them
-        if (existingGames.length === 0 && this.games.length > 0) {
-            console.log('Migrating existing games to GameManager...');
-            
-            this.games.forEach(async (game) => {
-                try {
-                    const gameData = {
-                        title: game.title || game.name,
-                        platforms: game.platforms || [game.platform].filter(Boolean),
-                        releaseDate: game.releaseDate,
-                        developer: game.developer,
-                        publisher: game.publisher,
-                        genre: game.genre || [],
-                        coverImage: game.coverImage || game.image,
-                        description: game.description,
-                        userMetadata: {
-                            rating: game.rating || 0,
-                            notes: game.notes || '',
-                            completionStatus: game.completionStatus || 'not_started',
-                            dateAdded: game.acquiredTime || Date.now(),
-                            playTime: game.playTime || 0,
-                            tags: game.tags || [],
-                            favorite: game.favorite || false
-                        },
-                        dataSource: {
-                            primary: 'manual',
-                            lastUpdated: Date.now()
-                        }
-                    };
-                    
-                    await this.gameManager.addGame(gameData);
-                } catch (error) {
-                    console.warn('Failed to migrate game:', game.title, error);
-                }
-            });
+    async migrateLegacyStore() {
+        // One-time move of the old GameShelf copy (games and shelves) into GameManager and CollectionManager
+        const migrator = new LegacyStoreMigrator(this.gameManager, this.collectionManager, this.storageManager);
+        try {
+            await migrator.migrate();
+        } catch (error) {
+            console.error('Failed to migrate legacy GameShelf data:', error);
         }
     }
 
-    // Method to reload games from GameManager
-    loadGames() {
-        const managerGames = this.gameManager.getAllGames();
+    async initializeSyncSystem() {
+        // Initialize SyncManager (saves merge with other open tabs, whose changes arrive as events)
+        this.syncManager = new SyncManager();
+        await this.gameManager.setSyncManager(this.syncManager);
+        await this.collectionManager.setSyncManager(this.syncManager);
         
-        // Convert GameManager format back to GameShelf format for compatibility
-        this.games = managerGames.map(game => ({
-            id: game.id,
-            title: game.title,
-            name: game.title, // Compatibility
-            platforms: game.platforms,
-            platform: game.platforms[0] || '', // Compatibility
-            releaseDate: game.releaseDate,
-            developer: game.developer,
-            publisher: game.publisher,
-            genre: game.genre,
-            coverImage: game.coverImage,
-            image: game.coverImage, // Compatibility
-            description: game.description,
-            rating: game.userMetadata.rating,
-            notes: game.userMetadata.notes,
-            completionStatus: game.userMetadata.completionStatus,
-            acquiredTime: game.userMetadata.dateAdded,
-            playTime: game.userMetadata.playTime,
-            tags: game.userMetadata.tags,
-            favorite: game.userMetadata.favorite
-        }));
+        // Initialize SyncUI for edits that collided with another tab
+        this.syncUI = new SyncUI(this.gameManager, this.collectionManager, this.syncManager);
+        this.syncUI.setEventBus(this.eventBus);
         
-        this.renderGames();
-        this.updateStats();
-        this.updateGenreFilters();
+        console.log('Sync system initialized');
     }
 
-    loadData() {
-        // Load games from localStorage
-        const savedGames = localStorage.getItem('gameShelfGames');
-        if (savedGames) {
-            this.games = JSON.parse(savedGames);
+    async initializeHistorySystem() {
+        // Initialize HistoryManager (restores persisted undo/redo stacks)
+        this.historyManager = new HistoryManager(this.gameManager, this.collectionManager, this.storageManager);
+        await this.historyManager.initialize();
+        
+        // Record GameManager and CollectionManager mutations from here on
+        this.gameManager.setHistoryManager(this.historyManager);
+        this.collectionManager.setHistoryManager(this.historyManager);
+        
+        // Initialize HistoryUI (Ctrl+Z / Ctrl+Shift+Z and the undo toast)
+        this.historyUI = new HistoryUI(this.historyManager, () => this.onHistoryApplied());
+        
+        console.log('History system initialized');
+    }
+
+    onHistoryApplied() {
+        // The grid and collections follow the change events; only the open detail modal is handled here
+        // Re-render an open detail modal, or close it when its game no longer exists
+        const modal = document.getElementById('game-modal');
+        if (modal && modal.style.display === 'block' && this.currentDetailGameId) {
+            if (this.gameManager.findGameById(this.currentDetailGameId)) {
+                this.showGameDetails(this.currentDetailGameId);
+            } else {
+                modal.style.display = 'none';
+            }
         }
+    }
 
-        // Load shelves from localStorage
-        const savedShelves = localStorage.getItem('gameShelfShelves');
-        if (savedShelves) {
-            this.shelves = JSON.parse(savedShelves);
-        } else {
-            // Default shelves
-            this.shelves = [
-                {
-                    id: 'favorites',
-                    name: 'お気に入り',
-                    emoji: '⭐',
-                    description: 'お気に入りのゲーム'
-                },
-                {
-                    id: 'playing',
-                    name: 'プレイ中',
-                    emoji: '🎮',
-                    description: '現在プレイ中のゲーム'
-                },
-                {
-                    id: 'completed',
-                    name: 'クリア済み',
-                    emoji: '✅',
-                    description: 'クリアしたゲーム'
-                }
-            ];
-            this.saveShelves();
+    showUndoToast(message) {
+        if (this.historyUI) {
+            this.historyUI.showUndoToast(message);
+        }
+    }
+
+    /**
+     * Tell the user when loading upgraded their stored data (only happens once per upgrade)
+     */
+    showMigrationNotice() {
+        const report = this.gameManager.lastMigrationReport;
+        if (!report || !this.historyUI) return;
+
+        if (report.error) {
+            this.historyUI.showToast(`⚠️ 保存データの形式を更新できませんでした（v${report.fromVersion}）。データはそのまま読み込み、次回の起動時に再試行します`);
+        } else if (report.applied.length > 0) {
+            this.historyUI.showToast(`🛠️ 保存データを新しい形式に更新しました（v${report.fromVersion} → v${report.toVersion}）。更新前のデータはバックアップとして残してあります`);
         }
+    }
 
-        this.updateShelfSelector();
+    initializePlaySessionSystem() {
+        // Initialize PlaySessionManager (restores a running timer)
+        this.playSessionManager = new PlaySessionManager(this.gameManager);
+        this.playSessionManager.initialize();
+        
+        // Initialize PlaySessionUI for the game detail modal
+        this.playSessionUI = new PlaySessionUI(this.playSessionManager);
+        
+        console.log('Play session system initialized');
     }
 
-    saveData() {
-        localStorage.setItem('gameShelfGames', JSON.stringify(this.games));
+    initializeOwnershipSystem() {
+        // Initialize OwnershipManager for owned copies
+        this.ownershipManager = new OwnershipManager(this.gameManager);
+        
+        // Initialize OwnershipUI for the game detail modal
+        this.ownershipUI = new OwnershipUI(this.ownershipManager);
+        
+        console.log('Ownership system initialized');
     }
 
-    saveShelves() {
-        localStorage.setItem('gameShelfShelves', JSON.stringify(this.shelves));
+    initializeChecklistSystem() {
+        // Initialize ChecklistManager for per-game progress checklists
+        this.checklistManager = new ChecklistManager(this.gameManager);
+        
+        // Initialize ChecklistUI for the game detail modal
+        this.checklistUI = new ChecklistUI(this.checklistManager);
+        
+        console.log('Checklist system initialized');
     }
 
-    setupEventListeners() {
-        // Search functionality
+    initializeLoanSystem() {
+        // Initialize LoanManager for lending physical games
+        this.loanManager = new LoanManager(this.gameManager);
+        
+        // Initialize LoanUI for the game detail modal and the loans view
+        this.loanUI = new LoanUI(this.loanManager, {
+            onOpenGame: (gameId) => this.showGameDetails(gameId)
+        });
+        
+        console.log('Loan system initialized');
+    }
+
+    initializeCustomFieldSystem() {
+        // Initialize CustomFieldManager; it also evaluates smart collection rules and merges imported definitions
+        this.customFieldManager = new CustomFieldManager(this.gameManager);
+        this.gameManager.setCustomFieldManager(this.customFieldManager);
+        this.collectionManager.setCustomFieldManager(this.customFieldManager);
+        
+        // Initialize CustomFieldUI for the definitions modal, the detail modal and the sidebar filter
+        this.customFieldUI = new CustomFieldUI(this.customFieldManager, {
+            onFieldsChange: () => {
+                this.updateCustomFieldControls();
+                this.renderGames();
+                if (this.currentDetailGameId) this.customFieldUI.refreshSection(this.currentDetailGameId);
+            },
+            onFilterChange: (condition) => {
+                this.customFieldFilter = condition;
+                this.renderGames();
+            }
+        });
+        this.collectionUI.setCustomFieldUI(this.customFieldUI);
+        
+        console.log('Custom field system initialized');
+    }
+
+    initializeQuerySystem() {
+        // Initialize QueryManager; smart collections share the search box's query syntax
+        this.queryManager = new QueryManager(this.gameManager);
+        this.collectionManager.setQueryManager(this.queryManager);
+        
+        // Initialize QueryUI for autocomplete and error highlighting in query inputs
+        this.queryUI = new QueryUI(this.queryManager);
+        this.collectionUI.setQueryUI(this.queryUI);
+        
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                this.searchQuery = e.target.value.toLowerCase();
+            this.queryUI.attach(searchInput, (query) => {
+                this.searchQuery = query;
                 this.renderGames();
             });
         }
+        
+        console.log('Query system initialized');
+    }
 
-        // View toggle
-        const viewCoversBtn = document.getElementById('view-covers');
-        const viewListBtn = document.getElementById('view-list');
-        
-        if (viewCoversBtn) {
-            viewCoversBtn.addEventListener('click', () => {
-                this.currentView = 'covers';
-                viewCoversBtn.classList.add('active');
-                viewListBtn.classList.remove('active');
-                this.renderGames();
+    initializeSavedViewSystem() {
+        // Initialize SavedViewManager (views are stored with the game collection and exported with it)
+        this.savedViewManager = new SavedViewManager(this.gameManager);
+        this.gameManager.setSavedViewManager(this.savedViewManager);
+        
+        // Initialize SavedViewUI for the header dropdown and the views modal
+        this.savedViewUI = new SavedViewUI(this.savedViewManager, {
+            getState: () => this.getViewState(),
+            applyState: (state) => this.applyViewState(state)
+        });
+        
+        console.log('Saved view system initialized');
+    }
+
+    /**
+     * The current search, filters, sort, view mode, page size and collection as a saved view state
+     */
+    getViewState() {
+        const allGenres = this.getAllGenres();
+        return {
+            query: this.searchQuery,
+            collectionId: this.currentShelf,
+            starFilters: [...this.starFilters],
+            platformFilters: [...this.platformFilters],
+            completionFilters: [...this.completionFilters],
+            // null while every genre is ticked, so genres added later are shown as well
+            genreFilters: allGenres.every(genre => this.genreFilters.includes(genre)) ? null : [...this.genreFilters],
+            yearRange: this.yearRange ? { ...this.yearRange } : null,
+            decadeFilters: [...this.decadeFilters],
+            sort: this.currentSort,
+            sortDirection: this.sortDirection,
+            view: this.currentView,
+            pageSize: this.gamesPerPage
+        };
+    }
+
+    /**
+     * Restore a saved view state and bring the sidebar and header controls in line with it
+     */
+    applyViewState(state) {
+        this.searchQuery = state.query;
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && this.queryUI) this.queryUI.setValue(searchInput, state.query);
+
+        // A collection or custom field deleted since the view was saved falls back to the default
+        this.currentShelf = this.collectionManager.getCollectionById(state.collectionId) ? state.collectionId : 'all';
+        const collectionSelector = document.getElementById('collection-selector');
+        if (collectionSelector) collectionSelector.value = this.currentShelf;
+
+        this.starFilters = [...state.starFilters];
+        this.platformFilters = [...state.platformFilters];
+        this.completionFilters = [...state.completionFilters];
+        this.genreFilters = state.genreFilters ? [...state.genreFilters] : this.getAllGenres();
+
+        for (let i = 0; i <= 5; i++) {
+            const checkbox = document.getElementById(`star-${i}`);
+            if (checkbox) checkbox.checked = this.starFilters.includes(i);
+        }
+        ['pc', 'playstation', 'xbox', 'nintendo', 'steam'].forEach(platform => {
+            const checkbox = document.getElementById(`platform-${platform}`);
+            if (checkbox) checkbox.checked = this.platformFilters.includes(platform);
+        });
+        ['not_started', 'in_progress', 'completed', 'abandoned'].forEach(status => {
+            const checkbox = document.getElementById(`completion-${status.replace('_', '-')}`);
+            if (checkbox) checkbox.checked = this.completionFilters.includes(status);
+        });
+        document.querySelectorAll('#genre-filter-checkboxes input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = this.genreFilters.includes(checkbox.value);
+        });
+
+        this.yearRange = state.yearRange ? { ...state.yearRange } : null;
+        this.decadeFilters = [...state.decadeFilters];
+        this.updateYearFilters();
+
+        const sortOrder = document.getElementById('sort-order');
+        const sortAvailable = !sortOrder || [...sortOrder.options].some(option => option.value === state.sort);
+        this.currentSort = sortAvailable ? state.sort : 'custom';
+        if (sortOrder) sortOrder.value = this.currentSort;
+
+        this.sortDirection = state.sortDirection;
+        const sortDirection = document.getElementById('sort-direction');
+        if (sortDirection) sortDirection.textContent = this.sortDirection === 'desc' ? '↓ 新しい順' : '↑ 古い順';
+
+        this.currentView = state.view;
+        this.updateViewButtons();
+
+        this.gamesPerPage = state.pageSize;
+        const gamesPerPageSelect = document.getElementById('games-per-page');
+        if (gamesPerPageSelect) gamesPerPageSelect.value = String(this.gamesPerPage);
+
+        this.statsFilter = null;
+        this.renderStatsFilterBar();
+        this.currentPage = 1;
+        this.renderGames();
+    }
+
+    updateViewButtons() {
+        Object.entries(this.viewButtons).forEach(([view, buttonId]) => {
+            const button = document.getElementById(buttonId);
+            if (button) button.classList.toggle('active', view === this.currentView);
+        });
+    }
+
+    initializeRelationSystem() {
+        // Initialize RelationManager for series and DLC/remaster/sequel links
+        this.relationManager = new RelationManager(this.gameManager);
+        
+        // Initialize RelationUI for the game detail modal and the series view
+        this.relationUI = new RelationUI(this.relationManager, {
+            onOpenGame: (gameId) => this.showGameDetails(gameId)
+        });
+        
+        console.log('Relation system initialized');
+    }
+
+    async initializeCoverCacheSystem() {
+        // Initialize CoverCacheManager (object URLs for covers already stored in IndexedDB)
+        this.coverCacheManager = new CoverCacheManager(this.storageManager);
+        await this.coverCacheManager.initialize();
+        this.coverCacheManager.onCoverCached = (url, objectUrl) => this.updateCoverImages(url, objectUrl);
+        
+        // Initialize CoverCacheUI for the maintenance modal
+        this.coverCacheUI = new CoverCacheUI(this.coverCacheManager, {
+            getGames: () => this.gameManager.getAllGames(),
+            onCacheChange: () => this.renderGames()
+        });
+        
+        // Download covers that are not stored yet in the background
+        this.coverCacheManager.queueMissing(this.gameManager.getAllGames());
+        
+        console.log('Cover cache system initialized');
+    }
+
+    async initializeCsvImportSystem() {
+        // Initialize CsvImportManager (loads saved column mappings)
+        this.csvImportManager = new CsvImportManager(this.gameManager, this.searchManager.wikidataService);
+        await this.csvImportManager.initialize();
+        
+        // Initialize CsvImportUI for the CSV/TSV import modal
+        this.csvImportUI = new CsvImportUI(this.csvImportManager, (message) => this.showUndoToast(message));
+        
+        console.log('CSV import system initialized');
+    }
+
+    initializeExportSystem() {
+        // Initialize ExportManager (CSV / Markdown / HTML catalog)
+        this.exportManager = new ExportManager(this.gameManager, this.customFieldManager);
+        this.exportManager.setCoverCacheManager(this.coverCacheManager);
+        
+        // Initialize ExportUI; readable exports follow the current collection, filters and sort
+        this.exportUI = new ExportUI(this.exportManager, {
+            getGames: () => this.sortGames(this.filterGames())
+                .map(game => this.gameManager.findGameById(game.id))
+                .filter(Boolean),
+            getContext: () => {
+                const collection = this.collectionManager ? this.collectionManager.getCollectionById(this.currentShelf) : null;
+                const sortOrder = document.getElementById('sort-order');
+                const sortName = sortOrder && sortOrder.selectedIndex >= 0 ? sortOrder.options[sortOrder.selectedIndex].text : this.currentSort;
+                return {
+                    title: collection ? collection.name : null,
+                    sortLabel: `並び順: ${sortName}（${this.sortDirection === 'desc' ? '降順' : '昇順'}）`
+                };
+            }
+        });
+        
+        console.log('Export system initialized');
+    }
+
+    async initializeDuplicateSystem() {
+        // Initialize DuplicateManager (loads groups dismissed as "not duplicates")
+        this.duplicateManager = new DuplicateManager(this.gameManager, this.collectionManager);
+        await this.duplicateManager.initialize();
+        
+        // Initialize DuplicateUI for the duplicate finder modal
+        this.duplicateUI = new DuplicateUI(this.duplicateManager, (message) => this.showUndoToast(message));
+        
+        console.log('Duplicate system initialized');
+    }
+
+    initializeMetadataRefreshSystem() {
+        // Initialize MetadataRefreshManager (reuses the search services)
+        this.metadataRefreshManager = new MetadataRefreshManager(
+            this.gameManager,
+            this.searchManager.wikidataService,
+            this.searchManager.wikipediaService
+        );
+        
+        // Initialize MetadataRefreshUI for the refresh modal
+        this.metadataRefreshUI = new MetadataRefreshUI(this.metadataRefreshManager, (message) => {
+            this.onHistoryApplied();
+            this.showUndoToast(message);
+        });
+        
+        // Bulk refresh covers the games currently shown (collection and filters applied)
+        const refreshAllBtn = document.getElementById('refresh-metadata');
+        if (refreshAllBtn) {
+            refreshAllBtn.addEventListener('click', () => {
+                this.metadataRefreshUI.showBulkRefresh(this.filterGames().map(game => game.id));
             });
         }
+        
+        console.log('Metadata refresh system initialized');
+    }
 
-        if (viewListBtn) {
-            viewListBtn.addEventListener('click', () => {
-                this.currentView = 'list';
-                viewListBtn.classList.add('active');
-                viewCoversBtn.classList.remove('active');
+    initializeBulkEditSystem() {
+        // Initialize BulkEditManager for multi-game edits
+        this.bulkEditManager = new BulkEditManager(this.gameManager, this.collectionManager);
+        
+        // Initialize BulkEditUI (selection mode and action bar)
+        this.bulkEditUI = new BulkEditUI(this.bulkEditManager, this.collectionManager, {
+            getFilteredGameIds: () => this.sortGames(this.filterGames()).map(game => game.id || game.title),
+            onSelectionChange: () => this.updateSelectionDisplay(),
+            onModeChange: () => this.renderGames(),
+            onBulkEdit: (message) => this.showUndoToast(message)
+        });
+        
+        console.log('Bulk edit system initialized');
+    }
+
+    initializeStatisticsSystem() {
+        // Initialize StatisticsManager for the dashboard breakdowns and trends
+        this.statisticsManager = new StatisticsManager(this.gameManager, this.ownershipManager);
+        
+        // Initialize StatisticsUI; a click on a chart segment filters the grid
+        this.statisticsUI = new StatisticsUI(this.statisticsManager, {
+            onSegmentSelect: (filter) => this.setStatsFilter(filter)
+        });
+        this.statisticsUI.setEventBus(this.eventBus);
+        
+        console.log('Statistics system initialized');
+    }
+
+    initializeYearReviewSystem() {
+        // Initialize YearReviewManager (reuses the export helpers for escaping and downloads)
+        this.yearReviewManager = new YearReviewManager(this.gameManager, this.exportManager);
+        
+        // Initialize YearReviewUI for the year-in-review modal
+        this.yearReviewUI = new YearReviewUI(this.yearReviewManager);
+        
+        console.log('Year review system initialized');
+    }
+
+    initializeLibraryFilterSystem() {
+        // Initialize LibraryFilterManager (filters, sort and DLC folding of the grid)
+        this.libraryFilterManager = new LibraryFilterManager(this.gameManager, {
+            collectionManager: this.collectionManager,
+            queryManager: this.queryManager,
+            customFieldManager: this.customFieldManager,
+            ownershipManager: this.ownershipManager,
+            statisticsManager: this.statisticsManager,
+            loanManager: this.loanManager,
+            checklistManager: this.checklistManager,
+            relationManager: this.relationManager
+        });
+        
+        // Large libraries run the same filtering in a Web Worker, off the main thread
+        this.libraryWorkerManager = new LibraryWorkerManager(this.gameManager, this.collectionManager);
+        this.libraryWorkerManager.setEventBus(this.eventBus);
+        
+        console.log('Library filter system initialized');
+    }
+
+    /**
+     * Show only the games behind a statistics chart segment (across the whole library)
+     */
+    setStatsFilter(filter) {
+        this.statsFilter = filter;
+        this.currentShelf = 'all';
+        this.currentPage = 1;
+        
+        const collectionSelector = document.getElementById('collection-selector');
+        if (collectionSelector) collectionSelector.value = 'all';
+        
+        this.renderStatsFilterBar();
+        this.renderGames();
+    }
+
+    clearStatsFilter() {
+        this.statsFilter = null;
+        this.renderStatsFilterBar();
+        this.renderGames();
+    }
+
+    renderStatsFilterBar() {
+        const bar = document.getElementById('stats-filter-bar');
+        if (!bar) return;
+        
+        if (!this.statsFilter) {
+            bar.style.display = 'none';
+            bar.innerHTML = '';
+            return;
+        }
+        
+        bar.innerHTML = `
+            <span>📊 ${HtmlUtils.escape(this.statisticsManager.describeSegment(this.statsFilter))}</span>
+            <button class="btn btn-small btn-secondary" id="clear-stats-filter" title="絞り込みを解除">× 解除</button>
+        `;
+        bar.style.display = 'flex';
+        bar.querySelector('#clear-stats-filter').addEventListener('click', () => this.clearStatsFilter());
+    }
+
+    updateSelectionDisplay() {
+        const container = document.getElementById('bookshelf');
+        if (!container || !this.bulkEditUI) return;
+        
+        container.querySelectorAll('.game-item, .game-row, .timeline-game').forEach(item => {
+            const selected = this.bulkEditUI.isSelected(item.dataset.gameId);
+            item.classList.toggle('selected', selected);
+            const checkbox = item.querySelector('.game-select-checkbox');
+            if (checkbox) checkbox.checked = selected;
+        });
+    }
+
+    handleGameClick(gameId, event) {
+        // In selection mode (or with Ctrl/Shift) a click selects instead of opening the modal
+        if (this.bulkEditUI && this.bulkEditUI.handleItemClick(gameId, event)) return;
+        this.showGameDetails(gameId);
+    }
+
+    /**
+     * Subscribe the grid, the sidebar filters and the stats area to change events
+     */
+    subscribeToChanges() {
+        this.eventBus.onBatch(['game:added', 'game:updated', 'game:removed'], events => this.applyGameChanges(events));
+
+        this.eventBus.onBatch(['collection:changed'], events => {
+            // Fall back to all games when the collection being shown was deleted
+            if (!this.collectionManager.getCollectionById(this.currentShelf)) {
+                this.currentShelf = 'all';
                 this.renderGames();
-            });
+                return;
+            }
+
+            if (events.some(event => event.collectionId === null || event.collectionId === this.currentShelf)) {
+                this.refreshView(new Set());
+            }
+        });
+    }
+
+    // Render every view from GameManager (the only game store)
+    loadGames() {
+        const managerGames = this.gameManager.getAllGames();
+        
+        // Covers of newly added or changed games go into the offline cache
+        if (this.coverCacheManager) {
+            this.coverCacheManager.queueMissing(managerGames);
         }
+        
+        this.renderGames();
+        this.updateStats();
+        this.updateGenreFilters();
+        this.updateYearFilters();
+        this.updateOwnershipFilters();
+    }
+
+    /**
+     * Patch the views after a batch of game change events
+     * @param {Array} events - game:added / game:updated / game:removed events, in order
+     */
+    applyGameChanges(events) {
+        const changedIds = new Set(events.map(event => event.gameId));
+        const removed = events.some(event => event.type === 'game:removed');
+
+        // Covers of newly added or changed games go into the offline cache
+        if (this.coverCacheManager) {
+            this.coverCacheManager.queueMissing([...changedIds]
+                .map(gameId => this.gameManager.findGameById(gameId))
+                .filter(Boolean));
+        }
+
+        if (removed && this.bulkEditUI) {
+            this.bulkEditUI.pruneSelection(this.gameManager.getAllGames().map(game => game.id));
+        }
+
+        // Rebuilding the genre checkboxes resets them, so only do it when the genre set changed
+        if (this.getGenreKey() !== this.genreKey) {
+            this.updateGenreFilters();
+        }
+        this.updateYearFilters();
+        this.updateOwnershipFilters();
+        this.refreshView(changedIds);
+        this.updateStats();
+    }
+
+    getGenreKey() {
+        return this.getAllGenres().join('\n');
+    }
+
+    getAllGenres() {
+        return [...new Set(this.gameManager.getAllGames().flatMap(game => game.genre))].sort();
+    }
+
+    setupEventListeners() {
+        // View toggle
+        Object.entries(this.viewButtons).forEach(([view, buttonId]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', () => {
+                    // Timeline pages span years, so page numbers do not carry over between views
+                    if (view !== this.currentView && (view === 'timeline' || this.currentView === 'timeline')) {
+                        this.currentPage = 1;
+                    }
+                    this.currentView = view;
+                    this.updateViewButtons();
+                    this.renderGames();
+                });
+            }
+        });
 
         // Sort controls
         const sortOrder = document.getElementById('sort-order');
@@ -286,7 +745,7 @@ class GameShelf {
         // Completion status filters
         const completionStatuses = ['not_started', 'in_progress', 'completed', 'abandoned'];
         completionStatuses.forEach(status => {
-            const checkbox = document.getElementById(`completion-${status}`);
+            const checkbox = document.getElementById(`completion-${status.replace('_', '-')}`);
             if (checkbox) {
                 checkbox.addEventListener('change', () => {
                     if (checkbox.checked) {
@@ -304,6 +763,99 @@ class GameShelf {
             }
         });
 
+        // Ownership format filters
+        const ownershipFormats = ['physical', 'digital', 'none'];
+        ownershipFormats.forEach(format => {
+            const checkbox = document.getElementById(`ownership-${format}`);
+            if (checkbox) {
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        if (!this.ownershipFilters.includes(format)) {
+                            this.ownershipFilters.push(format);
+                        }
+                    } else {
+                        this.ownershipFilters = this.ownershipFilters.filter(f => f !== format);
+                    }
+                    this.renderGames();
+                });
+                // Initialize as checked
+                checkbox.checked = true;
+                this.ownershipFilters.push(format);
+            }
+        });
+
+        // Release year range (two sliders) and decade chips (populated from the library)
+        const yearMin = document.getElementById('year-range-min');
+        const yearMax = document.getElementById('year-range-max');
+        [yearMin, yearMax].forEach(slider => {
+            if (!slider) return;
+            slider.addEventListener('input', () => this.readYearRange(slider));
+            slider.addEventListener('change', () => {
+                this.currentPage = 1;
+                this.renderGames();
+            });
+        });
+
+        const decadeChips = document.getElementById('decade-chips');
+        if (decadeChips) {
+            decadeChips.addEventListener('click', (e) => {
+                const chip = e.target.closest('.decade-chip');
+                if (!chip) return;
+
+                const decade = Number(chip.dataset.decade);
+                this.decadeFilters = this.decadeFilters.includes(decade) ?
+                    this.decadeFilters.filter(d => d !== decade) : [...this.decadeFilters, decade];
+                chip.classList.toggle('active', this.decadeFilters.includes(decade));
+                this.updateYearFilterLabel();
+                this.currentPage = 1;
+                this.renderGames();
+            });
+        }
+
+        const yearReset = document.getElementById('year-filter-reset');
+        if (yearReset) {
+            yearReset.addEventListener('click', () => {
+                this.yearRange = null;
+                this.decadeFilters = [];
+                this.updateYearFilters();
+                this.renderGames();
+            });
+        }
+
+        // Region, storefront and purchase year filters (options populated from owned copies)
+        const regionFilter = document.getElementById('region-filter');
+        if (regionFilter) {
+            regionFilter.addEventListener('change', (e) => {
+                this.regionFilter = e.target.value;
+                this.renderGames();
+            });
+        }
+
+        const storefrontFilter = document.getElementById('storefront-filter');
+        if (storefrontFilter) {
+            storefrontFilter.addEventListener('change', (e) => {
+                this.storefrontFilter = e.target.value;
+                this.renderGames();
+            });
+        }
+
+        const purchaseYearFilter = document.getElementById('purchase-year-filter');
+        if (purchaseYearFilter) {
+            purchaseYearFilter.addEventListener('change', (e) => {
+                this.purchaseYearFilter = e.target.value;
+                this.renderGames();
+            });
+        }
+
+        // Loan filter
+        const loanFilter = document.getElementById('loan-filter');
+        if (loanFilter) {
+            loanFilter.addEventListener('change', (e) => {
+                this.loanFilter = e.target.value;
+                this.renderGames();
+            });
+        }
+
         // Collection selector (updated from shelf selector)
         const collectionSelector = document.getElementById('collection-selector');
         if (collectionSelector) {
@@ -323,12 +875,16 @@ class GameShelf {
 
         const clearLibraryBtn = document.getElementById('clear-library');
         if (clearLibraryBtn) {
-            clearLibraryBtn.addEventListener('click', () => {
-                if (confirm('本当にライブラリをクリアしますか？この操作は取り消せません。')) {
-                    this.games = [];
-                    this.saveData();
-                    this.renderGames();
-                    this.updateStats();
+            clearLibraryBtn.addEventListener('click', async () => {
+                if (confirm('本当にライブラリをクリアしますか？')) {
+                    try {
+                        await this.gameManager.clearAllGames();
+                    } catch (error) {
+                        console.error('Failed to clear library:', error);
+                        alert(`エラー: ${error.message}`);
+                        return;
+                    }
+                    this.showUndoToast('ライブラリをクリアしました');
                 }
             });
         }
@@ -356,264 +912,531 @@ class GameShelf {
         });
     }
 
-    updateShelfSelector() {
-        // This method is now handled by CollectionUI
-        if (this.collectionUI) {
-            this.collectionUI.updateCollectionSelector();
+    /**
+     * Everything that decides which games are shown and in what order, as plain data for LibraryFilterManager
+     */
+    getFilterCriteria() {
+        return {
+            collectionId: this.currentShelf,
+            query: this.searchQuery,
+            starFilters: this.starFilters,
+            platformFilters: this.platformFilters,
+            completionFilters: this.completionFilters,
+            genreFilters: this.genreFilters,
+            yearRange: this.yearRange,
+            decadeFilters: this.decadeFilters,
+            ownershipFilters: this.ownershipFilters,
+            regionFilter: this.regionFilter,
+            storefrontFilter: this.storefrontFilter,
+            purchaseYearFilter: this.purchaseYearFilter,
+            customFieldFilter: this.customFieldFilter,
+            statsFilter: this.statsFilter,
+            loanFilter: this.loanFilter,
+            sort: this.currentSort,
+            sortDirection: this.sortDirection,
+            // Fold DLCs under their base game in the cover grid
+            foldDlcs: this.currentView === 'covers',
+            expandedDlcBases: [...this.expandedDlcBases]
+        };
+    }
+
+    filterGames() {
+        return this.libraryFilterManager.filter(this.getFilterCriteria());
+    }
+
+    onCollectionChange(collectionId) {
+        this.currentShelf = collectionId;
+        this.renderGames();
+    }
+
+    sortGames(games) {
+        return this.libraryFilterManager.sort(games, this.getFilterCriteria());
+    }
+
+    /**
+     * Filter, sort and fold the library, then hand { games, dlcCounts } to the callback
+     * Large libraries go to the library worker, so the callback may run later; only the latest request's runs
+     */
+    queryGames(callback) {
+        const criteria = this.getFilterCriteria();
+        const requestId = ++this.queryRequestId;
+        const loading = document.getElementById('loading');
+
+        const deliver = result => {
+            if (requestId !== this.queryRequestId) return;
+            if (loading) loading.style.display = 'none';
+            callback(result);
+        };
+
+        if (!this.libraryWorkerManager.shouldUseWorker()) {
+            deliver(this.libraryFilterManager.run(criteria));
+            return;
+        }
+
+        // Show loading while the worker is busy
+        if (loading) loading.style.display = 'block';
+
+        this.libraryWorkerManager.query(criteria)
+            .catch(error => {
+                console.warn('Library worker query failed, filtering on the main thread:', error);
+                return this.libraryFilterManager.run(criteria);
+            })
+            .then(deliver);
+    }
+
+    /**
+     * The current page of a query result
+     * @returns {Object} { games, total }
+     */
+    getPageGames({ games, dlcCounts }) {
+        this.dlcCounts = dlcCounts;
+
+        // The timeline cannot be virtualized, so it is always paged (by release year ranges)
+        if (this.currentView === 'timeline') {
+            const pages = this.getTimelinePages(games);
+            this.timelinePageLabels = pages.map(page => page.label);
+            this.currentPage = Math.max(1, Math.min(this.currentPage, pages.length));
+            return { games: pages.length > 0 ? pages[this.currentPage - 1].games : [], total: games.length };
+        }
+
+        // Pagination
+        let gamesToShow = games;
+        const pageSize = this.getPageSize();
+        if (pageSize) {
+            this.currentPage = Math.max(1, Math.min(this.currentPage, Math.ceil(games.length / pageSize)));
+            const startIndex = (this.currentPage - 1) * pageSize;
+            const endIndex = startIndex + pageSize;
+            gamesToShow = games.slice(startIndex, endIndex);
+        }
+
+        return { games: gamesToShow, total: games.length };
+    }
+
+    /**
+     * Games per page (null when everything is shown on one page)
+     * Drag reordering needs every card of the page in the DOM, so a custom collection shown "all"
+     * at once is paged at the virtualization threshold instead
+     */
+    getPageSize() {
+        if (this.gamesPerPage !== 'all') return this.gamesPerPage;
+        return this.isDragEnabled() ? this.virtualThreshold : null;
+    }
+
+    renderGames() {
+        if (!document.getElementById('bookshelf') || !this.libraryFilterManager) return;
+
+        this.queryGames(result => this.renderPage(this.getPageGames(result)));
+    }
+
+    renderPage({ games, total }) {
+        const container = document.getElementById('bookshelf');
+
+        if (this.virtualScroller) {
+            this.virtualScroller.destroy();
+            this.virtualScroller = null;
+        }
+
+        // Render games
+        if (this.currentView === 'covers') {
+            this.renderCoversView(games, container);
+        } else if (this.currentView === 'timeline') {
+            this.renderTimelineView(games, container);
+        } else {
+            this.renderListView(games, container);
+        }
+
+        // Update pagination
+        this.renderPagination(total);
+
+        // Remember what is on screen so change events can patch it
+        this.renderedState = {
+            view: this.currentView,
+            ids: games.map(game => `${game.id || game.title}${game.isExpandedDlc ? ':dlc' : ''}`),
+            total: total,
+            draggable: this.isDragEnabled()
+        };
+    }
+
+    /**
+     * Bring the grid up to date after games changed
+     * Cards are patched in place while the same games stay on screen in the same order;
+     * anything else (a game entering or leaving the page, a new position) re-renders the page
+     * @param {Set} changedIds - IDs of the changed games
+     */
+    refreshView(changedIds) {
+        if (!document.getElementById('bookshelf') || !this.libraryFilterManager) return;
+
+        this.queryGames(result => {
+            const container = document.getElementById('bookshelf');
+            const { games, total } = this.getPageGames(result);
+            const ids = games.map(game => `${game.id || game.title}${game.isExpandedDlc ? ':dlc' : ''}`);
+            const state = this.renderedState;
+
+            // A changed game may move to another year or lane, so the timeline is always redrawn
+            if (!state || state.view !== this.currentView || state.draggable !== this.isDragEnabled() ||
+                ids.length !== state.ids.length || ids.some((id, i) => id !== state.ids[i]) ||
+                (this.currentView === 'timeline' && games.some(game => changedIds.has(game.id)))) {
+                this.renderPage({ games, total });
+                return;
+            }
+
+            if (this.virtualScroller) {
+                // Cards off screen are drawn from the new game objects when scrolled to
+                this.virtualScroller.updateItems(games, game => changedIds.has(game.id));
+            } else {
+                games.filter(game => changedIds.has(game.id)).forEach(game => this.replaceGameElement(container, game));
+            }
+
+            if (total !== state.total) {
+                this.renderPagination(total);
+                state.total = total;
+            }
+        });
+    }
+
+    /**
+     * Re-render one card or list row in place
+     */
+    replaceGameElement(container, game) {
+        const selector = this.currentView === 'covers' ? '.game-item' : '.game-row';
+        const current = [...container.querySelectorAll(selector)].find(item =>
+            item.dataset.gameId === game.id && item.classList.contains('expanded-dlc') === Boolean(game.isExpandedDlc));
+        if (!current) return;
+
+        const wrapper = document.createElement(this.currentView === 'covers' ? 'div' : 'tbody');
+        wrapper.innerHTML = this.currentView === 'covers' ? this.renderCoverCard(game) : this.renderListRow(game);
+        const element = wrapper.firstElementChild;
+
+        current.replaceWith(element);
+        this.bindGameElement(element);
+        if (this.renderedState.draggable) {
+            this.setupDragItem(element, container);
+        }
+    }
+
+    /**
+     * Whether cards can be dragged to reorder the current collection (custom collections, not while selecting)
+     */
+    isDragEnabled() {
+        if (this.currentView !== 'covers' || this.currentShelf === 'all' || !this.collectionManager) return false;
+        if (this.bulkEditUI && this.bulkEditUI.selectionMode) return false;
+
+        const collection = this.collectionManager.getCollectionById(this.currentShelf);
+        return Boolean(collection && !collection.isDefault && !this.collectionManager.isSmartCollection(collection));
+    }
+
+    renderCoversView(games, container) {
+        container.className = 'bookshelf covers-view';
+        
+        if (games.length === 0) {
+            container.innerHTML = '<div class="no-games">🎮 ゲームが見つかりません</div>';
+            return;
+        }
+
+        // Drag reordering needs every card in the DOM; its pages never go past the threshold (see getPageSize)
+        if (games.length > this.virtualThreshold && !this.isDragEnabled()) {
+            container.innerHTML = '';
+            this.virtualScroller = new VirtualScroller(container, {
+                items: games,
+                renderItem: game => this.renderCoverCard(game),
+                bindItem: element => this.bindGameElement(element)
+            });
+            return;
         }
+
+        container.innerHTML = games.map(game => this.renderCoverCard(game)).join('');
+        container.querySelectorAll('.game-item').forEach(item => this.bindGameElement(item));
+
+        // Add drag and drop functionality for custom collections
+        if (this.isDragEnabled()) {
+            this.setupDragAndDrop(container);
+        }
+    }
+
+    renderCoverCard(game) {
+        const selectionMode = this.bulkEditUI && this.bulkEditUI.selectionMode;
+
+        return `
+            <div class="game-item ${game.isExpandedDlc ? 'expanded-dlc' : ''} ${selectionMode ? 'selectable' : ''} ${selectionMode && this.bulkEditUI.isSelected(game.id || game.title) ? 'selected' : ''}" data-game-id="${game.id || game.title}">
+                ${selectionMode ? `<input type="checkbox" class="game-select-checkbox" tabindex="-1" ${this.bulkEditUI.isSelected(game.id || game.title) ? 'checked' : ''}>` : ''}
+                <div class="game-cover">
+                    <img src="${this.getCoverSrc(game)}" data-cover-url="${game.coverImage || ''}" 
+                         alt="${game.title}" 
+                         loading="lazy"
+                         onerror="window.gameShelf.handleCoverError(this)">
+                    <div class="game-overlay">
+                        <div class="game-rating">
+                            ${this.renderStars(game.userMetadata.rating || 0)}
+                        </div>
+                        <div class="game-platforms">
+                            ${game.platforms.slice(0, 2).join(', ')}
+                        </div>
+                    </div>
+                </div>
+                <div class="game-info">
+                    <h3 class="game-title">${game.title}</h3>
+                    <p class="game-developer">${game.developer || ''}</p>
+                    ${this.renderOwnershipBadge(game)}
+                    ${this.renderLoanBadge(game)}
+                    ${this.renderChecklistProgress(game)}
+                    ${this.renderDlcToggle(game)}
+                </div>
+            </div>
+        `;
     }
 
-    filterGames() {
-        let filteredGames;
-
-        // Get games from current collection
-        if (this.collectionManager && this.currentShelf) {
-            try {
-                filteredGames = this.collectionManager.getCollectionGames(this.currentShelf, this.gameManager);
-                // Convert to GameShelf format for compatibility
-                filteredGames = filteredGames.map(game => this.convertGameManagerToShelfFormat(game));
-            } catch (error) {
-                console.warn('Failed to get collection games, falling back to all games:', error);
-                filteredGames = [...this.games];
-            }
-        } else {
-            filteredGames = [...this.games];
-        }
-
-        // Apply search filter
-        if (this.searchQuery) {
-            filteredGames = filteredGames.filter(game => 
-                game.title?.toLowerCase().includes(this.searchQuery) ||
-                game.developer?.toLowerCase().includes(this.searchQuery) ||
-                game.publisher?.toLowerCase().includes(this.searchQuery)
-            );
-        }
-
-        // Apply star rating filter
-        filteredGames = filteredGames.filter(game => 
-            this.starFilters.includes(game.rating || 0)
-        );
+    /**
+     * Click handler for a card or row, and the toggle that shows or hides folded DLCs
+     */
+    bindGameElement(element) {
+        element.addEventListener('click', (e) => {
+            this.handleGameClick(element.dataset.gameId, e);
+        });
 
-        // Apply platform filter
-        if (this.platformFilters.length > 0) {
-            filteredGames = filteredGames.filter(game => {
-                if (!game.platforms || game.platforms.length === 0) return false;
-                
-                return game.platforms.some(platform => 
-                    this.platformFilters.some(filter => 
-                        platform.toLowerCase().includes(filter.toLowerCase()) ||
-                        filter.toLowerCase().includes(platform.toLowerCase())
-                    )
-                );
+        const dlcToggle = element.querySelector('.game-dlc-toggle');
+        if (dlcToggle) {
+            dlcToggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const baseId = dlcToggle.dataset.baseId;
+                if (this.expandedDlcBases.has(baseId)) {
+                    this.expandedDlcBases.delete(baseId);
+                } else {
+                    this.expandedDlcBases.add(baseId);
+                }
+                this.renderGames();
             });
         }
+    }
 
-        // Apply completion status filter
-        if (this.completionFilters.length > 0) {
-            filteredGames = filteredGames.filter(game => 
-                this.completionFilters.includes(game.completionStatus || 'not_started')
-            );
-        }
+    renderOwnershipBadge(game) {
+        const { ownershipState, wishlist } = game.userMetadata;
+        if (!this.ownershipManager || !ownershipState || ownershipState === 'owned') return '';
 
-        // Apply genre filter
-        if (this.genreFilters.length > 0) {
-            filteredGames = filteredGames.filter(game => {
-                if (!game.genre || game.genre.length === 0) return false;
-                
-                return game.genre.some(genre => 
-                    this.genreFilters.includes(genre)
-                );
-            });
+        const state = this.ownershipManager.ownershipStates[ownershipState];
+        const details = [];
+        if (ownershipState === 'wishlist' && wishlist) {
+            details.push(`優先度${this.ownershipManager.priorities[wishlist.priority] || ''}`);
+            if (wishlist.targetPrice !== null) {
+                details.push(`目標 ${this.ownershipManager.formatPrice(wishlist.targetPrice, wishlist.currency)}`);
+            }
+            if (wishlist.expectedReleaseDate) {
+                details.push(`${wishlist.expectedReleaseDate} 発売予定`);
+            }
         }
 
-        return filteredGames;
+        return `
+            <p class="game-ownership-badge ${ownershipState}">
+                ${state.emoji} ${state.label}${details.length > 0 ? ` ・ ${details.join(' ・ ')}` : ''}
+            </p>
+        `;
     }
 
-    convertGameManagerToShelfFormat(game) {
-        return {
-            id: game.id,
-            title: game.title,
-            name: game.title, // Compatibility
-            platforms: game.platforms,
-            platform: game.platforms[0] || '', // Compatibility
-            releaseDate: game.releaseDate,
-            developer: game.developer,
-            publisher: game.publisher,
-            genre: game.genre,
-            coverImage: game.coverImage,
-            image: game.coverImage, // Compatibility
-            description: game.description,
-            rating: game.userMetadata.rating,
-            notes: game.userMetadata.notes,
-            completionStatus: game.userMetadata.completionStatus,
-            acquiredTime: game.userMetadata.dateAdded,
-            playTime: game.userMetadata.playTime,
-            tags: game.userMetadata.tags,
-            favorite: game.userMetadata.favorite,
-            officialStoreLinks: game.officialStoreLinks,
-            attribution: game.dataSource.attribution ? {
-                url: game.dataSource.attribution,
-                text: 'Wikipedia',
-                license: 'CC BY-SA',
-                licenseUrl: 'https://creativecommons.org/licenses/by-sa/3.0/'
-            } : null
-        };
-    }
+    renderLoanBadge(game) {
+        const loan = this.loanManager ? this.loanManager.getActiveLoan(game) : null;
+        if (!loan) return '';
 
-    onCollectionChange(collectionId) {
-        this.currentShelf = collectionId;
-        this.renderGames();
+        const overdue = this.loanManager.isOverdue(loan);
+        const due = loan.expectedReturnDate ? ` ・ ${loan.expectedReturnDate}まで` : '';
+
+        return `
+            <p class="game-loan-badge ${overdue ? 'overdue' : ''}" title="${overdue ? '返却予定日を過ぎています' : '貸し出し中'}">
+                ${overdue ? '⚠️ 返却遅れ' : '📤 貸出中'}: ${HtmlUtils.escape(loan.borrower)}${due}
+            </p>
+        `;
     }
 
-    sortGames(games) {
-        const sortedGames = [...games];
-
-        // For custom collections with custom order, respect the collection order
-        if (this.currentSort === 'custom' && this.collectionManager && this.currentShelf !== 'all') {
-            const collection = this.collectionManager.getCollectionById(this.currentShelf);
-            if (collection && collection.gameOrder.length > 0) {
-                // Sort by collection order
-                sortedGames.sort((a, b) => {
-                    const aIndex = collection.gameOrder.indexOf(a.id || a.title);
-                    const bIndex = collection.gameOrder.indexOf(b.id || b.title);
-                    
-                    // If both games are in the order, sort by their position
-                    if (aIndex !== -1 && bIndex !== -1) {
-                        return aIndex - bIndex;
-                    }
-                    // If only one is in the order, prioritize it
-                    if (aIndex !== -1) return -1;
-                    if (bIndex !== -1) return 1;
-                    // If neither is in the order, maintain original order
-                    return 0;
-                });
-                
-                return this.sortDirection === 'desc' ? sortedGames.reverse() : sortedGames;
-            }
+    /**
+     * Cover image source (cached copy, original URL or a generated placeholder)
+     */
+    getCoverSrc(game) {
+        if (this.coverCacheManager) {
+            return this.coverCacheManager.getCoverSrc(game);
         }
+        return game.coverImage || '';
+    }
 
-        sortedGames.sort((a, b) => {
-            let comparison = 0;
-
-            switch (this.currentSort) {
-                case 'title':
-                    comparison = (a.title || '').localeCompare(b.title || '');
-                    break;
-                case 'developer':
-                    comparison = (a.developer || '').localeCompare(b.developer || '');
-                    break;
-                case 'publisher':
-                    comparison = (a.publisher || '').localeCompare(b.publisher || '');
-                    break;
-                case 'releaseDate':
-                    comparison = new Date(a.releaseDate || 0) - new Date(b.releaseDate || 0);
-                    break;
-                case 'acquiredTime':
-                    comparison = new Date(a.acquiredTime || 0) - new Date(b.acquiredTime || 0);
-                    break;
-                case 'rating':
-                    comparison = (a.rating || 0) - (b.rating || 0);
-                    break;
-                case 'completionStatus':
-                    const statusOrder = { 'not_started': 0, 'in_progress': 1, 'completed': 2, 'abandoned': 3 };
-                    comparison = (statusOrder[a.completionStatus] || 0) - (statusOrder[b.completionStatus] || 0);
-                    break;
-                case 'platform':
-                    const aPlatform = Array.isArray(a.platforms) ? a.platforms[0] || '' : (a.platform || '');
-                    const bPlatform = Array.isArray(b.platforms) ? b.platforms[0] || '' : (b.platform || '');
-                    comparison = aPlatform.localeCompare(bPlatform);
-                    break;
-                default: // custom
-                    comparison = (a.customOrder || 0) - (b.customOrder || 0);
-            }
+    /**
+     * Replace a cover that failed to load with the generated placeholder
+     */
+    handleCoverError(img) {
+        img.onerror = null;
+        img.src = this.coverCacheManager ? this.coverCacheManager.getPlaceholder(img.alt) : '';
+    }
 
-            return this.sortDirection === 'desc' ? -comparison : comparison;
+    /**
+     * Swap a freshly cached cover into the images already on screen
+     */
+    updateCoverImages(url, objectUrl) {
+        document.querySelectorAll('img[data-cover-url]').forEach(img => {
+            if (img.dataset.coverUrl === url) img.src = objectUrl;
         });
-
-        return sortedGames;
     }
 
-    renderGames() {
-        const container = document.getElementById('bookshelf');
-        const loading = document.getElementById('loading');
-        
-        if (!container) return;
-
-        // Show loading
-        if (loading) loading.style.display = 'block';
-
-        // Filter and sort games
-        const filteredGames = this.filterGames();
-        const sortedGames = this.sortGames(filteredGames);
-
-        // Pagination
-        let gamesToShow = sortedGames;
-        if (this.gamesPerPage !== 'all') {
-            const startIndex = (this.currentPage - 1) * this.gamesPerPage;
-            const endIndex = startIndex + this.gamesPerPage;
-            gamesToShow = sortedGames.slice(startIndex, endIndex);
-        }
+    renderDlcToggle(game) {
+        const count = this.dlcCounts ? this.dlcCounts.get(game.id) : 0;
+        if (!count) return '';
 
-        // Render games
-        if (this.currentView === 'covers') {
-            this.renderCoversView(gamesToShow, container);
-        } else {
-            this.renderListView(gamesToShow, container);
-        }
+        const expanded = this.expandedDlcBases.has(game.id);
+        return `
+            <button class="game-dlc-toggle ${expanded ? 'expanded' : ''}" data-base-id="${game.id}" title="${expanded ? 'DLCを折りたたむ' : 'DLCを表示'}">
+                🧩 DLC ${count}件 ${expanded ? '▴' : '▾'}
+            </button>
+        `;
+    }
 
-        // Update pagination
-        this.renderPagination(sortedGames.length);
+    renderChecklistProgress(game) {
+        const percent = this.libraryFilterManager.getChecklistPercent(game);
+        if (percent < 0) return '';
 
-        // Hide loading
-        if (loading) loading.style.display = 'none';
+        return `
+            <div class="game-checklist-progress" title="チェックリスト ${percent}%">
+                <div class="game-checklist-bar"><div class="game-checklist-fill" style="width: ${percent}%"></div></div>
+                <span class="game-checklist-percent">${percent}%</span>
+            </div>
+        `;
     }
 
-    renderCoversView(games, container) {
-        container.className = 'bookshelf covers-view';
-        
+    /**
+     * Chronological layout: one column per release year (empty years included, so gaps show),
+     * one lane per platform; games on several platforms appear in each of their lanes
+     */
+    renderTimelineView(games, container) {
+        container.className = 'bookshelf timeline-view';
+
         if (games.length === 0) {
             container.innerHTML = '<div class="no-games">🎮 ゲームが見つかりません</div>';
             return;
         }
 
-        container.innerHTML = games.map(game => `
-            <div class="game-item" data-game-id="${game.id || game.title}">
-                <div class="game-cover">
-                    <img src="${game.coverImage || 'https://via.placeholder.com/160x240?text=No+Cover'}" 
-                         alt="${game.title}" 
-                         loading="lazy"
-                         onerror="this.src='https://via.placeholder.com/160x240?text=No+Cover'">
-                    <div class="game-overlay">
-                        <div class="game-rating">
-                            ${this.renderStars(game.rating || 0)}
-                        </div>
-                        <div class="game-platforms">
-                            ${Array.isArray(game.platforms) ? game.platforms.slice(0, 2).join(', ') : (game.platforms || '')}
-                        </div>
+        const { years, lanes, undated } = this.buildTimeline(games);
+        const columns = years.map(({ count }) => count > 0 ? 'minmax(4.5rem, max-content)' : '1.25rem').join(' ');
+        const yearClass = ({ year, count }) => `${count > 0 ? '' : 'empty'} ${year % 10 === 0 ? 'decade-start' : ''}`;
+
+        container.innerHTML = `
+            ${years.length > 0 ? `
+                <div class="timeline-scroll">
+                    <div class="timeline-grid" style="grid-template-columns: 9rem ${columns};">
+                        <div class="timeline-corner">機種 ＼ 発売年</div>
+                        ${years.map(entry => `
+                            <div class="timeline-year ${yearClass(entry)}" title="${entry.year}年: ${entry.count}本">
+                                ${entry.count > 0 ? `${entry.year}<small>${entry.count}本</small>` : ''}
+                            </div>
+                        `).join('')}
+                        ${lanes.map(lane => `
+                            <div class="timeline-lane-label" title="${HtmlUtils.escape(lane.platform)}">${HtmlUtils.escape(lane.platform)}</div>
+                            ${years.map(entry => `
+                                <div class="timeline-cell ${yearClass(entry)}">
+                                    ${(lane.cells.get(entry.year) || []).map(game => this.renderTimelineGame(game)).join('')}
+                                </div>
+                            `).join('')}
+                        `).join('')}
                     </div>
                 </div>
-                <div class="game-info">
-                    <h3 class="game-title">${game.title}</h3>
-                    <p class="game-developer">${game.developer || ''}</p>
+            ` : ''}
+            ${undated.length > 0 ? `
+                <div class="timeline-undated">
+                    <h4>発売日不明（${undated.length}本）</h4>
+                    <div class="timeline-undated-games">
+                        ${undated.map(game => this.renderTimelineGame(game)).join('')}
+                    </div>
                 </div>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('.timeline-game').forEach(item => this.bindGameElement(item));
+    }
+
+    renderTimelineGame(game) {
+        const selected = this.bulkEditUI && this.bulkEditUI.selectionMode && this.bulkEditUI.isSelected(game.id);
+        const title = HtmlUtils.escape(game.title);
+
+        return `
+            <div class="timeline-game ${selected ? 'selected' : ''}" data-game-id="${game.id}" title="${title}${game.releaseDate ? `（${HtmlUtils.escape(game.releaseDate)}）` : ''}">
+                <img src="${this.getCoverSrc(game)}" data-cover-url="${game.coverImage || ''}"
+                     alt="${title}"
+                     loading="lazy"
+                     onerror="window.gameShelf.handleCoverError(this)">
             </div>
-        `).join('');
+        `;
+    }
 
-        // Add click handlers
-        container.querySelectorAll('.game-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const gameId = item.dataset.gameId;
-                this.showGameDetails(gameId);
+    /**
+     * Split games into timeline pages of whole release years, oldest first, each holding up to a page
+     * of games (a single year with more games gets a page to itself); undated games come last
+     * @returns {Array} [{ label, games }]
+     */
+    getTimelinePages(games) {
+        const pageSize = this.gamesPerPage === 'all' ? this.virtualThreshold : this.gamesPerPage;
+        const byYear = new Map();
+        const undated = [];
+        games.forEach(game => {
+            const year = DateUtils.getReleaseYear(game);
+            if (year === null) {
+                undated.push(game);
+                return;
+            }
+            if (!byYear.has(year)) byYear.set(year, []);
+            byYear.get(year).push(game);
+        });
+
+        const pages = [];
+        let page = null;
+        [...byYear.keys()].sort((a, b) => a - b).forEach(year => {
+            const yearGames = byYear.get(year);
+            if (!page || page.games.length + yearGames.length > pageSize) {
+                page = { from: year, to: year, games: [] };
+                pages.push(page);
+            }
+            page.to = year;
+            page.games.push(...yearGames);
+        });
+
+        const result = pages.map(({ from, to, games }) => ({ label: from === to ? `${from}年` : `${from}〜${to}年`, games }));
+        for (let start = 0; start < undated.length; start += pageSize) {
+            result.push({ label: '発売日不明', games: undated.slice(start, start + pageSize) });
+        }
+        return result;
+    }
+
+    /**
+     * Group games by release year and platform
+     * @returns {Object} { years: [{ year, count }] from the first to the last year, lanes: [{ platform, cells: Map(year → games) }], undated }
+     */
+    buildTimeline(games) {
+        const dated = [];
+        const undated = [];
+        games.forEach(game => {
+            const year = DateUtils.getReleaseYear(game);
+            if (year === null) {
+                undated.push(game);
+            } else {
+                dated.push({ game, year });
+            }
+        });
+
+        // Oldest first, so lanes are ordered by their platform's first game
+        dated.sort((a, b) => a.year - b.year || String(a.game.releaseDate).localeCompare(String(b.game.releaseDate)));
+
+        const counts = new Map();
+        const lanes = new Map();
+        dated.forEach(({ game, year }) => {
+            counts.set(year, (counts.get(year) || 0) + 1);
+            (game.platforms.length > 0 ? game.platforms : ['機種不明']).forEach(platform => {
+                if (!lanes.has(platform)) lanes.set(platform, { platform, cells: new Map() });
+                const cells = lanes.get(platform).cells;
+                if (!cells.has(year)) cells.set(year, []);
+                cells.get(year).push(game);
             });
         });
 
-        // Add drag and drop functionality for custom collections
-        if (this.currentShelf !== 'all' && this.collectionManager) {
-            const collection = this.collectionManager.getCollectionById(this.currentShelf);
-            if (collection && !collection.isDefault) {
-                this.setupDragAndDrop(container);
+        const years = [];
+        if (dated.length > 0) {
+            for (let year = dated[0].year; year <= dated[dated.length - 1].year; year++) {
+                years.push({ year, count: counts.get(year) || 0 });
             }
         }
+
+        return { years, lanes: [...lanes.values()], undated };
     }
 
     renderListView(games, container) {
@@ -624,11 +1447,15 @@ class GameShelf {
             return;
         }
 
+        const selectionMode = this.bulkEditUI && this.bulkEditUI.selectionMode;
+        const virtual = games.length > this.virtualThreshold;
+        
         container.innerHTML = `
-            <table class="games-table">
+            <table class="games-table ${virtual ? 'virtual' : ''}">
                 <thead>
                     <tr>
-                        <th>カバー</th>
+                        ${selectionMode ? '<th class="game-select-cell"></th>' : ''}
+                        <th class="game-cover-cell">カバー</th>
                         <th>タイトル</th>
                         <th>開発者</th>
                         <th>プラットフォーム</th>
@@ -637,32 +1464,46 @@ class GameShelf {
                     </tr>
                 </thead>
                 <tbody>
-                    ${games.map(game => `
-                        <tr class="game-row" data-game-id="${game.id || game.title}">
-                            <td class="game-cover-cell">
-                                <img src="${game.coverImage || 'https://via.placeholder.com/40x60?text=No+Cover'}" 
-                                     alt="${game.title}" 
-                                     class="game-cover-small"
-                                     onerror="this.src='https://via.placeholder.com/40x60?text=No+Cover'">
-                            </td>
-                            <td class="game-title-cell">${game.title}</td>
-                            <td class="game-developer-cell">${game.developer || ''}</td>
-                            <td class="game-platforms-cell">${Array.isArray(game.platforms) ? game.platforms.join(', ') : (game.platforms || '')}</td>
-                            <td class="game-release-cell">${game.releaseDate || ''}</td>
-                            <td class="game-rating-cell">${this.renderStars(game.rating || 0)}</td>
-                        </tr>
-                    `).join('')}
+                    ${virtual ? '' : games.map(game => this.renderListRow(game)).join('')}
                 </tbody>
             </table>
         `;
 
-        // Add click handlers
-        container.querySelectorAll('.game-row').forEach(row => {
-            row.addEventListener('click', () => {
-                const gameId = row.dataset.gameId;
-                this.showGameDetails(gameId);
+        if (virtual) {
+            this.virtualScroller = new VirtualScroller(container.querySelector('tbody'), {
+                items: games,
+                renderItem: game => this.renderListRow(game),
+                bindItem: element => this.bindGameElement(element)
             });
-        });
+            return;
+        }
+
+        container.querySelectorAll('.game-row').forEach(row => this.bindGameElement(row));
+    }
+
+    renderListRow(game) {
+        const selectionMode = this.bulkEditUI && this.bulkEditUI.selectionMode;
+
+        return `
+            <tr class="game-row ${selectionMode && this.bulkEditUI.isSelected(game.id || game.title) ? 'selected' : ''}" data-game-id="${game.id || game.title}">
+                ${selectionMode ? `
+                    <td class="game-select-cell">
+                        <input type="checkbox" class="game-select-checkbox" tabindex="-1" ${this.bulkEditUI.isSelected(game.id || game.title) ? 'checked' : ''}>
+                    </td>
+                ` : ''}
+                <td class="game-cover-cell">
+                    <img src="${this.getCoverSrc(game)}" data-cover-url="${game.coverImage || ''}" 
+                         alt="${game.title}" 
+                         class="game-cover-small"
+                         onerror="window.gameShelf.handleCoverError(this)">
+                </td>
+                <td class="game-title-cell">${game.title}</td>
+                <td class="game-developer-cell">${game.developer || ''}</td>
+                <td class="game-platforms-cell">${game.platforms.join(', ')}</td>
+                <td class="game-release-cell">${game.releaseDate || ''}</td>
+                <td class="game-rating-cell">${this.renderStars(game.userMetadata.rating || 0)}</td>
+            </tr>
+        `;
     }
 
     renderStars(rating) {
@@ -679,12 +1520,16 @@ class GameShelf {
 
     renderPagination(totalGames) {
         const paginationContainer = document.getElementById('pagination');
-        if (!paginationContainer || this.gamesPerPage === 'all') {
+        const timeline = this.currentView === 'timeline';
+        const pageSize = this.getPageSize();
+        if (!paginationContainer || (!pageSize && !timeline)) {
             if (paginationContainer) paginationContainer.innerHTML = '';
             return;
         }
 
-        const totalPages = Math.ceil(totalGames / this.gamesPerPage);
+        // Timeline pages are named after the years they cover
+        const totalPages = timeline ? this.timelinePageLabels.length : Math.ceil(totalGames / pageSize);
+        const label = page => timeline ? this.timelinePageLabels[page - 1] : page;
         
         if (totalPages <= 1) {
             paginationContainer.innerHTML = '';
@@ -701,9 +1546,9 @@ class GameShelf {
         // Page numbers
         for (let i = 1; i <= totalPages; i++) {
             if (i === this.currentPage) {
-                paginationHTML += `<button class="pagination-btn active">${i}</button>`;
+                paginationHTML += `<button class="pagination-btn active">${label(i)}</button>`;
             } else if (i === 1 || i === totalPages || Math.abs(i - this.currentPage) <= 2) {
-                paginationHTML += `<button class="pagination-btn" data-page="${i}">${i}</button>`;
+                paginationHTML += `<button class="pagination-btn" data-page="${i}">${label(i)}</button>`;
             } else if (i === this.currentPage - 3 || i === this.currentPage + 3) {
                 paginationHTML += '<span class="pagination-ellipsis">...</span>';
             }
@@ -727,31 +1572,25 @@ class GameShelf {
     }
 
     showGameDetails(gameId) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
+        const game = this.gameManager.findGameById(gameId);
         if (!game) return;
 
+        this.currentDetailGameId = gameId;
+
         const modal = document.getElementById('game-modal');
         const modalBody = document.getElementById('modal-body');
         
         if (!modal || !modalBody) return;
 
-        // Ensure user metadata exists
-        if (!game.userMetadata) {
-            game.userMetadata = {
-                rating: game.rating || 0,
-                notes: game.notes || '',
-                completionStatus: game.completionStatus || 'not_started',
-                tags: game.tags || []
-            };
-        }
+        const attribution = this.getAttribution(game);
 
         modalBody.innerHTML = `
             <div class="game-details">
                 <div class="game-header">
-                    <img src="${game.coverImage || 'https://via.placeholder.com/200x300?text=No+Cover'}" 
+                    <img src="${this.getCoverSrc(game)}" data-cover-url="${game.coverImage || ''}" 
                          alt="${game.title}" 
                          class="game-cover-large"
-                         onerror="this.src='https://via.placeholder.com/200x300?text=No+Cover'">
+                         onerror="window.gameShelf.handleCoverError(this)">
                     <div class="game-info-detailed">
                         <h2>${game.title}</h2>
                         <div class="game-metadata-grid">
@@ -846,13 +1685,30 @@ class GameShelf {
                     </div>
                 </div>
 
-                ${game.attribution ? `
+                ${this.ownershipUI ? this.ownershipUI.renderCopiesSection(game.id || game.title) : ''}
+
+                ${this.playSessionUI ? this.playSessionUI.renderSessionSection(game.id || game.title) : ''}
+
+                ${this.checklistUI ? this.checklistUI.renderChecklistSection(game.id || game.title) : ''}
+
+                ${this.loanUI ? this.loanUI.renderLoanSection(game.id || game.title) : ''}
+
+                ${this.customFieldUI ? this.customFieldUI.renderFieldSection(game.id || game.title) : ''}
+
+                ${this.relationUI ? this.relationUI.renderRelationSection(game.id || game.title) : ''}
+
+                ${attribution ? `
                     <div class="game-attribution">
                         <h4>📊 データソース</h4>
-                        <p><a href="${game.attribution.url}" target="_blank" rel="noopener">${game.attribution.text}</a></p>
-                        <p><small>ライセンス: <a href="${game.attribution.licenseUrl}" target="_blank" rel="noopener">${game.attribution.license}</a></small></p>
+                        <p><a href="${attribution.url}" target="_blank" rel="noopener">${attribution.text}</a></p>
+                        <p><small>ライセンス: <a href="${attribution.licenseUrl}" target="_blank" rel="noopener">${attribution.license}</a></small></p>
                     </div>
                 ` : ''}
+
+                <div class="game-actions-section">
+                    <button class="btn btn-small btn-secondary refresh-game-metadata" data-game-id="${game.id}">🔄 メタデータを更新</button>
+                    <button class="btn btn-small btn-danger delete-game" data-game-id="${game.id}">🗑️ ライブラリから削除</button>
+                </div>
             </div>
         `;
 
@@ -862,6 +1718,20 @@ class GameShelf {
         modal.style.display = 'block';
     }
 
+    /**
+     * Attribution for games imported from Wikipedia (dataSource.attribution holds the article URL)
+     */
+    getAttribution(game) {
+        if (!game.dataSource.attribution) return null;
+
+        return {
+            url: game.dataSource.attribution,
+            text: 'Wikipedia',
+            license: 'CC BY-SA',
+            licenseUrl: 'https://creativecommons.org/licenses/by-sa/3.0/'
+        };
+    }
+
     renderPlatformBadges(platforms) {
         if (!platforms) return '<span class="metadata-value">不明</span>';
         
@@ -1241,6 +2111,48 @@ class GameShelf {
 
         // Collection removal handlers
         this.setupCollectionRemovalHandlers(gameId);
+
+        // Metadata refresh (reviewable diff)
+        const refreshMetadataBtn = document.querySelector(`.refresh-game-metadata[data-game-id="${gameId}"]`);
+        if (refreshMetadataBtn && this.metadataRefreshUI) {
+            refreshMetadataBtn.addEventListener('click', () => this.metadataRefreshUI.showSingleRefresh(gameId));
+        }
+
+        // Game deletion (undoable from the toast)
+        const deleteGameBtn = document.querySelector(`.delete-game[data-game-id="${gameId}"]`);
+        if (deleteGameBtn) {
+            deleteGameBtn.addEventListener('click', () => this.deleteGame(gameId));
+        }
+
+        // Owned copies editor
+        if (this.ownershipUI) {
+            this.ownershipUI.setupCopiesEventListeners(gameId);
+        }
+
+        // Play session timer and history
+        if (this.playSessionUI) {
+            this.playSessionUI.setupSessionEventListeners(gameId);
+        }
+
+        // Progress checklist
+        if (this.checklistUI) {
+            this.checklistUI.setupChecklistEventListeners(gameId);
+        }
+
+        // Lending
+        if (this.loanUI) {
+            this.loanUI.setupLoanEventListeners(gameId);
+        }
+
+        // Custom field values
+        if (this.customFieldUI) {
+            this.customFieldUI.setupFieldEventListeners(gameId);
+        }
+
+        // Series and related games
+        if (this.relationUI) {
+            this.relationUI.setupRelationEventListeners(gameId);
+        }
     }
 
     setupCollectionRemovalHandlers(gameId) {
@@ -1253,7 +2165,10 @@ class GameShelf {
                 
                 try {
                     if (this.collectionUI) {
-                        await this.collectionUI.removeGameFromCollection(gameId, collectionId);
+                        const collection = this.collectionManager.getCollectionById(collectionId);
+                        if (await this.collectionUI.removeGameFromCollection(gameId, collectionId)) {
+                            this.showUndoToast(`「${collection.name}」から削除しました`);
+                        }
                         
                         // Refresh current collections display
                         const currentCollectionsDiv = document.getElementById(`current-collections-${gameId}`);
@@ -1272,44 +2187,12 @@ class GameShelf {
     }
 
     setupDragAndDrop(container) {
-        const gameItems = container.querySelectorAll('.game-item');
-        
-        gameItems.forEach(item => {
-            item.draggable = true;
-            item.style.cursor = 'move';
-            
-            item.addEventListener('dragstart', (e) => {
-                e.dataTransfer.setData('text/plain', item.dataset.gameId);
-                item.classList.add('dragging');
-            });
-            
-            item.addEventListener('dragend', () => {
-                item.classList.remove('dragging');
-            });
-            
-            item.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                const draggingItem = container.querySelector('.dragging');
-                if (draggingItem && draggingItem !== item) {
-                    const rect = item.getBoundingClientRect();
-                    const midpoint = rect.left + rect.width / 2;
-                    
-                    if (e.clientX < midpoint) {
-                        item.parentNode.insertBefore(draggingItem, item);
-                    } else {
-                        item.parentNode.insertBefore(draggingItem, item.nextSibling);
-                    }
-                }
-            });
-            
-            item.addEventListener('drop', (e) => {
-                e.preventDefault();
-                this.updateCollectionOrder();
-            });
-        });
+        container.querySelectorAll('.game-item').forEach(item => this.setupDragItem(item, container));
         
-        // Add visual feedback for drag and drop
+        // Add visual feedback for drag and drop (once)
+        if (document.getElementById('game-drag-style')) return;
         const style = document.createElement('style');
+        style.id = 'game-drag-style';
         style.textContent = `
             .game-item.dragging {
                 opacity: 0.5;
@@ -1323,15 +2206,60 @@ class GameShelf {
         document.head.appendChild(style);
     }
 
+    setupDragItem(item, container) {
+        item.draggable = true;
+        item.style.cursor = 'move';
+        
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', item.dataset.gameId);
+            item.classList.add('dragging');
+        });
+        
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+        });
+        
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            const draggingItem = container.querySelector('.dragging');
+            if (draggingItem && draggingItem !== item) {
+                const rect = item.getBoundingClientRect();
+                const midpoint = rect.left + rect.width / 2;
+                
+                if (e.clientX < midpoint) {
+                    item.parentNode.insertBefore(draggingItem, item);
+                } else {
+                    item.parentNode.insertBefore(draggingItem, item.nextSibling);
+                }
+            }
+        });
+        
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.updateCollectionOrder();
+        });
+    }
+
     async updateCollectionOrder() {
         if (!this.collectionManager || this.currentShelf === 'all') return;
         
         const collection = this.collectionManager.getCollectionById(this.currentShelf);
-        if (!collection || collection.isDefault) return;
+        if (!collection || collection.isDefault || this.collectionManager.isSmartCollection(collection)) return;
         
         const container = document.getElementById('bookshelf');
-        const gameItems = container.querySelectorAll('.game-item');
-        const newOrder = Array.from(gameItems).map(item => item.dataset.gameId);
+        const fullOrder = [...new Set([...collection.gameOrder, ...collection.games])];
+        const inCollection = new Set(fullOrder);
+        const pageOrder = [...new Set(Array.from(container.querySelectorAll('.game-item')).map(item => item.dataset.gameId))]
+            .filter(gameId => inCollection.has(gameId));
+        
+        // Only one page is on screen: its games take the places they held in the whole collection order
+        // (which the grid shows reversed when sorting descending)
+        const descending = this.sortDirection === 'desc';
+        const shownOrder = descending ? [...fullOrder].reverse() : fullOrder;
+        const onPage = new Set(pageOrder);
+        let next = 0;
+        const newShownOrder = shownOrder.map(gameId => onPage.has(gameId) ? pageOrder[next++] : gameId);
+        const newOrder = descending ? newShownOrder.reverse() : newShownOrder;
         
         try {
             await this.collectionManager.updateCollectionOrder(this.currentShelf, newOrder);
@@ -1345,16 +2273,9 @@ class GameShelf {
         const genreContainer = document.getElementById('genre-filter-checkboxes');
         if (!genreContainer) return;
 
-        // Get all unique genres from games
-        const allGenres = new Set();
-        this.games.forEach(game => {
-            if (game.genre && Array.isArray(game.genre)) {
-                game.genre.forEach(g => allGenres.add(g));
-            }
-        });
-
-        // Sort genres alphabetically
-        const sortedGenres = Array.from(allGenres).sort();
+        // Get all unique genres from games, sorted alphabetically
+        const sortedGenres = this.getAllGenres();
+        this.genreKey = sortedGenres.join('\n');
 
         // Create checkboxes for each genre
         genreContainer.innerHTML = sortedGenres.map(genre => `
@@ -1385,65 +2306,174 @@ class GameShelf {
         });
     }
 
-    updateGameRating(gameId, rating) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
-        if (game) {
-            if (!game.userMetadata) game.userMetadata = {};
-            game.userMetadata.rating = rating;
-            game.rating = rating; // Backward compatibility
-            this.saveData();
-            this.showSaveIndicator();
+    /**
+     * Fit the year sliders to the library's release years and rebuild the decade chips
+     */
+    updateYearFilters() {
+        const filter = document.getElementById('year-filter');
+        const yearMin = document.getElementById('year-range-min');
+        const yearMax = document.getElementById('year-range-max');
+        const decadeChips = document.getElementById('decade-chips');
+        if (!filter || !yearMin || !yearMax || !decadeChips) return;
+
+        const years = this.gameManager.getAllGames().map(game => DateUtils.getReleaseYear(game)).filter(year => year !== null);
+        filter.classList.toggle('no-years', years.length === 0);
+
+        if (years.length > 0) {
+            const min = Math.min(...years);
+            const max = Math.max(...years);
+            [yearMin, yearMax].forEach(slider => {
+                slider.min = min;
+                slider.max = max;
+            });
+            yearMin.value = this.yearRange ? this.yearRange.min : min;
+            yearMax.value = this.yearRange ? this.yearRange.max : max;
         }
+
+        // Selected decades stay listed even when no game is left in them, so they can be deselected
+        const decadeCounts = new Map(this.decadeFilters.map(decade => [decade, 0]));
+        years.forEach(year => {
+            const decade = Math.floor(year / 10) * 10;
+            decadeCounts.set(decade, (decadeCounts.get(decade) || 0) + 1);
+        });
+
+        decadeChips.innerHTML = [...decadeCounts.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([decade, count]) => `
+                <button class="decade-chip ${this.decadeFilters.includes(decade) ? 'active' : ''}" data-decade="${decade}">
+                    ${decade}年代 <small>${count}</small>
+                </button>
+            `).join('');
+
+        this.updateYearFilterLabel();
     }
 
-    updateGameCompletionStatus(gameId, status) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
-        if (game) {
-            if (!game.userMetadata) game.userMetadata = {};
-            game.userMetadata.completionStatus = status;
-            game.completionStatus = status; // Backward compatibility
-            this.saveData();
-            this.showSaveIndicator();
+    /**
+     * Take the range from the sliders (the one being dragged cannot pass the other)
+     */
+    readYearRange(changedSlider) {
+        const yearMin = document.getElementById('year-range-min');
+        const yearMax = document.getElementById('year-range-max');
+        let min = Number(yearMin.value);
+        let max = Number(yearMax.value);
+
+        if (min > max) {
+            if (changedSlider === yearMin) {
+                min = max;
+                yearMin.value = min;
+            } else {
+                max = min;
+                yearMax.value = max;
+            }
         }
+
+        // The full span means no range filter, so games without a release date stay visible
+        const fullSpan = min <= Number(yearMin.min) && max >= Number(yearMax.max);
+        this.yearRange = fullSpan ? null : { min, max };
+        this.updateYearFilterLabel();
     }
 
-    updateGameNotes(gameId, notes) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
-        if (game) {
-            if (!game.userMetadata) game.userMetadata = {};
-            game.userMetadata.notes = notes;
-            game.notes = notes; // Backward compatibility
-            this.saveData();
-            this.showSaveIndicator();
-        }
+    updateYearFilterLabel() {
+        const label = document.getElementById('year-range-label');
+        if (label) label.textContent = this.yearRange ? `${this.yearRange.min}年〜${this.yearRange.max}年` : 'すべての年';
+
+        const reset = document.getElementById('year-filter-reset');
+        if (reset) reset.style.display = this.yearRange || this.decadeFilters.length > 0 ? '' : 'none';
     }
 
-    addGameTag(gameId, tag) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
-        if (game) {
-            if (!game.userMetadata) game.userMetadata = {};
-            if (!game.userMetadata.tags) game.userMetadata.tags = [];
-            
-            // Check for duplicates
-            if (game.userMetadata.tags.includes(tag)) {
-                this.showTagError('このタグは既に追加されています');
-                return false;
+    updateOwnershipFilters() {
+        if (!this.ownershipManager) return;
+
+        const games = this.gameManager.getAllGames();
+        const selectors = [
+            { id: 'region-filter', key: 'regionFilter', label: '全てのリージョン', values: this.ownershipManager.getAllRegions(games), names: this.ownershipManager.regions },
+            { id: 'storefront-filter', key: 'storefrontFilter', label: '全てのストア', values: this.ownershipManager.getAllStorefronts(games), names: {} },
+            { id: 'purchase-year-filter', key: 'purchaseYearFilter', label: '購入年: すべて', values: this.ownershipManager.getAllPurchaseYears(games).map(String), names: {} }
+        ];
+
+        selectors.forEach(({ id, key, label, values, names }) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            // Reset a selection that no longer matches any copy
+            if (this[key] && !values.includes(this[key])) {
+                this[key] = '';
             }
-            
-            // Check tag limit
-            if (game.userMetadata.tags.length >= 10) {
-                this.showTagError('タグは最大10個まで追加できます');
-                return false;
+
+            select.innerHTML = `<option value="">${label}</option>` + values.map(value => 
+                `<option value="${HtmlUtils.escape(value)}" ${value === this[key] ? 'selected' : ''}>${HtmlUtils.escape(names[value] || value)}</option>`
+            ).join('');
+        });
+    }
+
+    updateCustomFieldControls() {
+        if (!this.customFieldManager) return;
+
+        const fields = this.customFieldManager.getFields();
+
+        // Drop a filter or sort on a field that was deleted
+        if (this.customFieldFilter && !this.customFieldManager.getField(this.customFieldFilter.field.slice('field:'.length))) {
+            this.customFieldFilter = null;
+        }
+        if (this.currentSort.startsWith('field:') && !this.customFieldManager.getField(this.currentSort.slice('field:'.length))) {
+            this.currentSort = 'custom';
+        }
+
+        this.customFieldUI.renderFilter(this.customFieldFilter);
+
+        // Custom fields as sort options
+        const sortOrder = document.getElementById('sort-order');
+        if (sortOrder) {
+            const existing = sortOrder.querySelector('optgroup.custom-field-sort');
+            if (existing) existing.remove();
+
+            if (fields.length > 0) {
+                const group = document.createElement('optgroup');
+                group.className = 'custom-field-sort';
+                group.label = 'カスタム項目';
+                fields.forEach(field => group.appendChild(new Option(field.name, `field:${field.id}`)));
+                sortOrder.appendChild(group);
             }
-            
-            game.userMetadata.tags.push(tag);
-            if (!game.tags) game.tags = []; // Backward compatibility
-            if (!game.tags.includes(tag)) game.tags.push(tag);
-            this.saveData();
-            this.showSaveIndicator();
-            return true;
+            sortOrder.value = this.currentSort;
+        }
+    }
+
+    updateGameRating(gameId, rating) {
+        this.updateManagerMetadata(gameId, { rating: rating });
+        this.showSaveIndicator();
+    }
+
+    updateGameCompletionStatus(gameId, status) {
+        this.updateManagerMetadata(gameId, { completionStatus: status });
+        this.showSaveIndicator();
+    }
+
+    updateGameNotes(gameId, notes) {
+        this.updateManagerMetadata(gameId, { notes: notes });
+        this.showSaveIndicator();
+    }
+
+    addGameTag(gameId, tag) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return false;
+        
+        const tags = game.userMetadata.tags || [];
+        
+        // Check for duplicates
+        if (tags.includes(tag)) {
+            this.showTagError('このタグは既に追加されています');
+            return false;
+        }
+        
+        // Check tag limit
+        if (tags.length >= 10) {
+            this.showTagError('タグは最大10個まで追加できます');
+            return false;
         }
-        return false;
+        
+        this.updateManagerMetadata(gameId, { tags: [...tags, tag] });
+        this.showSaveIndicator();
+        return true;
     }
 
     validateTag(tag) {
@@ -1472,17 +2502,45 @@ class GameShelf {
     }
 
     removeGameTag(gameId, tag) {
-        const game = this.games.find(g => (g.id || g.title) === gameId);
+        const game = this.gameManager.findGameById(gameId);
         if (game) {
-            if (game.userMetadata && game.userMetadata.tags) {
-                game.userMetadata.tags = game.userMetadata.tags.filter(t => t !== tag);
-            }
-            if (game.tags) {
-                game.tags = game.tags.filter(t => t !== tag); // Backward compatibility
-            }
-            this.saveData();
-            this.showSaveIndicator();
+            this.updateManagerMetadata(gameId, {
+                tags: (game.userMetadata.tags || []).filter(t => t !== tag)
+            });
+        }
+        this.showUndoToast(`タグ「${tag}」を削除しました`);
+    }
+
+    updateManagerMetadata(gameId, userMetadata) {
+        // Edits go through GameManager so they are persisted and can be undone
+        if (!this.gameManager.findGameById(gameId)) return;
+        
+        this.gameManager.updateGame(gameId, { userMetadata: userMetadata })
+            .catch(error => console.error('Failed to update game:', error));
+    }
+
+    async deleteGame(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return;
+        
+        try {
+            // Removing the game and its collection memberships is one undo step
+            await this.historyManager.runBatch(`「${game.title}」を削除`, async () => {
+                for (const collection of this.collectionManager.getAllCollections()) {
+                    if (collection.games.includes(gameId)) {
+                        await this.collectionManager.removeGameFromCollection(gameId, collection.id);
+                    }
+                }
+                await this.gameManager.deleteGame(gameId);
+            });
+        } catch (error) {
+            console.error('Failed to delete game:', error);
+            alert(`エラー: ${error.message}`);
+            return;
         }
+        
+        document.getElementById('game-modal').style.display = 'none';
+        this.showUndoToast(`「${game.title}」を削除しました`);
     }
 
     showSaveIndicator() {
@@ -1517,48 +2575,21 @@ class GameShelf {
     updateStats() {
         const totalGamesElement = document.getElementById('total-games');
         const totalPlatformsElement = document.getElementById('total-platforms');
+        // Wishlisted games are not counted as part of the library
+        const libraryGames = this.gameManager.getAllGames().filter(game => game.userMetadata.ownershipState !== 'wishlist');
 
         if (totalGamesElement) {
-            totalGamesElement.textContent = this.games.length;
+            totalGamesElement.textContent = libraryGames.length;
         }
 
         if (totalPlatformsElement) {
             const platforms = new Set();
-            this.games.forEach(game => {
-                if (Array.isArray(game.platforms)) {
-                    game.platforms.forEach(platform => platforms.add(platform));
-                } else if (game.platforms) {
-                    platforms.add(game.platforms);
-                }
+            libraryGames.forEach(game => {
+                game.platforms.forEach(platform => platforms.add(platform));
             });
             totalPlatformsElement.textContent = platforms.size;
         }
     }
-
-    addGame(gameData) {
-        const game = {
-            id: gameData.id || Date.now().toString(),
-            title: gameData.title,
-            developer: gameData.developer,
-            publisher: gameData.publisher,
-            releaseDate: gameData.releaseDate,
-            platforms: gameData.platforms,
-            genre: gameData.genre,
-            description: gameData.description,
-            coverImage: gameData.coverImage,
-            rating: gameData.rating || 0,
-            acquiredTime: new Date().toISOString(),
-            shelves: gameData.shelves || [],
-            attribution: gameData.attribution
-        };
-
-        this.games.push(game);
-        this.saveData();
-        this.renderGames();
-        this.updateStats();
-
-        return game;
-    }
 }
 
 // Initialize Game Shelf when DOM is loaded
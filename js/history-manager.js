@@ -0,0 +1,341 @@
+/**
+ * HistoryManager - Undo/redo history for GameManager and CollectionManager mutations
+ * Records before/after snapshots of the games and collections each operation touched,
+ * supports batching several mutations into one entry, and persists the last N entries
+ */
+class HistoryManager {
+    constructor(gameManager, collectionManager, storage = null) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+        this.storage = storage || gameManager.storage;
+        this.maxEntries = 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.batchDepth = 0;
+        this.listeners = [];
+    }
+
+    /**
+     * Initialize and restore persisted history
+     */
+    async initialize() {
+        try {
+            const saved = await this.storage.getMeta('history');
+            if (saved) {
+                this.undoStack = Array.isArray(saved.undo) ? saved.undo : [];
+                this.redoStack = Array.isArray(saved.redo) ? saved.redo : [];
+            }
+        } catch (error) {
+            console.error('Failed to restore undo history:', error);
+        }
+    }
+
+    /**
+     * Snapshot games by ID (null data for games that do not exist)
+     */
+    snapshotGames(gameIds) {
+        const games = this.gameManager.getAllGames();
+        const positions = new Map(games.map((game, index) => [game.id, index]));
+        const snapshot = {};
+
+        gameIds.forEach(gameId => {
+            const index = positions.has(gameId) ? positions.get(gameId) : -1;
+            snapshot[gameId] = {
+                index: index,
+                data: index > -1 ? JSON.parse(JSON.stringify(games[index])) : null
+            };
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Snapshot collections by ID (null data for collections that do not exist)
+     */
+    snapshotCollections(collectionIds) {
+        const collections = this.collectionManager.getAllCollections();
+        const snapshot = {};
+
+        collectionIds.forEach(collectionId => {
+            const index = collections.findIndex(collection => collection.id === collectionId);
+            snapshot[collectionId] = {
+                index: index,
+                data: index > -1 ? JSON.parse(JSON.stringify(collections[index])) : null
+            };
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Record a mutation from its "before" snapshots; "after" is taken now
+     * @param {string} label - Human readable description
+     * @param {Object} before - { games: snapshot, collections: snapshot }
+     */
+    record(label, before) {
+        const gamesBefore = before.games || {};
+        const collectionsBefore = before.collections || {};
+
+        if (this.batch) {
+            // Keep the earliest "before" of every record touched during the batch
+            Object.keys(gamesBefore).forEach(id => {
+                if (!(id in this.batch.before.games)) this.batch.before.games[id] = gamesBefore[id];
+            });
+            Object.keys(collectionsBefore).forEach(id => {
+                if (!(id in this.batch.before.collections)) this.batch.before.collections[id] = collectionsBefore[id];
+            });
+            return;
+        }
+
+        this.pushEntry({
+            label: label,
+            before: { games: gamesBefore, collections: collectionsBefore }
+        });
+    }
+
+    /**
+     * Start grouping mutations into a single undoable entry
+     */
+    beginBatch(label) {
+        if (this.batchDepth === 0) {
+            this.batch = {
+                label: label,
+                before: { games: {}, collections: {} }
+            };
+        }
+        this.batchDepth++;
+    }
+
+    /**
+     * Finish a batch started with beginBatch
+     */
+    endBatch() {
+        if (this.batchDepth === 0) return;
+
+        this.batchDepth--;
+        if (this.batchDepth > 0) return;
+
+        const batch = this.batch;
+        this.batch = null;
+
+        if (Object.keys(batch.before.games).length > 0 || Object.keys(batch.before.collections).length > 0) {
+            this.pushEntry(batch);
+        }
+    }
+
+    /**
+     * Run an async function as one undoable batch
+     */
+    async runBatch(label, fn) {
+        this.beginBatch(label);
+        try {
+            return await fn();
+        } finally {
+            this.endBatch();
+        }
+    }
+
+    /**
+     * Complete an entry with "after" snapshots and push it on the undo stack
+     */
+    pushEntry(entry) {
+        const after = {
+            games: this.snapshotGames(Object.keys(entry.before.games)),
+            collections: this.snapshotCollections(Object.keys(entry.before.collections))
+        };
+
+        this.undoStack.push({
+            id: 'history_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            label: entry.label,
+            timestamp: Date.now(),
+            before: entry.before,
+            after: after
+        });
+
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxEntries);
+        }
+        this.redoStack = [];
+
+        this.persist();
+        this.notify();
+    }
+
+    /**
+     * Check whether undo is available
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether redo is available
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the latest entry
+     * @returns {Promise<Object|null>} The undone entry
+     */
+    async undo() {
+        if (!this.canUndo()) return null;
+
+        const entry = this.undoStack.pop();
+        await this.applySnapshot(entry.before);
+        this.redoStack.push(entry);
+
+        this.persist();
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Redo the latest undone entry
+     * @returns {Promise<Object|null>} The redone entry
+     */
+    async redo() {
+        if (!this.canRedo()) return null;
+
+        const entry = this.redoStack.pop();
+        await this.applySnapshot(entry.after);
+        this.undoStack.push(entry);
+
+        this.persist();
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Restore games and collections to a snapshot
+     */
+    async applySnapshot(snapshot) {
+        const games = this.gameManager.getAllGames();
+        const previousGames = new Map(Object.keys(snapshot.games)
+            .map(id => [id, games.find(game => game.id === id)])
+            .filter(([, game]) => game));
+        this.restoreRecords(games, snapshot.games);
+        this.gameManager.markChanged(Object.keys(snapshot.games));
+        this.gameManager.updateMetadata();
+        await this.gameManager.saveCollection();
+
+        const collectionIds = Object.keys(snapshot.collections);
+        const previousCollections = new Map(collectionIds
+            .map(id => [id, this.collectionManager.getCollectionById(id)])
+            .filter(([, collection]) => collection));
+        if (collectionIds.length > 0) {
+            this.restoreRecords(this.collectionManager.getAllCollections(), snapshot.collections);
+        }
+
+        if (this.gameManager.events) {
+            // Views and special collections follow the events
+            if (collectionIds.length > 0) {
+                await this.collectionManager.saveCollections();
+            }
+            this.emitRestoreEvents(snapshot, previousGames, previousCollections);
+        } else {
+            // Special collections follow game metadata, so re-derive them (this also saves collections)
+            await this.collectionManager.updateSpecialCollections(this.gameManager);
+        }
+    }
+
+    /**
+     * Emit change events for every game and collection a snapshot restored
+     */
+    emitRestoreEvents(snapshot, previousGames, previousCollections) {
+        Object.entries(snapshot.games).forEach(([gameId, state]) => {
+            if (state.data === null) {
+                if (previousGames.has(gameId)) {
+                    this.gameManager.emitChange('game:removed', { gameId, game: previousGames.get(gameId) });
+                }
+            } else {
+                const game = this.gameManager.findGameById(gameId);
+                this.gameManager.emitChange(previousGames.has(gameId) ? 'game:updated' : 'game:added',
+                    { gameId, game, fields: null });
+            }
+        });
+
+        Object.entries(snapshot.collections).forEach(([collectionId, state]) => {
+            if (state.data === null && !previousCollections.has(collectionId)) return;
+            this.collectionManager.emitChange(collectionId, 'restored',
+                state.data === null ? previousCollections.get(collectionId) : null);
+        });
+    }
+
+    /**
+     * Replace, re-insert or remove records in place so references stay valid
+     */
+    restoreRecords(records, snapshot) {
+        // Insert in original index order so restored positions line up
+        const entries = Object.entries(snapshot).sort((a, b) => a[1].index - b[1].index);
+
+        entries.forEach(([id, state]) => {
+            const currentIndex = records.findIndex(record => record.id === id);
+
+            if (state.data === null) {
+                if (currentIndex > -1) records.splice(currentIndex, 1);
+            } else if (currentIndex > -1) {
+                records[currentIndex] = JSON.parse(JSON.stringify(state.data));
+            } else {
+                const insertAt = state.index > -1 ? Math.min(state.index, records.length) : records.length;
+                records.splice(insertAt, 0, JSON.parse(JSON.stringify(state.data)));
+            }
+        });
+    }
+
+    /**
+     * Get the label of the next undo/redo entries
+     */
+    getStatus() {
+        return {
+            undo: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+            redo: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+        };
+    }
+
+    /**
+     * Clear all history
+     */
+    async clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        await this.persist();
+        this.notify();
+    }
+
+    /**
+     * Persist history so it survives a reload
+     */
+    async persist() {
+        try {
+            await this.storage.setMeta('history', {
+                undo: this.undoStack,
+                redo: this.redoStack
+            });
+        } catch (error) {
+            console.error('Failed to persist undo history:', error);
+        }
+    }
+
+    /**
+     * Subscribe to history changes
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners about history changes
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getStatus());
+            } catch (error) {
+                console.error('History listener failed:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * HistoryUI - Undo/redo keyboard shortcuts and the undo toast
+ */
+class HistoryUI {
+    constructor(historyManager, onHistoryApplied = null) {
+        this.historyManager = historyManager;
+        this.onHistoryApplied = onHistoryApplied;
+        this.toastTimeout = null;
+        this.isApplying = false;
+
+        this.setupKeyboardShortcuts();
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+            // Leave text fields to the browser's own undo
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+                target.tagName === 'SELECT' || target.isContentEditable)) {
+                return;
+            }
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+    }
+
+    /**
+     * Undo the latest operation
+     */
+    async undo() {
+        if (this.isApplying || !this.historyManager.canUndo()) return;
+
+        this.isApplying = true;
+        try {
+            const entry = await this.historyManager.undo();
+            this.applied();
+            this.showToast(`↩️ 元に戻しました: ${entry.label}`, 'やり直す', () => this.redo());
+        } catch (error) {
+            console.error('Undo failed:', error);
+            alert(`エラー: ${error.message}`);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Redo the latest undone operation
+     */
+    async redo() {
+        if (this.isApplying || !this.historyManager.canRedo()) return;
+
+        this.isApplying = true;
+        try {
+            const entry = await this.historyManager.redo();
+            this.applied();
+            this.showToast(`↪️ やり直しました: ${entry.label}`, '元に戻す', () => this.undo());
+        } catch (error) {
+            console.error('Redo failed:', error);
+            alert(`エラー: ${error.message}`);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Show the toast offered after destructive actions
+     */
+    showUndoToast(message) {
+        this.showToast(message, '元に戻す', () => this.undo());
+    }
+
+    /**
+     * Show a toast with an optional action button
+     */
+    showToast(message, actionLabel = null, action = null) {
+        let toast = document.querySelector('.undo-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.className = 'undo-toast';
+            document.body.appendChild(toast);
+        }
+
+        toast.innerHTML = `
+            <span class="undo-toast-message"></span>
+            ${actionLabel ? `<button class="undo-toast-action">${actionLabel}</button>` : ''}
+            <button class="undo-toast-close" title="閉じる">&times;</button>
+        `;
+        // Messages quote game, tag and collection names
+        toast.querySelector('.undo-toast-message').textContent = message;
+
+        const actionBtn = toast.querySelector('.undo-toast-action');
+        if (actionBtn) {
+            actionBtn.addEventListener('click', () => {
+                this.hideToast();
+                action();
+            });
+        }
+        toast.querySelector('.undo-toast-close').addEventListener('click', () => this.hideToast());
+
+        toast.classList.add('show');
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => this.hideToast(), 6000);
+    }
+
+    /**
+     * Hide the toast
+     */
+    hideToast() {
+        const toast = document.querySelector('.undo-toast');
+        if (toast) {
+            toast.classList.remove('show');
+        }
+        clearTimeout(this.toastTimeout);
+    }
+
+    /**
+     * Notify the main application that games/collections were restored
+     */
+    applied() {
+        if (this.onHistoryApplied) {
+            this.onHistoryApplied();
+        }
+    }
+}
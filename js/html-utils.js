@@ -0,0 +1,18 @@
+/**
+ * HtmlUtils - Helpers for building HTML strings from user and imported data
+ */
+class HtmlUtils {
+    /**
+     * Escape text for use in element content and in quoted attribute values
+     * @param {*} text - Any value; null and undefined become an empty string
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * LegacyStoreMigrator - One-time move of GameShelf's own LocalStorage copy into the managers
+ * GameShelf used to keep the library in `gameShelfGames` and its shelves in `gameShelfShelves`
+ * next to GameManager. Legacy games are reconciled with GameManager (matched by ID, then by title and
+ * platforms; GameManager wins where both have a value), shelves become collections, and both keys are
+ * removed once a backup is stored in the meta store
+ */
+class LegacyStoreMigrator {
+    constructor(gameManager, collectionManager, storage) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+        this.storage = storage;
+
+        this.keys = {
+            games: 'gameShelfGames',
+            shelves: 'gameShelfShelves'
+        };
+
+        // The old default shelves were statuses; the special collections with the same IDs follow game metadata
+        this.statusShelves = {
+            favorites: { favorite: true },
+            playing: { completionStatus: 'in_progress' },
+            completed: { completionStatus: 'completed' }
+        };
+    }
+
+    hasLegacyData() {
+        return localStorage.getItem(this.keys.games) !== null || localStorage.getItem(this.keys.shelves) !== null;
+    }
+
+    /**
+     * Read a legacy array (unreadable data counts as empty)
+     */
+    readLegacy(key) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.warn(`Ignoring unreadable legacy data in ${key}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Reconcile the legacy store into GameManager and CollectionManager, then remove it
+     * @returns {Promise<Object|null>} { added, merged, collections, errors } or null when there was nothing to migrate
+     */
+    async migrate() {
+        if (!this.hasLegacyData()) return null;
+
+        const games = this.readLegacy(this.keys.games);
+        const shelves = this.readLegacy(this.keys.shelves);
+
+        await this.storage.setMeta('legacyGameShelf_backup', {
+            createdAt: Date.now(),
+            games,
+            shelves
+        });
+
+        const report = { added: 0, merged: 0, collections: 0, errors: [] };
+        const idMap = await this.reconcileGames(games, report);
+        await this.migrateShelves(shelves, games, idMap, report);
+
+        localStorage.removeItem(this.keys.games);
+        localStorage.removeItem(this.keys.shelves);
+
+        console.log(`Migrated legacy GameShelf data: ${report.added} added, ${report.merged} merged, ${report.collections} collections created`);
+        return report;
+    }
+
+    /**
+     * Add legacy games GameManager does not have and fill gaps in the ones it has
+     * Everything is worked out first, then the new games and the filled-in ones are each saved once
+     * @returns {Promise<Map>} Legacy game key → GameManager game ID
+     */
+    async reconcileGames(legacyGames, report) {
+        const idMap = new Map();
+        if (legacyGames.length === 0) return idMap;
+
+        // The schema migrations fold the GameShelf fields (rating, platform, image, ...) into the canonical model
+        const { games } = this.gameManager.prepareImportData(legacyGames);
+        const added = [];
+        // GameManager game ID → { game: working copy, updates: everything filled in so far }
+        const merges = new Map();
+
+        for (let i = 0; i < games.length; i++) {
+            const legacy = legacyGames[i];
+            const gameData = this.applyStatusShelves(games[i], legacy.shelves || []);
+
+            // GameShelf kept the Wikipedia attribution as an object; GameManager keeps its URL
+            if (legacy.attribution && legacy.attribution.url && !gameData.dataSource?.attribution) {
+                gameData.dataSource = { ...(gameData.dataSource || {}), attribution: legacy.attribution.url };
+            }
+
+            try {
+                const existing = this.findMatch(legacy, gameData, added);
+                if (existing) {
+                    // A later legacy copy of the same game only fills what the earlier ones left empty
+                    if (!added.includes(existing) && !merges.has(existing.id)) {
+                        merges.set(existing.id, { game: JSON.parse(JSON.stringify(existing)), updates: {} });
+                    }
+                    const merge = merges.get(existing.id);
+                    const target = merge ? merge.game : existing;
+
+                    const updates = this.getMissingUpdates(target, gameData);
+                    if (Object.keys(updates).length > 0) {
+                        this.gameManager.applyUpdates(target, updates);
+                        if (merge) {
+                            merge.updates = {
+                                ...merge.updates,
+                                ...updates,
+                                userMetadata: { ...merge.updates.userMetadata, ...updates.userMetadata }
+                            };
+                        }
+                        report.merged++;
+                    }
+                    idMap.set(this.getLegacyKey(legacy), existing.id);
+                } else {
+                    const newGame = this.gameManager.createGame(gameData);
+                    added.push(newGame);
+                    idMap.set(this.getLegacyKey(legacy), newGame.id);
+                    report.added++;
+                }
+            } catch (error) {
+                console.warn('Failed to migrate legacy game:', gameData.title, error);
+                report.errors.push({ title: gameData.title, error: error.message });
+            }
+        }
+
+        await this.gameManager.addGames(added, `GameShelfから${added.length}件のゲームを移行`);
+
+        const mergedIds = [...merges.keys()].filter(gameId => Object.keys(merges.get(gameId).updates).length > 0);
+        if (mergedIds.length > 0) {
+            await this.gameManager.updateGames(mergedIds, game => merges.get(game.id).updates,
+                `GameShelfのデータで${mergedIds.length}件のゲームを補完`, { lockEdited: false });
+        }
+
+        return idMap;
+    }
+
+    /**
+     * GameShelf identified games by ID, or by title when they had none
+     */
+    getLegacyKey(legacy) {
+        return legacy.id || legacy.title || legacy.name;
+    }
+
+    /**
+     * The GameManager game a legacy game is a copy of (same ID, else same title and platforms)
+     * @param {Array} pending - Games created from earlier legacy entries that are not saved yet
+     */
+    findMatch(legacy, gameData, pending = []) {
+        const byId = legacy.id ? this.gameManager.findGameById(legacy.id) : null;
+        if (byId) return byId;
+
+        const title = (gameData.title || '').toLowerCase();
+        const platforms = JSON.stringify([...(gameData.platforms || [])].sort());
+        return [...this.gameManager.getAllGames(), ...pending].find(game =>
+            game.title.toLowerCase() === title && JSON.stringify([...game.platforms].sort()) === platforms
+        ) || null;
+    }
+
+    /**
+     * Turn membership of the old status shelves into the metadata the special collections follow
+     */
+    applyStatusShelves(gameData, shelfIds) {
+        const userMetadata = { ...(gameData.userMetadata || {}) };
+
+        shelfIds.filter(shelfId => this.statusShelves[shelfId]).forEach(shelfId => {
+            const status = this.statusShelves[shelfId];
+            if (status.favorite) userMetadata.favorite = true;
+            if (status.completionStatus && (!userMetadata.completionStatus || userMetadata.completionStatus === 'not_started')) {
+                userMetadata.completionStatus = status.completionStatus;
+            }
+        });
+
+        return { ...gameData, userMetadata };
+    }
+
+    /**
+     * Fields the legacy copy has that the GameManager copy lacks
+     */
+    getMissingUpdates(existing, gameData) {
+        const updates = {};
+
+        ['developer', 'publisher', 'releaseDate', 'coverImage', 'description'].forEach(field => {
+            if (!existing[field] && gameData[field]) updates[field] = gameData[field];
+        });
+        ['platforms', 'genre'].forEach(field => {
+            if (existing[field].length === 0 && (gameData[field] || []).length > 0) updates[field] = gameData[field];
+        });
+
+        const current = existing.userMetadata;
+        const legacy = gameData.userMetadata || {};
+        const userMetadata = {};
+
+        ['rating', 'notes', 'playTime', 'favorite'].forEach(field => {
+            if (!current[field] && legacy[field]) userMetadata[field] = legacy[field];
+        });
+
+        if (current.completionStatus === 'not_started' && legacy.completionStatus && legacy.completionStatus !== 'not_started') {
+            // When the game was started or completed is unknown; leave the dates empty rather than stamp today
+            userMetadata.completionStatus = legacy.completionStatus;
+            userMetadata.startedDate = null;
+            userMetadata.completedDate = null;
+        }
+
+        const tags = [...new Set([...(current.tags || []), ...(legacy.tags || [])])];
+        if (tags.length > (current.tags || []).length) userMetadata.tags = tags;
+
+        if (Object.keys(userMetadata).length > 0) updates.userMetadata = userMetadata;
+        return updates;
+    }
+
+    /**
+     * Create a collection for each custom shelf (or reuse one with the same ID or name) and add its games
+     */
+    async migrateShelves(shelves, legacyGames, idMap, report) {
+        for (const shelf of shelves) {
+            if (this.statusShelves[shelf.id]) continue;
+
+            try {
+                let collection = this.collectionManager.getCollectionById(shelf.id) ||
+                    this.collectionManager.getAllCollections().find(existing =>
+                        existing.name.toLowerCase() === (shelf.name || '').toLowerCase());
+                if (!collection) {
+                    collection = await this.collectionManager.createCollection(
+                        shelf.name || 'Untitled Collection', shelf.emoji || '📁', shelf.description || '');
+                    report.collections++;
+                }
+
+                const gameIds = legacyGames
+                    .filter(game => (game.shelves || []).includes(shelf.id))
+                    .map(game => idMap.get(this.getLegacyKey(game)))
+                    .filter(Boolean);
+
+                if (gameIds.length > 0 && !collection.isDefault && !this.collectionManager.isSmartCollection(collection)) {
+                    await this.collectionManager.addGamesToCollection(gameIds, collection.id);
+                }
+            } catch (error) {
+                console.warn('Failed to migrate legacy shelf:', shelf.name, error);
+                report.errors.push({ title: shelf.name, error: error.message });
+            }
+        }
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * LibraryFilterManager - Filters, sorts and folds the library for the grid
+ * Works from a plain criteria object (see GameShelf.getFilterCriteria) so the same code runs on
+ * the main thread and in the library worker, where the managers read the worker's copy of the games
+ */
+class LibraryFilterManager {
+    /**
+     * @param {GameManager} gameManager - Or any object with collection, getAllGames() and findGameById()
+     * @param {Object} managers - { collectionManager, queryManager, customFieldManager, ownershipManager,
+     *                              statisticsManager, loanManager, checklistManager, relationManager }
+     */
+    constructor(gameManager, managers = {}) {
+        this.gameManager = gameManager;
+        this.collectionManager = managers.collectionManager || null;
+        this.queryManager = managers.queryManager || null;
+        this.customFieldManager = managers.customFieldManager || null;
+        this.ownershipManager = managers.ownershipManager || null;
+        this.statisticsManager = managers.statisticsManager || null;
+        this.loanManager = managers.loanManager || null;
+        this.checklistManager = managers.checklistManager || null;
+        this.relationManager = managers.relationManager || null;
+
+        // Same ordering as String#localeCompare, without setting up a collator per comparison
+        this.collator = new Intl.Collator();
+
+        // Sort keys are computed once per game rather than in every comparison
+        const statusOrder = { 'not_started': 0, 'in_progress': 1, 'completed': 2, 'abandoned': 3 };
+        this.sortKeys = {
+            title: game => game.title || '',
+            developer: game => game.developer || '',
+            publisher: game => game.publisher || '',
+            releaseDate: game => new Date(game.releaseDate || 0).getTime(),
+            acquiredTime: game => new Date(game.userMetadata.dateAdded || 0).getTime(),
+            rating: game => game.userMetadata.rating || 0,
+            completionStatus: game => statusOrder[game.userMetadata.completionStatus] || 0,
+            // Games without a checklist sort below 0%
+            checklistProgress: game => this.getChecklistPercent(game),
+            platform: game => game.platforms[0] || '',
+            custom: game => game.customOrder || 0
+        };
+    }
+
+    /**
+     * Filter, sort and (for the cover grid) fold DLCs under their base game
+     * @returns {Object} { games, dlcCounts: Map(baseId -> count) }
+     */
+    run(criteria) {
+        let games = this.sort(this.filter(criteria), criteria);
+        let dlcCounts = new Map();
+
+        if (criteria.foldDlcs && this.relationManager) {
+            const grouped = this.relationManager.collapseDlcs(games, new Set(criteria.expandedDlcBases));
+            games = grouped.games;
+            dlcCounts = grouped.dlcCounts;
+        }
+
+        return { games, dlcCounts };
+    }
+
+    filter(criteria) {
+        let filteredGames;
+
+        // Get games from current collection
+        if (this.collectionManager && criteria.collectionId) {
+            try {
+                filteredGames = this.collectionManager.getCollectionGames(criteria.collectionId, this.gameManager);
+            } catch (error) {
+                console.warn('Failed to get collection games, falling back to all games:', error);
+                filteredGames = [...this.gameManager.getAllGames()];
+            }
+        } else {
+            filteredGames = [...this.gameManager.getAllGames()];
+        }
+
+        // Apply search query (malformed terms are highlighted in the search box and ignored here)
+        if (criteria.query && this.queryManager) {
+            filteredGames = this.queryManager.filter(filteredGames, criteria.query);
+        }
+
+        // Apply star rating filter
+        filteredGames = filteredGames.filter(game =>
+            criteria.starFilters.includes(game.userMetadata.rating || 0)
+        );
+
+        // Apply platform filter
+        if (criteria.platformFilters.length > 0) {
+            filteredGames = filteredGames.filter(game => {
+                if (game.platforms.length === 0) return false;
+
+                return game.platforms.some(platform =>
+                    criteria.platformFilters.some(filter =>
+                        platform.toLowerCase().includes(filter.toLowerCase()) ||
+                        filter.toLowerCase().includes(platform.toLowerCase())
+                    )
+                );
+            });
+        }
+
+        // Apply completion status filter
+        if (criteria.completionFilters.length > 0) {
+            filteredGames = filteredGames.filter(game =>
+                criteria.completionFilters.includes(game.userMetadata.completionStatus || 'not_started')
+            );
+        }
+
+        // Apply genre filter
+        if (criteria.genreFilters.length > 0) {
+            filteredGames = filteredGames.filter(game => {
+                if (game.genre.length === 0) return false;
+
+                return game.genre.some(genre =>
+                    criteria.genreFilters.includes(genre)
+                );
+            });
+        }
+
+        // Apply release year range and decade filters (games without a release date drop out)
+        if (criteria.yearRange || criteria.decadeFilters.length > 0) {
+            filteredGames = filteredGames.filter(game => {
+                const year = DateUtils.getReleaseYear(game);
+                if (year === null) return false;
+                if (criteria.yearRange && (year < criteria.yearRange.min || year > criteria.yearRange.max)) return false;
+                return criteria.decadeFilters.length === 0 || criteria.decadeFilters.includes(Math.floor(year / 10) * 10);
+            });
+        }
+
+        // Apply ownership filters
+        if (this.ownershipManager) {
+            filteredGames = filteredGames.filter(game => {
+                const copies = game.userMetadata.ownedCopies;
+
+                if (!this.ownershipManager.getOwnedFormats(copies).some(format =>
+                    criteria.ownershipFilters.includes(format)
+                )) {
+                    return false;
+                }
+
+                if (criteria.regionFilter && !copies.some(copy => copy.region === criteria.regionFilter)) {
+                    return false;
+                }
+
+                if (criteria.storefrontFilter && !copies.some(copy => copy.storefront === criteria.storefrontFilter)) {
+                    return false;
+                }
+
+                if (criteria.purchaseYearFilter && !copies.some(copy =>
+                    DateUtils.getYear(copy.purchaseDate) === Number(criteria.purchaseYearFilter)
+                )) {
+                    return false;
+                }
+
+                return true;
+            });
+        }
+
+        // Apply custom field filter
+        if (this.customFieldManager && criteria.customFieldFilter) {
+            filteredGames = filteredGames.filter(game =>
+                this.customFieldManager.matchesCondition(game, criteria.customFieldFilter)
+            );
+        }
+
+        // Apply the statistics segment filter
+        if (this.statisticsManager && criteria.statsFilter) {
+            filteredGames = filteredGames.filter(game =>
+                this.statisticsManager.matchesSegment(game, criteria.statsFilter)
+            );
+        }
+
+        // Apply loan filter ('on_loan' includes overdue loans)
+        if (this.loanManager && criteria.loanFilter) {
+            filteredGames = filteredGames.filter(game => {
+                const status = this.loanManager.getLoanStatus(game);
+                return criteria.loanFilter === 'on_loan' ? status !== 'available' : status === criteria.loanFilter;
+            });
+        }
+
+        return filteredGames;
+    }
+
+    sort(games, criteria) {
+        const sortedGames = [...games];
+        const direction = criteria.sortDirection === 'desc' ? -1 : 1;
+
+        // For custom collections with custom order, respect the collection order
+        if (criteria.sort === 'custom' && this.collectionManager && criteria.collectionId !== 'all') {
+            const collection = this.collectionManager.getCollectionById(criteria.collectionId);
+            if (collection && collection.gameOrder.length > 0) {
+                const positions = new Map();
+                collection.gameOrder.forEach((gameId, index) => {
+                    if (!positions.has(gameId)) positions.set(gameId, index);
+                });
+                const position = game => positions.has(game.id || game.title) ? positions.get(game.id || game.title) : -1;
+
+                sortedGames.sort((a, b) => {
+                    const aIndex = position(a);
+                    const bIndex = position(b);
+
+                    // If both games are in the order, sort by their position
+                    if (aIndex !== -1 && bIndex !== -1) {
+                        return aIndex - bIndex;
+                    }
+                    // If only one is in the order, prioritize it
+                    if (aIndex !== -1) return -1;
+                    if (bIndex !== -1) return 1;
+                    // If neither is in the order, maintain original order
+                    return 0;
+                });
+
+                return direction === -1 ? sortedGames.reverse() : sortedGames;
+            }
+        }
+
+        // Custom field sort options have the value 'field:<id>'
+        const sortField = this.customFieldManager && criteria.sort.startsWith('field:') ?
+            this.customFieldManager.getField(criteria.sort.slice('field:'.length)) : null;
+        if (sortField) {
+            return sortedGames.sort((a, b) => direction * this.customFieldManager.compareGames(a, b, sortField));
+        }
+
+        const sortKey = this.sortKeys[criteria.sort] || this.sortKeys.custom;
+        const keyed = sortedGames.map(game => ({ game, key: sortKey(game) }));
+        const compare = typeof keyed[0]?.key === 'string' ? this.collator.compare : (a, b) => a - b;
+
+        return keyed
+            .sort((a, b) => direction * compare(a.key, b.key))
+            .map(entry => entry.game);
+    }
+
+    getChecklistPercent(game) {
+        if (!this.checklistManager) return -1;
+        const percent = this.checklistManager.getProgress(game.userMetadata.checklist).percent;
+        return percent === null ? -1 : percent;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * LibraryWorkerManager - Runs LibraryFilterManager in a Web Worker for large libraries
+ * The worker keeps its own indexed copy of the games: the whole library is sent with the first query,
+ * after that only the games named in change events. Smaller libraries, and pages where the worker
+ * cannot start (e.g. opened from file://), are filtered on the main thread instead
+ */
+class LibraryWorkerManager {
+    constructor(gameManager, collectionManager) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+        this.workerUrl = 'js/library-worker.js';
+
+        // Below this many games, filtering in place is quicker than a round trip to the worker
+        this.threshold = 2000;
+
+        this.worker = null;
+        this.failed = false;
+        this.loaded = false;
+        this.changedIds = new Set();
+        this.requests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Attach an EventBus so game changes reach the worker's copy before the next query
+     */
+    setEventBus(eventBus) {
+        ['game:added', 'game:updated', 'game:removed'].forEach(type => {
+            eventBus.on(type, event => {
+                if (this.loaded) this.changedIds.add(event.gameId);
+            });
+        });
+    }
+
+    shouldUseWorker() {
+        return !this.failed && typeof Worker !== 'undefined' &&
+            this.gameManager.getAllGames().length >= this.threshold;
+    }
+
+    start() {
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            this.handleFailure(error);
+            return;
+        }
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.handleFailure(new Error(e.message || 'Library worker failed to load'));
+        });
+    }
+
+    /**
+     * Filter, sort and fold in the worker
+     * @param {Object} criteria - See GameShelf.getFilterCriteria
+     * @returns {Promise<Object>} { games, dlcCounts }, as from LibraryFilterManager.run
+     */
+    query(criteria) {
+        if (!this.worker) this.start();
+        if (!this.worker) {
+            return Promise.reject(new Error('Library worker is not available'));
+        }
+
+        this.syncLibrary();
+
+        const requestId = this.nextRequestId++;
+        const collection = this.collectionManager ? this.collectionManager.getCollectionById(criteria.collectionId) : null;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.worker.postMessage({
+                type: 'query',
+                requestId,
+                criteria,
+                collection: collection || null,
+                customFields: this.gameManager.collection.customFields || []
+            });
+        });
+    }
+
+    /**
+     * Bring the worker's copy up to date (messages are handled in order, so before the query that follows)
+     */
+    syncLibrary() {
+        const games = this.gameManager.getAllGames();
+
+        // Resending everything is cheaper than a diff once most of the library changed (imports, undo)
+        if (!this.loaded || this.changedIds.size > games.length / 2) {
+            this.worker.postMessage({ type: 'load', games });
+            this.loaded = true;
+            this.changedIds.clear();
+            return;
+        }
+
+        if (this.changedIds.size === 0) return;
+
+        const gamesById = new Map(games.map(game => [game.id, game]));
+        const changed = [];
+        const removedIds = [];
+        this.changedIds.forEach(gameId => {
+            if (gamesById.has(gameId)) {
+                changed.push(gamesById.get(gameId));
+            } else {
+                removedIds.push(gameId);
+            }
+        });
+
+        this.worker.postMessage({ type: 'update', games: changed, removedIds });
+        this.changedIds.clear();
+    }
+
+    handleMessage(message) {
+        const request = this.requests.get(message.requestId);
+        if (!request) return;
+        this.requests.delete(message.requestId);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+            return;
+        }
+
+        // The IDs map back to the main thread's games; ones removed since the query was sent are skipped
+        const gamesById = new Map(this.gameManager.getAllGames().map(game => [game.id, game]));
+        const expandedIds = new Set(message.expandedIds);
+        const games = message.ids
+            .map(gameId => {
+                const game = gamesById.get(gameId);
+                return game && expandedIds.has(gameId) ? { ...game, isExpandedDlc: true } : game;
+            })
+            .filter(Boolean);
+
+        request.resolve({ games, dlcCounts: message.dlcCounts });
+    }
+
+    /**
+     * Give up on the worker: pending queries fail (callers fall back to the main thread) and later ones are not sent
+     */
+    handleFailure(error) {
+        console.warn('Library worker unavailable, filtering on the main thread:', error);
+
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.failed = true;
+        this.loaded = false;
+
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+    }
+}
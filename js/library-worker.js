@@ -0,0 +1,114 @@
+/**
+ * Library worker - Filters and sorts large libraries off the main thread
+ * LibraryWorkerManager sends the library once ('load') and then only changed games ('update');
+ * each 'query' is answered with the matching game IDs in display order.
+ * The managers are the main thread's own classes, reading the indexed copy below
+ */
+importScripts(
+    'date-utils.js',
+    'storage-manager.js',
+    'collection-manager.js',
+    'custom-field-manager.js',
+    'query-manager.js',
+    'ownership-manager.js',
+    'loan-manager.js',
+    'statistics-manager.js',
+    'checklist-manager.js',
+    'relation-manager.js',
+    'library-filter-manager.js'
+);
+
+/**
+ * Read-only copy of the library with games indexed by ID
+ * Offers the part of GameManager the filtering managers use: collection, getAllGames() and findGameById()
+ */
+class LibraryIndex {
+    constructor() {
+        this.collection = { games: [], customFields: [] };
+        this.positions = new Map();
+    }
+
+    load(games) {
+        this.collection.games = games;
+        this.positions = new Map(games.map((game, index) => [game.id, index]));
+    }
+
+    /**
+     * Replace changed games in place, append new ones and drop removed ones
+     */
+    applyChanges(games, removedIds) {
+        games.forEach(game => {
+            if (this.positions.has(game.id)) {
+                this.collection.games[this.positions.get(game.id)] = game;
+            } else {
+                this.positions.set(game.id, this.collection.games.length);
+                this.collection.games.push(game);
+            }
+        });
+
+        if (removedIds.length > 0) {
+            const removed = new Set(removedIds);
+            this.load(this.collection.games.filter(game => !removed.has(game.id)));
+        }
+    }
+
+    getAllGames() {
+        return this.collection.games;
+    }
+
+    findGameById(gameId) {
+        const position = this.positions.get(gameId);
+        return position === undefined ? undefined : this.collection.games[position];
+    }
+}
+
+const library = new LibraryIndex();
+
+// Only the collection being shown is needed; it arrives with each query
+const collectionManager = new CollectionManager();
+const customFieldManager = new CustomFieldManager(library);
+const queryManager = new QueryManager(library);
+const ownershipManager = new OwnershipManager(library);
+collectionManager.setCustomFieldManager(customFieldManager);
+collectionManager.setQueryManager(queryManager);
+
+const filterManager = new LibraryFilterManager(library, {
+    collectionManager,
+    queryManager,
+    customFieldManager,
+    ownershipManager,
+    statisticsManager: new StatisticsManager(library, ownershipManager),
+    loanManager: new LoanManager(library),
+    checklistManager: new ChecklistManager(library),
+    relationManager: new RelationManager(library)
+});
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'load':
+            library.load(message.games);
+            break;
+        case 'update':
+            library.applyChanges(message.games, message.removedIds);
+            break;
+        case 'query':
+            try {
+                library.collection.customFields = message.customFields;
+                collectionManager.collections = message.collection ? [message.collection] : [];
+
+                const { games, dlcCounts } = filterManager.run(message.criteria);
+                self.postMessage({
+                    type: 'result',
+                    requestId: message.requestId,
+                    ids: games.map(game => game.id),
+                    expandedIds: games.filter(game => game.isExpandedDlc).map(game => game.id),
+                    dlcCounts
+                });
+            } catch (error) {
+                self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+            }
+            break;
+    }
+});
@@ -0,0 +1,222 @@
+/**
+ * LoanManager - Lending tracker for physical games
+ * Loan records (borrower, dates, notes) are kept in userMetadata.loans; returned loans stay as history
+ */
+class LoanManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+    }
+
+    /**
+     * Generate unique loan ID
+     */
+    generateLoanId() {
+        return 'loan_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in local time
+     */
+    getToday() {
+        const now = new Date();
+        return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+    }
+
+    /**
+     * Get every loan of a game, newest first
+     */
+    getLoans(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return [];
+
+        return [...(game.userMetadata.loans || [])].sort((a, b) => (b.lentDate || '').localeCompare(a.lentDate || ''));
+    }
+
+    /**
+     * Get the loan that has not come back yet (null when the game is at home)
+     */
+    getActiveLoan(game) {
+        return (game.userMetadata.loans || []).find(loan => !loan.returnedDate) || null;
+    }
+
+    /**
+     * Check whether a loan is past its expected return date
+     */
+    isOverdue(loan, today = this.getToday()) {
+        return Boolean(loan && !loan.returnedDate && loan.expectedReturnDate && loan.expectedReturnDate < today);
+    }
+
+    /**
+     * Days a loan is past its expected return date (0 when not overdue)
+     */
+    getDaysOverdue(loan, today = this.getToday()) {
+        if (!this.isOverdue(loan, today)) return 0;
+        return Math.round((new Date(today) - new Date(loan.expectedReturnDate)) / 86400000);
+    }
+
+    /**
+     * Lend a game
+     * @param {Object} loanData - { borrower, lentDate, expectedReturnDate, notes, copyId }
+     */
+    async lendGame(gameId, loanData) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (this.getActiveLoan(game)) {
+            throw new Error('This game is already on loan');
+        }
+
+        const loan = this.normalizeLoan({ lentDate: this.getToday(), ...loanData, id: this.generateLoanId() });
+        this.validateLoanData(loan);
+
+        await this.saveLoans(gameId, [...(game.userMetadata.loans || []), loan]);
+        return loan;
+    }
+
+    /**
+     * Record that a lent game came back (the loan stays in the history)
+     */
+    async returnGame(gameId, returnedDate = this.getToday()) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const activeLoan = this.getActiveLoan(game);
+        if (!activeLoan) {
+            throw new Error('This game is not on loan');
+        }
+
+        return await this.updateLoan(gameId, activeLoan.id, { returnedDate });
+    }
+
+    /**
+     * Update a loan record
+     */
+    async updateLoan(gameId, loanId, updates) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const loans = game.userMetadata.loans || [];
+        const existing = loans.find(loan => loan.id === loanId);
+        if (!existing) {
+            throw new Error('Loan not found');
+        }
+
+        const updated = this.normalizeLoan({ ...existing, ...updates, id: existing.id });
+        this.validateLoanData(updated);
+
+        if (!updated.returnedDate && loans.some(loan => loan.id !== loanId && !loan.returnedDate)) {
+            throw new Error('This game is already on loan');
+        }
+
+        await this.saveLoans(gameId, loans.map(loan => loan.id === loanId ? updated : loan));
+        return updated;
+    }
+
+    /**
+     * Delete a loan record
+     */
+    async deleteLoan(gameId, loanId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const loans = game.userMetadata.loans || [];
+        if (!loans.some(loan => loan.id === loanId)) {
+            throw new Error('Loan not found');
+        }
+
+        await this.saveLoans(gameId, loans.filter(loan => loan.id !== loanId));
+        return true;
+    }
+
+    /**
+     * Persist loans through GameManager
+     */
+    async saveLoans(gameId, loans) {
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: { loans: loans }
+        });
+    }
+
+    /**
+     * Normalize loan data to the stored shape
+     */
+    normalizeLoan(loanData) {
+        return {
+            id: loanData.id || this.generateLoanId(),
+            borrower: (loanData.borrower || '').trim(),
+            copyId: loanData.copyId || null,
+            lentDate: loanData.lentDate || null,
+            expectedReturnDate: loanData.expectedReturnDate || null,
+            returnedDate: loanData.returnedDate || null,
+            notes: (loanData.notes || '').trim()
+        };
+    }
+
+    /**
+     * Validate loan data
+     */
+    validateLoanData(loanData) {
+        if (!loanData.borrower) {
+            throw new Error('Borrower name is required');
+        }
+
+        ['lentDate', 'expectedReturnDate', 'returnedDate'].forEach(field => {
+            if (loanData[field] && isNaN(new Date(loanData[field]).getTime())) {
+                throw new Error(`Invalid date: ${field}`);
+            }
+        });
+
+        if (!loanData.lentDate) {
+            throw new Error('Lent date is required');
+        }
+
+        if (loanData.expectedReturnDate && loanData.expectedReturnDate < loanData.lentDate) {
+            throw new Error('Expected return date must be after the lent date');
+        }
+
+        if (loanData.returnedDate && loanData.returnedDate < loanData.lentDate) {
+            throw new Error('Return date must be after the lent date');
+        }
+
+        return true;
+    }
+
+    /**
+     * Every game that is currently lent out, overdue first (most overdue at the top),
+     * then by expected return date (open-ended loans last)
+     * @returns {Array} [{ game, loan, overdue, daysOverdue }]
+     */
+    getActiveLoans(games = this.gameManager.getAllGames()) {
+        const today = this.getToday();
+
+        return games
+            .map(game => ({ game, loan: this.getActiveLoan(game) }))
+            .filter(entry => entry.loan)
+            .map(entry => ({
+                ...entry,
+                overdue: this.isOverdue(entry.loan, today),
+                daysOverdue: this.getDaysOverdue(entry.loan, today)
+            }))
+            .sort((a, b) =>
+                b.daysOverdue - a.daysOverdue ||
+                (a.loan.expectedReturnDate || '9999').localeCompare(b.loan.expectedReturnDate || '9999')
+            );
+    }
+
+    /**
+     * Loan state of a game for filtering: 'overdue', 'on_loan' or 'available'
+     */
+    getLoanStatus(game) {
+        const loan = this.getActiveLoan(game);
+        if (!loan) return 'available';
+        return this.isOverdue(loan) ? 'overdue' : 'on_loan';
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * LoanUI - Lending section in the game detail modal and the loans view modal
+ * Returned loans stay listed as the game's lending history
+ */
+class LoanUI {
+    constructor(loanManager, callbacks = {}) {
+        this.loanManager = loanManager;
+        this.callbacks = callbacks;
+        this.showLendForm = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('show-loans');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showLoansView());
+        }
+    }
+
+    /**
+     * Render the lending section for the game detail modal
+     */
+    renderLoanSection(gameId) {
+        const game = this.loanManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        this.showLendForm = false;
+
+        return `
+            <div class="loan-section" id="loan-section-${gameId}">
+                ${this.renderSectionContent(gameId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the inner content (current loan, lend form and history)
+     */
+    renderSectionContent(gameId) {
+        const manager = this.loanManager;
+        const game = manager.gameManager.findGameById(gameId);
+        const activeLoan = manager.getActiveLoan(game);
+        const history = manager.getLoans(gameId).filter(loan => loan.returnedDate);
+
+        return `
+            <div class="loan-header">
+                <h3>📤 貸し出し</h3>
+                ${!activeLoan && !this.showLendForm ? '<button class="btn btn-small btn-primary loan-lend-toggle">貸し出す</button>' : ''}
+            </div>
+            ${activeLoan ? this.renderActiveLoan(game, activeLoan) : ''}
+            ${!activeLoan && this.showLendForm ? this.renderLendForm(game) : ''}
+            ${!activeLoan && !this.showLendForm ? '<p class="no-loans">現在は手元にあります</p>' : ''}
+            ${history.length > 0 ? `
+                <h4>貸し出し履歴</h4>
+                <ul class="loan-history">
+                    ${history.map(loan => this.renderHistoryRow(game, loan)).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render the loan that has not come back yet
+     */
+    renderActiveLoan(game, loan) {
+        const overdue = this.loanManager.isOverdue(loan);
+
+        return `
+            <div class="loan-active ${overdue ? 'overdue' : ''}">
+                <div class="loan-active-info">
+                    <strong>${HtmlUtils.escape(loan.borrower)}</strong> さんに貸し出し中
+                    ${this.renderCopyLabel(game, loan)}
+                    <div class="loan-dates">
+                        ${loan.lentDate} 〜 ${loan.expectedReturnDate ? `${loan.expectedReturnDate} 返却予定` : '返却予定日なし'}
+                        ${overdue ? `<span class="loan-overdue-label">⚠️ ${this.loanManager.getDaysOverdue(loan)}日超過</span>` : ''}
+                    </div>
+                    ${loan.notes ? `<div class="loan-notes">${HtmlUtils.escape(loan.notes)}</div>` : ''}
+                </div>
+                <div class="loan-active-actions">
+                    <label>返却日 <input type="date" class="loan-return-date" value="${this.loanManager.getToday()}"></label>
+                    <button class="btn btn-small btn-primary loan-return" data-loan-id="${loan.id}">返却された</button>
+                    <button class="btn btn-small btn-danger loan-delete" data-loan-id="${loan.id}" title="記録を削除">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the lend form (physical copies can be picked when any are recorded)
+     */
+    renderLendForm(game) {
+        const copies = (game.userMetadata.ownedCopies || []).filter(copy => copy.format === 'physical');
+
+        return `
+            <div class="loan-form">
+                <label>貸した相手 <input type="text" class="loan-borrower" placeholder="名前"></label>
+                <label>貸出日 <input type="date" class="loan-lent-date" value="${this.loanManager.getToday()}"></label>
+                <label>返却予定日 <input type="date" class="loan-expected-date"></label>
+                ${copies.length > 0 ? `
+                    <label>コピー
+                        <select class="loan-copy">
+                            <option value="">指定しない</option>
+                            ${copies.map(copy => `<option value="${copy.id}">${this.describeCopy(copy)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+                <label>メモ <input type="text" class="loan-notes-input" placeholder="付属品など"></label>
+                <div class="loan-form-actions">
+                    <button class="btn btn-small btn-primary loan-lend-save">貸し出す</button>
+                    <button class="btn btn-small btn-secondary loan-lend-cancel">キャンセル</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a returned loan
+     */
+    renderHistoryRow(game, loan) {
+        const late = loan.expectedReturnDate && loan.returnedDate > loan.expectedReturnDate;
+
+        return `
+            <li class="loan-history-item" data-loan-id="${loan.id}">
+                <span class="loan-history-borrower">${HtmlUtils.escape(loan.borrower)}</span>
+                <span class="loan-history-dates">${loan.lentDate} 〜 ${loan.returnedDate}${late ? '（返却遅れ）' : ''}</span>
+                ${this.renderCopyLabel(game, loan)}
+                ${loan.notes ? `<span class="loan-notes">${HtmlUtils.escape(loan.notes)}</span>` : ''}
+                <button class="btn btn-small btn-danger loan-delete" data-loan-id="${loan.id}" title="記録を削除">🗑️</button>
+            </li>
+        `;
+    }
+
+    renderCopyLabel(game, loan) {
+        if (!loan.copyId) return '';
+        const copy = (game.userMetadata.ownedCopies || []).find(c => c.id === loan.copyId);
+        return copy ? `<span class="loan-copy-label">${this.describeCopy(copy)}</span>` : '';
+    }
+
+    describeCopy(copy) {
+        return HtmlUtils.escape([copy.platform, copy.region, copy.condition].filter(Boolean).join(' / ') || 'パッケージ');
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     */
+    setupLoanEventListeners(gameId) {
+        const section = document.getElementById(`loan-section-${gameId}`);
+        if (!section) return;
+
+        const manager = this.loanManager;
+
+        const lendToggle = section.querySelector('.loan-lend-toggle');
+        if (lendToggle) {
+            lendToggle.addEventListener('click', () => {
+                this.showLendForm = true;
+                this.refreshSection(gameId);
+            });
+        }
+
+        const returnBtn = section.querySelector('.loan-return');
+        if (returnBtn) {
+            returnBtn.addEventListener('click', () => {
+                const returnedDate = section.querySelector('.loan-return-date').value || manager.getToday();
+                this.runAction(gameId, () => manager.updateLoan(gameId, returnBtn.dataset.loanId, { returnedDate }));
+            });
+        }
+
+        section.querySelectorAll('.loan-delete').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('この貸し出し記録を削除しますか？')) {
+                    this.runAction(gameId, () => manager.deleteLoan(gameId, button.dataset.loanId));
+                }
+            });
+        });
+
+        const form = section.querySelector('.loan-form');
+        if (!form) return;
+
+        form.querySelector('.loan-lend-cancel').addEventListener('click', () => {
+            this.showLendForm = false;
+            this.refreshSection(gameId);
+        });
+
+        form.querySelector('.loan-lend-save').addEventListener('click', async () => {
+            const copySelect = form.querySelector('.loan-copy');
+            const saved = await this.runAction(gameId, () => manager.lendGame(gameId, {
+                borrower: form.querySelector('.loan-borrower').value,
+                lentDate: form.querySelector('.loan-lent-date').value,
+                expectedReturnDate: form.querySelector('.loan-expected-date').value,
+                copyId: copySelect ? copySelect.value : null,
+                notes: form.querySelector('.loan-notes-input').value
+            }), false);
+
+            // Keep the form (and what was typed) open when validation fails
+            if (saved) {
+                this.showLendForm = false;
+                this.refreshSection(gameId);
+            }
+        });
+    }
+
+    /**
+     * Run a loan change, then re-render and notify
+     * @returns {Promise<boolean>} Whether the change succeeded
+     */
+    async runAction(gameId, action, refresh = true) {
+        let succeeded = false;
+        try {
+            await action();
+            succeeded = true;
+            this.notifyChange(gameId);
+        } catch (error) {
+            console.error('Loan action failed:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        if (refresh) this.refreshSection(gameId);
+        return succeeded;
+    }
+
+    /**
+     * Re-render the section in place
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`loan-section-${gameId}`);
+        if (!section) return;
+
+        section.innerHTML = this.renderSectionContent(gameId);
+        this.setupLoanEventListeners(gameId);
+    }
+
+    /**
+     * Notify the main application that a loan changed
+     */
+    notifyChange(gameId) {
+        if (this.callbacks.onLoanChange) {
+            this.callbacks.onLoanChange(gameId);
+        }
+    }
+
+    /**
+     * Open the loans view (every game currently lent out, overdue first)
+     */
+    showLoansView() {
+        const modal = document.getElementById('loans-modal');
+        if (!modal) return;
+
+        this.renderLoansView();
+        modal.style.display = 'block';
+    }
+
+    renderLoansView() {
+        const container = document.getElementById('loans-list');
+        if (!container) return;
+
+        const entries = this.loanManager.getActiveLoans();
+        const overdueCount = entries.filter(entry => entry.overdue).length;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-loans">貸し出し中のゲームはありません</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="loans-summary">${entries.length}本を貸し出し中${overdueCount > 0 ? `（うち<strong>${overdueCount}本が返却予定日を過ぎています</strong>）` : ''}</p>
+            <table class="loans-table">
+                <thead>
+                    <tr><th>ゲーム</th><th>貸した相手</th><th>貸出日</th><th>返却予定日</th><th>メモ</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr class="${entry.overdue ? 'overdue' : ''}" data-game-id="${entry.game.id}">
+                            <td><a href="#" class="loans-open-game" data-game-id="${entry.game.id}">${HtmlUtils.escape(entry.game.title)}</a></td>
+                            <td>${HtmlUtils.escape(entry.loan.borrower)}</td>
+                            <td>${entry.loan.lentDate}</td>
+                            <td>
+                                ${entry.loan.expectedReturnDate || '—'}
+                                ${entry.overdue ? `<span class="loan-overdue-label">⚠️ ${entry.daysOverdue}日超過</span>` : ''}
+                            </td>
+                            <td>${HtmlUtils.escape(entry.loan.notes)}</td>
+                            <td><button class="btn btn-small btn-primary loans-return" data-game-id="${entry.game.id}">返却された</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.loans-return').forEach(button => {
+            button.addEventListener('click', async () => {
+                const gameId = button.dataset.gameId;
+                try {
+                    await this.loanManager.returnGame(gameId);
+                    this.notifyChange(gameId);
+                } catch (error) {
+                    console.error('Loan return failed:', error);
+                    alert(`エラー: ${error.message}`);
+                }
+                this.renderLoansView();
+            });
+        });
+
+        container.querySelectorAll('.loans-open-game').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                document.getElementById('loans-modal').style.display = 'none';
+                if (this.callbacks.onOpenGame) {
+                    this.callbacks.onOpenGame(link.dataset.gameId);
+                }
+            });
+        });
+    }
+}
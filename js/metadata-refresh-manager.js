@@ -0,0 +1,218 @@
+/**
+ * MetadataRefreshManager - Re-fetch game metadata from Wikidata/Wikipedia
+ * Builds a field-by-field diff against the stored game and applies only accepted,
+ * unlocked fields (userMetadata.lockedFields protects user corrections)
+ */
+class MetadataRefreshManager {
+    constructor(gameManager, wikidataService = null, wikipediaService = null) {
+        this.gameManager = gameManager;
+        this.wikidataService = wikidataService || new WikidataService();
+        this.wikipediaService = wikipediaService || new WikipediaService();
+        this.requestDelay = 500; // ms between games in a bulk refresh
+
+        this.fields = {
+            title: 'タイトル',
+            platforms: 'プラットフォーム',
+            releaseDate: '発売日',
+            developer: '開発者',
+            publisher: '発売元',
+            genre: 'ジャンル',
+            coverImage: 'カバー画像',
+            description: '説明',
+            series: 'シリーズ'
+        };
+    }
+
+    /**
+     * Fetch current metadata for a game
+     * Wikidata first (when the game has a wikidataId), Wikipedia for missing fields or as a fallback
+     * @returns {Promise<Object>} { fields, source, attribution }
+     */
+    async fetchMetadata(game) {
+        let fields = {};
+        const sources = [];
+        let attribution = null;
+
+        if (game.wikidataId) {
+            try {
+                const wikidataResult = await this.wikidataService.getGameMetadata(game.wikidataId);
+                if (wikidataResult) {
+                    fields = this.normalizeFetched(wikidataResult);
+                    sources.push('wikidata');
+                }
+            } catch (error) {
+                console.warn('Wikidata refresh failed, trying Wikipedia:', error);
+            }
+        }
+
+        const missing = Object.keys(this.fields).filter(field => !this.hasValue(fields[field]));
+        if (missing.length > 0) {
+            const wikipediaResult = await this.wikipediaService.extractGameMetadata(fields.title || game.title);
+            if (wikipediaResult) {
+                const wikipediaFields = this.normalizeFetched(wikipediaResult);
+                missing.forEach(field => {
+                    if (this.hasValue(wikipediaFields[field])) {
+                        fields[field] = wikipediaFields[field];
+                    }
+                });
+                attribution = wikipediaResult.dataSource?.attribution || null;
+                sources.push('wikipedia');
+            }
+        }
+
+        if (sources.length === 0) {
+            throw new Error('No metadata found on Wikidata or Wikipedia');
+        }
+
+        return { fields, source: sources.join('+'), attribution };
+    }
+
+    /**
+     * Map a Wikidata/Wikipedia result to the refreshable fields
+     */
+    normalizeFetched(result) {
+        const genre = Array.isArray(result.genre) && result.genre.length > 0 ? result.genre : (result.genres || []);
+
+        return {
+            title: result.title && result.title !== 'Unknown Title' ? result.title : null,
+            platforms: Array.isArray(result.platforms) ? result.platforms : [],
+            releaseDate: result.releaseDate || null,
+            developer: result.developer || null,
+            publisher: result.publisher || null,
+            genre: genre,
+            coverImage: result.coverImage || null,
+            description: result.description || null,
+            series: result.series || null
+        };
+    }
+
+    /**
+     * Check whether a value carries information
+     */
+    hasValue(value) {
+        return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+    }
+
+    /**
+     * Compare two field values (arrays ignore order)
+     */
+    isEqual(a, b) {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            const normalize = value => JSON.stringify([...(value || [])].sort());
+            return normalize(a) === normalize(b);
+        }
+        return (a || null) === (b || null);
+    }
+
+    /**
+     * Build the field-by-field diff between a game and fetched metadata
+     * @returns {Array} [{ field, label, current, fetched, locked }]
+     */
+    buildDiff(game, fetchedFields) {
+        const lockedFields = game.userMetadata.lockedFields || [];
+
+        return Object.entries(this.fields)
+            .filter(([field]) => this.hasValue(fetchedFields[field]) && !this.isEqual(game[field], fetchedFields[field]))
+            .map(([field, label]) => ({
+                field: field,
+                label: label,
+                current: game[field],
+                fetched: fetchedFields[field],
+                locked: lockedFields.includes(field)
+            }));
+    }
+
+    /**
+     * Fetch metadata for one game and diff it
+     * @returns {Promise<Object>} { gameId, title, source, attribution, diff }
+     */
+    async refreshGame(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const { fields, source, attribution } = await this.fetchMetadata(game);
+
+        return {
+            gameId: gameId,
+            title: game.title,
+            source: source,
+            attribution: attribution,
+            diff: this.buildDiff(game, fields)
+        };
+    }
+
+    /**
+     * Fetch and diff several games one after another
+     * @param {Array} gameIds - Games to refresh
+     * @param {Function} onProgress - Called with (done, total, result)
+     * @returns {Promise<Array>} Results; failed games carry an error message instead of a diff
+     */
+    async refreshGames(gameIds, onProgress = null) {
+        const results = [];
+
+        for (let i = 0; i < gameIds.length; i++) {
+            let result;
+            try {
+                result = await this.refreshGame(gameIds[i]);
+            } catch (error) {
+                const game = this.gameManager.findGameById(gameIds[i]);
+                result = { gameId: gameIds[i], title: game ? game.title : gameIds[i], error: error.message, diff: [] };
+            }
+            results.push(result);
+
+            if (onProgress) onProgress(i + 1, gameIds.length, result);
+
+            // Be polite to the public endpoints
+            if (i < gameIds.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Apply accepted fields and lock changes to a game
+     * @param {string} gameId - Game to update
+     * @param {Object} accepted - field -> fetched value (locked fields are ignored)
+     * @param {Object} options - { lock: [fields], unlock: [fields], source, attribution }
+     */
+    async applyChanges(gameId, accepted, options = {}) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const lockedFields = new Set(game.userMetadata.lockedFields || []);
+        (options.unlock || []).forEach(field => lockedFields.delete(field));
+
+        const updates = {};
+        Object.entries(accepted).forEach(([field, value]) => {
+            if (this.fields[field] && !lockedFields.has(field)) {
+                updates[field] = value;
+            }
+        });
+
+        (options.lock || []).forEach(field => lockedFields.add(field));
+
+        updates.userMetadata = { lockedFields: [...lockedFields] };
+        // Refreshing bumps dataSource.lastUpdated even when every change was rejected
+        updates.dataSource = {};
+        if (Object.keys(accepted).length > 0 && options.source && options.source.includes('wikipedia') &&
+            game.dataSource.primary !== 'wikipedia') {
+            updates.dataSource.fallback = 'wikipedia';
+            updates.dataSource.attribution = game.dataSource.attribution || options.attribution || null;
+        }
+
+        return await this.gameManager.updateGame(gameId, updates, { lockEdited: false });
+    }
+
+    /**
+     * Lock or unlock a field against future refreshes
+     */
+    async setFieldLocked(gameId, field, locked) {
+        return await this.applyChanges(gameId, {}, locked ? { lock: [field] } : { unlock: [field] });
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * MetadataRefreshUI - Refresh modal with a reviewable per-field diff
+ * Each changed field can be applied, kept, corrected by hand or locked
+ */
+class MetadataRefreshUI {
+    constructor(metadataRefreshManager, onApply = null) {
+        this.refreshManager = metadataRefreshManager;
+        this.onApply = onApply;
+        this.results = [];
+        this.isRunning = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const applyBtn = document.getElementById('apply-metadata-refresh');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applySelected());
+        }
+
+        const cancelBtn = document.getElementById('cancel-metadata-refresh');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Refresh a single game
+     */
+    showSingleRefresh(gameId) {
+        return this.run([gameId]);
+    }
+
+    /**
+     * Refresh several games
+     */
+    showBulkRefresh(gameIds) {
+        if (gameIds.length === 0) {
+            alert('更新するゲームがありません');
+            return;
+        }
+
+        if (gameIds.length > 20 &&
+            !confirm(`${gameIds.length}件のゲームのメタデータを取得します。時間がかかる場合があります。続けますか？`)) {
+            return;
+        }
+
+        return this.run(gameIds);
+    }
+
+    /**
+     * Fetch metadata and render the diff
+     */
+    async run(gameIds) {
+        const modal = document.getElementById('metadata-refresh-modal');
+        const content = document.getElementById('metadata-refresh-content');
+        if (!modal || !content || this.isRunning) return;
+
+        this.isRunning = true;
+        this.results = [];
+        this.setApplyEnabled(false);
+        content.innerHTML = `<div class="loading">🔄 メタデータを取得中... <span class="refresh-progress">0 / ${gameIds.length}</span></div>`;
+        modal.style.display = 'block';
+
+        try {
+            this.results = await this.refreshManager.refreshGames(gameIds, (done, total) => {
+                const progress = content.querySelector('.refresh-progress');
+                if (progress) progress.textContent = `${done} / ${total}`;
+            });
+            this.render();
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Render results for every game
+     */
+    render() {
+        const content = document.getElementById('metadata-refresh-content');
+        if (!content) return;
+
+        const changed = this.results.filter(result => result.diff.length > 0).length;
+        const failed = this.results.filter(result => result.error).length;
+
+        content.innerHTML = `
+            <p class="refresh-summary">
+                ${this.results.length}件中 ${changed}件に変更があります${failed > 0 ? `（${failed}件は取得失敗）` : ''}
+            </p>
+            ${this.results.map((result, index) => this.renderResult(result, index)).join('')}
+        `;
+
+        content.querySelectorAll('.refresh-action').forEach(select => {
+            select.addEventListener('change', () => {
+                const input = select.closest('tr').querySelector('.refresh-edit-value');
+                if (input) input.style.display = select.value === 'edit' ? '' : 'none';
+            });
+        });
+
+        this.setApplyEnabled(this.results.some(result => !result.error));
+    }
+
+    /**
+     * Render one game's diff table
+     */
+    renderResult(result, index) {
+        const sourceLabels = { wikidata: 'Wikidata', wikipedia: 'Wikipedia', 'wikidata+wikipedia': 'Wikidata + Wikipedia' };
+
+        if (result.error) {
+            return `
+                <div class="refresh-result error">
+                    <h3>${result.title}</h3>
+                    <p class="refresh-error">⚠️ ${result.error}</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="refresh-result" data-result-index="${index}">
+                <h3>${result.title} <span class="refresh-source">${sourceLabels[result.source] || result.source}</span></h3>
+                ${result.diff.length === 0 ? '<p class="refresh-no-changes">✅ 変更はありません</p>' : `
+                    <table class="refresh-diff-table">
+                        <thead>
+                            <tr><th>項目</th><th>現在の値</th><th>取得した値</th><th>操作</th></tr>
+                        </thead>
+                        <tbody>
+                            ${result.diff.map(change => this.renderChangeRow(change)).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a changed field with its action selector
+     */
+    renderChangeRow(change) {
+        const actions = change.locked ? `
+            <option value="keep" selected>🔒 ロック中（保持）</option>
+            <option value="unlock">ロック解除して適用</option>
+        ` : `
+            <option value="accept" selected>取得した値を適用</option>
+            <option value="keep">現在の値を保持</option>
+            <option value="lock">現在の値を保持して🔒ロック</option>
+            <option value="edit">手動で修正して🔒ロック</option>
+        `;
+        const editValue = Array.isArray(change.current) ? change.current.join(', ') : (change.current || '');
+
+        return `
+            <tr class="${change.locked ? 'locked' : ''}" data-field="${change.field}">
+                <th>${change.label}</th>
+                <td class="refresh-current">${this.formatValue(change.field, change.current)}</td>
+                <td class="refresh-fetched">${this.formatValue(change.field, change.fetched)}</td>
+                <td>
+                    <select class="refresh-action">${actions}</select>
+                    <input type="text" class="refresh-edit-value" value="${editValue}" style="display: none;">
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Format a value for the diff table
+     */
+    formatValue(field, value) {
+        if (!this.refreshManager.hasValue(value)) {
+            return '<span class="empty-value">—</span>';
+        }
+        if (field === 'coverImage') {
+            return `<img src="${value}" alt="" class="refresh-cover">`;
+        }
+        if (field === 'description' && value.length > 120) {
+            return `${value.substring(0, 120)}…`;
+        }
+        return Array.isArray(value) ? value.join(', ') : value;
+    }
+
+    /**
+     * Apply the selected actions (one undo step for the whole refresh)
+     */
+    async applySelected() {
+        const content = document.getElementById('metadata-refresh-content');
+        const history = this.refreshManager.gameManager.history;
+        let updatedGames = 0;
+
+        this.setApplyEnabled(false);
+        if (history) history.beginBatch(`${this.results.length}件のメタデータを更新`);
+
+        try {
+            for (const [index, result] of this.results.entries()) {
+                if (result.error) continue;
+
+                const accepted = {};
+                const lock = [];
+                const unlock = [];
+                const section = content.querySelector(`.refresh-result[data-result-index="${index}"]`);
+
+                result.diff.forEach(change => {
+                    const row = section.querySelector(`tr[data-field="${change.field}"]`);
+                    const action = row.querySelector('.refresh-action').value;
+
+                    if (action === 'accept') {
+                        accepted[change.field] = change.fetched;
+                    } else if (action === 'unlock') {
+                        unlock.push(change.field);
+                        accepted[change.field] = change.fetched;
+                    } else if (action === 'lock') {
+                        lock.push(change.field);
+                    } else if (action === 'edit') {
+                        const value = row.querySelector('.refresh-edit-value').value.trim();
+                        accepted[change.field] = Array.isArray(change.fetched) ?
+                            value.split(',').map(item => item.trim()).filter(Boolean) : (value || null);
+                        lock.push(change.field);
+                    }
+                });
+
+                // Hand-edited values are written first, then locked
+                await this.refreshManager.applyChanges(result.gameId, accepted, {
+                    lock: lock,
+                    unlock: unlock,
+                    source: result.source,
+                    attribution: result.attribution
+                });
+                if (Object.keys(accepted).length > 0) updatedGames++;
+            }
+        } catch (error) {
+            console.error('Failed to apply metadata refresh:', error);
+            alert(`エラー: ${error.message}`);
+        } finally {
+            if (history) history.endBatch();
+        }
+
+        this.close();
+        if (this.onApply) {
+            this.onApply(`${updatedGames}件のゲームのメタデータを更新しました`);
+        }
+    }
+
+    /**
+     * Enable or disable the apply button
+     */
+    setApplyEnabled(enabled) {
+        const applyBtn = document.getElementById('apply-metadata-refresh');
+        if (applyBtn) applyBtn.disabled = !enabled;
+    }
+
+    /**
+     * Close the modal and drop fetched results
+     */
+    close() {
+        const modal = document.getElementById('metadata-refresh-modal');
+        if (modal) modal.style.display = 'none';
+        this.results = [];
+    }
+}
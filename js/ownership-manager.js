@@ -0,0 +1,402 @@
+/**
+ * OwnershipManager - Ownership state and owned copies (editions) per game
+ * Handles the owned/wishlist/borrowed/sold state with wishlist details (userMetadata.ownershipState,
+ * userMetadata.wishlist) and format, storefront, region, purchase and condition records stored in
+ * userMetadata.ownedCopies
+ */
+class OwnershipManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        this.ownershipStates = {
+            owned: { label: '所有', emoji: '📦' },
+            wishlist: { label: 'ほしいもの', emoji: '🛒' },
+            borrowed: { label: '借りている', emoji: '🤝' },
+            sold: { label: '売却・譲渡済み', emoji: '💸' }
+        };
+
+        this.priorities = {
+            high: '高',
+            medium: '中',
+            low: '低'
+        };
+
+        this.formats = {
+            physical: { label: 'パッケージ', emoji: '📀' },
+            digital: { label: 'ダウンロード', emoji: '☁️' }
+        };
+
+        this.regions = {
+            JP: '日本',
+            NA: '北米',
+            EU: 'ヨーロッパ',
+            ASIA: 'アジア',
+            OTHER: 'その他'
+        };
+
+        this.conditions = {
+            sealed: '未開封',
+            like_new: '美品',
+            good: '良好',
+            fair: '可',
+            poor: '難あり'
+        };
+
+        this.currencies = ['JPY', 'USD', 'EUR', 'GBP'];
+
+        this.storefronts = [
+            'Steam',
+            'PlayStation Store',
+            'Nintendo eShop',
+            'Xbox Store',
+            'Epic Games Store',
+            'GOG',
+            'Amazon',
+            '店舗'
+        ];
+    }
+
+    /**
+     * Get the ownership state of a game (games saved before states existed are owned)
+     */
+    getOwnershipState(game) {
+        return game.userMetadata.ownershipState || 'owned';
+    }
+
+    /**
+     * Check whether a game is only wanted, not part of the library
+     */
+    isWishlisted(game) {
+        return this.getOwnershipState(game) === 'wishlist';
+    }
+
+    /**
+     * Change the ownership state of a game
+     * Moving to the wishlist starts with default wishlist details; leaving it keeps them for reference
+     */
+    async setOwnershipState(gameId, state) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        if (!this.ownershipStates[state]) {
+            throw new Error(`Invalid ownership state: ${state}`);
+        }
+
+        const updates = { ownershipState: state };
+        if (state === 'wishlist' && !game.userMetadata.wishlist) {
+            updates.wishlist = this.normalizeWishlist({});
+        }
+
+        return await this.gameManager.updateGame(gameId, { userMetadata: updates });
+    }
+
+    /**
+     * Update the wishlist details (target price, priority, expected release date)
+     */
+    async updateWishlist(gameId, wishlistData) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const merged = { ...(game.userMetadata.wishlist || {}), ...wishlistData };
+        this.validateWishlistData(merged);
+
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: { wishlist: this.normalizeWishlist(merged) }
+        });
+    }
+
+    /**
+     * Turn a wishlist entry into an owned game with a new owned copy (one undo step)
+     * @param {Object} copyData - Optional copy fields; platform and purchase date default to the game's first platform and today
+     * @returns {Promise<Object>} The created copy
+     */
+    async markAsPurchased(gameId, copyData = {}) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const today = new Date();
+        const localToday = new Date(today.getTime() - today.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+        const history = this.gameManager.history;
+        let copy;
+
+        if (history) history.beginBatch(`「${game.title}」を購入済みにする`);
+        try {
+            copy = await this.addCopy(gameId, {
+                platform: game.platforms[0] || '',
+                purchaseDate: localToday,
+                currency: game.userMetadata.wishlist?.currency,
+                ...copyData
+            });
+            await this.gameManager.updateGame(gameId, {
+                userMetadata: { ownershipState: 'owned', wishlist: null }
+            });
+        } finally {
+            if (history) history.endBatch();
+        }
+
+        return copy;
+    }
+
+    /**
+     * Normalize wishlist details to the stored shape
+     */
+    normalizeWishlist(wishlistData) {
+        const targetPrice = wishlistData.targetPrice === '' || wishlistData.targetPrice === null || wishlistData.targetPrice === undefined ?
+            null : Number(wishlistData.targetPrice);
+
+        return {
+            targetPrice: targetPrice,
+            currency: wishlistData.currency || 'JPY',
+            priority: this.priorities[wishlistData.priority] ? wishlistData.priority : 'medium',
+            expectedReleaseDate: wishlistData.expectedReleaseDate || null,
+            addedAt: wishlistData.addedAt || Date.now()
+        };
+    }
+
+    /**
+     * Validate wishlist details
+     */
+    validateWishlistData(wishlistData) {
+        if (wishlistData.priority && !this.priorities[wishlistData.priority]) {
+            throw new Error(`Invalid priority: ${wishlistData.priority}`);
+        }
+
+        if (wishlistData.targetPrice !== undefined && wishlistData.targetPrice !== null && wishlistData.targetPrice !== '' &&
+            (isNaN(Number(wishlistData.targetPrice)) || Number(wishlistData.targetPrice) < 0)) {
+            throw new Error('Target price must be a positive number');
+        }
+
+        if (wishlistData.expectedReleaseDate && isNaN(new Date(wishlistData.expectedReleaseDate).getTime())) {
+            throw new Error('Invalid expected release date');
+        }
+
+        return true;
+    }
+
+    /**
+     * Generate unique copy ID
+     */
+    generateCopyId() {
+        return 'copy_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get owned copies of a game
+     */
+    getCopies(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return [];
+
+        return game.userMetadata.ownedCopies || [];
+    }
+
+    /**
+     * Add an owned copy to a game
+     */
+    async addCopy(gameId, copyData) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        this.validateCopyData(copyData);
+
+        const copy = this.normalizeCopy({ ...copyData, id: this.generateCopyId() });
+        await this.saveCopies(gameId, [...(game.userMetadata.ownedCopies || []), copy]);
+
+        return copy;
+    }
+
+    /**
+     * Update an owned copy
+     */
+    async updateCopy(gameId, copyId, updates) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const copies = game.userMetadata.ownedCopies || [];
+        const existing = copies.find(c => c.id === copyId);
+        if (!existing) {
+            throw new Error('Copy not found');
+        }
+
+        const merged = {
+            ...existing,
+            ...updates,
+            completeness: { ...existing.completeness, ...updates.completeness },
+            id: existing.id
+        };
+        this.validateCopyData(merged);
+
+        const updated = this.normalizeCopy(merged);
+        await this.saveCopies(gameId, copies.map(c => c.id === copyId ? updated : c));
+
+        return updated;
+    }
+
+    /**
+     * Remove an owned copy
+     */
+    async removeCopy(gameId, copyId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const copies = game.userMetadata.ownedCopies || [];
+        if (!copies.some(c => c.id === copyId)) {
+            throw new Error('Copy not found');
+        }
+
+        await this.saveCopies(gameId, copies.filter(c => c.id !== copyId));
+        return true;
+    }
+
+    /**
+     * Persist copies through GameManager
+     */
+    async saveCopies(gameId, copies) {
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: { ownedCopies: copies }
+        });
+    }
+
+    /**
+     * Normalize copy data to the stored shape
+     */
+    normalizeCopy(copyData) {
+        const format = copyData.format === 'digital' ? 'digital' : 'physical';
+        const price = copyData.price === '' || copyData.price === null || copyData.price === undefined ?
+            null : Number(copyData.price);
+
+        return {
+            id: copyData.id || this.generateCopyId(),
+            format: format,
+            platform: copyData.platform || '',
+            storefront: copyData.storefront || '',
+            edition: copyData.edition || '',
+            region: copyData.region || '',
+            purchaseDate: copyData.purchaseDate || null,
+            price: price,
+            currency: copyData.currency || 'JPY',
+            // Condition and box/manual only make sense for physical copies
+            condition: format === 'physical' ? (copyData.condition || '') : '',
+            completeness: {
+                box: format === 'physical' && Boolean(copyData.completeness?.box),
+                manual: format === 'physical' && Boolean(copyData.completeness?.manual)
+            }
+        };
+    }
+
+    /**
+     * Validate copy data structure
+     */
+    validateCopyData(copyData) {
+        if (copyData.format && !this.formats[copyData.format]) {
+            throw new Error(`Invalid copy format: ${copyData.format}`);
+        }
+
+        if (copyData.region && !this.regions[copyData.region]) {
+            throw new Error(`Invalid region: ${copyData.region}`);
+        }
+
+        if (copyData.condition && !this.conditions[copyData.condition]) {
+            throw new Error(`Invalid condition: ${copyData.condition}`);
+        }
+
+        if (copyData.price !== undefined && copyData.price !== null && copyData.price !== '' &&
+            (isNaN(Number(copyData.price)) || Number(copyData.price) < 0)) {
+            throw new Error('Price must be a positive number');
+        }
+
+        if (copyData.purchaseDate && isNaN(new Date(copyData.purchaseDate).getTime())) {
+            throw new Error('Invalid purchase date');
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the distinct formats owned for a game ('none' when no copy is recorded)
+     */
+    getOwnedFormats(copies) {
+        if (!copies || copies.length === 0) return ['none'];
+        return [...new Set(copies.map(copy => copy.format))];
+    }
+
+    /**
+     * Get distinct regions across games (for filter options)
+     */
+    getAllRegions(games) {
+        const regions = new Set();
+        games.forEach(game => {
+            (game.userMetadata.ownedCopies || []).forEach(copy => {
+                if (copy.region) regions.add(copy.region);
+            });
+        });
+        return Array.from(regions).sort();
+    }
+
+    /**
+     * Get distinct storefronts across games (for filter options)
+     */
+    getAllStorefronts(games) {
+        const storefronts = new Set();
+        games.forEach(game => {
+            (game.userMetadata.ownedCopies || []).forEach(copy => {
+                if (copy.storefront) storefronts.add(copy.storefront);
+            });
+        });
+        return Array.from(storefronts).sort();
+    }
+
+    /**
+     * Get distinct purchase years across games, newest first (for filter options)
+     */
+    getAllPurchaseYears(games) {
+        const years = new Set();
+        games.forEach(game => {
+            (game.userMetadata.ownedCopies || []).forEach(copy => {
+                const year = DateUtils.getYear(copy.purchaseDate);
+                if (year !== null) years.add(year);
+            });
+        });
+        return Array.from(years).sort((a, b) => b - a);
+    }
+
+    /**
+     * Total purchase spending per currency
+     */
+    getSpendingByCurrency(games) {
+        const totals = {};
+        games.forEach(game => {
+            (game.userMetadata.ownedCopies || []).forEach(copy => {
+                if (copy.price !== null && copy.price !== undefined) {
+                    totals[copy.currency] = (totals[copy.currency] || 0) + copy.price;
+                }
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Format a price with its currency
+     */
+    formatPrice(price, currency) {
+        if (price === null || price === undefined) return '';
+
+        try {
+            return new Intl.NumberFormat('ja-JP', { style: 'currency', currency: currency || 'JPY' }).format(price);
+        } catch (error) {
+            return `${price} ${currency || ''}`.trim();
+        }
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * OwnershipUI - Ownership state, wishlist details and owned copies in the game detail modal
+ */
+class OwnershipUI {
+    constructor(ownershipManager, onCopiesChange = null) {
+        this.ownershipManager = ownershipManager;
+        this.onCopiesChange = onCopiesChange;
+        this.editingCopyId = null;
+    }
+
+    /**
+     * Render the owned copies section for the game detail modal
+     */
+    renderCopiesSection(gameId) {
+        const game = this.ownershipManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        this.editingCopyId = null;
+
+        return `
+            <div class="owned-copies-section" id="owned-copies-section-${gameId}">
+                ${this.renderSectionContent(gameId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the inner content (copy list and form)
+     */
+    renderSectionContent(gameId) {
+        const copies = this.ownershipManager.getCopies(gameId);
+        const game = this.ownershipManager.gameManager.findGameById(gameId);
+
+        return `
+            ${this.renderStateSection(game)}
+            <div class="owned-copies-header">
+                <h3>💿 所有コピー</h3>
+                ${this.editingCopyId === null ? '<button class="btn btn-small btn-primary owned-copy-add">+ コピーを追加</button>' : ''}
+            </div>
+            ${this.editingCopyId === 'new' ? this.renderCopyForm(game, null) : ''}
+            ${copies.length > 0 ? `
+                <ul class="owned-copies-list">
+                    ${copies.map(copy => this.editingCopyId === copy.id ?
+                        this.renderCopyForm(game, copy) :
+                        this.renderCopyRow(copy)
+                    ).join('')}
+                </ul>
+            ` : (this.editingCopyId === 'new' ? '' : '<p class="no-copies">所有コピーが登録されていません</p>')}
+        `;
+    }
+
+    /**
+     * Render the ownership state selector and, for wishlist entries, the wishlist details
+     */
+    renderStateSection(game) {
+        const manager = this.ownershipManager;
+        const state = manager.getOwnershipState(game);
+        const wishlist = game.userMetadata.wishlist || manager.normalizeWishlist({});
+
+        return `
+            <div class="ownership-state">
+                <label class="metadata-label">所有状態</label>
+                <select class="ownership-state-select">
+                    ${Object.entries(manager.ownershipStates).map(([value, info]) => `
+                        <option value="${value}" ${value === state ? 'selected' : ''}>${info.emoji} ${info.label}</option>
+                    `).join('')}
+                </select>
+                ${state === 'wishlist' ? `
+                    <div class="wishlist-form">
+                        <label>優先度
+                            <select class="wishlist-priority">
+                                ${Object.entries(manager.priorities).map(([value, label]) => `
+                                    <option value="${value}" ${value === wishlist.priority ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>目標価格
+                            <input type="number" min="0" step="any" class="wishlist-target-price" value="${wishlist.targetPrice !== null ? wishlist.targetPrice : ''}">
+                        </label>
+                        <label>通貨
+                            <select class="wishlist-currency">
+                                ${manager.currencies.map(currency => `<option value="${currency}" ${currency === wishlist.currency ? 'selected' : ''}>${currency}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>発売予定日
+                            <input type="date" class="wishlist-release-date" value="${wishlist.expectedReleaseDate || ''}">
+                        </label>
+                    </div>
+                    <div class="wishlist-actions">
+                        <button class="btn btn-small btn-secondary wishlist-save">保存</button>
+                        <button class="btn btn-small btn-primary wishlist-purchased">✅ 購入済みにする</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single owned copy
+     */
+    renderCopyRow(copy) {
+        const manager = this.ownershipManager;
+        const format = manager.formats[copy.format];
+        const details = [
+            copy.platform,
+            copy.storefront,
+            copy.edition,
+            copy.region ? manager.regions[copy.region] : '',
+            copy.purchaseDate ? `購入日 ${copy.purchaseDate}` : '',
+            manager.formatPrice(copy.price, copy.currency),
+            copy.condition ? manager.conditions[copy.condition] : ''
+        ].filter(Boolean).map(detail => HtmlUtils.escape(detail));
+
+        return `
+            <li class="owned-copy-item" data-copy-id="${copy.id}">
+                <div class="owned-copy-info">
+                    <span class="owned-copy-format ${copy.format}">${format.emoji} ${format.label}</span>
+                    <span class="owned-copy-details">${details.join(' / ')}</span>
+                    ${copy.format === 'physical' ? `
+                        <span class="owned-copy-completeness">
+                            ${copy.completeness.box ? '📦 箱あり' : '📦 箱なし'}
+                            ${copy.completeness.manual ? '📘 説明書あり' : '📘 説明書なし'}
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="owned-copy-actions">
+                    <button class="btn btn-small btn-secondary owned-copy-edit" data-copy-id="${copy.id}" title="編集">✏️</button>
+                    <button class="btn btn-small btn-danger owned-copy-delete" data-copy-id="${copy.id}" title="削除">🗑️</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the add/edit form for a copy
+     */
+    renderCopyForm(game, copy) {
+        const manager = this.ownershipManager;
+        const values = copy || manager.normalizeCopy({ platform: game.platforms[0] || '' });
+
+        const options = (map, selected, emptyLabel) => `
+            ${emptyLabel !== undefined ? `<option value="">${emptyLabel}</option>` : ''}
+            ${Object.entries(map).map(([value, label]) => `
+                <option value="${value}" ${value === selected ? 'selected' : ''}>${typeof label === 'string' ? label : `${label.emoji} ${label.label}`}</option>
+            `).join('')}
+        `;
+
+        return `
+            <li class="owned-copy-item editing">
+                <div class="owned-copy-form">
+                    <label>形態
+                        <select class="copy-format">${options(manager.formats, values.format)}</select>
+                    </label>
+                    <label>プラットフォーム
+                        <input type="text" class="copy-platform" list="copy-platform-options" value="${HtmlUtils.escape(values.platform)}">
+                        <datalist id="copy-platform-options">
+                            ${game.platforms.map(platform => `<option value="${HtmlUtils.escape(platform)}">`).join('')}
+                        </datalist>
+                    </label>
+                    <label>ストア
+                        <input type="text" class="copy-storefront" list="copy-storefront-options" value="${HtmlUtils.escape(values.storefront)}">
+                        <datalist id="copy-storefront-options">
+                            ${manager.storefronts.map(store => `<option value="${store}">`).join('')}
+                        </datalist>
+                    </label>
+                    <label>エディション
+                        <input type="text" class="copy-edition" placeholder="通常版、限定版など" value="${HtmlUtils.escape(values.edition)}">
+                    </label>
+                    <label>リージョン
+                        <select class="copy-region">${options(manager.regions, values.region, '未設定')}</select>
+                    </label>
+                    <label>購入日
+                        <input type="date" class="copy-purchase-date" value="${HtmlUtils.escape(values.purchaseDate)}">
+                    </label>
+                    <label>価格
+                        <input type="number" min="0" step="any" class="copy-price" value="${values.price !== null ? values.price : ''}">
+                    </label>
+                    <label>通貨
+                        <select class="copy-currency">
+                            ${manager.currencies.map(currency => `<option value="${currency}" ${currency === values.currency ? 'selected' : ''}>${currency}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="physical-only">状態
+                        <select class="copy-condition">${options(manager.conditions, values.condition, '未設定')}</select>
+                    </label>
+                    <label class="physical-only checkbox-label">
+                        <input type="checkbox" class="copy-box" ${values.completeness.box ? 'checked' : ''}> 📦 箱あり
+                    </label>
+                    <label class="physical-only checkbox-label">
+                        <input type="checkbox" class="copy-manual" ${values.completeness.manual ? 'checked' : ''}> 📘 説明書あり
+                    </label>
+                </div>
+                <div class="owned-copy-actions">
+                    <button class="btn btn-small btn-primary owned-copy-save">保存</button>
+                    <button class="btn btn-small btn-secondary owned-copy-cancel">キャンセル</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     */
+    setupCopiesEventListeners(gameId) {
+        const section = document.getElementById(`owned-copies-section-${gameId}`);
+        if (!section) return;
+
+        this.setupStateEventListeners(section, gameId);
+
+        const addBtn = section.querySelector('.owned-copy-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                this.editingCopyId = 'new';
+                this.refreshSection(gameId);
+            });
+        }
+
+        section.querySelectorAll('.owned-copy-edit').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editingCopyId = button.dataset.copyId;
+                this.refreshSection(gameId);
+            });
+        });
+
+        section.querySelectorAll('.owned-copy-delete').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('この所有コピーを削除しますか？')) return;
+
+                try {
+                    await this.ownershipManager.removeCopy(gameId, button.dataset.copyId);
+                    this.notifyChange(gameId);
+                } catch (error) {
+                    console.error('Failed to remove owned copy:', error);
+                    alert(`エラー: ${error.message}`);
+                }
+                this.refreshSection(gameId);
+            });
+        });
+
+        const form = section.querySelector('.owned-copy-item.editing');
+        if (!form) return;
+
+        // Physical-only fields follow the selected format
+        const formatSelect = form.querySelector('.copy-format');
+        const togglePhysicalFields = () => {
+            form.querySelectorAll('.physical-only').forEach(field => {
+                field.style.display = formatSelect.value === 'physical' ? '' : 'none';
+            });
+        };
+        formatSelect.addEventListener('change', togglePhysicalFields);
+        togglePhysicalFields();
+
+        form.querySelector('.owned-copy-cancel').addEventListener('click', () => {
+            this.editingCopyId = null;
+            this.refreshSection(gameId);
+        });
+
+        const saveBtn = form.querySelector('.owned-copy-save');
+        saveBtn.addEventListener('click', async () => {
+            const copyData = this.readCopyForm(form);
+
+            saveBtn.disabled = true;
+            try {
+                if (this.editingCopyId === 'new') {
+                    await this.ownershipManager.addCopy(gameId, copyData);
+                } else {
+                    await this.ownershipManager.updateCopy(gameId, this.editingCopyId, copyData);
+                }
+                this.editingCopyId = null;
+                this.notifyChange(gameId);
+                this.refreshSection(gameId);
+            } catch (error) {
+                console.error('Failed to save owned copy:', error);
+                alert(`エラー: ${error.message}`);
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Setup the ownership state selector and wishlist buttons
+     */
+    setupStateEventListeners(section, gameId) {
+        const manager = this.ownershipManager;
+
+        const stateSelect = section.querySelector('.ownership-state-select');
+        if (stateSelect) {
+            stateSelect.addEventListener('change', () => {
+                this.runStateAction(gameId, () => manager.setOwnershipState(gameId, stateSelect.value));
+            });
+        }
+
+        const saveBtn = section.querySelector('.wishlist-save');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.runStateAction(gameId, () => manager.updateWishlist(gameId, {
+                    priority: section.querySelector('.wishlist-priority').value,
+                    targetPrice: section.querySelector('.wishlist-target-price').value.trim(),
+                    currency: section.querySelector('.wishlist-currency').value,
+                    expectedReleaseDate: section.querySelector('.wishlist-release-date').value || null
+                }));
+            });
+        }
+
+        const purchasedBtn = section.querySelector('.wishlist-purchased');
+        if (purchasedBtn) {
+            purchasedBtn.addEventListener('click', () => {
+                this.runStateAction(gameId, async () => {
+                    const copy = await manager.markAsPurchased(gameId);
+                    // Open the new copy so price, format and store can be filled in
+                    this.editingCopyId = copy.id;
+                });
+            });
+        }
+    }
+
+    /**
+     * Run a state change, then notify and re-render
+     */
+    async runStateAction(gameId, action) {
+        try {
+            await action();
+            this.notifyChange(gameId);
+        } catch (error) {
+            console.error('Failed to update ownership state:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.refreshSection(gameId);
+    }
+
+    /**
+     * Read copy data from the form
+     */
+    readCopyForm(form) {
+        const value = selector => form.querySelector(selector).value.trim();
+
+        return {
+            format: value('.copy-format'),
+            platform: value('.copy-platform'),
+            storefront: value('.copy-storefront'),
+            edition: value('.copy-edition'),
+            region: value('.copy-region'),
+            purchaseDate: value('.copy-purchase-date') || null,
+            price: value('.copy-price'),
+            currency: value('.copy-currency'),
+            condition: value('.copy-condition'),
+            completeness: {
+                box: form.querySelector('.copy-box').checked,
+                manual: form.querySelector('.copy-manual').checked
+            }
+        };
+    }
+
+    /**
+     * Re-render the section in place
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`owned-copies-section-${gameId}`);
+        if (!section) return;
+
+        section.innerHTML = this.renderSectionContent(gameId);
+        this.setupCopiesEventListeners(gameId);
+    }
+
+    /**
+     * Notify the main application that copies changed
+     */
+    notifyChange(gameId) {
+        if (this.onCopiesChange) {
+            this.onCopiesChange(gameId);
+        }
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * PlaySessionManager - Play session tracking for games
+ * Handles the start/pause/stop timer, per-game session history and playTime roll-up
+ */
+class PlaySessionManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.storageKey = 'gamePlaySession_active';
+        this.activeSession = null;
+    }
+
+    /**
+     * Initialize and restore a running timer from LocalStorage
+     */
+    initialize() {
+        try {
+            const savedSession = localStorage.getItem(this.storageKey);
+            this.activeSession = savedSession ? JSON.parse(savedSession) : null;
+
+            // Drop timers whose game has since been removed
+            if (this.activeSession && !this.gameManager.findGameById(this.activeSession.gameId)) {
+                this.clearActiveSession();
+            }
+        } catch (error) {
+            console.error('Failed to restore active play session:', error);
+            this.activeSession = null;
+        }
+    }
+
+    /**
+     * Generate unique session ID
+     */
+    generateSessionId() {
+        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get the currently running or paused session
+     */
+    getActiveSession() {
+        return this.activeSession;
+    }
+
+    /**
+     * Check whether the timer belongs to the given game
+     */
+    isActiveFor(gameId) {
+        return this.activeSession !== null && this.activeSession.gameId === gameId;
+    }
+
+    /**
+     * Get elapsed play time of a session in milliseconds (paused time excluded)
+     */
+    getElapsed(session = this.activeSession) {
+        if (!session) return 0;
+
+        const running = session.state === 'running' ? Date.now() - session.resumedAt : 0;
+        return session.accumulated + running;
+    }
+
+    /**
+     * Start a play session timer for a game
+     */
+    startSession(gameId) {
+        if (!this.gameManager.findGameById(gameId)) {
+            throw new Error('Game not found');
+        }
+
+        if (this.activeSession) {
+            if (this.activeSession.gameId !== gameId) {
+                throw new Error('Another play session is already running');
+            }
+            return this.resumeSession();
+        }
+
+        const now = Date.now();
+        this.activeSession = {
+            gameId: gameId,
+            startedAt: now,
+            resumedAt: now,
+            accumulated: 0,
+            state: 'running'
+        };
+
+        this.saveActiveSession();
+        return this.activeSession;
+    }
+
+    /**
+     * Pause the running timer
+     */
+    pauseSession() {
+        if (!this.activeSession || this.activeSession.state !== 'running') {
+            throw new Error('No running play session');
+        }
+
+        this.activeSession.accumulated = this.getElapsed();
+        this.activeSession.state = 'paused';
+
+        this.saveActiveSession();
+        return this.activeSession;
+    }
+
+    /**
+     * Resume a paused timer
+     */
+    resumeSession() {
+        if (!this.activeSession) {
+            throw new Error('No active play session');
+        }
+
+        if (this.activeSession.state === 'paused') {
+            this.activeSession.resumedAt = Date.now();
+            this.activeSession.state = 'running';
+            this.saveActiveSession();
+        }
+
+        return this.activeSession;
+    }
+
+    /**
+     * Stop the timer and record the session
+     */
+    async stopSession(note = '') {
+        if (!this.activeSession) {
+            throw new Error('No active play session');
+        }
+
+        const session = this.activeSession;
+        const duration = this.getElapsed(session);
+
+        this.clearActiveSession();
+
+        return await this.addSession(session.gameId, {
+            start: session.startedAt,
+            end: Date.now(),
+            duration: duration,
+            note: note
+        });
+    }
+
+    /**
+     * Discard the running timer without recording it
+     */
+    discardSession() {
+        this.clearActiveSession();
+        return true;
+    }
+
+    /**
+     * Get recorded sessions for a game, newest first
+     */
+    getSessions(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return [];
+
+        const sessions = game.userMetadata.playSessions || [];
+        return [...sessions].sort((a, b) => b.start - a.start);
+    }
+
+    /**
+     * Record a session (from the timer or entered after the fact)
+     */
+    async addSession(gameId, sessionData) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const session = this.validateSession({
+            id: this.generateSessionId(),
+            start: sessionData.start,
+            end: sessionData.end,
+            duration: sessionData.duration,
+            note: sessionData.note || ''
+        });
+
+        const sessions = [...(game.userMetadata.playSessions || []), session];
+        await this.saveSessions(gameId, sessions);
+
+        return session;
+    }
+
+    /**
+     * Fix a recorded session
+     */
+    async updateSession(gameId, sessionId, updates) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const sessions = game.userMetadata.playSessions || [];
+        const existing = sessions.find(s => s.id === sessionId);
+        if (!existing) {
+            throw new Error('Session not found');
+        }
+
+        const merged = { ...existing, ...updates, id: existing.id };
+
+        // Changing the time range without an explicit duration recomputes it
+        if ((updates.start !== undefined || updates.end !== undefined) && updates.duration === undefined) {
+            merged.duration = merged.end - merged.start;
+        }
+
+        const updated = this.validateSession(merged);
+        await this.saveSessions(gameId, sessions.map(s => s.id === sessionId ? updated : s));
+
+        return updated;
+    }
+
+    /**
+     * Delete a recorded session
+     */
+    async deleteSession(gameId, sessionId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const sessions = game.userMetadata.playSessions || [];
+        if (!sessions.some(s => s.id === sessionId)) {
+            throw new Error('Session not found');
+        }
+
+        await this.saveSessions(gameId, sessions.filter(s => s.id !== sessionId));
+        return true;
+    }
+
+    /**
+     * Validate session data and fill in the duration
+     */
+    validateSession(session) {
+        const start = Number(session.start);
+        const end = Number(session.end);
+
+        if (!start || !end || isNaN(start) || isNaN(end)) {
+            throw new Error('Session start and end are required');
+        }
+
+        if (end < start) {
+            throw new Error('Session end must be after its start');
+        }
+
+        const duration = session.duration !== undefined && session.duration !== null ?
+            Number(session.duration) : end - start;
+
+        if (isNaN(duration) || duration < 0 || duration > end - start) {
+            throw new Error('Session duration must fit between its start and end');
+        }
+
+        return {
+            id: session.id,
+            start: start,
+            end: end,
+            duration: duration,
+            note: session.note || ''
+        };
+    }
+
+    /**
+     * Sum session durations into hours (userMetadata.playTime unit)
+     */
+    static calculatePlayTime(sessions) {
+        const totalMs = sessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+        return Math.round(totalMs / 36000) / 100;
+    }
+
+    /**
+     * Hours of playTime that no recorded session accounts for (imported, migrated or entered by hand)
+     */
+    static getUntrackedPlayTime(game) {
+        const tracked = PlaySessionManager.calculatePlayTime(game.userMetadata.playSessions || []);
+        return Math.max(0, (game.userMetadata.playTime || 0) - tracked);
+    }
+
+    /**
+     * Persist sessions and the rolled-up playTime through GameManager
+     * Sessions add to the untracked hours instead of replacing them
+     */
+    async saveSessions(gameId, sessions) {
+        const game = this.gameManager.findGameById(gameId);
+        const playTime = PlaySessionManager.getUntrackedPlayTime(game) + PlaySessionManager.calculatePlayTime(sessions);
+
+        return await this.gameManager.updateGame(gameId, {
+            userMetadata: {
+                playSessions: sessions,
+                playTime: Math.round(playTime * 100) / 100
+            }
+        });
+    }
+
+    /**
+     * Save the running timer to LocalStorage
+     */
+    saveActiveSession() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.activeSession));
+        } catch (error) {
+            console.error('Failed to save active play session:', error);
+        }
+    }
+
+    /**
+     * Clear the running timer
+     */
+    clearActiveSession() {
+        this.activeSession = null;
+        localStorage.removeItem(this.storageKey);
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * PlaySessionUI - Play timer and session history in the game detail modal
+ * Renders the timer controls and lets users fix or delete recorded sessions
+ */
+class PlaySessionUI {
+    constructor(playSessionManager, onSessionsChange = null) {
+        this.playSessionManager = playSessionManager;
+        this.onSessionsChange = onSessionsChange;
+        this.timerInterval = null;
+        this.editingSessionId = null;
+    }
+
+    /**
+     * Render the play session section for the game detail modal
+     */
+    renderSessionSection(gameId) {
+        const game = this.playSessionManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        this.editingSessionId = null;
+
+        return `
+            <div class="play-session-section" id="play-session-section-${gameId}">
+                ${this.renderSectionContent(gameId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the inner content (timer, totals and history)
+     */
+    renderSectionContent(gameId) {
+        const game = this.playSessionManager.gameManager.findGameById(gameId);
+        const sessions = this.playSessionManager.getSessions(gameId);
+
+        return `
+            <h3>⏱️ プレイ記録</h3>
+            <div class="play-session-summary">
+                <span class="metadata-label">総プレイ時間</span>
+                <span class="play-time-total">${this.formatDuration((game.userMetadata.playTime || 0) * 3600000)}</span>
+                <span class="play-session-count">${sessions.length} セッション</span>
+            </div>
+            ${this.renderTimer(gameId)}
+            <div class="play-session-history">
+                <label class="metadata-label">セッション履歴</label>
+                ${sessions.length > 0 ? `
+                    <ul class="play-session-list">
+                        ${sessions.map(session => this.editingSessionId === session.id ?
+                            this.renderSessionEditForm(session) :
+                            this.renderSessionRow(session)
+                        ).join('')}
+                    </ul>
+                ` : '<p class="no-sessions">まだプレイ記録がありません</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render timer controls for the current state
+     */
+    renderTimer(gameId) {
+        const activeSession = this.playSessionManager.getActiveSession();
+
+        if (activeSession && activeSession.gameId !== gameId) {
+            const otherGame = this.playSessionManager.gameManager.findGameById(activeSession.gameId);
+            return `
+                <div class="play-timer play-timer-busy">
+                    <p>「${otherGame ? otherGame.title : '別のゲーム'}」のタイマーが動作中です</p>
+                    <button class="btn btn-small btn-secondary play-timer-stop-other">⏹ そのセッションを終了</button>
+                </div>
+            `;
+        }
+
+        if (!activeSession) {
+            return `
+                <div class="play-timer">
+                    <span class="play-timer-display">${this.formatClock(0)}</span>
+                    <button class="btn btn-small btn-primary play-timer-start">▶ プレイ開始</button>
+                </div>
+            `;
+        }
+
+        const isRunning = activeSession.state === 'running';
+        return `
+            <div class="play-timer ${isRunning ? 'running' : 'paused'}">
+                <span class="play-timer-display">${this.formatClock(this.playSessionManager.getElapsed())}</span>
+                ${isRunning ?
+                    '<button class="btn btn-small btn-secondary play-timer-pause">⏸ 一時停止</button>' :
+                    '<button class="btn btn-small btn-primary play-timer-resume">▶ 再開</button>'
+                }
+                <input type="text" class="play-timer-note" placeholder="セッションのメモ（任意）">
+                <button class="btn btn-small btn-primary play-timer-stop">⏹ 終了して記録</button>
+                <button class="btn btn-small btn-danger play-timer-discard">破棄</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a recorded session row
+     */
+    renderSessionRow(session) {
+        return `
+            <li class="play-session-item" data-session-id="${session.id}">
+                <div class="play-session-info">
+                    <span class="play-session-date">${new Date(session.start).toLocaleString('ja-JP')} 〜 ${new Date(session.end).toLocaleTimeString('ja-JP')}</span>
+                    <span class="play-session-duration">${this.formatDuration(session.duration)}</span>
+                    ${session.note ? `<span class="play-session-note">${HtmlUtils.escape(session.note)}</span>` : ''}
+                </div>
+                <div class="play-session-actions">
+                    <button class="btn btn-small btn-secondary play-session-edit" data-session-id="${session.id}" title="編集">✏️</button>
+                    <button class="btn btn-small btn-danger play-session-delete" data-session-id="${session.id}" title="削除">🗑️</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the inline edit form for a session
+     */
+    renderSessionEditForm(session) {
+        return `
+            <li class="play-session-item editing" data-session-id="${session.id}">
+                <div class="play-session-edit-form">
+                    <label>開始 <input type="datetime-local" class="play-session-start" value="${this.toDateTimeLocal(session.start)}"></label>
+                    <label>終了 <input type="datetime-local" class="play-session-end" value="${this.toDateTimeLocal(session.end)}"></label>
+                    <label>プレイ時間（分） <input type="number" min="0" class="play-session-minutes" value="${Math.round(session.duration / 60000)}"></label>
+                    <label>メモ <input type="text" class="play-session-note-input" value="${HtmlUtils.escape(session.note)}"></label>
+                </div>
+                <div class="play-session-actions">
+                    <button class="btn btn-small btn-primary play-session-save" data-session-id="${session.id}">保存</button>
+                    <button class="btn btn-small btn-secondary play-session-cancel">キャンセル</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     */
+    setupSessionEventListeners(gameId) {
+        const section = document.getElementById(`play-session-section-${gameId}`);
+        this.stopTimerDisplay();
+        if (!section) return;
+
+        const manager = this.playSessionManager;
+
+        this.bindButton(section, '.play-timer-start', () => manager.startSession(gameId));
+        this.bindButton(section, '.play-timer-pause', () => manager.pauseSession());
+        this.bindButton(section, '.play-timer-resume', () => manager.resumeSession());
+
+        this.bindButton(section, '.play-timer-stop', async () => {
+            const noteInput = section.querySelector('.play-timer-note');
+            await manager.stopSession(noteInput ? noteInput.value.trim() : '');
+            this.notifyChange(gameId);
+        });
+
+        this.bindButton(section, '.play-timer-stop-other', async () => {
+            const otherGameId = manager.getActiveSession().gameId;
+            await manager.stopSession();
+            this.notifyChange(otherGameId);
+        });
+
+        this.bindButton(section, '.play-timer-discard', () => {
+            if (confirm('このセッションを記録せずに破棄しますか？')) {
+                manager.discardSession();
+            }
+        });
+
+        section.querySelectorAll('.play-session-edit').forEach(button => {
+            this.bindButton(section, button, () => {
+                this.editingSessionId = button.dataset.sessionId;
+            });
+        });
+
+        section.querySelectorAll('.play-session-delete').forEach(button => {
+            this.bindButton(section, button, async () => {
+                if (confirm('このセッションを削除しますか？')) {
+                    await manager.deleteSession(gameId, button.dataset.sessionId);
+                    this.notifyChange(gameId);
+                }
+            });
+        });
+
+        this.bindButton(section, '.play-session-cancel', () => {
+            this.editingSessionId = null;
+        });
+
+        this.bindButton(section, '.play-session-save', async () => {
+            const form = section.querySelector('.play-session-item.editing');
+            const start = new Date(form.querySelector('.play-session-start').value).getTime();
+            const end = new Date(form.querySelector('.play-session-end').value).getTime();
+            const minutes = parseInt(form.querySelector('.play-session-minutes').value);
+
+            await manager.updateSession(gameId, this.editingSessionId, {
+                start: start,
+                end: end,
+                duration: isNaN(minutes) ? undefined : Math.min(minutes * 60000, end - start),
+                note: form.querySelector('.play-session-note-input').value.trim()
+            });
+
+            this.editingSessionId = null;
+            this.notifyChange(gameId);
+        });
+
+        // Tick the clock while this game's timer is running
+        if (manager.isActiveFor(gameId) && manager.getActiveSession().state === 'running') {
+            this.timerInterval = setInterval(() => {
+                const display = section.querySelector('.play-timer-display');
+                if (!display || !document.body.contains(display)) {
+                    this.stopTimerDisplay();
+                    return;
+                }
+                display.textContent = this.formatClock(manager.getElapsed());
+            }, 1000);
+        }
+    }
+
+    /**
+     * Bind a section button to an action and re-render afterwards
+     */
+    bindButton(section, target, action) {
+        const button = typeof target === 'string' ? section.querySelector(target) : target;
+        if (!button) return;
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await action();
+            } catch (error) {
+                console.error('Play session action failed:', error);
+                alert(`エラー: ${error.message}`);
+            } finally {
+                button.disabled = false;
+            }
+            this.refreshSection(section.id.replace('play-session-section-', ''));
+        });
+    }
+
+    /**
+     * Re-render the section in place
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`play-session-section-${gameId}`);
+        if (!section) return;
+
+        section.innerHTML = this.renderSectionContent(gameId);
+        this.setupSessionEventListeners(gameId);
+    }
+
+    /**
+     * Stop the running clock display
+     */
+    stopTimerDisplay() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * Notify the main application that sessions (and playTime) changed
+     */
+    notifyChange(gameId) {
+        if (this.onSessionsChange) {
+            this.onSessionsChange(gameId);
+        }
+    }
+
+    /**
+     * Format milliseconds as H:MM:SS
+     */
+    formatClock(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format milliseconds as a readable duration
+     */
+    formatDuration(ms) {
+        const totalMinutes = Math.round(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}時間${minutes}分` : `${minutes}分`;
+    }
+
+    /**
+     * Convert a timestamp to a datetime-local input value
+     */
+    toDateTimeLocal(timestamp) {
+        const date = new Date(timestamp);
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(timestamp - offset).toISOString().slice(0, 16);
+    }
+}
@@ -0,0 +1,387 @@
+/**
+ * QueryManager - Parses and evaluates library search queries
+ * Syntax: space-separated terms that must all match, e.g.
+ *   platform:switch status:completed rating>=4 tag:coop year:2015..2020 -genre:horror "exact phrase"
+ * `field:value` matches part of a value, `field=value` the whole value, `>`/`>=`/`<`/`<=` and `a..b`
+ * compare numbers, a leading `-` negates a term and bare words or "phrases" search titles and credits
+ * (so do words with an unknown prefix, like `Re:Zero`).
+ * Used by the search box, smart collections and saved views
+ */
+class QueryManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.cache = new Map();
+
+        this.fields = {
+            title: {
+                label: 'タイトル',
+                type: 'text',
+                value: game => [game.title, ...(game.alternativeTitles || [])]
+            },
+            developer: { label: '開発元', type: 'text', aliases: ['dev'], suggest: true, value: game => [game.developer] },
+            publisher: { label: '販売元', type: 'text', aliases: ['pub'], suggest: true, value: game => [game.publisher] },
+            series: { label: 'シリーズ', type: 'text', suggest: true, value: game => [game.series] },
+            platform: { label: 'プラットフォーム', type: 'text', aliases: ['platforms'], suggest: true, value: game => game.platforms || [] },
+            genre: { label: 'ジャンル', type: 'text', aliases: ['genres'], suggest: true, value: game => game.genre || [] },
+            tag: { label: 'タグ', type: 'text', aliases: ['tags'], suggest: true, value: game => game.userMetadata.tags || [] },
+            notes: { label: 'メモ', type: 'text', aliases: ['note'], value: game => [game.userMetadata.notes] },
+            status: {
+                label: '完了状況',
+                type: 'status',
+                aliases: ['completion'],
+                value: game => game.userMetadata.completionStatus || 'not_started'
+            },
+            rating: { label: '評価', type: 'number', aliases: ['stars'], value: game => game.userMetadata.rating || 0 },
+            year: {
+                label: '発売年',
+                type: 'number',
+                aliases: ['released'],
+                value: game => DateUtils.getReleaseYear(game)
+            },
+            playtime: { label: 'プレイ時間（時間）', type: 'number', aliases: ['hours'], value: game => game.userMetadata.playTime || 0 },
+            favorite: { label: 'お気に入り', type: 'boolean', aliases: ['fav'], value: game => Boolean(game.userMetadata.favorite) }
+        };
+
+        // Free text is looked up in these fields
+        this.textFields = ['title', 'developer', 'publisher', 'series'];
+
+        this.statuses = {
+            not_started: { label: '未プレイ', aliases: ['notstarted', 'unplayed', 'backlog'] },
+            in_progress: { label: 'プレイ中', aliases: ['inprogress', 'playing', 'started'] },
+            completed: { label: '完了', aliases: ['done', 'finished', 'cleared'] },
+            abandoned: { label: '中断', aliases: ['dropped'] }
+        };
+
+        this.booleans = {
+            yes: true, true: true, はい: true,
+            no: false, false: false, いいえ: false
+        };
+
+        this.comparisons = ['>', '>=', '<', '<='];
+    }
+
+    /**
+     * Resolve a field name or alias
+     * @returns {string|null} Canonical field key
+     */
+    resolveField(name) {
+        const key = name.toLowerCase();
+        if (this.fields[key]) return key;
+        return Object.keys(this.fields).find(field => (this.fields[field].aliases || []).includes(key)) || null;
+    }
+
+    /**
+     * Split a query into whitespace-separated tokens; quoted parts may contain spaces
+     * @returns {Array} [{ raw, start, end, unterminated }]
+     */
+    tokenize(text) {
+        const tokens = [];
+        let token = null;
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (!quoted && /\s/.test(char)) {
+                if (token) {
+                    token.end = i;
+                    tokens.push(token);
+                    token = null;
+                }
+                continue;
+            }
+            if (!token) token = { raw: '', start: i, end: i };
+            if (char === '"') quoted = !quoted;
+            token.raw += char;
+        }
+
+        if (token) {
+            token.end = text.length;
+            token.unterminated = quoted;
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    /**
+     * Parse a query
+     * Malformed terms are reported in `errors` (with their position) and left out of `terms`;
+     * words searched as text because their prefix is not a field are noted in `hints`
+     * @param {string} text - Query text
+     * @returns {Object} { text, terms: [{ kind, field, operator, value, min, max, negate, start, end }],
+     *                     errors: [{ start, end, message }], hints: [{ start, end, message }] }
+     */
+    parse(text) {
+        text = text || '';
+        if (this.cache.has(text)) return this.cache.get(text);
+
+        const terms = [];
+        const errors = [];
+        const hints = [];
+
+        this.tokenize(text).forEach(token => {
+            try {
+                const { hint, ...term } = this.parseToken(token);
+                terms.push({ ...term, start: token.start, end: token.end });
+                if (hint) hints.push({ start: token.start, end: token.end, message: hint });
+            } catch (error) {
+                errors.push({ start: token.start, end: token.end, message: error.message });
+            }
+        });
+
+        const parsed = { text, terms, errors, hints };
+
+        // Parsed queries are reused on every render; keep the cache small
+        if (this.cache.size >= 100) this.cache.delete(this.cache.keys().next().value);
+        this.cache.set(text, parsed);
+        return parsed;
+    }
+
+    /**
+     * Parse one token into a term (throws a user-facing message when malformed)
+     */
+    parseToken(token) {
+        if (token.unterminated) {
+            throw new Error('引用符（"）が閉じられていません');
+        }
+
+        const negate = token.raw.length > 1 && token.raw.startsWith('-');
+        const body = negate ? token.raw.slice(1) : token.raw;
+
+        if (body.startsWith('"')) {
+            if (body.length < 2 || !body.endsWith('"')) {
+                throw new Error('引用符（"）の後ろに空白を入れてください');
+            }
+            const phrase = body.slice(1, -1);
+            if (!phrase) throw new Error('引用符の中が空です');
+            return { kind: 'text', value: phrase.toLowerCase(), negate };
+        }
+
+        const match = body.match(/^([A-Za-z_]+)(>=|<=|!=|:|=|>|<)(.*)$/);
+        if (!match) {
+            return { kind: 'text', value: body.toLowerCase(), negate };
+        }
+
+        const [, name, operator, rawValue] = match;
+        const key = this.resolveField(name);
+        if (!key) {
+            // Titles like "Re:Zero" or "Zelda: Breath of the Wild" are not typos of a field
+            return {
+                kind: 'text',
+                value: body.toLowerCase(),
+                negate,
+                hint: `「${name}」という項目はないため、「${body}」を文字として検索しています`
+            };
+        }
+
+        const value = this.unquote(rawValue);
+        if (value === '') {
+            throw new Error(`${name}${operator} の後に値を入力してください`);
+        }
+
+        const term = { kind: 'field', field: key, operator: operator === '!=' ? '=' : operator, negate: negate !== (operator === '!=') };
+        const field = this.fields[key];
+
+        if (field.type !== 'number' && this.comparisons.includes(operator)) {
+            throw new Error(`${operator} は数値の項目（評価・発売年・プレイ時間）でのみ使えます`);
+        }
+
+        switch (field.type) {
+            case 'number':
+                return { ...term, ...this.parseNumber(name, operator, value) };
+            case 'status': {
+                const status = this.resolveStatus(value);
+                if (!status) {
+                    throw new Error(`${name} の値は ${Object.keys(this.statuses).join(' / ')} のいずれかです`);
+                }
+                return { ...term, value: status };
+            }
+            case 'boolean':
+                if (!(value.toLowerCase() in this.booleans)) {
+                    throw new Error(`${name} の値は yes か no です`);
+                }
+                return { ...term, value: this.booleans[value.toLowerCase()] };
+            default:
+                return { ...term, value: value.toLowerCase() };
+        }
+    }
+
+    /**
+     * Numbers accept a single value or an inclusive range (a..b, a.., ..b)
+     */
+    parseNumber(name, operator, value) {
+        const toNumber = text => {
+            const number = Number(text);
+            if (text.trim() === '' || isNaN(number)) {
+                throw new Error(`${name} には数値を入力してください（「${text}」）`);
+            }
+            return number;
+        };
+
+        if (value.includes('..')) {
+            if (this.comparisons.includes(operator)) {
+                throw new Error(`範囲（..）は ${name}: と組み合わせてください`);
+            }
+            const [from, to, ...rest] = value.split('..');
+            if (rest.length > 0 || (from === '' && to === '')) {
+                throw new Error(`範囲は ${name}:2015..2020 のように指定してください`);
+            }
+            const min = from === '' ? -Infinity : toNumber(from);
+            const max = to === '' ? Infinity : toNumber(to);
+            if (min > max) {
+                throw new Error(`範囲の始まり（${from}）が終わり（${to}）より大きくなっています`);
+            }
+            return { min, max };
+        }
+
+        const number = toNumber(value);
+        switch (operator) {
+            case '>': return { min: number, max: Infinity, exclusiveMin: true };
+            case '>=': return { min: number, max: Infinity };
+            case '<': return { min: -Infinity, max: number, exclusiveMax: true };
+            case '<=': return { min: -Infinity, max: number };
+            default: return { min: number, max: number };
+        }
+    }
+
+    resolveStatus(value) {
+        const key = value.toLowerCase().replace(/[\s_-]/g, '');
+        return Object.keys(this.statuses).find(status =>
+            status.replace('_', '') === key ||
+            this.statuses[status].label === value ||
+            this.statuses[status].aliases.includes(key)
+        ) || null;
+    }
+
+    unquote(value) {
+        return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+    }
+
+    /**
+     * Check a game against a query (a string or the result of parse); malformed terms are ignored
+     */
+    matches(game, query) {
+        const parsed = typeof query === 'string' ? this.parse(query) : query;
+        return parsed.terms.every(term => this.matchesTerm(game, term) !== term.negate);
+    }
+
+    /**
+     * Games matching a query, in their original order
+     */
+    filter(games, query) {
+        const parsed = typeof query === 'string' ? this.parse(query) : query;
+        if (parsed.terms.length === 0) return games;
+        return games.filter(game => this.matches(game, parsed));
+    }
+
+    matchesTerm(game, term) {
+        if (term.kind === 'text') {
+            return this.textFields.some(key =>
+                this.fields[key].value(game).some(text => text && String(text).toLowerCase().includes(term.value))
+            );
+        }
+
+        const field = this.fields[term.field];
+        const value = field.value(game);
+
+        switch (field.type) {
+            case 'number':
+                if (value === null) return false;
+                return (term.exclusiveMin ? value > term.min : value >= term.min) &&
+                    (term.exclusiveMax ? value < term.max : value <= term.max);
+            case 'status':
+            case 'boolean':
+                return value === term.value;
+            default:
+                return value.some(item => {
+                    if (!item) return false;
+                    const text = String(item).toLowerCase();
+                    return term.operator === '=' ? text === term.value : text.includes(term.value);
+                });
+        }
+    }
+
+    /**
+     * Autocomplete for the term under the caret: field names, or known values of the typed field
+     * @param {string} text - Query text
+     * @param {number} caret - Caret position
+     * @returns {Object} { start, end, items: [{ label, description, insert }] } - items replace text[start..end]
+     */
+    getSuggestions(text, caret, limit = 8) {
+        const token = this.tokenize(text).find(candidate => candidate.start <= caret && caret <= candidate.end) ||
+            { raw: '', start: caret, end: caret };
+        const typed = token.raw.slice(0, caret - token.start);
+        const negation = typed.startsWith('-') ? '-' : '';
+        const body = typed.slice(negation.length);
+        const result = { start: token.start, end: token.end, items: [] };
+
+        const match = body.match(/^([A-Za-z_]+)(>=|<=|!=|:|=|>|<)(.*)$/);
+        if (match && this.resolveField(match[1])) {
+            const [, name, operator, partial] = match;
+            const key = this.resolveField(name);
+            const needle = partial.replace(/"/g, '').toLowerCase();
+            result.items = this.getKnownValues(key)
+                .filter(item => item.value.toLowerCase().includes(needle) ||
+                    (this.fields[key].type === 'status' && item.description.includes(partial)))
+                .filter(item => !(needle && item.value.toLowerCase() === needle))
+                .slice(0, limit)
+                .map(item => ({
+                    label: item.value,
+                    description: item.description,
+                    insert: `${negation}${name}${operator}${this.quote(item.value)} `
+                }));
+            return result;
+        }
+
+        if (body.includes('"') || /[:=<>]/.test(body)) return result;
+
+        const prefix = body.toLowerCase();
+        result.items = Object.entries(this.fields)
+            .filter(([key, field]) => key.startsWith(prefix) || (prefix && (field.aliases || []).some(alias => alias.startsWith(prefix))))
+            .slice(0, limit)
+            .map(([key, field]) => ({
+                label: `${key}:`,
+                description: field.label,
+                insert: `${negation}${key}:`
+            }));
+        return result;
+    }
+
+    /**
+     * Values worth suggesting for a field, most common first
+     * @returns {Array} [{ value, description }]
+     */
+    getKnownValues(key) {
+        const field = this.fields[key];
+
+        switch (field.type) {
+            case 'status':
+                return Object.entries(this.statuses).map(([value, status]) => ({ value, description: status.label }));
+            case 'boolean':
+                return [{ value: 'yes', description: 'はい' }, { value: 'no', description: 'いいえ' }];
+            case 'number': {
+                if (key === 'rating') {
+                    return [5, 4, 3, 2, 1, 0].map(rating => ({ value: String(rating), description: '★'.repeat(rating) || '未評価' }));
+                }
+                const numbers = new Set(this.gameManager.getAllGames().map(field.value).filter(value => value !== null && value > 0));
+                return [...numbers].sort((a, b) => b - a).map(value => ({ value: String(value) }));
+            }
+            default: {
+                if (!field.suggest) return [];
+                const counts = new Map();
+                this.gameManager.getAllGames().forEach(game => {
+                    field.value(game).filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+                });
+                return [...counts.entries()]
+                    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja'))
+                    .map(([value, count]) => ({ value, description: `${count}本` }));
+            }
+        }
+    }
+
+    /**
+     * Quote a value when it would otherwise be split or misread
+     */
+    quote(value) {
+        return /[\s"]/.test(value) || value === '' ? `"${value.replace(/"/g, '')}"` : value;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * QueryUI - Query input helpers: autocomplete popup and highlighting of malformed terms
+ * attach() works on any text input (search box, smart collection query, saved views)
+ */
+class QueryUI {
+    constructor(queryManager) {
+        this.queryManager = queryManager;
+        this.example = 'platform:switch status:completed rating>=4 tag:coop year:2015..2020 -genre:horror "exact phrase"';
+        this.refreshers = new Map();
+    }
+
+    /**
+     * Turn a text input into a query input
+     * @param {HTMLInputElement} input
+     * @param {Function} onChange - Called with the query text whenever it changes
+     */
+    attach(input, onChange = () => {}) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'query-input';
+        input.parentNode.insertBefore(wrapper, input);
+
+        // The backdrop sits behind the transparent input and marks terms at the same positions as the text
+        const backdrop = document.createElement('div');
+        backdrop.className = 'query-backdrop';
+        backdrop.setAttribute('aria-hidden', 'true');
+
+        const popup = document.createElement('div');
+        popup.className = 'query-popup';
+
+        wrapper.appendChild(backdrop);
+        wrapper.appendChild(input);
+        wrapper.appendChild(popup);
+
+        input.setAttribute('autocomplete', 'off');
+        input.spellcheck = false;
+        this.matchInputStyle(input, wrapper, backdrop);
+
+        const state = { items: [], active: -1, start: 0, end: 0, focused: false };
+
+        const update = () => {
+            const parsed = this.queryManager.parse(input.value);
+            this.renderHighlight(backdrop, parsed);
+            backdrop.scrollLeft = input.scrollLeft;
+
+            wrapper.classList.toggle('query-invalid', parsed.errors.length > 0);
+            input.title = parsed.errors.map(error => error.message).join('\n');
+
+            const suggestions = this.queryManager.getSuggestions(input.value, input.selectionStart ?? input.value.length);
+            state.items = suggestions.items;
+            state.start = suggestions.start;
+            state.end = suggestions.end;
+            state.active = -1;
+            this.renderPopup(popup, parsed, state);
+        };
+
+        const accept = (item) => {
+            const before = input.value.slice(0, state.start);
+            let after = input.value.slice(state.end);
+            if (item.insert.endsWith(' ')) after = after.replace(/^\s+/, '');
+
+            input.value = before + item.insert + after;
+            const caret = before.length + item.insert.length;
+            input.setSelectionRange(caret, caret);
+            update();
+            onChange(input.value);
+        };
+
+        input.addEventListener('input', () => {
+            update();
+            onChange(input.value);
+        });
+        input.addEventListener('focus', () => {
+            state.focused = true;
+            update();
+        });
+        input.addEventListener('blur', () => {
+            state.focused = false;
+            popup.style.display = 'none';
+        });
+        input.addEventListener('click', update);
+        input.addEventListener('scroll', () => {
+            backdrop.scrollLeft = input.scrollLeft;
+        });
+
+        input.addEventListener('keydown', (e) => {
+            const open = popup.style.display === 'block' && state.items.length > 0;
+
+            if (e.key === 'Escape') {
+                popup.style.display = 'none';
+            } else if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                state.active = (state.active + step + state.items.length) % state.items.length;
+                this.renderPopup(popup, this.queryManager.parse(input.value), state);
+            } else if (open && (e.key === 'Tab' || (e.key === 'Enter' && state.active >= 0))) {
+                e.preventDefault();
+                accept(state.items[Math.max(state.active, 0)]);
+            }
+        });
+
+        // mousedown rather than click, so the input keeps focus
+        popup.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const option = e.target.closest('.query-suggestion');
+            if (option) accept(state.items[Number(option.dataset.index)]);
+        });
+
+        this.refreshers.set(input, update);
+        update();
+    }
+
+    /**
+     * Set an attached input's query from code (onChange is not called)
+     */
+    setValue(input, query) {
+        input.value = query;
+        const update = this.refreshers.get(input);
+        if (update) update();
+    }
+
+    /**
+     * Move the input's look onto the wrapper and give the backdrop the same text metrics
+     */
+    matchInputStyle(input, wrapper, backdrop) {
+        const style = getComputedStyle(input);
+
+        wrapper.style.background = style.backgroundColor;
+        wrapper.style.borderRadius = style.borderRadius;
+        input.style.background = 'transparent';
+
+        ['fontFamily', 'fontSize', 'fontWeight', 'letterSpacing',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'].forEach(property => {
+            backdrop.style[property] = style[property];
+        });
+    }
+
+    renderHighlight(backdrop, parsed) {
+        const marks = [
+            ...parsed.terms.filter(term => term.kind === 'field').map(term => ({ ...term, className: 'query-mark-field' })),
+            ...parsed.errors.map(error => ({ ...error, className: 'query-mark-error' }))
+        ].sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let position = 0;
+        marks.forEach(mark => {
+            html += HtmlUtils.escape(parsed.text.slice(position, mark.start));
+            html += `<mark class="${mark.className}">${HtmlUtils.escape(parsed.text.slice(mark.start, mark.end))}</mark>`;
+            position = mark.end;
+        });
+        html += HtmlUtils.escape(parsed.text.slice(position));
+
+        backdrop.innerHTML = `<span class="query-backdrop-text">${html}</span>`;
+    }
+
+    renderPopup(popup, parsed, state) {
+        const errors = parsed.errors.map(error => `
+            <div class="query-popup-error">⚠️ ${HtmlUtils.escape(error.message)}</div>
+        `).join('') + parsed.hints.map(hint => `
+            <div class="query-popup-hint">ℹ️ ${HtmlUtils.escape(hint.message)}</div>
+        `).join('');
+
+        const suggestions = state.items.map((item, index) => `
+            <li class="query-suggestion ${index === state.active ? 'active' : ''}" data-index="${index}">
+                <span class="query-suggestion-label">${HtmlUtils.escape(item.label)}</span>
+                ${item.description ? `<span class="query-suggestion-description">${HtmlUtils.escape(item.description)}</span>` : ''}
+            </li>
+        `).join('');
+
+        const help = parsed.text.trim() === '' ?
+            `<div class="query-popup-help">例: <code>${HtmlUtils.escape(this.example)}</code></div>` : '';
+
+        popup.innerHTML = `
+            ${errors}
+            ${suggestions ? `<ul class="query-suggestions">${suggestions}</ul>` : ''}
+            ${help}
+        `;
+        popup.style.display = state.focused && (errors || suggestions || help) ? 'block' : 'none';
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * RelationManager - Series membership and typed relationships between games
+ * The series name is stored on the game (game.series, also filled from Wikipedia infoboxes);
+ * directed links are stored on the game they describe (game.relations: [{ type, gameId }])
+ */
+class RelationManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        // label: how the linked game is shown from this game; inverseLabel: from the linked game
+        this.relationTypes = {
+            dlc_of: { label: '本編', inverseLabel: 'DLC・拡張', emoji: '🧩' },
+            remaster_of: { label: 'オリジナル版', inverseLabel: 'リマスター・リメイク', emoji: '✨' },
+            sequel_of: { label: '前作', inverseLabel: '続編', emoji: '⏭️' }
+        };
+    }
+
+    /**
+     * Related games of a game, from both its own links and links pointing at it
+     * @returns {Array} [{ type, direction: 'outgoing'|'incoming', label, emoji, game }]
+     */
+    getRelatedGames(gameId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) return [];
+
+        const outgoing = (game.relations || [])
+            .map(relation => ({ relation, target: this.gameManager.findGameById(relation.gameId) }))
+            .filter(({ relation, target }) => target && this.relationTypes[relation.type])
+            .map(({ relation, target }) => ({
+                type: relation.type,
+                direction: 'outgoing',
+                label: this.relationTypes[relation.type].label,
+                emoji: this.relationTypes[relation.type].emoji,
+                game: target
+            }));
+
+        const incoming = this.gameManager.getAllGames()
+            .filter(other => other.id !== gameId)
+            .flatMap(other => (other.relations || [])
+                .filter(relation => relation.gameId === gameId && this.relationTypes[relation.type])
+                .map(relation => ({
+                    type: relation.type,
+                    direction: 'incoming',
+                    label: this.relationTypes[relation.type].inverseLabel,
+                    emoji: this.relationTypes[relation.type].emoji,
+                    game: other
+                })));
+
+        return [...outgoing, ...incoming].sort((a, b) => this.compareByRelease(a.game, b.game));
+    }
+
+    /**
+     * Link a game to another one
+     * @param {string} type - 'dlc_of', 'remaster_of' or 'sequel_of' ("gameId is a DLC of targetId")
+     */
+    async addRelation(gameId, type, targetId) {
+        const game = this.gameManager.findGameById(gameId);
+        const target = this.gameManager.findGameById(targetId);
+        if (!game || !target) {
+            throw new Error('Game not found');
+        }
+
+        if (!this.relationTypes[type]) {
+            throw new Error(`Invalid relation type: ${type}`);
+        }
+
+        if (gameId === targetId) {
+            throw new Error('A game cannot be related to itself');
+        }
+
+        const relations = game.relations || [];
+        if (relations.some(relation => relation.type === type && relation.gameId === targetId)) {
+            throw new Error('This relation already exists');
+        }
+
+        if ((target.relations || []).some(relation => relation.type === type && relation.gameId === gameId)) {
+            throw new Error('The opposite relation already exists');
+        }
+
+        // A DLC belongs to exactly one base game
+        if (type === 'dlc_of' && relations.some(relation => relation.type === 'dlc_of')) {
+            throw new Error('This DLC already has a base game');
+        }
+
+        return await this.gameManager.updateGame(gameId, {
+            relations: [...relations, { type, gameId: targetId }]
+        });
+    }
+
+    /**
+     * Remove a link (stored on gameId, pointing at targetId)
+     */
+    async removeRelation(gameId, type, targetId) {
+        const game = this.gameManager.findGameById(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        const relations = game.relations || [];
+        if (!relations.some(relation => relation.type === type && relation.gameId === targetId)) {
+            throw new Error('Relation not found');
+        }
+
+        return await this.gameManager.updateGame(gameId, {
+            relations: relations.filter(relation => !(relation.type === type && relation.gameId === targetId))
+        });
+    }
+
+    /**
+     * Set (or clear) the series a game belongs to
+     */
+    async setSeries(gameId, seriesName) {
+        if (!this.gameManager.findGameById(gameId)) {
+            throw new Error('Game not found');
+        }
+
+        return await this.gameManager.updateGame(gameId, {
+            series: (seriesName || '').trim() || null
+        });
+    }
+
+    /**
+     * Every series in the library with its entry count, by name
+     * @returns {Array} [{ name, count }]
+     */
+    getAllSeries() {
+        const counts = new Map();
+        this.gameManager.getAllGames().forEach(game => {
+            if (game.series) counts.set(game.series, (counts.get(game.series) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    }
+
+    /**
+     * Entries of a series in release order (undated entries last)
+     * @returns {Array} [{ game, owned, completed, wishlisted }]
+     */
+    getSeriesEntries(seriesName) {
+        return this.gameManager.getAllGames()
+            .filter(game => game.series === seriesName)
+            .sort((a, b) => this.compareByRelease(a, b))
+            .map(game => ({
+                game: game,
+                owned: (game.userMetadata.ownershipState || 'owned') === 'owned',
+                completed: game.userMetadata.completionStatus === 'completed',
+                wishlisted: game.userMetadata.ownershipState === 'wishlist'
+            }));
+    }
+
+    compareByRelease(a, b) {
+        const time = game => game.releaseDate && !isNaN(new Date(game.releaseDate).getTime()) ?
+            new Date(game.releaseDate).getTime() : Infinity;
+        return time(a) - time(b) || (a.title || '').localeCompare(b.title || '', 'ja');
+    }
+
+    /**
+     * Base game ID of a DLC (null for anything else)
+     */
+    getBaseGameId(game) {
+        const relation = (game.relations || []).find(relation => relation.type === 'dlc_of');
+        return relation ? relation.gameId : null;
+    }
+
+    /**
+     * Fold DLCs under their base game for the grid
+     * DLCs whose base game is not in the list stay where they are
+     * @param {Array} games - Games in display order
+     * @param {Set} expandedIds - Base games whose DLCs are shown
+     * @returns {Object} { games, dlcCounts: Map(baseId -> count) }
+     */
+    collapseDlcs(games, expandedIds = new Set()) {
+        const ids = new Set(games.map(game => game.id));
+        const dlcsByBase = new Map();
+
+        games.forEach(game => {
+            const baseId = this.getBaseGameId(game);
+            if (baseId && baseId !== game.id && ids.has(baseId)) {
+                if (!dlcsByBase.has(baseId)) dlcsByBase.set(baseId, []);
+                dlcsByBase.get(baseId).push(game);
+            }
+        });
+
+        const folded = new Set([...dlcsByBase.values()].flat().map(game => game.id));
+        const result = [];
+        games.filter(game => !folded.has(game.id)).forEach(game => {
+            result.push(game);
+            if (expandedIds.has(game.id) && dlcsByBase.has(game.id)) {
+                result.push(...dlcsByBase.get(game.id).map(dlc => ({ ...dlc, isExpandedDlc: true })));
+            }
+        });
+
+        return {
+            games: result,
+            dlcCounts: new Map([...dlcsByBase.entries()].map(([baseId, dlcs]) => [baseId, dlcs.length]))
+        };
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * RelationUI - Series and related games section in the game detail modal, and the series view modal
+ */
+class RelationUI {
+    constructor(relationManager, callbacks = {}) {
+        this.relationManager = relationManager;
+        this.callbacks = callbacks;
+        this.selectedSeries = null;
+
+        // Choices of the add form: the stored type and whether the link is stored on this game
+        this.relationChoices = [
+            { value: 'dlc_of:outgoing', label: 'このゲームは次のDLC・拡張' },
+            { value: 'dlc_of:incoming', label: '次のゲームはこのゲームのDLC・拡張' },
+            { value: 'remaster_of:outgoing', label: 'このゲームは次のリマスター・リメイク' },
+            { value: 'remaster_of:incoming', label: '次のゲームはこのゲームのリマスター・リメイク' },
+            { value: 'sequel_of:outgoing', label: 'このゲームは次の続編' },
+            { value: 'sequel_of:incoming', label: 'このゲームは次の前作' }
+        ];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('show-series');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showSeriesView());
+        }
+    }
+
+    /**
+     * Render the series and related games section for the game detail modal
+     */
+    renderRelationSection(gameId) {
+        const game = this.relationManager.gameManager.findGameById(gameId);
+        if (!game) return '';
+
+        return `
+            <div class="relations-section" id="relations-section-${gameId}">
+                ${this.renderSectionContent(gameId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the inner content (series, related games and the add form)
+     */
+    renderSectionContent(gameId) {
+        const manager = this.relationManager;
+        const game = manager.gameManager.findGameById(gameId);
+        const related = manager.getRelatedGames(gameId);
+        const candidates = manager.gameManager.getAllGames()
+            .filter(other => other.id !== gameId)
+            .sort((a, b) => a.title.localeCompare(b.title, 'ja'));
+
+        return `
+            <div class="relations-header">
+                <h3>🔗 シリーズ・関連作品</h3>
+            </div>
+            <div class="relations-series">
+                <label>シリーズ
+                    <input type="text" class="relation-series-input" list="relation-series-options-${gameId}"
+                           value="${HtmlUtils.escape(game.series || '')}" placeholder="シリーズ名">
+                </label>
+                <datalist id="relation-series-options-${gameId}">
+                    ${manager.getAllSeries().map(series => `<option value="${HtmlUtils.escape(series.name)}">`).join('')}
+                </datalist>
+                ${game.series ? '<button class="btn btn-small btn-secondary relation-open-series">📚 シリーズ一覧</button>' : ''}
+            </div>
+            ${related.length > 0 ? `
+                <ul class="relations-list">
+                    ${related.map(entry => this.renderRelatedRow(gameId, entry)).join('')}
+                </ul>
+            ` : '<p class="no-relations">関連作品はまだ登録されていません</p>'}
+            ${candidates.length > 0 ? `
+                <div class="relation-form">
+                    <select class="relation-type">
+                        ${this.relationChoices.map(choice => `<option value="${choice.value}">${choice.label}</option>`).join('')}
+                    </select>
+                    <select class="relation-target">
+                        ${candidates.map(other => `<option value="${other.id}">${HtmlUtils.escape(other.title)}${other.platforms.length > 0 ? ` (${HtmlUtils.escape(other.platforms[0])})` : ''}</option>`).join('')}
+                    </select>
+                    <button class="btn btn-small btn-primary relation-add">関連付ける</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render one related game (the link is removed from whichever game stores it)
+     */
+    renderRelatedRow(gameId, entry) {
+        const ownerId = entry.direction === 'outgoing' ? gameId : entry.game.id;
+        const targetId = entry.direction === 'outgoing' ? entry.game.id : gameId;
+        const year = DateUtils.getReleaseYear(entry.game);
+
+        return `
+            <li class="relation-item ${entry.type}">
+                <span class="relation-label">${entry.emoji} ${entry.label}</span>
+                <a href="#" class="relation-open-game" data-game-id="${entry.game.id}">${HtmlUtils.escape(entry.game.title)}</a>
+                ${year !== null ? `<span class="relation-year">${year}</span>` : ''}
+                <button class="btn btn-small btn-danger relation-remove" title="関連付けを解除"
+                        data-owner-id="${ownerId}" data-type="${entry.type}" data-target-id="${targetId}">×</button>
+            </li>
+        `;
+    }
+
+    /**
+     * Setup event listeners for the section (called after the modal renders)
+     */
+    setupRelationEventListeners(gameId) {
+        const section = document.getElementById(`relations-section-${gameId}`);
+        if (!section) return;
+
+        const manager = this.relationManager;
+
+        const seriesInput = section.querySelector('.relation-series-input');
+        seriesInput.addEventListener('change', () => {
+            this.runAction(gameId, () => manager.setSeries(gameId, seriesInput.value));
+        });
+
+        const seriesBtn = section.querySelector('.relation-open-series');
+        if (seriesBtn) {
+            seriesBtn.addEventListener('click', () => {
+                document.getElementById('game-modal').style.display = 'none';
+                this.showSeriesView(manager.gameManager.findGameById(gameId).series);
+            });
+        }
+
+        section.querySelectorAll('.relation-open-game').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openGame(link.dataset.gameId);
+            });
+        });
+
+        section.querySelectorAll('.relation-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                const { ownerId, type, targetId } = button.dataset;
+                this.runAction(gameId, () => manager.removeRelation(ownerId, type, targetId));
+            });
+        });
+
+        const addBtn = section.querySelector('.relation-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                const [type, direction] = section.querySelector('.relation-type').value.split(':');
+                const otherId = section.querySelector('.relation-target').value;
+                this.runAction(gameId, () => direction === 'outgoing' ?
+                    manager.addRelation(gameId, type, otherId) :
+                    manager.addRelation(otherId, type, gameId));
+            });
+        }
+    }
+
+    /**
+     * Run a relation change, then re-render and notify
+     */
+    async runAction(gameId, action) {
+        try {
+            await action();
+            this.notifyChange(gameId);
+        } catch (error) {
+            console.error('Relation action failed:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.refreshSection(gameId);
+    }
+
+    /**
+     * Re-render the section in place
+     */
+    refreshSection(gameId) {
+        const section = document.getElementById(`relations-section-${gameId}`);
+        if (!section) return;
+
+        section.innerHTML = this.renderSectionContent(gameId);
+        this.setupRelationEventListeners(gameId);
+    }
+
+    /**
+     * Notify the main application that a relation or series changed
+     */
+    notifyChange(gameId) {
+        if (this.callbacks.onRelationChange) {
+            this.callbacks.onRelationChange(gameId);
+        }
+    }
+
+    openGame(gameId) {
+        if (this.callbacks.onOpenGame) {
+            this.callbacks.onOpenGame(gameId);
+        }
+    }
+
+    /**
+     * Open the series view (entries of one series in release order)
+     */
+    showSeriesView(seriesName = null) {
+        const modal = document.getElementById('series-modal');
+        if (!modal) return;
+
+        if (seriesName) this.selectedSeries = seriesName;
+        this.renderSeriesView();
+        modal.style.display = 'block';
+    }
+
+    renderSeriesView() {
+        const container = document.getElementById('series-content');
+        if (!container) return;
+
+        const allSeries = this.relationManager.getAllSeries();
+        if (allSeries.length === 0) {
+            container.innerHTML = '<p class="no-relations">シリーズが登録されたゲームはありません。ゲーム詳細の「シリーズ・関連作品」から設定できます</p>';
+            return;
+        }
+
+        if (!allSeries.some(series => series.name === this.selectedSeries)) {
+            this.selectedSeries = allSeries[0].name;
+        }
+
+        const entries = this.relationManager.getSeriesEntries(this.selectedSeries);
+        const ownedCount = entries.filter(entry => entry.owned).length;
+        const completedCount = entries.filter(entry => entry.completed).length;
+
+        container.innerHTML = `
+            <div class="series-picker">
+                <select id="series-select">
+                    ${allSeries.map(series => `
+                        <option value="${HtmlUtils.escape(series.name)}" ${series.name === this.selectedSeries ? 'selected' : ''}>
+                            ${HtmlUtils.escape(series.name)} (${series.count})
+                        </option>
+                    `).join('')}
+                </select>
+                <span class="series-summary">${entries.length}作品 ・ 所持 ${ownedCount} ・ クリア ${completedCount}</span>
+            </div>
+            <ol class="series-timeline">
+                ${entries.map(entry => `
+                    <li class="series-entry ${entry.owned ? 'owned' : 'not-owned'} ${entry.completed ? 'completed' : ''}">
+                        <span class="series-entry-date">${entry.game.releaseDate || '発売日不明'}</span>
+                        <a href="#" class="series-open-game" data-game-id="${entry.game.id}">${HtmlUtils.escape(entry.game.title)}</a>
+                        <span class="series-entry-platforms">${HtmlUtils.escape(entry.game.platforms.join(', '))}</span>
+                        <span class="series-entry-markers">
+                            ${entry.owned ? '<span class="series-marker owned" title="所持">📦 所持</span>' : ''}
+                            ${entry.wishlisted ? '<span class="series-marker wishlist" title="ほしい物リスト">⭐ ほしい</span>' : ''}
+                            ${entry.completed ? '<span class="series-marker completed" title="クリア済み">🏁 クリア</span>' : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        container.querySelector('#series-select').addEventListener('change', (e) => {
+            this.selectedSeries = e.target.value;
+            this.renderSeriesView();
+        });
+
+        container.querySelectorAll('.series-open-game').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                document.getElementById('series-modal').style.display = 'none';
+                this.openGame(link.dataset.gameId);
+            });
+        });
+    }
+}
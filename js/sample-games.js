@@ -13,8 +13,11 @@ const sampleGames = [
         genre: ["Action-adventure", "Open world"],
         description: "オープンワールドのアクションアドベンチャーゲーム。広大なハイラルの世界を自由に探索できます。",
         coverImage: "https://upload.wikimedia.org/wikipedia/en/c/c6/The_Legend_of_Zelda_Breath_of_the_Wild.jpg",
-        rating: 5,
-        shelves: ["favorites", "completed"]
+        userMetadata: {
+            rating: 5,
+            favorite: true,
+            completionStatus: "completed"
+        }
     },
     {
         id: "minecraft",
@@ -26,8 +29,10 @@ const sampleGames = [
         genre: ["Sandbox", "Survival"],
         description: "ブロックで構成された世界で建築や冒険を楽しむサンドボックスゲーム。",
         coverImage: "https://upload.wikimedia.org/wikipedia/en/5/51/Minecraft_cover.png",
-        rating: 4,
-        shelves: ["playing"]
+        userMetadata: {
+            rating: 4,
+            completionStatus: "in_progress"
+        }
     },
     {
         id: "mario-odyssey",
@@ -39,8 +44,11 @@ const sampleGames = [
         genre: ["Platform", "Action-adventure"],
         description: "マリオが帽子の相棒キャッピーと共に様々な世界を冒険する3Dプラットフォーマー。",
         coverImage: "https://upload.wikimedia.org/wikipedia/en/8/8d/Super_Mario_Odyssey.jpg",
-        rating: 5,
-        shelves: ["favorites", "completed"]
+        userMetadata: {
+            rating: 5,
+            favorite: true,
+            completionStatus: "completed"
+        }
     },
     {
         id: "ff7-remake",
@@ -52,8 +60,10 @@ const sampleGames = [
         genre: ["JRPG", "Action RPG"],
         description: "1997年の名作RPGをフルリメイクした作品。美しいグラフィックと新しい戦闘システムが特徴。",
         coverImage: "https://upload.wikimedia.org/wikipedia/en/c/ce/FF7_Remake_cover_art.jpg",
-        rating: 4,
-        shelves: ["playing"]
+        userMetadata: {
+            rating: 4,
+            completionStatus: "in_progress"
+        }
     },
     {
         id: "animal-crossing",
@@ -65,24 +75,24 @@ const sampleGames = [
         genre: ["Life simulation", "Social simulation"],
         description: "無人島で動物たちと一緒にスローライフを楽しむシミュレーションゲーム。",
         coverImage: "https://upload.wikimedia.org/wikipedia/en/1/1f/Animal_Crossing_New_Horizons.jpg",
-        rating: 4,
-        shelves: ["playing"]
+        userMetadata: {
+            rating: 4,
+            completionStatus: "in_progress"
+        }
     }
 ];
 
-// Function to load sample games
-function loadSampleGames() {
-    if (window.gameShelf) {
-        // Clear existing games
-        window.gameShelf.games = [];
-        
-        // Add sample games
-        sampleGames.forEach(game => {
-            window.gameShelf.addGame(game);
-        });
-        
-        console.log('Sample games loaded successfully!');
-        alert('サンプルゲームを読み込みました！');
+// Function to load sample games (games already in the library are skipped)
+async function loadSampleGames() {
+    if (window.gameShelf && window.gameShelf.gameManager) {
+        try {
+            const results = await window.gameShelf.gameManager.importGames(sampleGames);
+            console.log('Sample games loaded successfully!', results);
+            alert(`サンプルゲームを読み込みました！（追加 ${results.added}件）`);
+        } catch (error) {
+            console.error('Failed to load sample games:', error);
+            alert(`エラー: ${error.message}`);
+        }
     } else {
         console.error('Game Shelf not initialized');
     }
@@ -0,0 +1,205 @@
+/**
+ * SavedViewManager - Named combinations of search query, filters, sort, view mode, page size and collection
+ * Views live in the game collection (collection.savedViews) so they travel with JSON exports;
+ * at most one view is the default, applied when the app opens
+ */
+class SavedViewManager {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+
+        // What a view captures, with the app's initial state as the fallback for missing values
+        this.defaultState = {
+            query: '',
+            collectionId: 'all',
+            starFilters: [0, 1, 2, 3, 4, 5],
+            platformFilters: ['pc', 'playstation', 'xbox', 'nintendo', 'steam'],
+            completionFilters: ['not_started', 'in_progress', 'completed', 'abandoned'],
+            genreFilters: null,
+            yearRange: null,
+            decadeFilters: [],
+            sort: 'custom',
+            sortDirection: 'desc',
+            view: 'covers',
+            pageSize: 50
+        };
+        this.pageSizes = [25, 50, 100, 200, 'all'];
+        this.views = ['covers', 'list', 'timeline'];
+    }
+
+    /**
+     * Generate unique view ID
+     */
+    generateViewId() {
+        return 'view_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    getViews() {
+        return this.gameManager.collection.savedViews || [];
+    }
+
+    getView(viewId) {
+        return this.getViews().find(view => view.id === viewId) || null;
+    }
+
+    getDefaultView() {
+        return this.getViews().find(view => view.isDefault) || null;
+    }
+
+    /**
+     * Save the given state as a new view
+     * @param {string} name - View name (unique, case-insensitive)
+     * @param {Object} state - See defaultState; genreFilters is null when every genre is shown
+     */
+    async addView(name, state) {
+        const now = Date.now();
+        const view = {
+            id: this.generateViewId(),
+            name: (name || '').trim(),
+            isDefault: false,
+            state: this.normalizeState(state),
+            createdDate: now,
+            modifiedDate: now
+        };
+        this.validateView(view);
+
+        await this.saveViews([...this.getViews(), view]);
+        return view;
+    }
+
+    /**
+     * Rename a view or replace its state
+     * @param {Object} updates - { name, state }
+     */
+    async updateView(viewId, updates) {
+        const existing = this.getView(viewId);
+        if (!existing) {
+            throw new Error('Saved view not found');
+        }
+
+        const updated = {
+            ...existing,
+            name: updates.name !== undefined ? updates.name.trim() : existing.name,
+            state: updates.state !== undefined ? this.normalizeState(updates.state) : existing.state,
+            modifiedDate: Date.now()
+        };
+        this.validateView(updated);
+
+        await this.saveViews(this.getViews().map(view => view.id === viewId ? updated : view));
+        return updated;
+    }
+
+    async deleteView(viewId) {
+        if (!this.getView(viewId)) {
+            throw new Error('Saved view not found');
+        }
+
+        await this.saveViews(this.getViews().filter(view => view.id !== viewId));
+        return true;
+    }
+
+    /**
+     * Make a view the default (null clears the default)
+     */
+    async setDefaultView(viewId) {
+        if (viewId && !this.getView(viewId)) {
+            throw new Error('Saved view not found');
+        }
+
+        // Only views whose flag changes are touched, so other tabs' edits to the rest still merge
+        await this.saveViews(this.getViews().map(view => view.isDefault === (view.id === viewId) ? view : {
+            ...view,
+            isDefault: view.id === viewId,
+            modifiedDate: Date.now()
+        }));
+        return true;
+    }
+
+    /**
+     * Persist views with the game collection
+     */
+    async saveViews(views) {
+        this.gameManager.collection.savedViews = views;
+        return await this.gameManager.saveCollection();
+    }
+
+    validateView(view) {
+        if (!view.name) {
+            throw new Error('Saved view name is required');
+        }
+
+        const duplicate = this.getViews().find(other =>
+            other.id !== view.id && other.name.toLowerCase() === view.name.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error('A saved view with this name already exists');
+        }
+
+        return true;
+    }
+
+    /**
+     * Fill in missing values and drop ones the app does not know
+     */
+    normalizeState(state = {}) {
+        const defaults = this.defaultState;
+        const pick = (values, allowed) => Array.isArray(values) ?
+            allowed.filter(value => values.includes(value)) : [...allowed];
+
+        return {
+            query: typeof state.query === 'string' ? state.query : defaults.query,
+            collectionId: state.collectionId || defaults.collectionId,
+            starFilters: pick(state.starFilters, defaults.starFilters),
+            platformFilters: pick(state.platformFilters, defaults.platformFilters),
+            completionFilters: pick(state.completionFilters, defaults.completionFilters),
+            genreFilters: Array.isArray(state.genreFilters) ? [...state.genreFilters] : null,
+            yearRange: this.normalizeYearRange(state.yearRange),
+            decadeFilters: Array.isArray(state.decadeFilters) ?
+                state.decadeFilters.filter(decade => Number.isInteger(decade) && decade % 10 === 0) : [],
+            sort: state.sort || defaults.sort,
+            sortDirection: state.sortDirection === 'asc' ? 'asc' : 'desc',
+            view: this.views.includes(state.view) ? state.view : defaults.view,
+            pageSize: this.pageSizes.includes(state.pageSize) ? state.pageSize : defaults.pageSize
+        };
+    }
+
+    /**
+     * { min, max } release years, or null for no range
+     */
+    normalizeYearRange(range) {
+        if (!range || !Number.isInteger(range.min) || !Number.isInteger(range.max)) return null;
+        return range.min <= range.max ? { min: range.min, max: range.max } : { min: range.max, max: range.min };
+    }
+
+    /**
+     * Merge views from imported data: views already here (same ID or name) are kept as they are
+     * The imported default only becomes the default when this library has none
+     */
+    async mergeViews(importedViews) {
+        const views = [...this.getViews()];
+        let added = 0;
+        let hasDefault = views.some(view => view.isDefault);
+
+        (importedViews || []).forEach(imported => {
+            const name = String(imported?.name || '').trim();
+            if (!name) return;
+            if (views.some(view => view.id === imported.id || view.name.toLowerCase() === name.toLowerCase())) return;
+
+            const isDefault = Boolean(imported.isDefault) && !hasDefault;
+            hasDefault = hasDefault || isDefault;
+            views.push({
+                id: imported.id || this.generateViewId(),
+                name,
+                isDefault,
+                state: this.normalizeState(imported.state),
+                createdDate: imported.createdDate || Date.now(),
+                modifiedDate: imported.modifiedDate || Date.now()
+            });
+            added++;
+        });
+
+        if (added > 0) {
+            await this.saveViews(views);
+        }
+        return added;
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * SavedViewUI - Header dropdown for switching saved views and the modal for saving and managing them
+ */
+class SavedViewUI {
+    /**
+     * @param {SavedViewManager} savedViewManager
+     * @param {Object} callbacks - { getState() → current view state, applyState(state) }
+     */
+    constructor(savedViewManager, callbacks = {}) {
+        this.savedViewManager = savedViewManager;
+        this.callbacks = callbacks;
+        this.selectedViewId = '';
+
+        this.setupEventListeners();
+        this.updateSelector();
+    }
+
+    setupEventListeners() {
+        const selector = document.getElementById('saved-view-selector');
+        if (selector) {
+            // Another tab may have changed the views since the options were built
+            selector.addEventListener('focus', () => this.updateSelector());
+            selector.addEventListener('change', (e) => {
+                if (e.target.value) this.applyView(e.target.value);
+            });
+        }
+
+        const manageBtn = document.getElementById('manage-saved-views');
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => this.showManager());
+        }
+    }
+
+    updateSelector() {
+        const selector = document.getElementById('saved-view-selector');
+        if (!selector) return;
+
+        const views = this.savedViewManager.getViews();
+        if (!views.some(view => view.id === this.selectedViewId)) this.selectedViewId = '';
+
+        selector.innerHTML = `
+            <option value="">🔖 ビューを選択</option>
+            ${views.map(view => `
+                <option value="${view.id}">${view.isDefault ? '★ ' : ''}${HtmlUtils.escape(view.name)}</option>
+            `).join('')}
+        `;
+        selector.value = this.selectedViewId;
+    }
+
+    applyView(viewId) {
+        const view = this.savedViewManager.getView(viewId);
+        if (!view) return;
+
+        this.selectedViewId = view.id;
+        this.callbacks.applyState(view.state);
+        this.updateSelector();
+    }
+
+    /**
+     * Apply the default view, if there is one (on startup)
+     */
+    applyDefaultView() {
+        const view = this.savedViewManager.getDefaultView();
+        if (view) this.applyView(view.id);
+    }
+
+    showManager() {
+        const modal = document.getElementById('saved-views-modal');
+        if (!modal) return;
+
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    render() {
+        const container = document.getElementById('saved-views-content');
+        if (!container) return;
+
+        const views = this.savedViewManager.getViews();
+
+        container.innerHTML = `
+            <div class="saved-view-form">
+                <input type="text" id="saved-view-name" placeholder="ビュー名（例: Switchのクリア済み）" maxlength="50">
+                <button class="btn btn-primary" id="saved-view-add">💾 現在の表示を保存</button>
+            </div>
+            <p class="saved-view-hint">検索クエリ、評価・プラットフォーム・完了状況・ジャンル・発売年の絞り込み、並び順、表示形式、表示数、コレクションを保存します。</p>
+            ${views.length > 0 ? `
+                <ul class="saved-view-list">
+                    ${views.map(view => `
+                        <li class="saved-view-item ${view.isDefault ? 'default' : ''}" data-view-id="${view.id}">
+                            <input type="text" class="saved-view-rename" value="${HtmlUtils.escape(view.name)}" maxlength="50" title="名前を変更">
+                            <span class="saved-view-summary">${HtmlUtils.escape(this.describeState(view.state))}</span>
+                            <div class="saved-view-actions">
+                                <button class="btn btn-small btn-primary saved-view-apply">表示</button>
+                                <button class="btn btn-small btn-secondary saved-view-overwrite" title="現在の表示で上書き">上書き</button>
+                                <button class="btn btn-small btn-secondary saved-view-default">${view.isDefault ? '★ 既定を解除' : '☆ 既定にする'}</button>
+                                <button class="btn btn-small btn-danger saved-view-delete" title="削除">🗑️</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="no-saved-views">保存したビューはまだありません。</p>'}
+        `;
+
+        const nameInput = container.querySelector('#saved-view-name');
+        container.querySelector('#saved-view-add').addEventListener('click', () => this.addView(nameInput));
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addView(nameInput);
+        });
+
+        container.querySelectorAll('.saved-view-item').forEach(item => {
+            const viewId = item.dataset.viewId;
+
+            item.querySelector('.saved-view-apply').addEventListener('click', () => {
+                this.applyView(viewId);
+                document.getElementById('saved-views-modal').style.display = 'none';
+            });
+            item.querySelector('.saved-view-overwrite').addEventListener('click', () =>
+                this.run(() => this.savedViewManager.updateView(viewId, { state: this.callbacks.getState() })));
+            item.querySelector('.saved-view-default').addEventListener('click', () => {
+                const view = this.savedViewManager.getView(viewId);
+                this.run(() => this.savedViewManager.setDefaultView(view && view.isDefault ? null : viewId));
+            });
+            item.querySelector('.saved-view-delete').addEventListener('click', () => {
+                const view = this.savedViewManager.getView(viewId);
+                if (view && confirm(`ビュー「${view.name}」を削除しますか？`)) {
+                    this.run(() => this.savedViewManager.deleteView(viewId));
+                }
+            });
+            item.querySelector('.saved-view-rename').addEventListener('change', (e) =>
+                this.run(() => this.savedViewManager.updateView(viewId, { name: e.target.value })));
+        });
+    }
+
+    async addView(nameInput) {
+        const name = nameInput.value.trim();
+        if (!name) {
+            alert('ビュー名を入力してください');
+            nameInput.focus();
+            return;
+        }
+
+        await this.run(async () => {
+            const view = await this.savedViewManager.addView(name, this.callbacks.getState());
+            this.selectedViewId = view.id;
+        });
+    }
+
+    /**
+     * Run a change, then refresh the modal and the dropdown (errors are shown, not thrown)
+     */
+    async run(task) {
+        try {
+            await task();
+        } catch (error) {
+            console.error('Saved view update failed:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.render();
+        this.updateSelector();
+    }
+
+    /**
+     * One-line summary of what a view shows
+     */
+    describeState(state) {
+        const parts = [];
+        if (state.query) parts.push(`「${state.query}」`);
+        if (state.collectionId !== 'all') parts.push(`コレクション: ${this.getCollectionName(state.collectionId)}`);
+
+        const defaults = this.savedViewManager.defaultState;
+        if (state.starFilters.length < defaults.starFilters.length) parts.push(`評価: ${state.starFilters.map(star => star ? `★${star}` : '未評価').join(' ')}`);
+        if (state.platformFilters.length < defaults.platformFilters.length) parts.push(`機種 ${state.platformFilters.length}件`);
+        if (state.completionFilters.length < defaults.completionFilters.length) parts.push(`完了状況 ${state.completionFilters.length}件`);
+        if (state.genreFilters) parts.push(`ジャンル ${state.genreFilters.length}件`);
+        if (state.yearRange) parts.push(`${state.yearRange.min}〜${state.yearRange.max}年`);
+        if (state.decadeFilters.length > 0) parts.push(state.decadeFilters.map(decade => `${decade}年代`).join(' '));
+
+        const sortOption = document.querySelector(`#sort-order option[value="${state.sort}"]`);
+        parts.push(`${sortOption ? sortOption.textContent : state.sort}${state.sortDirection === 'asc' ? '↑' : '↓'}`);
+        parts.push({ list: 'リスト', timeline: '年表' }[state.view] || 'カバー');
+        parts.push(state.pageSize === 'all' ? '全て表示' : `${state.pageSize}件`);
+
+        return parts.join(' ・ ');
+    }
+
+    getCollectionName(collectionId) {
+        const option = document.querySelector(`#collection-selector option[value="${collectionId}"]`);
+        return option ? option.textContent.trim() : '（削除されたコレクション）';
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * SchemaMigrator - Versioned schema migrations for the stored game collection
+ * Keeps an ordered registry of migration steps keyed by the schema version they produce.
+ * Steps that only add fields have no migrate function: GameManager.normalizeGame fills in
+ * their defaults on every load, so a step is only written for a real structural change.
+ */
+class SchemaMigrator {
+    constructor() {
+        // Collections saved before versioning existed are schema version 1
+        this.baseVersion = 1;
+
+        // Ordered registry: each step upgrades a collection from (version - 1) to version.
+        // Steps must be idempotent so data of unknown age can safely go through all of them.
+        // Versions are never removed: stored and exported data carries them.
+        this.migrations = [
+            {
+                version: 2,
+                name: 'fold-legacy-shelf-fields',
+                description: 'Move GameShelf-format fields (rating, platform, image, ...) into the canonical game model',
+                migrate: collection => this.foldLegacyShelfFields(collection)
+            },
+            {
+                version: 3,
+                name: 'play-sessions-and-owned-copies',
+                description: 'Add userMetadata.playSessions and userMetadata.ownedCopies, store playTime as a number',
+                migrate: collection => this.convertPlayTime(collection)
+            },
+            {
+                version: 4,
+                name: 'locked-metadata-fields',
+                description: 'Add userMetadata.lockedFields (fields a metadata refresh must not overwrite)'
+            },
+            {
+                version: 5,
+                name: 'progress-checklists',
+                description: 'Add userMetadata.checklist (chapters, achievements, side quests and collectibles)'
+            },
+            {
+                version: 6,
+                name: 'ownership-state',
+                description: 'Add userMetadata.ownershipState (owned, wishlist, borrowed, sold) and userMetadata.wishlist'
+            },
+            {
+                version: 7,
+                name: 'loans',
+                description: 'Add userMetadata.loans (lending records with borrower, dates and notes)'
+            },
+            {
+                version: 8,
+                name: 'custom-fields',
+                description: 'Add collection.customFields (user-defined field definitions) and userMetadata.customFields'
+            },
+            {
+                version: 9,
+                name: 'relations-and-series',
+                description: 'Add game.series and game.relations (DLC, remaster and sequel links between games)'
+            },
+            {
+                version: 10,
+                name: 'completion-dates',
+                description: 'Add userMetadata.completedDate (when the game was marked completed; null when unknown)'
+            },
+            {
+                version: 11,
+                name: 'start-dates',
+                description: 'Add userMetadata.startedDate (when the game left "not started"; null when unknown)'
+            },
+            {
+                version: 12,
+                name: 'saved-views',
+                description: 'Add collection.savedViews (named filter, sort and view mode combinations)'
+            }
+        ];
+    }
+
+    /**
+     * Register an additional migration step
+     */
+    registerMigration(migration) {
+        if (!migration || !Number.isInteger(migration.version) ||
+            (migration.migrate !== undefined && typeof migration.migrate !== 'function')) {
+            throw new Error('Migration requires an integer version, and migrate must be a function when given');
+        }
+
+        if (this.migrations.some(m => m.version === migration.version)) {
+            throw new Error(`Migration for schema version ${migration.version} is already registered`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get the schema version produced by the latest migration
+     */
+    getCurrentVersion() {
+        return this.migrations.length > 0 ?
+            this.migrations[this.migrations.length - 1].version : this.baseVersion;
+    }
+
+    /**
+     * Get the schema version of a stored or exported collection
+     */
+    getVersion(collection) {
+        return collection?.metadata?.schemaVersion || this.baseVersion;
+    }
+
+    /**
+     * Check whether a collection needs migrating
+     */
+    needsMigration(collection) {
+        return this.getVersion(collection) < this.getCurrentVersion();
+    }
+
+    /**
+     * Run every pending migration on a copy of the collection
+     * @param {Object} collection - Collection with games and metadata
+     * @returns {Object} { collection, fromVersion, toVersion, applied }
+     */
+    migrate(collection) {
+        const fromVersion = this.getVersion(collection);
+        const toVersion = this.getCurrentVersion();
+
+        if (fromVersion > toVersion) {
+            throw new Error(`Data schema version ${fromVersion} is newer than this app supports (${toVersion})`);
+        }
+
+        // Work on a copy so a failing step leaves the original untouched
+        let migrated = JSON.parse(JSON.stringify(collection));
+        migrated.games = Array.isArray(migrated.games) ? migrated.games : [];
+        migrated.metadata = migrated.metadata || {};
+
+        const applied = [];
+
+        this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                try {
+                    if (migration.migrate) migrated = migration.migrate(migrated) || migrated;
+                } catch (error) {
+                    throw new Error(`Migration "${migration.name}" (v${migration.version}) failed: ${error.message}`);
+                }
+                migrated.metadata.schemaVersion = migration.version;
+                applied.push(migration.name);
+            });
+
+        migrated.metadata.schemaVersion = toVersion;
+
+        return {
+            collection: migrated,
+            fromVersion: fromVersion,
+            toVersion: toVersion,
+            applied: applied
+        };
+    }
+
+    /**
+     * v2: Fold GameShelf-format fields into the canonical game model
+     */
+    foldLegacyShelfFields(collection) {
+        const legacyUserFields = ['rating', 'notes', 'completionStatus', 'playTime', 'tags', 'favorite'];
+
+        collection.games = collection.games.map(game => {
+            const migrated = { ...game };
+            const userMetadata = { ...(game.userMetadata || {}) };
+
+            migrated.title = game.title || game.name;
+
+            if (!Array.isArray(game.platforms)) {
+                migrated.platforms = game.platforms ? [game.platforms] :
+                    game.platform ? [game.platform] : [];
+            }
+
+            if (game.genre && !Array.isArray(game.genre)) {
+                migrated.genre = [game.genre];
+            }
+
+            migrated.coverImage = game.coverImage || game.image || null;
+
+            legacyUserFields.forEach(field => {
+                if (userMetadata[field] === undefined && game[field] !== undefined) {
+                    userMetadata[field] = game[field];
+                }
+            });
+
+            if (userMetadata.dateAdded === undefined && game.acquiredTime) {
+                const acquired = new Date(game.acquiredTime).getTime();
+                if (!isNaN(acquired)) {
+                    userMetadata.dateAdded = acquired;
+                }
+            }
+
+            migrated.userMetadata = userMetadata;
+
+            ['name', 'platform', 'image', 'acquiredTime', ...legacyUserFields].forEach(field => {
+                delete migrated[field];
+            });
+
+            return migrated;
+        });
+
+        return collection;
+    }
+
+    /**
+     * v3: Store playTime as a number (GameShelf kept it as text)
+     */
+    convertPlayTime(collection) {
+        collection.games = collection.games.map(game => {
+            const userMetadata = { ...(game.userMetadata || {}) };
+            const playTime = parseFloat(userMetadata.playTime);
+
+            userMetadata.playTime = isNaN(playTime) ? 0 : playTime;
+
+            return { ...game, userMetadata };
+        });
+
+        return collection;
+    }
+}
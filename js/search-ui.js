@@ -227,11 +227,6 @@ class SearchUI {
         const platforms = Array.isArray(game.platforms) ? game.platforms.slice(0, 3) : [];
         const genres = Array.isArray(game.genre) ? game.genre.slice(0, 2) : [];
         const releaseYear = game.releaseDate ? new Date(game.releaseDate).getFullYear() : null;
-        
-        // Check if game already exists in collection
-        const existsInCollection = this.gameManager.getAllGames().some(existingGame => 
-            existingGame.title.toLowerCase() === game.title.toLowerCase()
-        );
 
         return `
             <div class="game-result-card" data-game-id="${game.id}">
@@ -263,17 +258,55 @@ class SearchUI {
                 </div>
                 
                 <div class="game-result-actions">
-                    ${existsInCollection ? 
-                        `<button class="btn btn-disabled" disabled>✅ 追加済み</button>` :
-                        `<button class="btn btn-primary add-to-collection-btn" data-game-id="${game.id}">
-                            ➕ コレクションに追加
-                        </button>`
-                    }
+                    ${this.renderResultActions(game)}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Render the add button of a result card (disabled once the game is in the library)
+     * @param {Object} game - Game data
+     * @returns {string} HTML string
+     */
+    renderResultActions(game) {
+        // Check if game already exists in collection
+        const existsInCollection = this.gameManager.getAllGames().some(existingGame => 
+            existingGame.title.toLowerCase() === game.title.toLowerCase()
+        );
+
+        return existsInCollection ? 
+            `<button class="btn btn-disabled" disabled>✅ 追加済み</button>` :
+            `<button class="btn btn-primary add-to-collection-btn" data-game-id="${game.id}">
+                ➕ コレクションに追加
+            </button>`;
+    }
+
+    /**
+     * Keep the add buttons of displayed results in step with the library
+     * @param {EventBus} eventBus - Shared event bus
+     */
+    setEventBus(eventBus) {
+        eventBus.onBatch(['game:added', 'game:updated', 'game:removed'], () => this.refreshResultActions());
+    }
+
+    /**
+     * Re-render only the action area of each displayed result card
+     */
+    refreshResultActions() {
+        if (!this.searchResults) return;
+
+        this.searchResults.querySelectorAll('.game-result-card').forEach(card => {
+            const game = this.currentResults.find(result => result.id === card.dataset.gameId);
+            const actions = card.querySelector('.game-result-actions');
+            if (!game || !actions) return;
+
+            actions.innerHTML = this.renderResultActions(game);
+            const button = actions.querySelector('.add-to-collection-btn');
+            if (button) this.bindAddButton(button);
+        });
+    }
+
     /**
      * Create data source attribution badge
      * @param {Object} game - Game data
@@ -319,11 +352,13 @@ class SearchUI {
     setupAddToCollectionButtons() {
         const addButtons = this.searchResults.querySelectorAll('.add-to-collection-btn');
         
-        addButtons.forEach(button => {
-            button.addEventListener('click', async (e) => {
-                const gameId = e.target.dataset.gameId;
-                await this.addGameToCollection(gameId, e.target);
-            });
+        addButtons.forEach(button => this.bindAddButton(button));
+    }
+
+    bindAddButton(button) {
+        button.addEventListener('click', async (e) => {
+            const gameId = e.target.dataset.gameId;
+            await this.addGameToCollection(gameId, e.target);
         });
     }
 
@@ -355,11 +390,6 @@ class SearchUI {
             // Show success message
             this.showTemporaryMessage('✅ ゲームをコレクションに追加しました！', 'success');
             
-            // Refresh the main game display if it exists
-            if (window.gameShelf && typeof window.gameShelf.loadGames === 'function') {
-                window.gameShelf.loadGames();
-            }
-            
         } catch (error) {
             console.error('Error adding game to collection:', error);
             
@@ -0,0 +1,270 @@
+/**
+ * StatisticsManager - Library breakdowns and monthly trends for the statistics dashboard
+ * Every chart segment carries a filter ({ dimension, key }) that matchesSegment() applies to a game,
+ * so a click on a segment can narrow the grid to the games behind it
+ */
+class StatisticsManager {
+    constructor(gameManager, ownershipManager = null) {
+        this.gameManager = gameManager;
+        this.ownershipManager = ownershipManager;
+
+        this.dimensions = {
+            platform: '機種',
+            genre: 'ジャンル',
+            developer: '開発元',
+            year: '発売年',
+            decade: '発売年代',
+            rating: '評価',
+            completedMonth: 'クリアした月',
+            backlogMonth: '積みゲー（月末時点）',
+            playMonth: 'プレイした月',
+            spendMonth: '購入した月'
+        };
+    }
+
+    /**
+     * Games in the library (wishlisted games are not owned yet)
+     */
+    getLibraryGames() {
+        return this.gameManager.getAllGames().filter(game => game.userMetadata.ownershipState !== 'wishlist');
+    }
+
+    /**
+     * Count games per value of a dimension, largest first
+     * @param {string} dimension - platform, genre, developer, year, decade or rating
+     * @param {number} limit - Maximum number of segments (the rest is reported as a count)
+     * @returns {Object} { segments: [{ key, label, count, filter }], hidden }
+     */
+    getBreakdown(dimension, limit = 15) {
+        const counts = new Map();
+        this.getLibraryGames().forEach(game => {
+            new Set(this.getDimensionKeys(game, dimension)).forEach(key => {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        });
+
+        let segments = [...counts.entries()].map(([key, count]) => ({
+            key,
+            label: this.getKeyLabel(dimension, key),
+            count,
+            filter: { dimension, key }
+        }));
+
+        if (dimension === 'year' || dimension === 'decade' || dimension === 'rating') {
+            // Ordered scales read left to right; unknown years go last
+            segments.sort((a, b) => (a.key === 'unknown') - (b.key === 'unknown') || Number(a.key) - Number(b.key));
+            return { segments, hidden: 0 };
+        }
+
+        segments.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'ja'));
+        const hidden = Math.max(0, segments.length - limit);
+        return { segments: segments.slice(0, limit), hidden };
+    }
+
+    /**
+     * Values of a breakdown dimension for one game
+     */
+    getDimensionKeys(game, dimension) {
+        const year = DateUtils.getReleaseYear(game);
+
+        switch (dimension) {
+            case 'platform':
+                return game.platforms.length > 0 ? game.platforms : ['unknown'];
+            case 'genre':
+                return game.genre.length > 0 ? game.genre : ['unknown'];
+            case 'developer':
+                return [game.developer || 'unknown'];
+            case 'year':
+                return [year === null ? 'unknown' : String(year)];
+            case 'decade':
+                return [year === null ? 'unknown' : String(Math.floor(year / 10) * 10)];
+            case 'rating':
+                return [String(game.userMetadata.rating || 0)];
+            default:
+                return [];
+        }
+    }
+
+    getKeyLabel(dimension, key) {
+        if (key === 'unknown') return '不明';
+
+        switch (dimension) {
+            case 'year':
+                return `${key}年`;
+            case 'decade':
+                return `${key}年代`;
+            case 'rating':
+                return key === '0' ? '未評価' : '★'.repeat(Number(key));
+            case 'completedMonth':
+            case 'backlogMonth':
+            case 'playMonth':
+            case 'spendMonth':
+                return this.formatMonth(key);
+            default:
+                return key;
+        }
+    }
+
+    /**
+     * Month-by-month trends for the last `months` months (oldest first)
+     * Games completed or abandoned before dates were recorded count as done from the day they were added
+     * @returns {Array} [{ key, label, added, completed, library, completionRate, backlog, playHours, spending }]
+     */
+    getMonthlyTrends(months = 12) {
+        const games = this.getLibraryGames();
+        const keys = this.getMonthKeys(months);
+
+        return keys.map(key => {
+            const end = this.getMonthEnd(key);
+            const inLibrary = games.filter(game => this.getTime(game.userMetadata.dateAdded) <= end);
+            const done = inLibrary.filter(game => this.isDoneBy(game, end));
+            const completedBy = done.filter(game => game.userMetadata.completionStatus === 'completed');
+
+            return {
+                key,
+                label: this.formatMonth(key),
+                completed: games.filter(game => this.getCompletedMonth(game) === key).length,
+                library: inLibrary.length,
+                completionRate: inLibrary.length > 0 ? Math.round(completedBy.length / inLibrary.length * 100) : 0,
+                backlog: inLibrary.length - done.length,
+                playHours: Math.round(games.reduce((sum, game) => sum + this.getPlayMs(game, key), 0) / 360000) / 10,
+                spending: this.getSpending(this.gameManager.getAllGames(), key)
+            };
+        });
+    }
+
+    /**
+     * Keys (YYYY-MM) of the last `months` months including the current one
+     */
+    getMonthKeys(months, now = new Date()) {
+        const keys = [];
+        for (let i = months - 1; i >= 0; i--) {
+            const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            keys.push(this.toMonthKey(date));
+        }
+        return keys;
+    }
+
+    toMonthKey(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    getMonthEnd(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month, 1).getTime() - 1;
+    }
+
+    formatMonth(key) {
+        const [year, month] = key.split('-');
+        return `${year}年${Number(month)}月`;
+    }
+
+    getTime(value) {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? 0 : time;
+    }
+
+    /**
+     * Whether a game had left the backlog (completed or abandoned) by a point in time
+     */
+    isDoneBy(game, time) {
+        const status = game.userMetadata.completionStatus;
+        if (status === 'abandoned') return true;
+        if (status !== 'completed') return false;
+        return !game.userMetadata.completedDate || this.getTime(game.userMetadata.completedDate) <= time;
+    }
+
+    getCompletedMonth(game) {
+        return game.userMetadata.completionStatus === 'completed' && game.userMetadata.completedDate ?
+            this.toMonthKey(game.userMetadata.completedDate) : null;
+    }
+
+    /**
+     * Milliseconds of play sessions that started in a month
+     */
+    getPlayMs(game, monthKey) {
+        return (game.userMetadata.playSessions || [])
+            .filter(session => this.toMonthKey(session.start) === monthKey)
+            .reduce((sum, session) => sum + (session.duration || 0), 0);
+    }
+
+    /**
+     * Copies with a price bought in a month (purchaseDate is YYYY-MM-DD)
+     */
+    getPricedCopies(game, monthKey = null) {
+        return (game.userMetadata.ownedCopies || []).filter(copy =>
+            copy.price !== null && copy.price !== undefined &&
+            (!monthKey || (copy.purchaseDate || '').slice(0, 7) === monthKey));
+    }
+
+    /**
+     * Spending per currency, over all time or in one month
+     */
+    getSpending(games, monthKey = null) {
+        const totals = {};
+        games.forEach(game => {
+            this.getPricedCopies(game, monthKey).forEach(copy => {
+                const currency = copy.currency || 'JPY';
+                totals[currency] = (totals[currency] || 0) + copy.price;
+            });
+        });
+        return totals;
+    }
+
+    /**
+     * Whether any copy has a price (the spending chart is shown only then)
+     */
+    hasPurchaseData() {
+        return this.gameManager.getAllGames().some(game => this.getPricedCopies(game).length > 0);
+    }
+
+    /**
+     * The currency most money was spent in (the spending chart is drawn in it)
+     */
+    getMainCurrency() {
+        const totals = this.getSpending(this.gameManager.getAllGames());
+        return Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0] || 'JPY';
+    }
+
+    formatPrice(price, currency) {
+        if (this.ownershipManager) {
+            return this.ownershipManager.formatPrice(price, currency);
+        }
+        return `${price} ${currency || ''}`.trim();
+    }
+
+    /**
+     * Check whether a game belongs to a chart segment
+     * @param {Object} game - Game in GameManager format
+     * @param {Object} filter - { dimension, key }
+     */
+    matchesSegment(game, filter) {
+        const { dimension, key } = filter;
+
+        switch (dimension) {
+            case 'completedMonth':
+                return this.getCompletedMonth(game) === key;
+            case 'backlogMonth': {
+                const end = this.getMonthEnd(key);
+                return game.userMetadata.ownershipState !== 'wishlist' &&
+                    this.getTime(game.userMetadata.dateAdded) <= end && !this.isDoneBy(game, end);
+            }
+            case 'playMonth':
+                return this.getPlayMs(game, key) > 0;
+            case 'spendMonth':
+                return this.getPricedCopies(game, key).length > 0;
+            default:
+                return game.userMetadata.ownershipState !== 'wishlist' &&
+                    this.getDimensionKeys(game, dimension).includes(key);
+        }
+    }
+
+    /**
+     * Label of a segment filter, e.g. "機種: Nintendo Switch"
+     */
+    describeSegment(filter) {
+        return `${this.dimensions[filter.dimension] || filter.dimension}: ${this.getKeyLabel(filter.dimension, filter.key)}`;
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * StatisticsUI - Statistics dashboard modal with charts drawn as inline SVG (no chart library)
+ * Clicking a bar, column or point narrows the grid to the games behind it
+ */
+class StatisticsUI {
+    constructor(statisticsManager, callbacks = {}) {
+        this.statisticsManager = statisticsManager;
+        this.callbacks = callbacks;
+        this.months = 12;
+        this.rangeOptions = [12, 24, 60];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('show-stats');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showDashboard());
+        }
+    }
+
+    /**
+     * Re-render the dashboard while it is open and the library changes
+     */
+    setEventBus(eventBus) {
+        eventBus.onBatch(['game:added', 'game:updated', 'game:removed'], () => {
+            if (this.isOpen()) this.render();
+        });
+    }
+
+    isOpen() {
+        const modal = document.getElementById('stats-modal');
+        return Boolean(modal && modal.style.display === 'block');
+    }
+
+    showDashboard() {
+        const modal = document.getElementById('stats-modal');
+        if (!modal) return;
+
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    render() {
+        const container = document.getElementById('stats-content');
+        if (!container) return;
+
+        const manager = this.statisticsManager;
+        const summary = manager.gameManager.getStatistics();
+
+        if (summary.total === 0) {
+            container.innerHTML = '<p class="stats-empty">ライブラリにゲームがありません。ゲームを追加すると統計が表示されます</p>';
+            return;
+        }
+
+        const trends = manager.getMonthlyTrends(this.months);
+        const latest = trends[trends.length - 1];
+        const hasSpending = manager.hasPurchaseData();
+        const currency = manager.getMainCurrency();
+        const totals = manager.getSpending(manager.gameManager.getAllGames());
+
+        container.innerHTML = `
+            <div class="stats-summary">
+                ${this.renderTile('総ゲーム数', summary.total)}
+                ${this.renderTile('クリア率', `${Math.round(summary.completed / summary.total * 100)}%`)}
+                ${this.renderTile('積みゲー', latest.backlog)}
+                ${this.renderTile('総プレイ時間', `${Math.round(summary.totalPlayTime * 10) / 10}時間`)}
+                ${this.renderTile('平均評価', summary.averageRating.toFixed(1))}
+                ${hasSpending ? this.renderTile('購入総額', Object.entries(totals)
+                    .map(([code, amount]) => manager.formatPrice(amount, code)).join(' / ')) : ''}
+            </div>
+            <div class="stats-toolbar">
+                <label>期間
+                    <select id="stats-range">
+                        ${this.rangeOptions.map(months => `<option value="${months}" ${months === this.months ? 'selected' : ''}>直近${months}か月</option>`).join('')}
+                    </select>
+                </label>
+                <small>グラフをクリックすると、該当するゲームだけを一覧に表示します</small>
+            </div>
+            <div class="stats-charts">
+                ${this.renderCard('機種別', this.renderBreakdown('platform'))}
+                ${this.renderCard('ジャンル別', this.renderBreakdown('genre'))}
+                ${this.renderCard('開発元別', this.renderBreakdown('developer'))}
+                ${this.renderCard('評価の分布', this.renderBreakdown('rating'))}
+                ${this.renderCard('発売年代別', this.renderBreakdown('decade'))}
+                ${this.renderCard('発売年別', this.renderColumns(manager.getBreakdown('year').segments.map(segment => ({
+                    value: segment.count,
+                    label: segment.key === 'unknown' ? '不明' : segment.key,
+                    title: `${segment.label}: ${segment.count}本`,
+                    filter: segment.filter
+                }))))}
+                ${this.renderCard('クリア数とクリア率の推移', this.renderColumns(trends.map(month => ({
+                    value: month.completed,
+                    label: this.shortMonth(month.key),
+                    title: `${month.label}: ${month.completed}本クリア（クリア率 ${month.completionRate}%）`,
+                    filter: { dimension: 'completedMonth', key: month.key },
+                    rate: month.completionRate
+                })), { rateLine: true }), '棒: その月にクリアした本数 / 線: 月末時点のクリア率')}
+                ${this.renderCard('積みゲー数の推移', this.renderColumns(trends.map(month => ({
+                    value: month.backlog,
+                    label: this.shortMonth(month.key),
+                    title: `${month.label}末: ${month.backlog}本`,
+                    filter: { dimension: 'backlogMonth', key: month.key }
+                }))), '月末時点で未クリア・未中断のゲーム')}
+                ${this.renderCard('月別プレイ時間', this.renderColumns(trends.map(month => ({
+                    value: month.playHours,
+                    label: this.shortMonth(month.key),
+                    title: `${month.label}: ${month.playHours}時間`,
+                    filter: { dimension: 'playMonth', key: month.key }
+                }))), 'プレイ記録（セッション）から集計')}
+                ${hasSpending ? this.renderCard(`月別の購入金額（${currency}）`, this.renderColumns(trends.map(month => ({
+                    value: month.spending[currency] || 0,
+                    label: this.shortMonth(month.key),
+                    title: `${month.label}: ${manager.formatPrice(month.spending[currency] || 0, currency)}`,
+                    filter: { dimension: 'spendMonth', key: month.key }
+                }))), '所持コピーの購入日と価格から集計') : ''}
+            </div>
+        `;
+
+        container.querySelector('#stats-range').addEventListener('change', (e) => {
+            this.months = Number(e.target.value);
+            this.render();
+        });
+
+        container.querySelectorAll('.stats-segment').forEach(segment => {
+            segment.addEventListener('click', () => {
+                this.selectSegment({ dimension: segment.dataset.dimension, key: segment.dataset.key });
+            });
+        });
+    }
+
+    /**
+     * Close the dashboard and hand the segment filter to the grid
+     */
+    selectSegment(filter) {
+        document.getElementById('stats-modal').style.display = 'none';
+        if (this.callbacks.onSegmentSelect) {
+            this.callbacks.onSegmentSelect(filter);
+        }
+    }
+
+    renderTile(label, value) {
+        return `
+            <div class="stats-tile">
+                <span class="stats-tile-value">${HtmlUtils.escape(String(value))}</span>
+                <span class="stats-tile-label">${label}</span>
+            </div>
+        `;
+    }
+
+    renderCard(title, chart, note = '') {
+        return `
+            <div class="stats-chart-card">
+                <h3>${title}</h3>
+                ${note ? `<p class="stats-chart-note">${note}</p>` : ''}
+                ${chart}
+            </div>
+        `;
+    }
+
+    renderBreakdown(dimension) {
+        const { segments, hidden } = this.statisticsManager.getBreakdown(dimension);
+        return this.renderBars(segments) + (hidden > 0 ? `<p class="stats-chart-note">他 ${hidden}件</p>` : '');
+    }
+
+    /**
+     * Horizontal bar chart: one row per segment
+     * @param {Array} segments - [{ label, count, filter }]
+     */
+    renderBars(segments) {
+        if (segments.length === 0) return '<p class="stats-chart-empty">データがありません</p>';
+
+        const rowHeight = 24;
+        const labelWidth = 150;
+        const barWidth = 360;
+        const max = Math.max(...segments.map(segment => segment.count));
+        const height = segments.length * rowHeight;
+
+        return `
+            <svg class="stats-chart" viewBox="0 0 ${labelWidth + barWidth + 50} ${height}" role="img">
+                ${segments.map((segment, i) => {
+                    const y = i * rowHeight;
+                    const width = Math.max(2, segment.count / max * barWidth);
+                    const label = segment.label.length > 14 ? `${segment.label.slice(0, 13)}…` : segment.label;
+                    return `
+                        <g class="stats-segment" data-dimension="${segment.filter.dimension}" data-key="${HtmlUtils.escape(segment.filter.key)}">
+                            <title>${HtmlUtils.escape(segment.label)}: ${segment.count}本</title>
+                            <text class="stats-label" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${HtmlUtils.escape(label)}</text>
+                            <rect class="stats-bar" x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="3"></rect>
+                            <text class="stats-value" x="${labelWidth + width + 6}" y="${y + 16}">${segment.count}</text>
+                        </g>
+                    `;
+                }).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Column chart over an ordered scale (years, months)
+     * @param {Array} points - [{ value, label, title, filter, rate }]
+     * @param {Object} options - { rateLine: draw point.rate (0-100%) as a line on its own scale }
+     */
+    renderColumns(points, options = {}) {
+        if (points.length === 0) return '<p class="stats-chart-empty">データがありません</p>';
+
+        const width = 600;
+        const height = 220;
+        const left = 40;
+        const bottom = 30;
+        const top = 12;
+        const plotWidth = width - left - (options.rateLine ? 40 : 10);
+        const plotHeight = height - top - bottom;
+        const max = Math.max(...points.map(point => point.value)) || 1;
+        const step = plotWidth / points.length;
+        const columnWidth = Math.max(2, step * 0.7);
+        // Thin out axis labels so they do not overlap
+        const labelEvery = Math.ceil(points.length / 16);
+        const y = value => top + plotHeight - value / max * plotHeight;
+        const rateY = rate => top + plotHeight - rate / 100 * plotHeight;
+
+        const ratePath = options.rateLine ? points.map((point, i) =>
+            `${i === 0 ? 'M' : 'L'}${(left + step * i + step / 2).toFixed(1)},${rateY(point.rate).toFixed(1)}`).join(' ') : '';
+
+        return `
+            <svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">
+                <line class="stats-axis" x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}"></line>
+                <text class="stats-axis-label" x="${left - 6}" y="${top + 4}" text-anchor="end">${this.formatNumber(max)}</text>
+                <text class="stats-axis-label" x="${left - 6}" y="${top + plotHeight}" text-anchor="end">0</text>
+                ${options.rateLine ? `
+                    <text class="stats-axis-label" x="${left + plotWidth + 6}" y="${top + 4}">100%</text>
+                    <text class="stats-axis-label" x="${left + plotWidth + 6}" y="${top + plotHeight}">0%</text>
+                ` : ''}
+                ${points.map((point, i) => {
+                    const x = left + step * i + (step - columnWidth) / 2;
+                    const columnHeight = top + plotHeight - y(point.value);
+                    return `
+                        <g class="stats-segment" data-dimension="${point.filter.dimension}" data-key="${HtmlUtils.escape(point.filter.key)}">
+                            <title>${HtmlUtils.escape(point.title)}</title>
+                            <rect class="stats-hit" x="${left + step * i}" y="${top}" width="${step}" height="${plotHeight}"></rect>
+                            <rect class="stats-bar" x="${x.toFixed(1)}" y="${y(point.value).toFixed(1)}" width="${columnWidth.toFixed(1)}" height="${Math.max(0, columnHeight).toFixed(1)}" rx="2"></rect>
+                            ${i % labelEvery === 0 ? `<text class="stats-axis-label" x="${(left + step * i + step / 2).toFixed(1)}" y="${height - 10}" text-anchor="middle">${HtmlUtils.escape(point.label)}</text>` : ''}
+                        </g>
+                    `;
+                }).join('')}
+                ${options.rateLine ? `
+                    <path class="stats-rate-line" d="${ratePath}"></path>
+                    ${points.map((point, i) => `
+                        <circle class="stats-rate-point" cx="${(left + step * i + step / 2).toFixed(1)}" cy="${rateY(point.rate).toFixed(1)}" r="3"></circle>
+                    `).join('')}
+                ` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * Month axis label: "3月", or "2026/1" in January so the year stays readable
+     */
+    shortMonth(key) {
+        const [year, month] = key.split('-');
+        return month === '01' ? `${year}/1` : `${Number(month)}月`;
+    }
+
+    formatNumber(value) {
+        return value >= 10000 ? `${Math.round(value / 1000)}k` : String(Math.round(value * 10) / 10);
+    }
+}
@@ -0,0 +1,466 @@
+/**
+ * StorageManager - Persistence layer for games and collections
+ * Stores one IndexedDB record per game/collection with transactional writes,
+ * migrates existing LocalStorage data once, and falls back to LocalStorage when IndexedDB is unavailable
+ * Cached cover images (blobs) are only kept with the IndexedDB backend
+ */
+class StorageManager {
+    constructor() {
+        this.dbName = 'GameShelfDB';
+        this.dbVersion = 2;
+        this.db = null;
+        this.backend = null;
+        this.openPromise = null;
+
+        // LocalStorage keys used before IndexedDB (and by the fallback backend)
+        this.localStorageKeys = {
+            games: 'gameCollection_data',
+            collections: 'gameCollections'
+        };
+    }
+
+    /**
+     * Open the storage backend (shared by every caller)
+     * @returns {Promise<string>} 'indexeddb' or 'localstorage'
+     */
+    async open() {
+        if (!this.openPromise) {
+            this.openPromise = this.openBackend();
+        }
+        return this.openPromise;
+    }
+
+    /**
+     * Open lazily without waiting for the first-load migration
+     * (the migration itself reads and writes through the normal methods)
+     */
+    async ensureOpen() {
+        return this.backend || this.open();
+    }
+
+    /**
+     * Pick IndexedDB when available, otherwise LocalStorage
+     */
+    async openBackend() {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            console.warn('IndexedDB is not available, using LocalStorage');
+            this.backend = 'localstorage';
+            return this.backend;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            // Also reached when the LocalStorage data could not be moved: the data stays where it is,
+            // nothing is written to IndexedDB this session and the move is retried on the next load
+            console.warn('IndexedDB could not be opened or migrated to, falling back to LocalStorage:', error);
+            if (this.db) this.db.close();
+            this.db = null;
+            this.backend = 'localstorage';
+        }
+
+        return this.backend;
+    }
+
+    /**
+     * Open (and create/upgrade) the IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('games')) {
+                    db.createObjectStore('games', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('collections')) {
+                    db.createObjectStore('collections', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                // v2: cover image cache ({ url, blob, size, type, fetchedAt })
+                if (!db.objectStoreNames.contains('covers')) {
+                    db.createObjectStore('covers', { keyPath: 'url' });
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the schema
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+        });
+    }
+
+    /**
+     * Check whether IndexedDB is the active backend
+     */
+    isIndexedDB() {
+        return this.backend === 'indexeddb';
+    }
+
+    /**
+     * Wrap an IDBRequest in a Promise
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolve when a transaction commits, reject when it aborts
+     */
+    transactionToPromise(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Load the game collection ({ games, customFields, savedViews, metadata })
+     * @returns {Promise<Object|null>} Saved collection or null when nothing is stored
+     */
+    async loadGameCollection() {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            const saved = localStorage.getItem(this.localStorageKeys.games);
+            return saved ? JSON.parse(saved) : null;
+        }
+
+        const transaction = this.db.transaction(['games', 'meta'], 'readonly');
+        const [games, metadata, order, customFields, savedViews] = await Promise.all([
+            this.requestToPromise(transaction.objectStore('games').getAll()),
+            this.requestToPromise(transaction.objectStore('meta').get('gameCollection_metadata')),
+            this.requestToPromise(transaction.objectStore('meta').get('gameCollection_order')),
+            this.requestToPromise(transaction.objectStore('meta').get('gameCollection_customFields')),
+            this.requestToPromise(transaction.objectStore('meta').get('gameCollection_savedViews'))
+        ]);
+
+        if (!metadata && games.length === 0) {
+            return null;
+        }
+
+        return {
+            games: this.restoreOrder(games, order),
+            customFields: customFields || [],
+            savedViews: savedViews || [],
+            metadata: metadata || {}
+        };
+    }
+
+    /**
+     * Read only the revision stamped on the saved game collection (null when there is none)
+     * Lets a tab tell whether anyone saved since it last synced without loading every game
+     */
+    async loadGameCollectionRevision() {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            const saved = localStorage.getItem(this.localStorageKeys.games);
+            return saved ? JSON.parse(saved).metadata?.revision || null : null;
+        }
+
+        const metadata = await this.getMeta('gameCollection_metadata');
+        return metadata?.revision || null;
+    }
+
+    /**
+     * Save the game collection in a single transaction
+     * @param {Object} collection - { games, customFields, savedViews, metadata }
+     * @param {Set} changedIds - Games added, updated or removed since the last save; null rewrites every game
+     */
+    async saveGameCollection(collection, changedIds = null) {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            localStorage.setItem(this.localStorageKeys.games, JSON.stringify(collection));
+            return true;
+        }
+
+        const transaction = this.db.transaction(['games', 'meta'], 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+
+        if (changedIds) {
+            this.writeChangedRecords(transaction.objectStore('games'), collection.games, changedIds);
+        } else {
+            this.replaceRecords(transaction.objectStore('games'), collection.games);
+        }
+
+        const metaStore = transaction.objectStore('meta');
+        metaStore.put(collection.metadata, 'gameCollection_metadata');
+        metaStore.put(collection.games.map(game => game.id), 'gameCollection_order');
+        metaStore.put(collection.customFields || [], 'gameCollection_customFields');
+        metaStore.put(collection.savedViews || [], 'gameCollection_savedViews');
+
+        return await completion;
+    }
+
+    /**
+     * Load collections (in their saved order)
+     * @returns {Promise<Array|null>} Saved collections or null when nothing is stored
+     */
+    async loadCollections() {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            const saved = localStorage.getItem(this.localStorageKeys.collections);
+            return saved ? JSON.parse(saved) : null;
+        }
+
+        const transaction = this.db.transaction(['collections', 'meta'], 'readonly');
+        const [collections, order] = await Promise.all([
+            this.requestToPromise(transaction.objectStore('collections').getAll()),
+            this.requestToPromise(transaction.objectStore('meta').get('collections_order'))
+        ]);
+
+        if (!order && collections.length === 0) {
+            return null;
+        }
+
+        return this.restoreOrder(collections, order);
+    }
+
+    /**
+     * Save collections in a single transaction
+     */
+    async saveCollections(collections) {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            localStorage.setItem(this.localStorageKeys.collections, JSON.stringify(collections));
+            return true;
+        }
+
+        const transaction = this.db.transaction(['collections', 'meta'], 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+
+        this.replaceRecords(transaction.objectStore('collections'), collections);
+        transaction.objectStore('meta').put(collections.map(collection => collection.id), 'collections_order');
+
+        return await completion;
+    }
+
+    /**
+     * Put every record and delete the ones that are no longer present
+     */
+    replaceRecords(store, records) {
+        const currentIds = new Set(records.map(record => record.id));
+
+        const keysRequest = store.getAllKeys();
+        keysRequest.onsuccess = () => {
+            keysRequest.result
+                .filter(key => !currentIds.has(key))
+                .forEach(key => store.delete(key));
+        };
+
+        records.forEach(record => store.put(record));
+    }
+
+    /**
+     * Put the changed records that are still present and delete the changed ones that are gone
+     */
+    writeChangedRecords(store, records, changedIds) {
+        const present = new Set();
+        records.forEach(record => {
+            if (changedIds.has(record.id)) {
+                store.put(record);
+                present.add(record.id);
+            }
+        });
+
+        changedIds.forEach(id => {
+            if (!present.has(id)) store.delete(id);
+        });
+    }
+
+    /**
+     * Sort records by a saved id order (records missing from the order go last)
+     */
+    restoreOrder(records, order) {
+        if (!Array.isArray(order)) return records;
+
+        const position = new Map(order.map((id, index) => [id, index]));
+        return [...records].sort((a, b) =>
+            (position.has(a.id) ? position.get(a.id) : Infinity) -
+            (position.has(b.id) ? position.get(b.id) : Infinity)
+        );
+    }
+
+    /**
+     * Read a value from the meta store
+     */
+    async getMeta(key) {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            const saved = localStorage.getItem(`gameShelfMeta_${key}`);
+            return saved ? JSON.parse(saved) : null;
+        }
+
+        const transaction = this.db.transaction('meta', 'readonly');
+        const value = await this.requestToPromise(transaction.objectStore('meta').get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value to the meta store
+     */
+    async setMeta(key, value) {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            localStorage.setItem(`gameShelfMeta_${key}`, JSON.stringify(value));
+            return true;
+        }
+
+        const transaction = this.db.transaction('meta', 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+        transaction.objectStore('meta').put(value, key);
+        return await completion;
+    }
+
+    /**
+     * Delete a value from the meta store
+     */
+    async deleteMeta(key) {
+        await this.ensureOpen();
+
+        if (!this.isIndexedDB()) {
+            localStorage.removeItem(`gameShelfMeta_${key}`);
+            return true;
+        }
+
+        const transaction = this.db.transaction('meta', 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+        transaction.objectStore('meta').delete(key);
+        return await completion;
+    }
+
+    /**
+     * Load every cached cover record
+     * @returns {Promise<Array>} Cover records (empty without IndexedDB)
+     */
+    async getAllCovers() {
+        await this.ensureOpen();
+        if (!this.isIndexedDB()) return [];
+
+        const transaction = this.db.transaction('covers', 'readonly');
+        return await this.requestToPromise(transaction.objectStore('covers').getAll());
+    }
+
+    /**
+     * Load one cached cover record by its source URL
+     */
+    async getCover(url) {
+        await this.ensureOpen();
+        if (!this.isIndexedDB()) return null;
+
+        const transaction = this.db.transaction('covers', 'readonly');
+        const record = await this.requestToPromise(transaction.objectStore('covers').get(url));
+        return record || null;
+    }
+
+    /**
+     * Save a cover record
+     */
+    async putCover(record) {
+        await this.ensureOpen();
+        if (!this.isIndexedDB()) {
+            throw new Error('Cover cache requires IndexedDB');
+        }
+
+        const transaction = this.db.transaction('covers', 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+        transaction.objectStore('covers').put(record);
+        return await completion;
+    }
+
+    /**
+     * Delete cover records by source URL (every cover when urls is null)
+     */
+    async deleteCovers(urls = null) {
+        await this.ensureOpen();
+        if (!this.isIndexedDB()) return true;
+
+        const transaction = this.db.transaction('covers', 'readwrite');
+        const completion = this.transactionToPromise(transaction);
+        const store = transaction.objectStore('covers');
+        if (urls === null) {
+            store.clear();
+        } else {
+            urls.forEach(url => store.delete(url));
+        }
+        return await completion;
+    }
+
+    /**
+     * Move existing LocalStorage data into IndexedDB on first load
+     * The LocalStorage copy is only marked migrated and removed once the IndexedDB copy reads back the same;
+     * a failure is thrown so openBackend keeps using LocalStorage
+     */
+    async migrateFromLocalStorage() {
+        const migratedAt = await this.getMeta('migratedFromLocalStorage');
+        if (migratedAt) return false;
+
+        const savedGames = localStorage.getItem(this.localStorageKeys.games);
+        const savedCollections = localStorage.getItem(this.localStorageKeys.collections);
+
+        // Anything already in IndexedDB was written before a move completed, so the LocalStorage copy wins
+        if (savedGames) {
+            const collection = JSON.parse(savedGames);
+            if (Array.isArray(collection.games)) {
+                const games = {
+                    games: collection.games,
+                    customFields: collection.customFields || [],
+                    savedViews: collection.savedViews || [],
+                    metadata: collection.metadata || {}
+                };
+                await this.saveGameCollection(games);
+                if (JSON.stringify(await this.loadGameCollection()) !== JSON.stringify(games)) {
+                    throw new Error('Games read back from IndexedDB differ from the LocalStorage copy');
+                }
+            }
+        }
+
+        if (savedCollections) {
+            const collections = JSON.parse(savedCollections);
+            if (Array.isArray(collections)) {
+                await this.saveCollections(collections);
+                if (JSON.stringify(await this.loadCollections()) !== JSON.stringify(collections)) {
+                    throw new Error('Collections read back from IndexedDB differ from the LocalStorage copy');
+                }
+            }
+        }
+
+        await this.setMeta('migratedFromLocalStorage', Date.now());
+
+        // Free the LocalStorage quota once the data is safely in IndexedDB
+        localStorage.removeItem(this.localStorageKeys.games);
+        localStorage.removeItem(this.localStorageKeys.collections);
+
+        console.log('Migrated game data from LocalStorage to IndexedDB');
+        return true;
+    }
+
+    /**
+     * Get a short description of the active backend
+     */
+    getStorageInfo() {
+        return {
+            backend: this.backend,
+            database: this.isIndexedDB() ? this.dbName : null
+        };
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * SyncManager - Keeps games and collections in step across open tabs
+ * After a save, a tab announces which store changed (BroadcastChannel, or a LocalStorage `storage`
+ * event where BroadcastChannel is missing) and the other tabs pull the changed records from storage.
+ * Each tab remembers the version of every record it last read or wrote, so a record edited in two
+ * tabs at once is detected as a conflict instead of the later save silently winning
+ */
+class SyncManager {
+    constructor(channelName = 'gameShelfSync') {
+        this.channelName = channelName;
+        this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.channel = null;
+        this.handlers = new Map();
+        this.queues = new Map();
+
+        this.connect();
+    }
+
+    /**
+     * Listen for announcements from other tabs
+     */
+    connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (e) => this.receive(e.data);
+            return;
+        }
+
+        // The storage event only fires in the other tabs, which is exactly what is needed here
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.channelName || !e.newValue) return;
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed sync message:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register the handler that pulls a store when another tab changed it
+     * @param {string} store - 'games' or 'collections'
+     * @param {Function} handler - Called with the message; may return a Promise
+     */
+    onRemoteChange(store, handler) {
+        this.handlers.set(store, handler);
+    }
+
+    /**
+     * Tell the other tabs that a store was saved
+     */
+    announce(store) {
+        const message = { tabId: this.tabId, store, time: Date.now() };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.channelName, JSON.stringify(message));
+        }
+    }
+
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        const handler = this.handlers.get(message.store);
+        if (!handler) return;
+
+        Promise.resolve()
+            .then(() => handler(message))
+            .catch(error => console.error(`Failed to pull ${message.store} changed in another tab:`, error));
+    }
+
+    /**
+     * Run a read-merge-write task without another tab (or this one) writing the same store meanwhile
+     * Uses the Web Locks API when available; otherwise tasks are only queued within this tab
+     */
+    withLock(store, task) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(`${this.channelName}:${store}`, () => task());
+        }
+
+        const previous = this.queues.get(store) || Promise.resolve();
+        const result = previous.then(() => task());
+        this.queues.set(store, result.catch(() => {}));
+        return result;
+    }
+
+    /**
+     * Remember the current version of each record (and their order) as the synced state
+     * @param {Array} records - Records with an id
+     * @returns {Object} { records: Map(id → serialized record), order }
+     */
+    snapshot(records) {
+        return {
+            records: new Map(records.map(record => [record.id, this.serialize(record)])),
+            order: records.map(record => record.id).join('\n')
+        };
+    }
+
+    /**
+     * Bring a snapshot up to date after a write in which only some records changed
+     * @param {Object} snapshot - Snapshot from snapshot() or mergeRecords()
+     * @param {Array} records - All records as written
+     * @param {Set} changedIds - IDs of the records added, updated or removed since the snapshot
+     * @returns {Object} The updated snapshot
+     */
+    updateSnapshot(snapshot, records, changedIds) {
+        changedIds.forEach(id => snapshot.records.delete(id));
+        records
+            .filter(record => changedIds.has(record.id))
+            .forEach(record => snapshot.records.set(record.id, this.serialize(record)));
+
+        return {
+            records: snapshot.records,
+            order: records.map(record => record.id).join('\n')
+        };
+    }
+
+    /**
+     * JSON with sorted object keys, so equal records compare equal whatever order their keys were set in
+     */
+    serialize(value) {
+        return JSON.stringify(value, (key, item) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+            return Object.keys(item).sort().reduce((sorted, name) => {
+                sorted[name] = item[name];
+                return sorted;
+            }, {});
+        });
+    }
+
+    /**
+     * Three-way merge of this tab's records with the stored ones, against the synced state
+     * A record changed on one side only takes that side; a record changed on both sides to different
+     * values is a conflict, settled to the stored version (the user may re-apply theirs afterwards)
+     * @param {Array} localRecords - Records held by this tab
+     * @param {Array} storedRecords - Records currently in storage
+     * @param {Object} synced - Snapshot taken when this tab last read or wrote the store
+     * @returns {Object} { records, synced, changes: [{ type, id, record }], conflicts: [{ id, local, remote }], reordered }
+     */
+    mergeRecords(localRecords, storedRecords, synced) {
+        const local = new Map(localRecords.map(record => [record.id, record]));
+        const stored = new Map(storedRecords.map(record => [record.id, record]));
+        const nextSynced = new Map();
+        const taken = new Map();
+        const changes = [];
+        const conflicts = [];
+
+        const ids = new Set([...local.keys(), ...stored.keys(), ...synced.records.keys()]);
+        ids.forEach(id => {
+            const localJson = local.has(id) ? this.serialize(local.get(id)) : null;
+            const storedJson = stored.has(id) ? this.serialize(stored.get(id)) : null;
+            const syncedJson = synced.records.has(id) ? synced.records.get(id) : null;
+
+            if (storedJson === localJson || storedJson === syncedJson) {
+                // Nothing new in storage, or both sides made the same change
+                const base = storedJson === localJson ? storedJson : syncedJson;
+                if (base !== null) nextSynced.set(id, base);
+                return;
+            }
+
+            if (localJson !== syncedJson) {
+                conflicts.push({ id, local: local.get(id) || null, remote: stored.get(id) || null });
+            }
+
+            taken.set(id, stored.get(id) || null);
+            if (storedJson !== null) nextSynced.set(id, storedJson);
+
+            changes.push({
+                type: localJson === null ? 'added' : storedJson === null ? 'removed' : 'updated',
+                id,
+                record: stored.get(id) || local.get(id)
+            });
+        });
+
+        const records = localRecords
+            .filter(record => !taken.has(record.id) || taken.get(record.id))
+            .map(record => taken.has(record.id) ? taken.get(record.id) : record);
+        storedRecords
+            .filter(record => !local.has(record.id) && taken.get(record.id))
+            .forEach(record => records.push(record));
+
+        // Follow a reorder made in another tab unless this tab reordered too
+        const localOrder = localRecords.map(record => record.id).join('\n');
+        const storedOrder = storedRecords.map(record => record.id).join('\n');
+        let order = synced.order;
+        let reordered = false;
+        if (localOrder === synced.order && storedOrder !== synced.order) {
+            const position = new Map(storedRecords.map((record, index) => [record.id, index]));
+            records.sort((a, b) =>
+                (position.has(a.id) ? position.get(a.id) : Infinity) -
+                (position.has(b.id) ? position.get(b.id) : Infinity)
+            );
+            order = storedOrder;
+            reordered = true;
+        } else if (localOrder === storedOrder) {
+            order = storedOrder;
+        }
+
+        return {
+            records,
+            synced: { records: nextSynced, order },
+            changes,
+            conflicts,
+            reordered
+        };
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
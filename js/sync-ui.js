@@ -0,0 +1,208 @@
+/**
+ * SyncUI - Conflict dialog for edits that collided with another tab
+ * The other tab's version is already applied; each conflict can be dismissed or overwritten with this tab's version
+ */
+class SyncUI {
+    constructor(gameManager, collectionManager, syncManager) {
+        this.gameManager = gameManager;
+        this.collectionManager = collectionManager;
+        this.syncManager = syncManager;
+        this.conflicts = [];
+
+        this.fieldLabels = {
+            title: 'タイトル',
+            alternativeTitles: '別タイトル',
+            series: 'シリーズ',
+            platforms: '機種',
+            genre: 'ジャンル',
+            developer: '開発元',
+            publisher: '販売元',
+            releaseDate: '発売日',
+            coverImage: 'カバー画像',
+            description: '説明',
+            rating: '評価',
+            notes: 'メモ',
+            completionStatus: '進行状況',
+            startedDate: '開始日',
+            completedDate: 'クリア日',
+            tags: 'タグ',
+            favorite: 'お気に入り',
+            playTime: 'プレイ時間',
+            playSessions: 'プレイ記録',
+            ownershipState: '所持状態',
+            ownedCopies: '所持コピー',
+            wishlist: 'ウィッシュリスト',
+            loans: '貸し借り',
+            checklist: 'チェックリスト',
+            customFields: 'カスタム項目',
+            relations: '関連作品',
+            name: '名前',
+            emoji: '絵文字',
+            games: 'ゲーム',
+            gameOrder: '並び順',
+            smartRules: 'スマートルール',
+            settings: '表示設定'
+        };
+    }
+
+    /**
+     * Collect conflicts reported by the managers and show the dialog
+     */
+    setEventBus(eventBus) {
+        eventBus.on('sync:conflict', event => {
+            event.conflicts.forEach(conflict => {
+                // A newer conflict on the same record replaces the older one
+                this.conflicts = this.conflicts.filter(existing =>
+                    existing.store !== event.store || existing.id !== conflict.id);
+                this.conflicts.push({ store: event.store, ...conflict });
+            });
+            this.showConflicts();
+        });
+    }
+
+    showConflicts() {
+        const modal = document.getElementById('sync-conflict-modal');
+        if (!modal) return;
+
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    render() {
+        const container = document.getElementById('sync-conflict-content');
+        if (!container) return;
+
+        if (this.conflicts.length === 0) {
+            document.getElementById('sync-conflict-modal').style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="sync-conflict-summary">
+                別のタブでも同時に変更されたため、${this.conflicts.length}件は別のタブの内容を保存しました。
+                このタブでの変更を使う場合は「このタブの内容で上書き」を選んでください。
+            </p>
+            ${this.conflicts.map((conflict, index) => this.renderConflict(conflict, index)).join('')}
+            <div class="sync-conflict-footer">
+                <button class="btn btn-secondary" id="sync-conflict-dismiss-all">すべて別のタブの内容のままにする</button>
+            </div>
+        `;
+
+        container.querySelectorAll('.sync-conflict-keep-remote').forEach(button => {
+            button.addEventListener('click', () => this.dismiss(Number(button.dataset.index)));
+        });
+        container.querySelectorAll('.sync-conflict-keep-local').forEach(button => {
+            button.addEventListener('click', () => this.keepLocal(Number(button.dataset.index)));
+        });
+        container.querySelector('#sync-conflict-dismiss-all').addEventListener('click', () => {
+            this.conflicts = [];
+            this.render();
+        });
+    }
+
+    renderConflict(conflict, index) {
+        const record = conflict.local || conflict.remote;
+        const name = conflict.store === 'games' ? record.title : `${record.emoji || '📁'} ${record.name}`;
+
+        return `
+            <div class="sync-conflict-item">
+                <div class="sync-conflict-title">
+                    <span class="sync-conflict-kind">${conflict.store === 'games' ? 'ゲーム' : 'コレクション'}</span>
+                    ${HtmlUtils.escape(name)}
+                </div>
+                ${this.renderDifferences(conflict)}
+                <div class="sync-conflict-actions">
+                    <button class="btn btn-secondary sync-conflict-keep-remote" data-index="${index}">別のタブの内容のまま</button>
+                    <button class="btn btn-primary sync-conflict-keep-local" data-index="${index}">このタブの内容で上書き</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * What differs between the two versions (one row per changed field)
+     */
+    renderDifferences(conflict) {
+        if (!conflict.local) {
+            return '<p class="sync-conflict-note">このタブで削除しましたが、別のタブで変更されていました</p>';
+        }
+        if (!conflict.remote) {
+            return '<p class="sync-conflict-note">このタブで変更しましたが、別のタブで削除されていました</p>';
+        }
+
+        const rows = this.getChangedFields(conflict.local, conflict.remote).map(({ key, local, remote }) => `
+            <tr>
+                <th>${this.fieldLabels[key] || HtmlUtils.escape(key)}</th>
+                <td>${HtmlUtils.escape(this.formatValue(key, local))}</td>
+                <td>${HtmlUtils.escape(this.formatValue(key, remote))}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="sync-conflict-table">
+                <thead><tr><th></th><th>このタブ</th><th>別のタブ</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Changed top-level fields; userMetadata is compared field by field
+     */
+    getChangedFields(local, remote) {
+        const serialize = value => this.syncManager.serialize(value === undefined ? null : value);
+        const changed = [];
+
+        const compare = (a, b) => {
+            new Set([...Object.keys(a || {}), ...Object.keys(b || {})]).forEach(key => {
+                if (serialize((a || {})[key]) !== serialize((b || {})[key])) {
+                    changed.push({ key, local: (a || {})[key], remote: (b || {})[key] });
+                }
+            });
+        };
+
+        const { userMetadata: localMetadata, dataSource: localSource, modifiedDate: localModified, ...localFields } = local;
+        const { userMetadata: remoteMetadata, dataSource: remoteSource, modifiedDate: remoteModified, ...remoteFields } = remote;
+        compare(localFields, remoteFields);
+        compare(localMetadata, remoteMetadata);
+        return changed;
+    }
+
+    formatValue(key, value) {
+        let text;
+        if (value === null || value === undefined || value === '') {
+            text = '—';
+        } else if (/Date$/.test(key) && typeof value === 'number') {
+            text = new Date(value).toLocaleDateString('ja-JP');
+        } else if (Array.isArray(value)) {
+            text = value.every(item => typeof item !== 'object') ? value.join(', ') : `${value.length}件`;
+        } else if (typeof value === 'object') {
+            text = '（変更あり）';
+        } else {
+            text = String(value);
+        }
+        return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+    }
+
+    /**
+     * Keep the other tab's version (already saved) and forget the conflict
+     */
+    dismiss(index) {
+        this.conflicts.splice(index, 1);
+        this.render();
+    }
+
+    async keepLocal(index) {
+        const conflict = this.conflicts[index];
+        const manager = conflict.store === 'games' ? this.gameManager : this.collectionManager;
+
+        try {
+            this.conflicts.splice(index, 1);
+            await manager.restoreConflictVersion(conflict);
+        } catch (error) {
+            console.error('Failed to restore this tab\'s version:', error);
+            alert(`エラー: ${error.message}`);
+        }
+        this.render();
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * VirtualScroller - Keeps only the items near the viewport in the DOM
+ * Renders into a CSS grid container (space for rows off screen is padding) or a tbody (spacer rows).
+ * The page itself scrolls; every row gets the height of the tallest item seen so far, so scroll
+ * positions map straight to rows
+ */
+class VirtualScroller {
+    /**
+     * @param {HTMLElement} element - Grid container or tbody
+     * @param {Object} options - { items, renderItem(item) → HTML, bindItem(element, item), overscan: rows }
+     */
+    constructor(element, options) {
+        this.element = element;
+        this.items = options.items;
+        this.renderItem = options.renderItem;
+        this.bindItem = options.bindItem || (() => {});
+        this.overscan = options.overscan || 3;
+        this.isTable = element.tagName === 'TBODY';
+
+        this.range = { start: 0, end: 0 };
+        this.rendered = [];
+        this.created = [];
+        this.layout = null;
+        this.frame = null;
+
+        this.element.classList.add('virtual-scroll');
+        if (!this.isTable) {
+            this.paddingTop = parseFloat(getComputedStyle(element).paddingTop) || 0;
+            this.paddingBottom = parseFloat(getComputedStyle(element).paddingBottom) || 0;
+        }
+
+        this.onScroll = () => this.schedule();
+        this.onResize = () => {
+            // Column count and item heights may change with the width
+            this.layout = null;
+            this.schedule();
+        };
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onResize);
+
+        this.update();
+    }
+
+    schedule() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Render the rows around the viewport
+     */
+    update() {
+        if (!this.layout) {
+            // Measure on a first batch (or on what is already on screen after a resize)
+            if (this.rendered.length === 0) this.renderRange(0, Math.min(this.items.length, 100));
+            this.measure();
+        }
+
+        const { columns, rowHeight } = this.layout;
+        const rows = Math.ceil(this.items.length / columns);
+        const top = this.element.getBoundingClientRect().top + (this.isTable ? 0 : this.paddingTop);
+
+        const firstRow = Math.min(rows, Math.floor(Math.max(0, -top) / rowHeight));
+        const lastRow = Math.ceil(Math.max(0, window.innerHeight - top) / rowHeight);
+        const startRow = Math.max(0, firstRow - this.overscan);
+        const endRow = Math.min(rows, lastRow + this.overscan);
+
+        this.renderRange(startRow * columns, Math.min(this.items.length, endRow * columns));
+        this.updateSpacers(startRow, rows - endRow);
+
+        // A taller item than any before changes every row's height
+        if (this.measureHeight(this.created) > this.layout.itemHeight) {
+            this.layout = null;
+            this.schedule();
+        }
+    }
+
+    /**
+     * Show items [start, end); items already on screen keep their elements
+     */
+    renderRange(start, end) {
+        const previous = this.range;
+        if (start === previous.start && end === previous.end && this.rendered.length > 0) {
+            this.created = [];
+            return;
+        }
+
+        const kept = new Map();
+        this.rendered.forEach((element, i) => {
+            const index = previous.start + i;
+            if (index >= start && index < end) kept.set(index, element);
+        });
+
+        const missing = [];
+        for (let index = start; index < end; index++) {
+            if (!kept.has(index)) missing.push(index);
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = missing.map(index => this.renderItem(this.items[index])).join('');
+        const created = new Map(missing.map((index, i) => [index, template.content.children[i]]));
+
+        this.rendered = [];
+        for (let index = start; index < end; index++) {
+            this.rendered.push(kept.get(index) || created.get(index));
+        }
+        missing.forEach(index => this.bindItem(created.get(index), this.items[index]));
+        this.created = [...created.values()];
+
+        this.element.replaceChildren(...this.spacers(), ...this.rendered);
+        this.range = { start, end };
+    }
+
+    spacers() {
+        if (!this.isTable) return [];
+        if (!this.topSpacer) {
+            [this.topSpacer, this.bottomSpacer] = [0, 1].map(() => {
+                const row = document.createElement('tr');
+                row.className = 'virtual-spacer';
+                row.setAttribute('aria-hidden', 'true');
+                row.innerHTML = '<td colspan="100"></td>';
+                return row;
+            });
+        }
+        return [this.topSpacer];
+    }
+
+    updateSpacers(rowsAbove, rowsBelow) {
+        const above = rowsAbove * this.layout.rowHeight;
+        const below = Math.max(0, rowsBelow) * this.layout.rowHeight;
+
+        if (this.isTable) {
+            this.topSpacer.style.height = `${above}px`;
+            this.bottomSpacer.style.height = `${below}px`;
+            this.element.appendChild(this.bottomSpacer);
+        } else {
+            this.element.style.paddingTop = `${this.paddingTop + above}px`;
+            this.element.style.paddingBottom = `${this.paddingBottom + below}px`;
+        }
+    }
+
+    /**
+     * Columns from the items sharing the first row, row height from the tallest item
+     */
+    measure() {
+        const first = this.rendered[0];
+        const columns = first ? Math.max(1, this.rendered.filter(element => element.offsetTop === first.offsetTop).length) : 1;
+
+        this.element.style.removeProperty('--virtual-row-height');
+        const itemHeight = this.measureHeight(this.rendered);
+        this.element.style.setProperty('--virtual-row-height', `${itemHeight}px`);
+
+        // With every row the same height, the distance between two rows is the row pitch (gaps and margins included)
+        const next = this.rendered[columns];
+        const rowHeight = next ? next.offsetTop - first.offsetTop : itemHeight;
+
+        this.layout = { columns, itemHeight, rowHeight: Math.max(1, rowHeight) };
+    }
+
+    /**
+     * Tallest of the given items, margins included
+     */
+    measureHeight(elements) {
+        return Math.max(0, ...elements.map(element => {
+            const style = getComputedStyle(element);
+            return element.offsetHeight + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+        }));
+    }
+
+    /**
+     * Swap in updated items (same games, same order) and redraw the ones on screen that changed
+     */
+    updateItems(items, changed) {
+        this.items = items;
+        this.rendered = this.rendered.map((element, i) => {
+            const item = items[this.range.start + i];
+            if (!changed(item)) return element;
+
+            const template = document.createElement('template');
+            template.innerHTML = this.renderItem(item);
+            const replacement = template.content.firstElementChild;
+            element.replaceWith(replacement);
+            this.bindItem(replacement, item);
+            return replacement;
+        });
+    }
+
+    /**
+     * Stop following the page and remove the spacing
+     */
+    destroy() {
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onResize);
+        if (this.frame) cancelAnimationFrame(this.frame);
+
+        this.element.classList.remove('virtual-scroll');
+        this.element.style.removeProperty('--virtual-row-height');
+        this.element.style.paddingTop = '';
+        this.element.style.paddingBottom = '';
+    }
+}
@@ -0,0 +1,349 @@
+/**
+ * YearReviewManager - Annual summary of the library ("year in review")
+ * Builds the report for one year from dateAdded, the start/completion dates, play sessions,
+ * ratings and notes, and turns it into a standalone HTML page or a PNG drawn on canvas
+ */
+class YearReviewManager {
+    constructor(gameManager, exportManager) {
+        this.gameManager = gameManager;
+        this.exportManager = exportManager;
+        this.topCount = 5;
+    }
+
+    /**
+     * Years that have any activity, newest first (the current year is always included)
+     */
+    getAvailableYears() {
+        const years = new Set([new Date().getFullYear()]);
+        this.gameManager.getAllGames().forEach(game => {
+            const metadata = game.userMetadata;
+            [metadata.dateAdded, metadata.startedDate, metadata.completedDate, ...(metadata.playSessions || []).map(session => session.start)]
+                .map(value => DateUtils.getYear(value))
+                .filter(year => year !== null)
+                .forEach(year => years.add(year));
+        });
+        return [...years].sort((a, b) => b - a);
+    }
+
+    /**
+     * When a game was started: the recorded start date or its first play session, whichever is earlier
+     */
+    getStartTime(game) {
+        const times = [game.userMetadata.startedDate, ...(game.userMetadata.playSessions || []).map(session => session.start)]
+            .filter(Boolean)
+            .map(value => new Date(value).getTime())
+            .filter(time => !isNaN(time));
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * Build the report for a year
+     * @returns {Object} { year, added, started, completed, totalHours, playTime, topRated, genres, platforms,
+     *                     longestSession, firstCompletion, lastCompletion }
+     */
+    buildReport(year) {
+        const games = this.gameManager.getAllGames();
+        const inYear = value => DateUtils.getYear(value) === year;
+        const byTime = getTime => (a, b) => new Date(getTime(a)).getTime() - new Date(getTime(b)).getTime();
+
+        const added = games.filter(game => inYear(game.userMetadata.dateAdded))
+            .sort(byTime(game => game.userMetadata.dateAdded));
+        const started = games.filter(game => inYear(this.getStartTime(game)))
+            .sort(byTime(game => this.getStartTime(game)));
+        const completed = games.filter(game => game.userMetadata.completionStatus === 'completed' && inYear(game.userMetadata.completedDate))
+            .sort(byTime(game => game.userMetadata.completedDate));
+
+        // Play time comes from sessions, which are the only dated play records
+        const sessions = games.flatMap(game => (game.userMetadata.playSessions || [])
+            .filter(session => inYear(session.start))
+            .map(session => ({ game, session })));
+        const msByGame = new Map();
+        sessions.forEach(({ game, session }) => msByGame.set(game.id, (msByGame.get(game.id) || 0) + (session.duration || 0)));
+        const playTime = [...msByGame.entries()]
+            .map(([gameId, ms]) => ({ game: games.find(game => game.id === gameId), hours: this.toHours(ms) }))
+            .filter(entry => entry.hours > 0)
+            .sort((a, b) => b.hours - a.hours);
+
+        // Games that were part of the year: added, started, completed or played
+        const activeIds = new Set([...added, ...started, ...completed, ...playTime.map(entry => entry.game)].map(game => game.id));
+        const active = games.filter(game => activeIds.has(game.id));
+
+        const topRated = active
+            .filter(game => (game.userMetadata.rating || 0) > 0)
+            .sort((a, b) => b.userMetadata.rating - a.userMetadata.rating ||
+                (msByGame.get(b.id) || 0) - (msByGame.get(a.id) || 0))
+            .slice(0, this.topCount)
+            .map(game => ({ game, note: this.getNoteExcerpt(game) }));
+
+        const longest = sessions.reduce((best, entry) =>
+            !best || (entry.session.duration || 0) > (best.session.duration || 0) ? entry : best, null);
+
+        return {
+            year,
+            added,
+            started,
+            completed,
+            totalHours: this.toHours(sessions.reduce((sum, { session }) => sum + (session.duration || 0), 0)),
+            playTime,
+            topRated,
+            genres: this.rankValues(active, game => game.genre || [], msByGame),
+            platforms: this.rankValues(active, game => game.platforms || [], msByGame),
+            longestSession: longest ? { game: longest.game, start: longest.session.start, hours: this.toHours(longest.session.duration || 0) } : null,
+            firstCompletion: completed[0] || null,
+            lastCompletion: completed.length > 0 ? completed[completed.length - 1] : null
+        };
+    }
+
+    /**
+     * Rank genres or platforms by the games of the year that have them (play time breaks ties)
+     */
+    rankValues(games, getValues, msByGame) {
+        const ranking = new Map();
+        games.forEach(game => {
+            getValues(game).forEach(value => {
+                const entry = ranking.get(value) || { name: value, count: 0, ms: 0 };
+                entry.count++;
+                entry.ms += msByGame.get(game.id) || 0;
+                ranking.set(value, entry);
+            });
+        });
+
+        return [...ranking.values()]
+            .sort((a, b) => b.count - a.count || b.ms - a.ms || a.name.localeCompare(b.name, 'ja'))
+            .slice(0, this.topCount)
+            .map(entry => ({ name: entry.name, count: entry.count, hours: this.toHours(entry.ms) }));
+    }
+
+    /**
+     * First line of the notes, shortened for the report
+     */
+    getNoteExcerpt(game, length = 80) {
+        const line = (game.userMetadata.notes || '').trim().split('\n')[0].trim();
+        return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+    }
+
+    toHours(ms) {
+        return Math.round(ms / 360000) / 10;
+    }
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleDateString('ja-JP') : '';
+    }
+
+    /**
+     * Standalone HTML page of a report
+     */
+    toHTML(report) {
+        const escape = text => HtmlUtils.escape(text);
+        const stars = rating => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+        const list = (items, render, empty) => items.length > 0 ?
+            `<ol>${items.map(item => `<li>${render(item)}</li>`).join('')}</ol>` : `<p class="empty">${empty}</p>`;
+        const gameTitle = game => `<strong>${escape(game.title)}</strong>${game.platforms.length > 0 ? ` <span class="meta">${escape(game.platforms.join(' / '))}</span>` : ''}`;
+
+        return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${report.year}年のゲームまとめ</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; background: #f5f5f5; color: #333; }
+        header { background: linear-gradient(135deg, #1a1a2e, #0f3460); color: #fff; padding: 2rem 1.5rem; text-align: center; }
+        header h1 { margin: 0 0 0.25rem; font-size: 2rem; }
+        header p { margin: 0; opacity: 0.8; }
+        .tiles { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 1rem; max-width: 900px; margin: -1.5rem auto 0; padding: 0 1.5rem; }
+        .tile { background: #fff; border-radius: 8px; padding: 1rem; text-align: center; box-shadow: 0 1px 3px rgba(0,0,0,0.15); }
+        .tile b { display: block; font-size: 1.8rem; color: #e94560; }
+        main { max-width: 900px; margin: 0 auto; padding: 1.5rem; display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1rem; }
+        section { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        section h2 { font-size: 1.05rem; margin: 0 0 0.5rem; }
+        ol { margin: 0; padding-left: 1.25rem; }
+        li { margin: 0.3rem 0; }
+        .meta, .empty { color: #777; font-size: 0.85rem; }
+        .note { display: block; color: #555; font-size: 0.85rem; font-style: italic; }
+        .stars { color: #f5a623; }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>🎮 ${report.year}年のゲームまとめ</h1>
+        <p>${this.formatDate(Date.now())} 作成</p>
+    </header>
+    <div class="tiles">
+        <div class="tile"><b>${report.added.length}</b>追加したゲーム</div>
+        <div class="tile"><b>${report.started.length}</b>遊び始めたゲーム</div>
+        <div class="tile"><b>${report.completed.length}</b>クリアしたゲーム</div>
+        <div class="tile"><b>${report.totalHours}</b>プレイ時間（時間）</div>
+    </div>
+    <main>
+        <section>
+            <h2>⏱️ よく遊んだゲーム</h2>
+            ${list(report.playTime, entry => `${gameTitle(entry.game)} <span class="meta">${entry.hours}時間</span>`, 'プレイ記録がありません')}
+        </section>
+        <section>
+            <h2>⭐ 高評価のゲーム</h2>
+            ${list(report.topRated, entry => `${gameTitle(entry.game)} <span class="stars">${stars(entry.game.userMetadata.rating)}</span>${entry.note ? `<span class="note">「${escape(entry.note)}」</span>` : ''}`, '評価したゲームがありません')}
+        </section>
+        <section>
+            <h2>🎯 好きなジャンル</h2>
+            ${list(report.genres, entry => `${escape(entry.name)} <span class="meta">${entry.count}本</span>`, 'データがありません')}
+        </section>
+        <section>
+            <h2>🕹️ よく遊んだ機種</h2>
+            ${list(report.platforms, entry => `${escape(entry.name)} <span class="meta">${entry.count}本</span>`, 'データがありません')}
+        </section>
+        <section>
+            <h2>🏆 ハイライト</h2>
+            <ul>
+                <li>最長のプレイ: ${report.longestSession ? `${gameTitle(report.longestSession.game)} <span class="meta">${report.longestSession.hours}時間（${this.formatDate(report.longestSession.start)}）</span>` : '<span class="empty">記録なし</span>'}</li>
+                <li>最初のクリア: ${report.firstCompletion ? `${gameTitle(report.firstCompletion)} <span class="meta">${this.formatDate(report.firstCompletion.userMetadata.completedDate)}</span>` : '<span class="empty">なし</span>'}</li>
+                <li>最後のクリア: ${report.lastCompletion ? `${gameTitle(report.lastCompletion)} <span class="meta">${this.formatDate(report.lastCompletion.userMetadata.completedDate)}</span>` : '<span class="empty">なし</span>'}</li>
+            </ul>
+        </section>
+        <section>
+            <h2>🏁 クリアしたゲーム</h2>
+            ${list(report.completed, game => `${gameTitle(game)} <span class="meta">${this.formatDate(game.userMetadata.completedDate)}</span>`, 'クリアしたゲームはありません')}
+        </section>
+        <section>
+            <h2>▶️ 遊び始めたゲーム</h2>
+            ${list(report.started, game => `${gameTitle(game)} <span class="meta">${this.formatDate(this.getStartTime(game))}</span>`, 'ありません')}
+        </section>
+        <section>
+            <h2>📥 追加したゲーム</h2>
+            ${list(report.added, game => `${gameTitle(game)} <span class="meta">${this.formatDate(game.userMetadata.dateAdded)}</span>`, '追加したゲームはありません')}
+        </section>
+    </main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Draw a report as a shareable portrait image
+     * @returns {HTMLCanvasElement}
+     */
+    renderCanvas(report) {
+        const width = 1080;
+        const height = 1350;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const font = (size, weight = 'normal') => `${weight} ${size}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+
+        const gradient = context.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, '#1a1a2e');
+        gradient.addColorStop(1, '#0f3460');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.font = font(64, 'bold');
+        context.fillText(`${report.year}年のゲームまとめ`, width / 2, 120);
+
+        // Headline numbers
+        const tiles = [
+            [report.added.length, '追加'],
+            [report.started.length, '開始'],
+            [report.completed.length, 'クリア'],
+            [report.totalHours, 'プレイ時間']
+        ];
+        tiles.forEach(([value, label], i) => {
+            const x = 60 + i * 245;
+            context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+            context.fillRect(x, 180, 225, 170);
+            context.fillStyle = '#e94560';
+            context.font = font(72, 'bold');
+            context.fillText(String(value), x + 112, 280);
+            context.fillStyle = '#ffffff';
+            context.font = font(28);
+            context.fillText(label, x + 112, 325);
+        });
+
+        context.textAlign = 'left';
+        let y = 430;
+        const heading = text => {
+            context.fillStyle = '#ffffff';
+            context.font = font(36, 'bold');
+            context.fillText(text, 60, y);
+            y += 50;
+        };
+        const row = (text, detail) => {
+            context.font = font(30);
+            context.fillStyle = '#ffffff';
+            context.fillText(this.fitText(context, text, detail ? 680 : 960), 80, y);
+            if (detail) {
+                context.fillStyle = '#b8c4d6';
+                context.textAlign = 'right';
+                context.fillText(detail, width - 60, y);
+                context.textAlign = 'left';
+            }
+            y += 44;
+        };
+
+        heading('よく遊んだゲーム');
+        if (report.playTime.length === 0) row('プレイ記録がありません');
+        report.playTime.slice(0, this.topCount).forEach((entry, i) => row(`${i + 1}. ${entry.game.title}`, `${entry.hours}時間`));
+
+        y += 20;
+        heading('高評価のゲーム');
+        if (report.topRated.length === 0) row('評価したゲームがありません');
+        report.topRated.slice(0, 3).forEach(entry => row(entry.game.title, '★'.repeat(entry.game.userMetadata.rating)));
+
+        // Genres and platforms side by side
+        y += 20;
+        [['好きなジャンル', report.genres, 60], ['よく遊んだ機種', report.platforms, 560]].forEach(([title, entries, x]) => {
+            context.fillStyle = '#ffffff';
+            context.font = font(36, 'bold');
+            context.fillText(title, x, y);
+            context.font = font(30);
+            entries.slice(0, 3).forEach((entry, i) => {
+                context.fillText(this.fitText(context, `${i + 1}. ${entry.name}`, 440), x + 20, y + 50 + i * 44);
+            });
+        });
+        y += 50 + 3 * 44 + 20;
+
+        heading('ハイライト');
+        row(report.longestSession ? `最長のプレイ: ${report.longestSession.game.title}` : '最長のプレイ: 記録なし',
+            report.longestSession ? `${report.longestSession.hours}時間` : '');
+        row(report.firstCompletion ? `最初のクリア: ${report.firstCompletion.title}` : '最初のクリア: なし',
+            report.firstCompletion ? this.formatDate(report.firstCompletion.userMetadata.completedDate) : '');
+        row(report.lastCompletion ? `最後のクリア: ${report.lastCompletion.title}` : '最後のクリア: なし',
+            report.lastCompletion ? this.formatDate(report.lastCompletion.userMetadata.completedDate) : '');
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        context.textAlign = 'center';
+        context.font = font(22);
+        context.fillText('Game Shelf', width / 2, height - 40);
+
+        return canvas;
+    }
+
+    /**
+     * Shorten text with an ellipsis until it fits the width
+     */
+    fitText(context, text, maxWidth) {
+        if (context.measureText(text).width <= maxWidth) return text;
+
+        let shortened = text;
+        while (shortened.length > 1 && context.measureText(`${shortened}…`).width > maxWidth) {
+            shortened = shortened.slice(0, -1);
+        }
+        return `${shortened}…`;
+    }
+
+    /**
+     * Render a report as a PNG blob
+     */
+    toPNG(report) {
+        const canvas = this.renderCanvas(report);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render the image')), 'image/png');
+        });
+    }
+
+    getFileName(year, extension) {
+        return `year-in-review-${year}.${extension}`;
+    }
+}
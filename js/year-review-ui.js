@@ -0,0 +1,79 @@
+/**
+ * YearReviewUI - Year-in-review modal: pick a year, preview the image, save it as HTML or PNG
+ */
+class YearReviewUI {
+    constructor(yearReviewManager) {
+        this.yearReviewManager = yearReviewManager;
+        this.selectedYear = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('show-year-review');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.showYearReview());
+        }
+    }
+
+    showYearReview() {
+        const modal = document.getElementById('year-review-modal');
+        if (!modal) return;
+
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    render() {
+        const container = document.getElementById('year-review-content');
+        if (!container) return;
+
+        const manager = this.yearReviewManager;
+        const years = manager.getAvailableYears();
+        if (!years.includes(this.selectedYear)) {
+            this.selectedYear = years[0];
+        }
+
+        const report = manager.buildReport(this.selectedYear);
+
+        container.innerHTML = `
+            <div class="year-review-toolbar">
+                <select id="year-review-year">
+                    ${years.map(year => `<option value="${year}" ${year === this.selectedYear ? 'selected' : ''}>${year}年</option>`).join('')}
+                </select>
+                <button class="btn btn-secondary" id="year-review-html">🌐 HTMLで保存</button>
+                <button class="btn btn-primary" id="year-review-png">🖼️ PNGで保存</button>
+            </div>
+            <p class="year-review-note">
+                追加 ${report.added.length}本 ・ 開始 ${report.started.length}本 ・ クリア ${report.completed.length}本 ・ プレイ ${report.totalHours}時間
+                <small>（プレイ時間はプレイ記録のあるゲームのみ集計）</small>
+            </p>
+            <div class="year-review-preview"></div>
+        `;
+
+        // The preview is the same canvas the PNG is made from
+        const preview = container.querySelector('.year-review-preview');
+        const canvas = manager.renderCanvas(report);
+        canvas.className = 'year-review-canvas';
+        preview.appendChild(canvas);
+
+        container.querySelector('#year-review-year').addEventListener('change', (e) => {
+            this.selectedYear = Number(e.target.value);
+            this.render();
+        });
+
+        container.querySelector('#year-review-html').addEventListener('click', () => {
+            manager.exportManager.download(manager.toHTML(report), manager.getFileName(report.year, 'html'), 'text/html;charset=utf-8');
+        });
+
+        container.querySelector('#year-review-png').addEventListener('click', async () => {
+            try {
+                const blob = await manager.toPNG(report);
+                manager.exportManager.download(blob, manager.getFileName(report.year, 'png'), 'image/png');
+            } catch (error) {
+                console.error('Failed to render year review image:', error);
+                alert(`エラー: ${error.message}`);
+            }
+        });
+    }
+}